@@ -0,0 +1,86 @@
+import PropTypes from 'prop-types';
+import { FiX, FiFile, FiFilm, FiMusic, FiAlertCircle } from 'react-icons/fi';
+import { formatFileSize } from '../utils/mediaUpload';
+
+const ICONS = {
+  'm.video': FiFilm,
+  'm.audio': FiMusic,
+  'm.file': FiFile
+};
+
+/**
+ * Pending attachments above the composer, with upload progress and cancel/remove buttons
+ */
+const AttachmentTray = ({ attachments, onRemove }) => {
+  if (!attachments || attachments.length === 0) return null;
+
+  return (
+    <div className="flex gap-2 overflow-x-auto pb-2 mb-2">
+      {attachments.map(attachment => {
+        const Icon = ICONS[attachment.msgtype] || FiFile;
+        const isUploading = attachment.status === 'uploading';
+        const isFailed = attachment.status === 'failed';
+
+        return (
+          <div
+            key={attachment.id}
+            className={`relative flex-shrink-0 w-28 rounded-lg overflow-hidden bg-neutral-800 border ${
+              isFailed ? 'border-red-500/60' : 'border-white/10'
+            }`}
+            title={attachment.file.name}
+          >
+            {attachment.previewUrl ? (
+              <img src={attachment.previewUrl} alt={attachment.file.name} className="w-full h-20 object-cover" />
+            ) : (
+              <div className="w-full h-20 flex items-center justify-center text-gray-400">
+                <Icon className="w-8 h-8" />
+              </div>
+            )}
+            <div className="px-2 py-1">
+              <div className="text-xs text-gray-200 truncate">
+                {attachment.isVoice ? 'Voice message' : attachment.file.name}
+              </div>
+              <div className="text-[10px] text-gray-400 flex items-center gap-1">
+                {isFailed && <FiAlertCircle className="w-3 h-3 text-red-400" />}
+                {isFailed ? 'Upload failed' : formatFileSize(attachment.file.size)}
+              </div>
+            </div>
+
+            {isUploading && (
+              <div className="absolute bottom-0 left-0 right-0 h-1 bg-neutral-700">
+                <div
+                  className="h-full bg-[#0088cc] transition-all duration-150"
+                  style={{ width: `${Math.round((attachment.progress || 0) * 100)}%` }}
+                />
+              </div>
+            )}
+
+            <button
+              type="button"
+              onClick={() => onRemove(attachment.id)}
+              className="absolute top-1 right-1 p-1 w-auto rounded-full bg-black/60 text-white hover:bg-black/80"
+              title={isUploading ? 'Cancel upload' : 'Remove attachment'}
+            >
+              <FiX className="w-3 h-3" />
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+AttachmentTray.propTypes = {
+  attachments: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    file: PropTypes.object.isRequired,
+    msgtype: PropTypes.string,
+    previewUrl: PropTypes.string,
+    progress: PropTypes.number,
+    status: PropTypes.oneOf(['pending', 'uploading', 'failed']),
+    isVoice: PropTypes.bool
+  })).isRequired,
+  onRemove: PropTypes.func.isRequired
+};
+
+export default AttachmentTray;
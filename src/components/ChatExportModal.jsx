@@ -0,0 +1,258 @@
+import { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { FiDownload, FiX } from 'react-icons/fi';
+import { format } from 'date-fns';
+import { toast } from 'react-hot-toast';
+import { useMatrixClient } from '../context/MatrixClientContext';
+import {
+  EXPORT_FORMATS,
+  collectChatHistory,
+  embedAttachments,
+  buildHtmlExport,
+  buildJsonExport,
+  buildCsvExport,
+  downloadExport,
+  printHtmlExport,
+  getExportFileName,
+  isExportCancelled
+} from '../utils/chatExport';
+import logger from '../utils/logger';
+
+const FORMAT_OPTIONS = [
+  { id: EXPORT_FORMATS.HTML, label: 'HTML archive', description: 'Readable page with media embedded' },
+  { id: EXPORT_FORMATS.PRINT, label: 'Print / Save as PDF', description: 'Opens the print dialog instead of downloading a file' },
+  { id: EXPORT_FORMATS.JSON, label: 'JSON', description: 'Structured data for other tools' },
+  { id: EXPORT_FORMATS.CSV, label: 'CSV', description: 'Opens in spreadsheet apps' }
+];
+
+/**
+ * Dialog for exporting a conversation's history within a date range
+ */
+const ChatExportModal = ({ isOpen, onClose, platform, chatId, chatName }) => {
+  const { client } = useMatrixClient() || {};
+  const [exportFormat, setExportFormat] = useState(EXPORT_FORMATS.HTML);
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [progress, setProgress] = useState(null);
+  const abortRef = useRef(null);
+
+  // Cancel a running export when the dialog goes away
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  useEffect(() => {
+    if (isOpen) return;
+    abortRef.current?.abort();
+    setProgress(null);
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const isExporting = !!progress;
+  const from = fromDate ? new Date(`${fromDate}T00:00:00`).getTime() : null;
+  const to = toDate ? new Date(`${toDate}T23:59:59.999`).getTime() : null;
+  const isRangeValid = !from || !to || from <= to;
+
+  const handleExport = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setProgress({ stage: 'messages', loaded: 0, oldest: null });
+
+    try {
+      const records = await collectChatHistory({
+        platform,
+        client,
+        chatId,
+        from,
+        to,
+        signal: controller.signal,
+        onProgress: setProgress
+      });
+
+      if (records.length === 0) {
+        toast.error('No messages in this date range');
+        return;
+      }
+
+      const meta = { platform, chatId, chatName, from, to };
+      if (exportFormat === EXPORT_FORMATS.JSON) {
+        downloadExport(buildJsonExport(records, meta), getExportFileName(chatName, 'json'), 'application/json');
+      } else if (exportFormat === EXPORT_FORMATS.CSV) {
+        downloadExport(buildCsvExport(records), getExportFileName(chatName, 'csv'), 'text/csv;charset=utf-8');
+      } else {
+        const embedded = client
+          ? await embedAttachments(client, records, { signal: controller.signal, onProgress: setProgress })
+          : new Map();
+        const html = buildHtmlExport(records, meta, embedded);
+
+        if (exportFormat === EXPORT_FORMATS.PRINT) {
+          printHtmlExport(html);
+        } else {
+          downloadExport(html, getExportFileName(chatName, 'html'), 'text/html;charset=utf-8');
+        }
+      }
+
+      toast.success(`Exported ${records.length} ${records.length === 1 ? 'message' : 'messages'}`);
+      onClose();
+    } catch (error) {
+      if (isExportCancelled(error)) {
+        logger.info('[ChatExportModal] Export cancelled');
+        return;
+      }
+      logger.error('[ChatExportModal] Error exporting chat:', error);
+      toast.error(error.message || 'Failed to export chat');
+    } finally {
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+        setProgress(null);
+      }
+    }
+  };
+
+  const handleCancel = () => {
+    abortRef.current?.abort();
+    setProgress(null);
+  };
+
+  const renderProgress = () => {
+    if (progress.stage === 'media') {
+      const percent = progress.total > 0 ? Math.round((progress.done / progress.total) * 100) : 100;
+      return (
+        <>
+          <div className="text-sm text-gray-300 mb-2">Embedding media {progress.done} of {progress.total}</div>
+          <div className="h-1.5 bg-neutral-700 rounded-full overflow-hidden">
+            <div className="h-full bg-[#0088cc] transition-all" style={{ width: `${percent}%` }} />
+          </div>
+        </>
+      );
+    }
+
+    return (
+      <>
+        <div className="text-sm text-gray-300 mb-2">
+          Loading messages… {progress.loaded}
+          {progress.oldest && ` · back to ${format(new Date(progress.oldest), 'MMM d, yyyy')}`}
+        </div>
+        <div className="h-1.5 bg-neutral-700 rounded-full overflow-hidden">
+          <div className="h-full w-1/3 bg-[#0088cc] animate-pulse" />
+        </div>
+      </>
+    );
+  };
+
+  const inputClassName = 'w-full bg-neutral-900 border border-white/10 rounded-lg px-3 py-2 text-sm text-gray-200 focus:outline-none focus:border-[#0088cc] disabled:opacity-50';
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/75 flex items-start justify-center z-[9999] pt-[10vh]"
+      onMouseDown={(event) => {
+        if (event.target === event.currentTarget && !isExporting) onClose();
+      }}
+    >
+      <div className="bg-neutral-800 bg-opacity-95 rounded-lg shadow-xl w-[480px] max-w-[95vw] max-h-[80vh] flex flex-col">
+        <div className="flex items-center gap-3 p-4 border-b border-white/10">
+          <FiDownload className="w-5 h-5 text-[#0088cc] flex-shrink-0" />
+          <h2 className="flex-1 text-white font-medium truncate">Export chat with {chatName}</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-white transition-colors w-auto bg-transparent"
+            aria-label="Close"
+          >
+            <FiX className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-4">
+          <div className="grid grid-cols-2 gap-3">
+            <label className="text-xs text-gray-400">
+              From
+              <input
+                type="date"
+                value={fromDate}
+                max={toDate || undefined}
+                onChange={(e) => setFromDate(e.target.value)}
+                disabled={isExporting}
+                className={`${inputClassName} mt-1`}
+              />
+            </label>
+            <label className="text-xs text-gray-400">
+              To
+              <input
+                type="date"
+                value={toDate}
+                min={fromDate || undefined}
+                onChange={(e) => setToDate(e.target.value)}
+                disabled={isExporting}
+                className={`${inputClassName} mt-1`}
+              />
+            </label>
+          </div>
+          <p className="text-xs text-gray-500 -mt-2">Leave both empty to export the full history.</p>
+
+          <div className="space-y-2" role="radiogroup" aria-label="Export format">
+            {FORMAT_OPTIONS.map(option => (
+              <label
+                key={option.id}
+                className={`flex items-start gap-3 p-2 rounded-lg cursor-pointer ${exportFormat === option.id ? 'bg-neutral-700' : 'hover:bg-neutral-700/50'}`}
+              >
+                <input
+                  type="radio"
+                  name="export-format"
+                  value={option.id}
+                  checked={exportFormat === option.id}
+                  onChange={() => setExportFormat(option.id)}
+                  disabled={isExporting}
+                  className="mt-1"
+                />
+                <span>
+                  <span className="block text-sm text-white">{option.label}</span>
+                  <span className="block text-xs text-gray-400">{option.description}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+
+          {isExporting && <div>{renderProgress()}</div>}
+        </div>
+
+        <div className="flex justify-end gap-2 p-4 border-t border-white/10">
+          <button
+            type="button"
+            onClick={isExporting ? handleCancel : onClose}
+            className="w-auto px-4 py-2 rounded-lg bg-neutral-700 text-gray-200 hover:bg-neutral-600 text-sm"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleExport}
+            disabled={isExporting || !isRangeValid}
+            className="w-auto px-4 py-2 rounded-lg bg-[#0088cc] text-white hover:bg-[#0077b6] text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isExporting ? 'Exporting...' : 'Export'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+ChatExportModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  platform: PropTypes.oneOf(['telegram', 'whatsapp']).isRequired,
+  chatId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  chatName: PropTypes.string
+};
+
+export default ChatExportModal;
@@ -0,0 +1,323 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { FiUpload, FiX, FiFile, FiFolder, FiAlertTriangle } from 'react-icons/fi';
+import { format } from 'date-fns';
+import { toast } from 'react-hot-toast';
+import { readChatExport } from '../utils/chatImportParsers';
+import importedHistoryManager from '../utils/importedHistoryManager';
+import logger from '../utils/logger';
+
+const PLATFORM_LABELS = {
+  whatsapp: 'WhatsApp',
+  telegram: 'Telegram'
+};
+
+const normalizeName = (name) => (name || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+
+/**
+ * Check whether an export's chat name plausibly belongs to a contact
+ * @param {string} exportName - Chat name from the export
+ * @param {string} contactName - Contact's display name
+ * @returns {boolean} - Whether the names match
+ */
+const namesMatch = (exportName, contactName) => {
+  const a = normalizeName(exportName);
+  const b = normalizeName(contactName);
+  return !a || !b || a.includes(b) || b.includes(a);
+};
+
+/**
+ * Dialog for importing a WhatsApp or Telegram chat export into a contact's history
+ */
+const ChatImportModal = ({ isOpen, onClose, platform, chatId, chatName }) => {
+  const [parsed, setParsed] = useState(null);
+  const [chatIndex, setChatIndex] = useState(0);
+  const [myName, setMyName] = useState('');
+  const [reading, setReading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+
+  // Start over each time the dialog opens
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setParsed(null);
+    setChatIndex(0);
+    setMyName('');
+    setReading(false);
+    setProgress(null);
+    setError(null);
+  }, [isOpen]);
+
+  // Telegram Desktop exports a folder, which needs a directory picker
+  useEffect(() => {
+    if (folderInputRef.current) folderInputRef.current.webkitdirectory = true;
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape' && !progress) onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, onClose, progress]);
+
+  const chat = parsed?.chats[chatIndex] || null;
+  const fromMeKnown = chat?.messages.some(message => message.isFromMe !== undefined);
+
+  const range = useMemo(() => {
+    if (!chat || chat.messages.length === 0) return null;
+    const timestamps = chat.messages.map(message => message.timestamp);
+    return { from: Math.min(...timestamps), to: Math.max(...timestamps) };
+  }, [chat]);
+
+  const attachmentCount = useMemo(
+    () => (chat ? chat.messages.filter(message => message.attachment).length : 0),
+    [chat]
+  );
+
+  if (!isOpen) return null;
+
+  const isImporting = !!progress;
+  const platformMismatch = parsed && parsed.platform !== platform;
+
+  const selectChat = (result, index) => {
+    const selected = result.chats[index];
+    setChatIndex(index);
+    // In a one-to-one chat, whoever isn't the contact is the user
+    const others = selected.participants.filter(name => !namesMatch(name, chatName));
+    setMyName(selected.participants.length === 2 && others.length === 1 ? others[0] : '');
+  };
+
+  const handleFiles = async (files) => {
+    if (!files || files.length === 0) return;
+
+    setReading(true);
+    setError(null);
+    setParsed(null);
+    try {
+      const result = await readChatExport(files);
+      if (result.chats.length === 0 || result.chats.every(item => item.messages.length === 0)) {
+        throw new Error('The export has no messages');
+      }
+
+      const matchingIndex = result.chats.findIndex(item => namesMatch(item.name, chatName));
+      setParsed(result);
+      selectChat(result, matchingIndex >= 0 ? matchingIndex : 0);
+    } catch (readError) {
+      logger.warn('[ChatImportModal] Could not read chat export:', readError);
+      setError(readError.message || 'Could not read this export');
+    } finally {
+      setReading(false);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+      if (folderInputRef.current) folderInputRef.current.value = '';
+    }
+  };
+
+  const handleImport = async () => {
+    if (!chat || platformMismatch) return;
+
+    setProgress({ done: 0, total: attachmentCount });
+    try {
+      const { imported, duplicates } = await importedHistoryManager.importChat({
+        platform,
+        chatId,
+        chatName,
+        chat,
+        myName,
+        readAttachment: parsed.readAttachment,
+        onProgress: setProgress
+      });
+
+      toast.success(imported > 0
+        ? `Imported ${imported} ${imported === 1 ? 'message' : 'messages'}${duplicates > 0 ? ` (${duplicates} already imported)` : ''}`
+        : 'Everything in this export was already imported');
+      onClose();
+    } catch (importError) {
+      logger.error('[ChatImportModal] Error importing chat export:', importError);
+      toast.error('Failed to import the chat history');
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/75 flex items-start justify-center z-[9999] pt-[10vh]"
+      onMouseDown={(event) => {
+        if (event.target === event.currentTarget && !isImporting) onClose();
+      }}
+    >
+      <div className="bg-neutral-800 bg-opacity-95 rounded-lg shadow-xl w-[520px] max-w-[95vw] max-h-[80vh] flex flex-col">
+        <div className="flex items-center gap-3 p-4 border-b border-white/10">
+          <FiUpload className="w-5 h-5 text-[#0088cc] flex-shrink-0" />
+          <h2 className="flex-1 text-white font-medium truncate">Import history for {chatName}</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isImporting}
+            className="text-gray-400 hover:text-white transition-colors w-auto bg-transparent disabled:opacity-50"
+            aria-label="Close"
+          >
+            <FiX className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-4">
+          <p className="text-sm text-gray-400">
+            {platform === 'whatsapp'
+              ? 'In WhatsApp, open the chat, choose More → Export chat, and pick the .zip (with media) or .txt file here.'
+              : 'In Telegram Desktop, open the chat, choose Export chat history in JSON format, and pick the export folder or result.json here.'}
+          </p>
+
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".zip,.txt,.json"
+            className="hidden"
+            onChange={(e) => handleFiles(e.target.files)}
+          />
+          <input
+            ref={folderInputRef}
+            type="file"
+            multiple
+            className="hidden"
+            onChange={(e) => handleFiles(e.target.files)}
+          />
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={reading || isImporting}
+              className="flex items-center gap-2 w-auto px-3 py-2 rounded-lg bg-neutral-700 text-gray-200 hover:bg-neutral-600 text-sm disabled:opacity-50"
+            >
+              <FiFile className="w-4 h-4" />
+              Choose file
+            </button>
+            {platform === 'telegram' && (
+              <button
+                type="button"
+                onClick={() => folderInputRef.current?.click()}
+                disabled={reading || isImporting}
+                className="flex items-center gap-2 w-auto px-3 py-2 rounded-lg bg-neutral-700 text-gray-200 hover:bg-neutral-600 text-sm disabled:opacity-50"
+              >
+                <FiFolder className="w-4 h-4" />
+                Choose folder
+              </button>
+            )}
+          </div>
+
+          {reading && <div className="text-sm text-gray-400">Reading export...</div>}
+          {error && <div className="text-sm text-red-400">{error}</div>}
+
+          {chat && (
+            <div className="space-y-3">
+              {platformMismatch && (
+                <div className="flex items-start gap-2 text-sm text-red-400">
+                  <FiAlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                  This is a {PLATFORM_LABELS[parsed.platform]} export, but {chatName} is a {PLATFORM_LABELS[platform]} chat.
+                </div>
+              )}
+
+              {parsed.chats.length > 1 && (
+                <label className="block text-xs text-gray-400">
+                  Chat
+                  <select
+                    value={chatIndex}
+                    onChange={(e) => selectChat(parsed, Number(e.target.value))}
+                    disabled={isImporting}
+                    className="mt-1 w-full bg-neutral-900 border border-white/10 rounded-lg px-3 py-2 text-sm text-gray-200 focus:outline-none focus:border-[#0088cc]"
+                  >
+                    {parsed.chats.map((item, index) => (
+                      <option key={index} value={index}>{item.name} ({item.messages.length})</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+
+              <div className="rounded-lg bg-neutral-900 p-3 text-sm text-gray-300 space-y-1">
+                <div className="font-medium text-white">{chat.name}</div>
+                <div>{chat.messages.length} messages{attachmentCount > 0 && ` · ${attachmentCount} attachments`}</div>
+                {range && (
+                  <div className="text-gray-400">
+                    {format(new Date(range.from), 'MMM d, yyyy')} – {format(new Date(range.to), 'MMM d, yyyy')}
+                  </div>
+                )}
+              </div>
+
+              {!platformMismatch && !namesMatch(chat.name, chatName) && (
+                <div className="flex items-start gap-2 text-sm text-amber-400">
+                  <FiAlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                  This export is for “{chat.name}”; it will be added to {chatName}.
+                </div>
+              )}
+
+              {!fromMeKnown && chat.participants.length > 0 && (
+                <label className="block text-xs text-gray-400">
+                  Which one is you?
+                  <select
+                    value={myName}
+                    onChange={(e) => setMyName(e.target.value)}
+                    disabled={isImporting}
+                    className="mt-1 w-full bg-neutral-900 border border-white/10 rounded-lg px-3 py-2 text-sm text-gray-200 focus:outline-none focus:border-[#0088cc]"
+                  >
+                    <option value="">Not in this chat</option>
+                    {chat.participants.map(name => (
+                      <option key={name} value={name}>{name}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+            </div>
+          )}
+
+          {isImporting && (
+            <div>
+              <div className="text-sm text-gray-300 mb-2">
+                {progress.total > 0 ? `Copying attachments ${progress.done} of ${progress.total}` : 'Saving messages...'}
+              </div>
+              <div className="h-1.5 bg-neutral-700 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-[#0088cc] transition-all"
+                  style={{ width: `${progress.total > 0 ? Math.round((progress.done / progress.total) * 100) : 100}%` }}
+                />
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2 p-4 border-t border-white/10">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isImporting}
+            className="w-auto px-4 py-2 rounded-lg bg-neutral-700 text-gray-200 hover:bg-neutral-600 text-sm disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleImport}
+            disabled={!chat || platformMismatch || isImporting}
+            className="w-auto px-4 py-2 rounded-lg bg-[#0088cc] text-white hover:bg-[#0077b6] text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isImporting ? 'Importing...' : 'Import'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+ChatImportModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  platform: PropTypes.oneOf(['telegram', 'whatsapp']).isRequired,
+  chatId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  chatName: PropTypes.string
+};
+
+export default ChatImportModal;
@@ -1,8 +1,9 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { useSocketConnection } from '../hooks/useSocketConnection';
-import { FiVideo, FiPhone, FiSearch, FiFile, FiWifi, FiWifiOff, FiMoreVertical, FiX, FiFileText } from 'react-icons/fi';
+import { FiVideo, FiPhone, FiSearch, FiFile, FiWifi, FiWifiOff, FiMoreVertical, FiX, FiFileText, FiDownload, FiUpload, FiArchive, FiClock } from 'react-icons/fi';
 import api from '../utils/api';
 import { toast } from 'react-hot-toast';
+import PropTypes from 'prop-types';
 import { useSelector, useDispatch } from 'react-redux';
 import { useNavigate } from 'react-router-dom';
 import { supabase } from '../utils/supabase';
@@ -14,6 +15,8 @@ import { useSocket } from '../hooks/useSocket';
 import { initializeSocket } from '../utils/socket';
 import LoadingSpinner from './LoadingSpinner';
 import MessageItem from './MessageItem';
+import { findMessageElement, highlightMessageElement } from '../utils/messageJump';
+import { getLocalPins, toggleLocalPin, getPinPreview } from '../utils/pinUtils';
 import { messageService } from '../services/messageService';
 import {
   fetchMessages,
@@ -45,6 +48,20 @@ import { motion } from 'framer-motion';
 import DFSpin from '../images/DF.png';
 import ContactAvatar from './ContactAvatar';
 import WhatsAppInfoPanel from './WhatsappInfoPanel';
+import TypingIndicator from './TypingIndicator';
+import NewMessagesDivider from './NewMessagesDivider';
+import JumpToUnreadButton from './JumpToUnreadButton';
+import PinnedMessagesBanner from './PinnedMessagesBanner';
+import ChatExportModal from './ChatExportModal';
+import ChatImportModal from './ChatImportModal';
+import ImportedHistoryPanel from './ImportedHistoryPanel';
+import SnoozeMenu from './SnoozeMenu';
+import useMentionKeywords from '../hooks/useMentionKeywords';
+import useBookmarks from '../hooks/useBookmarks';
+import useImportedHistory from '../hooks/useImportedHistory';
+import useSnoozes from '../hooks/useSnoozes';
+import { isSnoozeActive } from '../utils/snoozeManager';
+import bookmarkManager from '../utils/bookmarkManager';
 // Import environment variables
 const API_URL = import.meta.env.VITE_API_URL;
 
@@ -286,7 +303,7 @@ const LoadingChatView = ({ details }) => {
   );
 };
 
-const ChatView = ({ selectedContact, onContactUpdate }) => {
+const ChatView = ({ selectedContact, onContactUpdate, jumpToMessage, onJumpComplete }) => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
   const currentUser = useSelector((state) => state.auth.session?.user);
@@ -325,7 +342,23 @@ const ChatView = ({ selectedContact, onContactUpdate }) => {
   const [pendingSyncs, setPendingSyncs] = useState(new Set());
   const [isInitialized, setIsInitialized] = useState(false);
   const [socketReady, setSocketReady] = useState(false);
+  const [typingNames, setTypingNames] = useState([]);
+  // First unread message when the chat was opened: { contactId, messageId, count }
+  const [unreadMarker, setUnreadMarker] = useState(null);
+  const [showJumpToUnread, setShowJumpToUnread] = useState(false);
+  // Locally pinned messages for this contact
+  const [pins, setPins] = useState([]);
+  // Jumps started from inside the chat (pinned banner, unread button) go through the same path as search results
+  const [localJump, setLocalJump] = useState(null);
   const [showSummaryModal, setShowSummaryModal] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showImportedHistory, setShowImportedHistory] = useState(false);
+  const importedHistory = useImportedHistory('whatsapp', selectedContact?.id);
+  const [showSnoozeMenu, setShowSnoozeMenu] = useState(false);
+  const snoozes = useSnoozes();
+  const isSnoozed = snoozes.some(snooze =>
+    snooze.platform === 'whatsapp' && snooze.chatId === String(selectedContact?.id) && isSnoozeActive(snooze));
   const [summaryData, setSummaryData] = useState(null);
   const [loadingState, setLoadingState] = useState(LOADING_STATES.IDLE);
   const [syncState, setSyncState] = useState({
@@ -347,9 +380,12 @@ const ChatView = ({ selectedContact, onContactUpdate }) => {
   const offlineTimeoutRef = useRef(null);
   const lastSyncRef = useRef(null);
   const syncTimeoutRef = useRef(null);
+  const jumpPagesLoadedRef = useRef(0);
+  const lastReadMessageIdRef = useRef(null);
 
   // Constants
   const PAGE_SIZE = 50;
+  const MAX_JUMP_PAGES = 20;
   const MAX_RETRIES = 3;
   const RETRY_COOLDOWN = 5000;
 
@@ -758,6 +794,35 @@ const ChatView = ({ selectedContact, onContactUpdate }) => {
     };
   }, [socket, selectedContact?.id, dispatch, currentPage, scrollToBottom]);
 
+  // Show "X is typing…" from the bridge's typing notifications
+  useEffect(() => {
+    setTypingNames([]);
+    if (!socket || !selectedContact?.id) return undefined;
+
+    const timeouts = new Map();
+    const handleTyping = (payload) => {
+      if (payload?.contactId !== selectedContact.id) return;
+
+      const name = payload.senderName || selectedContact.display_name || 'Contact';
+      clearTimeout(timeouts.get(name));
+      if (payload.isTyping) {
+        setTypingNames(prev => (prev.includes(name) ? prev : [...prev, name]));
+        // The bridge doesn't always send a stop event, so expire it ourselves
+        timeouts.set(name, setTimeout(() => {
+          setTypingNames(prev => prev.filter(typingName => typingName !== name));
+        }, 6000));
+      } else {
+        setTypingNames(prev => prev.filter(typingName => typingName !== name));
+      }
+    };
+
+    socket.on('whatsapp:typing', handleTyping);
+    return () => {
+      socket.off('whatsapp:typing', handleTyping);
+      timeouts.forEach(timeout => clearTimeout(timeout));
+    };
+  }, [socket, selectedContact?.id, selectedContact?.display_name]);
+
   useEffect(() => {
     if (!socket) {
       setConnectionStatus(CONNECTION_STATUS.DISCONNECTED);
@@ -933,6 +998,135 @@ const ChatView = ({ selectedContact, onContactUpdate }) => {
     }
   }, [selectedContact]);
 
+  const activeJump = jumpToMessage || localJump;
+  const completeJump = useCallback(() => {
+    if (jumpToMessage) {
+      onJumpComplete?.();
+    } else {
+      setLocalJump(null);
+    }
+  }, [jumpToMessage, onJumpComplete]);
+
+  // Jump to a search result or pinned message: page older messages in until it is rendered
+  useEffect(() => {
+    if (!activeJump || String(activeJump.roomId) !== String(selectedContact?.id)) return;
+    if (loadingState !== LOADING_STATES.COMPLETE || loading) return;
+
+    const element = findMessageElement(activeJump.messageId);
+    if (element) {
+      highlightMessageElement(element);
+      jumpPagesLoadedRef.current = 0;
+      completeJump();
+      return;
+    }
+
+    if (hasMoreMessages && jumpPagesLoadedRef.current < MAX_JUMP_PAGES) {
+      jumpPagesLoadedRef.current += 1;
+      dispatch(fetchMessages({
+        contactId: selectedContact.id,
+        page: currentPage + 1,
+        limit: PAGE_SIZE,
+      }));
+      return;
+    }
+
+    jumpPagesLoadedRef.current = 0;
+    toast.error('Could not find that message in this chat');
+    completeJump();
+  }, [activeJump, selectedContact?.id, loadingState, loading, messages.length, hasMoreMessages, currentPage, dispatch, completeJump]);
+
+  // Incoming messages, used to place the "New messages" divider and send read receipts
+  const incomingMessages = useMemo(() => messages.filter(message =>
+    !(message.sender_id?.includes('matrix') || message.sender_id === currentUser?.id)
+  ), [messages, currentUser?.id]);
+  const latestIncomingMessage = incomingMessages[incomingMessages.length - 1];
+  const latestIncomingId = latestIncomingMessage ? (latestIncomingMessage.message_id || latestIncomingMessage.id) : null;
+
+  // Remember where the backend's unread messages start when a chat is opened
+  useEffect(() => {
+    if (!selectedContact?.id || loading || messages.length === 0) return;
+    if (unreadMarker?.contactId === selectedContact.id) return;
+
+    const unreadCount = selectedContact.unread_count || 0;
+    const unreadMessages = unreadCount > 0 ? incomingMessages.slice(-unreadCount) : [];
+    const firstUnread = unreadMessages[0];
+
+    setUnreadMarker({
+      contactId: selectedContact.id,
+      messageId: firstUnread ? (firstUnread.message_id || firstUnread.id) : null,
+      count: unreadMessages.length
+    });
+    setShowJumpToUnread(Boolean(firstUnread));
+    // Nothing to mark as read if the backend had no unread messages for this chat
+    lastReadMessageIdRef.current = firstUnread ? null : latestIncomingId;
+  }, [selectedContact?.id, selectedContact?.unread_count, loading, messages.length, incomingMessages, latestIncomingId, unreadMarker?.contactId]);
+
+  // Mark the chat as read up to the newest incoming message while it is open
+  useEffect(() => {
+    if (unreadMarker?.contactId !== selectedContact?.id || !latestIncomingId) return;
+    if (lastReadMessageIdRef.current === latestIncomingId || document.visibilityState !== 'visible') return;
+
+    lastReadMessageIdRef.current = latestIncomingId;
+    handleMarkAsRead([latestIncomingId]);
+  }, [unreadMarker?.contactId, selectedContact?.id, latestIncomingId, handleMarkAsRead]);
+
+  // Scroll up to the first unread message
+  const handleJumpToUnread = () => {
+    setShowJumpToUnread(false);
+    if (unreadMarker?.messageId) {
+      setLocalJump({ roomId: selectedContact.id, messageId: unreadMarker.messageId });
+    }
+  };
+
+  // Pins are stored locally since WhatsApp chats have no shared pin state here
+  useEffect(() => {
+    setPins(selectedContact?.id ? getLocalPins(selectedContact.id) : []);
+  }, [selectedContact?.id]);
+
+  const pinnedIds = useMemo(() => new Set(pins.map(pin => pin.id)), [pins]);
+  // Incoming messages containing one of these are highlighted
+  const mentionKeywords = useMentionKeywords();
+  const bookmarks = useBookmarks();
+  const bookmarkedIds = useMemo(() => new Set(bookmarks
+    .filter(bookmark => bookmark.platform === 'whatsapp' && bookmark.roomId === String(selectedContact?.id))
+    .map(bookmark => bookmark.messageId)), [bookmarks, selectedContact?.id]);
+
+  // Save a message to the cross-platform "Saved messages" view, or remove it
+  const handleToggleBookmark = useCallback((message) => {
+    if (!selectedContact?.id || !message) return;
+
+    const isOwn = message.sender_id?.includes('matrix') || message.sender_id === currentUser?.id;
+    const saved = bookmarkManager.toggleBookmark({
+      id: message.message_id || message.id,
+      content: message.content,
+      senderName: message.sender_name || selectedContact.display_name,
+      isFromMe: isOwn,
+      timestamp: message.timestamp
+    }, {
+      platform: 'whatsapp',
+      roomId: selectedContact.id,
+      roomName: selectedContact.display_name
+    });
+    toast.success(saved ? 'Message saved' : 'Removed from saved messages');
+  }, [selectedContact?.id, selectedContact?.display_name, currentUser?.id]);
+
+  // Pin or unpin a message in this chat
+  const handleTogglePin = useCallback((message) => {
+    if (!selectedContact?.id || !message) return;
+
+    const messageId = message.message_id || message.id;
+    const isOwn = message.sender_id?.includes('matrix') || message.sender_id === currentUser?.id;
+    const nextPins = toggleLocalPin(selectedContact.id, {
+      id: messageId,
+      body: getPinPreview(message.content),
+      senderName: isOwn ? 'You' : message.sender_name || selectedContact.display_name,
+      timestamp: message.timestamp
+    });
+
+    setPins(nextPins);
+    toast.success(nextPins.some(pin => pin.id === messageId) ? 'Message pinned' : 'Message unpinned');
+  }, [selectedContact?.id, selectedContact?.display_name, currentUser?.id]);
+
   const handlePriorityChange = (priority) => {
     if (!selectedContact) return;
 
@@ -998,13 +1192,22 @@ const ChatView = ({ selectedContact, onContactUpdate }) => {
     }
 
     return messages.map((message) => (
-      <MessageItem
-        key={`${message.id}_${message.message_id}_${message.timestamp}`}
-        message={message}
-        currentUser={currentUser}
-      />
+      <React.Fragment key={`${message.id}_${message.message_id}_${message.timestamp}`}>
+        {unreadMarker?.messageId && (message.message_id || message.id) === unreadMarker.messageId && (
+          <NewMessagesDivider count={unreadMarker.count} className="text-[#075E54]" />
+        )}
+        <MessageItem
+          message={message}
+          currentUser={currentUser}
+          isPinned={pinnedIds.has(message.message_id || message.id)}
+          onTogglePin={handleTogglePin}
+          isBookmarked={bookmarkedIds.has(String(message.message_id || message.id))}
+          onToggleBookmark={handleToggleBookmark}
+          mentionKeywords={mentionKeywords}
+        />
+      </React.Fragment>
     ));
-  }, [loadingState, messages, error, currentUser]);
+  }, [loadingState, messages, error, currentUser, unreadMarker, pinnedIds, handleTogglePin, bookmarkedIds, handleToggleBookmark, mentionKeywords]);
 
   const renderAvatar = () => {
     if (!selectedContact.avatar_url) {
@@ -1142,9 +1345,76 @@ const ChatView = ({ selectedContact, onContactUpdate }) => {
               >
                 <RiAiGenerate className="w-6 h-6" />
               </button>
+              {/* Export chat */}
+              <button
+                onClick={() => setShowExportModal(true)}
+                className="p-2 text-[#FFFFFF] bg-neutral-900 hover:text-[#25D366] transition-colors"
+                title="Export chat"
+              >
+                <FiDownload className="w-6 h-6" />
+              </button>
+              {/* Import history from WhatsApp's "Export chat" */}
+              <button
+                onClick={() => setShowImportModal(true)}
+                className="p-2 text-[#FFFFFF] bg-neutral-900 hover:text-[#25D366] transition-colors"
+                title="Import chat history"
+              >
+                <FiUpload className="w-6 h-6" />
+              </button>
+              {importedHistory && (
+                <button
+                  onClick={() => setShowImportedHistory(true)}
+                  className="p-2 text-[#FFFFFF] bg-neutral-900 hover:text-[#25D366] transition-colors"
+                  title={`Imported history (${importedHistory.count} messages)`}
+                >
+                  <FiArchive className="w-6 h-6" />
+                </button>
+              )}
+              {/* Snooze this conversation */}
+              <div className="relative">
+                <button
+                  onMouseDown={(e) => e.stopPropagation()}
+                  onClick={() => setShowSnoozeMenu(!showSnoozeMenu)}
+                  className={`p-2 bg-neutral-900 hover:text-[#25D366] transition-colors ${isSnoozed ? 'text-amber-300' : 'text-[#FFFFFF]'}`}
+                  title={isSnoozed ? 'Snoozed' : 'Snooze conversation'}
+                >
+                  <FiClock className="w-6 h-6" />
+                </button>
+                <SnoozeMenu
+                  isOpen={showSnoozeMenu}
+                  onClose={() => setShowSnoozeMenu(false)}
+                  platform="whatsapp"
+                  chatId={selectedContact.id}
+                  chatName={selectedContact.display_name || 'Unknown Contact'}
+                />
+              </div>
             </div>
           </div>
 
+          {/* Pinned messages */}
+          <PinnedMessagesBanner
+            key={selectedContact.id}
+            pins={pins}
+            onJump={(pin) => setLocalJump({ roomId: selectedContact.id, messageId: pin.id })}
+            onUnpin={(pin) => handleTogglePin({ id: pin.id })}
+            accentClassName="text-[#25D366] border-[#25D366]"
+            className="bg-neutral-900 border-white/10 text-[#ece5dd]"
+          />
+
+          {/* Jump to the first unread message */}
+          {showJumpToUnread && (
+            <div className="relative h-0">
+              <div className="absolute top-3 left-1/2 -translate-x-1/2 z-10">
+                <JumpToUnreadButton
+                  count={unreadMarker?.count}
+                  onJump={handleJumpToUnread}
+                  onDismiss={() => setShowJumpToUnread(false)}
+                  className="bg-[#075E54] hover:bg-[#064c44]"
+                />
+              </div>
+            </div>
+          )}
+
           {/* Messages Container */}
           <div
             ref={messagesContainerRef}
@@ -1166,6 +1436,7 @@ const ChatView = ({ selectedContact, onContactUpdate }) => {
             {renderMessages()}
             <div ref={messagesEndRef} />
           </div>
+          <TypingIndicator names={typingNames} className="text-[#757575] bg-neutral-900" />
 
           {/* Summary Modal */}
           {showSummaryModal && summaryData && (
@@ -1218,6 +1489,30 @@ const ChatView = ({ selectedContact, onContactUpdate }) => {
               </div>
             </div>
           )}
+
+          <ChatExportModal
+            isOpen={showExportModal}
+            onClose={() => setShowExportModal(false)}
+            platform="whatsapp"
+            chatId={selectedContact.id}
+            chatName={selectedContact.display_name || 'Unknown Contact'}
+          />
+
+          <ChatImportModal
+            isOpen={showImportModal}
+            onClose={() => setShowImportModal(false)}
+            platform="whatsapp"
+            chatId={selectedContact.id}
+            chatName={selectedContact.display_name || 'Unknown Contact'}
+          />
+
+          <ImportedHistoryPanel
+            isOpen={showImportedHistory}
+            onClose={() => setShowImportedHistory(false)}
+            platform="whatsapp"
+            chatId={selectedContact.id}
+            chatName={selectedContact.display_name || 'Unknown Contact'}
+          />
         </div>
       )}
 
@@ -1227,6 +1522,23 @@ const ChatView = ({ selectedContact, onContactUpdate }) => {
   );
 };
 
+ChatView.propTypes = {
+  selectedContact: PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    display_name: PropTypes.string,
+    avatar_url: PropTypes.string,
+    membership: PropTypes.string,
+    unread_count: PropTypes.number,
+    metadata: PropTypes.object
+  }),
+  onContactUpdate: PropTypes.func,
+  jumpToMessage: PropTypes.shape({
+    roomId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    messageId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    timestamp: PropTypes.number
+  }),
+  onJumpComplete: PropTypes.func
+};
 
 // Wrap ChatView with ErrorBoundary
 export const ChatViewWithErrorBoundary = (props) => (
@@ -1,7 +1,10 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { FiChevronDown, FiChevronRight, FiStar, FiMessageCircle, FiAtSign, FiUser, FiUsers, FiHash, FiVolumeX, FiArchive, FiCpu, FiLock, FiGlobe, FiCircle, FiRefreshCw } from 'react-icons/fi';
+import PropTypes from 'prop-types';
+import { FiCheck, FiChevronDown, FiChevronRight, FiStar, FiMessageCircle, FiAtSign, FiUser, FiUsers, FiHash, FiVolumeX, FiArchive, FiCpu, FiLock, FiGlobe, FiCircle, FiRefreshCw, FiClock, FiTag, FiZap } from 'react-icons/fi';
 import { getCategoryDisplayName, getCategoryIcon, ContactCategories } from '../utils/contactOrganizer';
 import { TelegramEntityTypes } from '../utils/telegramEntityUtils';
+import DraftPreview from './DraftPreview';
+import LabelBadges from './LabelBadges';
 
 // Helper function to get entity type label
 const getEntityTypeLabel = (entityType) => {
@@ -55,9 +58,15 @@ const ContactCategory = ({
   isExpanded: initialExpanded = true,
   onPinContact,
   onMuteContact,
-  onArchiveContact
+  onArchiveContact,
+  onUnsnoozeContact,
+  onLabelContact,
+  onMarkAllRead,
+  getContactLabels,
+  drafts = {}
 }) => {
   const [isExpanded, setIsExpanded] = useState(initialExpanded);
+  const [markingRead, setMarkingRead] = useState(false);
   const [contextMenuOpen, setContextMenuOpen] = useState(false);
   const [contextMenuPosition, setContextMenuPosition] = useState({ x: 0, y: 0 });
   const [activeContactId, setActiveContactId] = useState(null);
@@ -89,6 +98,21 @@ const ContactCategory = ({
     setContextMenuOpen(true);
   };
 
+  const unreadContacts = contacts.filter(contact => contact.unreadCount > 0);
+
+  // Mark every unread chat in this category as read
+  const handleMarkAllRead = async (e) => {
+    e.stopPropagation();
+    if (markingRead || !onMarkAllRead) return;
+
+    setMarkingRead(true);
+    try {
+      await onMarkAllRead(category, unreadContacts);
+    } finally {
+      setMarkingRead(false);
+    }
+  };
+
   // Get the appropriate icon for the category
   const getIcon = () => {
     const iconName = getCategoryIcon(category);
@@ -104,6 +128,7 @@ const ContactCategory = ({
       case 'cpu': return <FiCpu className="text-cyan-500" />;
       case 'lock': return <FiLock className="text-red-500" />;
       case 'globe': return <FiGlobe className="text-blue-400" />;
+      case 'clock': return <FiClock className="text-amber-400" />;
       case 'circle': return <FiCircle className="text-gray-400" />;
       default: return <FiMessageCircle className="text-gray-400" />;
     }
@@ -151,6 +176,30 @@ const ContactCategory = ({
             <FiArchive className="mr-2 text-amber-500" />
             {contacts.find(c => c.id === activeContactId)?.isArchived ? 'Unarchive' : 'Archive'}
           </button>
+          {onUnsnoozeContact && contacts.find(c => c.id === activeContactId)?.isSnoozed && (
+            <button
+              className="w-full text-left px-4 py-2 text-sm text-white hover:bg-neutral-700 flex items-center"
+              onClick={() => {
+                onUnsnoozeContact(activeContactId);
+                setContextMenuOpen(false);
+              }}
+            >
+              <FiClock className="mr-2 text-amber-400" />
+              Unsnooze
+            </button>
+          )}
+          {onLabelContact && (
+            <button
+              className="w-full text-left px-4 py-2 text-sm text-white hover:bg-neutral-700 flex items-center"
+              onClick={() => {
+                onLabelContact(activeContactId);
+                setContextMenuOpen(false);
+              }}
+            >
+              <FiTag className="mr-2 text-gray-400" />
+              Labels...
+            </button>
+          )}
         </div>
       )}
       <div
@@ -166,7 +215,18 @@ const ContactCategory = ({
             <span className="ml-2 text-xs text-gray-400">({contacts.length})</span>
           </h3>
         </div>
-        <div className="text-gray-400">
+        <div className="flex items-center text-gray-400">
+          {onMarkAllRead && unreadContacts.length > 0 && (
+            <button
+              className="flex items-center w-auto px-2 py-0.5 mr-2 text-xs text-gray-400 bg-transparent hover:text-white rounded transition-colors disabled:opacity-50"
+              onClick={handleMarkAllRead}
+              disabled={markingRead}
+              title={`Mark ${unreadContacts.length} ${unreadContacts.length === 1 ? 'chat' : 'chats'} as read`}
+            >
+              <FiCheck className="mr-1" />
+              {markingRead ? 'Marking…' : 'Mark all read'}
+            </button>
+          )}
           {isExpanded ? <FiChevronDown /> : <FiChevronRight />}
         </div>
       </div>
@@ -193,6 +253,7 @@ const ContactCategory = ({
               }`}
               onClick={() => onContactSelect(contact)}
               onContextMenu={(e) => handleContextMenu(e, contact)}
+              title={contact.categoryReason}
             >
               <div className="relative ml-2">
                 {contact.avatar ? (
@@ -260,7 +321,18 @@ const ContactCategory = ({
                     {contact.needsRefresh && (
                       <span className="ml-2 text-yellow-500 animate-pulse">⚠️</span>
                     )}
+                    {contact.wasSnoozed && (
+                      <span className="ml-2 text-[10px] uppercase tracking-wide text-amber-300 bg-amber-500/20 rounded px-1.5 py-0.5">
+                        Snoozed
+                      </span>
+                    )}
+                    {contact.categorizedByRule && (
+                      <FiZap className="inline ml-2 w-3 h-3 text-cyan-400" title={contact.categoryReason} />
+                    )}
                   </h3>
+                  {getContactLabels && (
+                    <LabelBadges labels={getContactLabels(contact.id)} className="ml-auto mr-2 pl-2" />
+                  )}
                   {contact.timestamp && (
                     <span className="text-xs text-gray-400">
                       {new Date(contact.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
@@ -282,6 +354,8 @@ const ContactCategory = ({
                       <FiRefreshCw className="w-4 h-4 mr-1 animate-spin" />
                       <span className="font-medium">{contact.lastMessage || 'Tap to refresh contacts'}</span>
                     </div>
+                  ) : drafts[contact.id] ? (
+                    <DraftPreview draft={drafts[contact.id]} />
                   ) : (
                     <p className="text-sm truncate text-gray-400">
                       {contact.lastMessage ||
@@ -300,4 +374,44 @@ const ContactCategory = ({
   );
 };
 
+ContactCategory.propTypes = {
+  category: PropTypes.string.isRequired,
+  contacts: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    avatar: PropTypes.string,
+    lastMessage: PropTypes.string,
+    timestamp: PropTypes.number,
+    unreadCount: PropTypes.number,
+    members: PropTypes.number,
+    entityType: PropTypes.string,
+    telegramContact: PropTypes.object,
+    isGroup: PropTypes.bool,
+    isBot: PropTypes.bool,
+    isChannel: PropTypes.bool,
+    isPrivate: PropTypes.bool,
+    isPinned: PropTypes.bool,
+    isMuted: PropTypes.bool,
+    isArchived: PropTypes.bool,
+    isSnoozed: PropTypes.bool,
+    wasSnoozed: PropTypes.bool,
+    categoryReason: PropTypes.string,
+    categorizedByRule: PropTypes.string,
+    isPlaceholder: PropTypes.bool,
+    needsRefresh: PropTypes.bool,
+    room: PropTypes.object
+  })).isRequired,
+  onContactSelect: PropTypes.func.isRequired,
+  selectedContactId: PropTypes.string,
+  isExpanded: PropTypes.bool,
+  onPinContact: PropTypes.func,
+  onMuteContact: PropTypes.func,
+  onArchiveContact: PropTypes.func,
+  onUnsnoozeContact: PropTypes.func,
+  onLabelContact: PropTypes.func,
+  onMarkAllRead: PropTypes.func,
+  getContactLabels: PropTypes.func,
+  drafts: PropTypes.object
+};
+
 export default ContactCategory;
@@ -0,0 +1,443 @@
+import { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { FiZap, FiX, FiPlus, FiEdit2, FiTrash2, FiArrowUp, FiArrowDown, FiAlertCircle } from 'react-icons/fi';
+import { toast } from 'react-hot-toast';
+import {
+  RULE_FIELD_OPTIONS,
+  RuleActions,
+  createRule,
+  createCondition,
+  describeCondition,
+  previewRule,
+  setContactRules
+} from '../utils/contactRules';
+import { ContactCategories, getCategoryDisplayName } from '../utils/contactOrganizer';
+import useContactRules from '../hooks/useContactRules';
+import useLabels from '../hooks/useLabels';
+
+// Unread, Mentions and Snoozed follow the chat's state, so rules can't file chats there
+const RULE_CATEGORIES = Object.values(ContactCategories).filter(category =>
+  ![ContactCategories.UNREAD, ContactCategories.MENTIONS, ContactCategories.SNOOZED].includes(category)
+);
+
+const MAX_PREVIEW_MATCHES = 50;
+
+const selectClass = 'bg-neutral-900 border border-white/10 rounded px-2 py-1 text-sm text-white focus:outline-none focus:border-white/30';
+
+/**
+ * One condition in the rule editor
+ */
+const ConditionRow = ({ condition, onChange, onRemove }) => {
+  const options = RULE_FIELD_OPTIONS[condition.field];
+
+  return (
+    <div className="flex items-center gap-2">
+      <select
+        value={condition.field}
+        onChange={(e) => onChange(createCondition(e.target.value))}
+        className={selectClass}
+      >
+        {Object.entries(RULE_FIELD_OPTIONS).map(([field, { label }]) => (
+          <option key={field} value={field}>{label}</option>
+        ))}
+      </select>
+      <select
+        value={condition.operator}
+        onChange={(e) => onChange({ ...condition, operator: e.target.value })}
+        className={selectClass}
+      >
+        {Object.entries(options.operators).map(([operator, label]) => (
+          <option key={operator} value={operator}>{label}</option>
+        ))}
+      </select>
+      {options.type === 'choice' ? (
+        <select
+          value={condition.value}
+          onChange={(e) => onChange({ ...condition, value: e.target.value })}
+          className={`flex-1 min-w-0 ${selectClass}`}
+        >
+          {Object.entries(options.choices).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      ) : (
+        <input
+          type={options.type === 'number' ? 'number' : 'text'}
+          min={options.type === 'number' ? 0 : undefined}
+          value={condition.value}
+          onChange={(e) => onChange({ ...condition, value: e.target.value })}
+          placeholder={options.type === 'number' ? '0' : 'Text'}
+          className={`flex-1 min-w-0 ${selectClass}`}
+        />
+      )}
+      <button
+        onClick={onRemove}
+        className="w-auto p-1 bg-transparent text-gray-400 hover:text-white"
+        aria-label="Remove condition"
+      >
+        <FiX className="w-4 h-4" />
+      </button>
+    </div>
+  );
+};
+
+ConditionRow.propTypes = {
+  condition: PropTypes.shape({
+    field: PropTypes.string.isRequired,
+    operator: PropTypes.string.isRequired,
+    value: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired
+};
+
+/**
+ * Create, order and edit the rules that file and label contacts automatically,
+ * with a dry run of each rule against the contacts passed in
+ */
+const ContactRulesModal = ({ isOpen, onClose, entries = [] }) => {
+  const rules = useContactRules();
+  const labels = useLabels();
+  const [draft, setDraft] = useState(null);
+  const [confirmingDeleteId, setConfirmingDeleteId] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setDraft(null);
+    setConfirmingDeleteId(null);
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (event.key !== 'Escape') return;
+      // Escape backs out of the editor before closing
+      if (draft) setDraft(null);
+      else onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, onClose, draft]);
+
+  const matches = useMemo(
+    () => (draft ? previewRule(draft, rules, entries) : []),
+    [draft, rules, entries]
+  );
+
+  if (!isOpen) return null;
+
+  const describeAction = (action) => {
+    if (action?.type === RuleActions.LABEL) {
+      const label = labels.find(existing => existing.id === action.value);
+      return label ? `Label "${label.name}"` : 'Label (deleted)';
+    }
+    return `Move to ${getCategoryDisplayName(action?.value)}`;
+  };
+
+  const moveRule = (index, offset) => {
+    const next = [...rules];
+    const [rule] = next.splice(index, 1);
+    next.splice(index + offset, 0, rule);
+    setContactRules(next);
+  };
+
+  const toggleRule = (ruleId) => {
+    setContactRules(rules.map(rule => (rule.id === ruleId ? { ...rule, enabled: !rule.enabled } : rule)));
+  };
+
+  const deleteRule = (ruleId) => {
+    setConfirmingDeleteId(null);
+    setContactRules(rules.filter(rule => rule.id !== ruleId));
+  };
+
+  const updateDraftCondition = (index, condition) => {
+    setDraft({ ...draft, conditions: draft.conditions.map((existing, i) => (i === index ? condition : existing)) });
+  };
+
+  const handleActionTypeChange = (type) => {
+    setDraft({
+      ...draft,
+      action: { type, value: type === RuleActions.LABEL ? labels[0]?.id || '' : RULE_CATEGORIES[0] }
+    });
+  };
+
+  const handleSave = () => {
+    if (!draft.name.trim()) {
+      toast.error('Give the rule a name');
+      return;
+    }
+    if (draft.conditions.length === 0) {
+      toast.error('Add at least one condition');
+      return;
+    }
+    if (!draft.action.value) {
+      toast.error(draft.action.type === RuleActions.LABEL ? 'Pick a label' : 'Pick a category');
+      return;
+    }
+
+    const rule = { ...draft, name: draft.name.trim(), updatedAt: Date.now() };
+    const exists = rules.some(existing => existing.id === rule.id);
+    setContactRules(exists
+      ? rules.map(existing => (existing.id === rule.id ? rule : existing))
+      : [...rules, rule]);
+    setDraft(null);
+  };
+
+  const isNewDraft = draft && !rules.some(rule => rule.id === draft.id);
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/75 flex items-start justify-center z-[9999] pt-[10vh]"
+      onMouseDown={(event) => {
+        if (event.target === event.currentTarget) onClose();
+      }}
+    >
+      <div className="bg-neutral-800 bg-opacity-95 rounded-lg shadow-xl w-[640px] max-w-[95vw] max-h-[80vh] flex flex-col">
+        <div className="flex items-center gap-3 p-4 border-b border-white/10">
+          <FiZap className="w-5 h-5 text-gray-300 flex-shrink-0" />
+          <h2 className="flex-1 text-white font-medium">
+            {draft ? (isNewDraft ? 'New rule' : 'Edit rule') : 'Contact rules'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white transition-colors w-auto bg-transparent"
+            aria-label="Close contact rules"
+          >
+            <FiX className="w-5 h-5" />
+          </button>
+        </div>
+
+        {draft ? (
+          <>
+            <div className="flex-1 overflow-y-auto p-4 space-y-4">
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                placeholder="Rule name, e.g. Support chats"
+                maxLength={60}
+                autoFocus
+                className="w-full bg-neutral-900 border border-white/10 rounded-lg px-3 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-white/30"
+              />
+
+              <div className="space-y-2">
+                <div className="flex items-center gap-2 text-sm text-gray-300">
+                  When
+                  <select
+                    value={draft.match}
+                    onChange={(e) => setDraft({ ...draft, match: e.target.value })}
+                    className={selectClass}
+                  >
+                    <option value="all">all</option>
+                    <option value="any">any</option>
+                  </select>
+                  of these are true
+                </div>
+                {draft.conditions.map((condition, index) => (
+                  <ConditionRow
+                    key={index}
+                    condition={condition}
+                    onChange={(next) => updateDraftCondition(index, next)}
+                    onRemove={() => setDraft({ ...draft, conditions: draft.conditions.filter((_, i) => i !== index) })}
+                  />
+                ))}
+                <button
+                  onClick={() => setDraft({ ...draft, conditions: [...draft.conditions, createCondition()] })}
+                  className="flex items-center gap-1 w-auto p-0 bg-transparent text-sm text-gray-400 hover:text-white"
+                >
+                  <FiPlus className="w-4 h-4" />
+                  Add condition
+                </button>
+              </div>
+
+              <div className="flex items-center gap-2 text-sm text-gray-300">
+                Then
+                <select
+                  value={draft.action.type}
+                  onChange={(e) => handleActionTypeChange(e.target.value)}
+                  className={selectClass}
+                >
+                  <option value={RuleActions.CATEGORY}>move to</option>
+                  <option value={RuleActions.LABEL}>add label</option>
+                </select>
+                {draft.action.type === RuleActions.LABEL ? (
+                  labels.length > 0 ? (
+                    <select
+                      value={draft.action.value}
+                      onChange={(e) => setDraft({ ...draft, action: { ...draft.action, value: e.target.value } })}
+                      className={`flex-1 min-w-0 ${selectClass}`}
+                    >
+                      {labels.map(label => (
+                        <option key={label.id} value={label.id}>{label.name}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <span className="text-gray-500">Create a label first</span>
+                  )
+                ) : (
+                  <select
+                    value={draft.action.value}
+                    onChange={(e) => setDraft({ ...draft, action: { ...draft.action, value: e.target.value } })}
+                    className={`flex-1 min-w-0 ${selectClass}`}
+                  >
+                    {RULE_CATEGORIES.map(category => (
+                      <option key={category} value={category}>{getCategoryDisplayName(category)}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+              {draft.action.type === RuleActions.CATEGORY && (
+                <p className="text-xs text-gray-500">
+                  Category rules sort Telegram chats in the grouped view. Chats you pinned, muted or archived stay where you put them.
+                </p>
+              )}
+
+              <div className="border-t border-white/10 pt-3">
+                <h3 className="text-sm font-medium text-white mb-2">
+                  Preview: {matches.length} {matches.length === 1 ? 'chat matches' : 'chats match'}
+                </h3>
+                {matches.length === 0 ? (
+                  <p className="text-sm text-gray-500">No chats in this list match yet.</p>
+                ) : (
+                  <ul className="space-y-1">
+                    {matches.slice(0, MAX_PREVIEW_MATCHES).map(({ platform, contact, reason, shadowedBy }) => (
+                      <li key={`${platform}_${contact.id}`} className="text-sm">
+                        <span className="text-gray-200">{contact.name || contact.display_name}</span>
+                        <span className="text-gray-500"> · {reason}</span>
+                        {shadowedBy && (
+                          <span className="flex items-center gap-1 text-xs text-amber-400">
+                            <FiAlertCircle className="w-3 h-3" />
+                            Earlier rule &quot;{shadowedBy.name}&quot; takes this chat
+                          </span>
+                        )}
+                      </li>
+                    ))}
+                    {matches.length > MAX_PREVIEW_MATCHES && (
+                      <li className="text-xs text-gray-500">and {matches.length - MAX_PREVIEW_MATCHES} more</li>
+                    )}
+                  </ul>
+                )}
+              </div>
+            </div>
+
+            <div className="flex justify-end gap-2 p-4 border-t border-white/10">
+              <button
+                onClick={() => setDraft(null)}
+                className="w-auto px-4 py-2 rounded-lg bg-neutral-700 text-gray-200 hover:bg-neutral-600 text-sm"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSave}
+                className="w-auto px-4 py-2 rounded-lg bg-white text-neutral-900 hover:bg-gray-200 text-sm"
+              >
+                Save rule
+              </button>
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="flex-1 overflow-y-auto py-1">
+              {rules.length === 0 && (
+                <div className="p-6 text-center text-sm text-gray-500">
+                  Rules file and label chats for you, e.g. send groups with more than 50 members to Muted.
+                </div>
+              )}
+              {rules.map((rule, index) => (
+                <div key={rule.id} className="group flex items-start gap-3 px-4 py-2 hover:bg-neutral-700">
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    onChange={() => toggleRule(rule.id)}
+                    className="mt-1 flex-shrink-0"
+                    aria-label={`${rule.enabled ? 'Disable' : 'Enable'} ${rule.name}`}
+                  />
+                  <div className={`flex-1 min-w-0 ${rule.enabled ? '' : 'opacity-50'}`}>
+                    <div className="text-sm text-gray-200 truncate">
+                      <span className="text-gray-500 mr-1">{index + 1}.</span>
+                      {rule.name}
+                    </div>
+                    <div className="text-xs text-gray-400 truncate">
+                      {rule.conditions.map(describeCondition).join(rule.match === 'any' ? ' or ' : ' and ')}
+                      {' → '}
+                      {describeAction(rule.action)}
+                    </div>
+                  </div>
+
+                  {confirmingDeleteId === rule.id ? (
+                    <span className="flex items-center gap-2 text-xs mt-1">
+                      <span className="text-gray-400">Delete?</span>
+                      <button onClick={() => deleteRule(rule.id)} className="w-auto p-0 bg-transparent text-red-400 hover:text-red-300">Delete</button>
+                      <button onClick={() => setConfirmingDeleteId(null)} className="w-auto p-0 bg-transparent text-gray-400 hover:text-white">Cancel</button>
+                    </span>
+                  ) : (
+                    <span className="flex items-center gap-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+                      <button
+                        onClick={() => moveRule(index, -1)}
+                        disabled={index === 0}
+                        className="w-auto p-1 bg-transparent text-gray-400 hover:text-white disabled:opacity-30"
+                        title="Check earlier"
+                        aria-label={`Move ${rule.name} up`}
+                      >
+                        <FiArrowUp className="w-3.5 h-3.5" />
+                      </button>
+                      <button
+                        onClick={() => moveRule(index, 1)}
+                        disabled={index === rules.length - 1}
+                        className="w-auto p-1 bg-transparent text-gray-400 hover:text-white disabled:opacity-30"
+                        title="Check later"
+                        aria-label={`Move ${rule.name} down`}
+                      >
+                        <FiArrowDown className="w-3.5 h-3.5" />
+                      </button>
+                      <button
+                        onClick={() => setDraft(rule)}
+                        className="w-auto p-1 bg-transparent text-gray-400 hover:text-white"
+                        title="Edit rule"
+                        aria-label={`Edit ${rule.name}`}
+                      >
+                        <FiEdit2 className="w-3.5 h-3.5" />
+                      </button>
+                      <button
+                        onClick={() => setConfirmingDeleteId(rule.id)}
+                        className="w-auto p-1 bg-transparent text-gray-400 hover:text-red-400"
+                        title="Delete rule"
+                        aria-label={`Delete ${rule.name}`}
+                      >
+                        <FiTrash2 className="w-3.5 h-3.5" />
+                      </button>
+                    </span>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <div className="flex items-center justify-between gap-2 p-4 border-t border-white/10">
+              <span className="text-xs text-gray-500">Rules are checked from the top; the first category rule that matches wins.</span>
+              <button
+                onClick={() => setDraft(createRule())}
+                className="flex items-center gap-1 w-auto flex-shrink-0 px-3 py-1.5 rounded-lg bg-white text-neutral-900 hover:bg-gray-200 text-sm"
+              >
+                <FiPlus className="w-4 h-4" />
+                New rule
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+ContactRulesModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  entries: PropTypes.arrayOf(PropTypes.shape({
+    platform: PropTypes.oneOf(['telegram', 'whatsapp']).isRequired,
+    contact: PropTypes.object.isRequired
+  }))
+};
+
+export default ContactRulesModal;
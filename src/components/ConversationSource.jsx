@@ -0,0 +1,26 @@
+import { useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { getPlatformAdapter, getSupportedPlatforms } from '../utils/platformAdapters';
+
+/**
+ * Renders nothing; runs a platform's conversation hook and reports the result.
+ * Hooks can't be called in a loop over a changing platform list, so UnifiedInbox
+ * mounts one of these per connected platform instead.
+ */
+const ConversationSource = ({ platform, onChange }) => {
+  const adapter = getPlatformAdapter(platform);
+  const conversations = adapter.useConversations();
+
+  useEffect(() => {
+    onChange(platform, conversations);
+  }, [platform, conversations, onChange]);
+
+  return null;
+};
+
+ConversationSource.propTypes = {
+  platform: PropTypes.oneOf(getSupportedPlatforms()).isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default ConversationSource;
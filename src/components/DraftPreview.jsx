@@ -0,0 +1,28 @@
+import PropTypes from 'prop-types';
+
+/**
+ * "Draft: ..." line shown in a contact row in place of the last message
+ * while the conversation has unsent text
+ */
+const DraftPreview = ({ draft, className = 'text-gray-400' }) => {
+  const text = draft.text?.trim() || (draft.replyTo ? `Replying to ${draft.replyTo.senderName || 'a message'}` : '');
+
+  return (
+    <p className={`text-sm truncate ${className}`}>
+      <span className="text-red-400 font-medium">Draft: </span>
+      {text}
+    </p>
+  );
+};
+
+DraftPreview.propTypes = {
+  draft: PropTypes.shape({
+    text: PropTypes.string,
+    replyTo: PropTypes.shape({
+      senderName: PropTypes.string
+    })
+  }).isRequired,
+  className: PropTypes.string
+};
+
+export default DraftPreview;
@@ -3,6 +3,7 @@ import { useSelector } from 'react-redux';
 // Note: Using FiSun for Appearance since FiPaintBrush doesn't exist in the Feather icon set
 import { FiX, FiUser, FiSettings, FiActivity, FiSliders, FiDatabase, FiCheckCircle, FiSun, FiMenu } from 'react-icons/fi';
 import { FaWhatsapp } from 'react-icons/fa';
+import MentionKeywordSettings from './settings/MentionKeywordSettings';
 
 const ExpandedSettingsMenu = ({ isOpen, onClose, activeOption = 'Account' }) => {
   const menuRef = useRef(null);
@@ -140,7 +141,7 @@ const ExpandedSettingsMenu = ({ isOpen, onClose, activeOption = 'Account' }) =>
         return (
           <div className="p-4">
             <h3 className="text-lg font-semibold text-white mb-4">Behavior Settings</h3>
-            <p className="text-gray-400">Notification and behavior preferences will appear here.</p>
+            <MentionKeywordSettings />
           </div>
         );
       case 'Customize':
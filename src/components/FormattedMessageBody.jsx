@@ -0,0 +1,41 @@
+import { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { sanitizeHtml, hasFormattedBody } from '../utils/htmlSanitizer';
+
+/**
+ * Text of a message: its formatted_body through the strict sanitizer when it
+ * has one, otherwise the plain body
+ */
+const FormattedMessageBody = ({ content, client, className = '' }) => {
+  const html = useMemo(() => (
+    hasFormattedBody(content)
+      ? sanitizeHtml(content.formatted_body, {
+        resolveMediaUrl: client ? (mxcUrl) => client.mxcUrlToHttp(mxcUrl) : undefined
+      })
+      : ''
+  ), [content, client]);
+
+  if (!html) {
+    return <span className={`whitespace-pre-wrap ${className}`}>{content?.body || ''}</span>;
+  }
+
+  return (
+    <div
+      className={`message-formatted ${className}`}
+      // Sanitized above: only Matrix-allowed tags and attributes remain
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+};
+
+FormattedMessageBody.propTypes = {
+  content: PropTypes.shape({
+    body: PropTypes.string,
+    format: PropTypes.string,
+    formatted_body: PropTypes.string
+  }).isRequired,
+  client: PropTypes.object,
+  className: PropTypes.string
+};
+
+export default FormattedMessageBody;
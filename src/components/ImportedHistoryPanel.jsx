@@ -0,0 +1,254 @@
+import { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { FiArchive, FiX, FiTrash2, FiPaperclip } from 'react-icons/fi';
+import { format } from 'date-fns';
+import { toast } from 'react-hot-toast';
+import { Virtuoso } from 'react-virtuoso';
+import importedHistoryManager from '../utils/importedHistoryManager';
+import logger from '../utils/logger';
+
+/**
+ * Flatten imported messages into rows, with a day header before each new day
+ * @param {Array} messages - Imported messages, oldest first
+ * @returns {Array} - [{ type: 'day', key, timestamp } | { type: 'message', key, message }]
+ */
+const buildRows = (messages) => {
+  const rows = [];
+  let lastDay = null;
+
+  messages.forEach(message => {
+    const day = new Date(message.timestamp).toDateString();
+    if (day !== lastDay) {
+      rows.push({ type: 'day', key: `day:${day}`, timestamp: message.timestamp });
+      lastDay = day;
+    }
+    rows.push({ type: 'message', key: message.id, message });
+  });
+
+  return rows;
+};
+
+/**
+ * Attachment copied from a chat export, loaded from IndexedDB on demand
+ */
+const ImportedAttachment = ({ attachment }) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    importedHistoryManager.getMediaUrl(attachment.mediaId)
+      .then(result => {
+        if (!cancelled) setUrl(result);
+      })
+      .catch(error => logger.warn('[ImportedHistoryPanel] Error loading attachment:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [attachment.mediaId]);
+
+  if (url && attachment.msgtype === 'm.image') {
+    return <img src={url} alt={attachment.name} className="mt-1 max-w-[240px] max-h-[240px] rounded object-cover" />;
+  }
+  if (url && attachment.msgtype === 'm.video') {
+    return <video src={url} controls className="mt-1 max-w-[280px] max-h-[240px] rounded" />;
+  }
+  if (url && attachment.msgtype === 'm.audio') {
+    return <audio src={url} controls className="mt-1 max-w-[280px]" />;
+  }
+
+  return (
+    <div className="mt-1 flex items-center gap-2 text-sm">
+      <FiPaperclip className="w-4 h-4 flex-shrink-0 text-gray-400" />
+      {url ? (
+        <a href={url} download={attachment.name} className="text-[#0088cc] hover:underline truncate">{attachment.name}</a>
+      ) : (
+        <span className="text-gray-400 truncate" title="This file wasn't included in the export">{attachment.name}</span>
+      )}
+    </div>
+  );
+};
+
+ImportedAttachment.propTypes = {
+  attachment: PropTypes.shape({
+    name: PropTypes.string,
+    msgtype: PropTypes.string,
+    mediaId: PropTypes.string
+  }).isRequired
+};
+
+/**
+ * Read-only view of a contact's imported history
+ */
+const ImportedHistoryPanel = ({ isOpen, onClose, platform, chatId, chatName, focusMessageId }) => {
+  const [messages, setMessages] = useState(null);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    let cancelled = false;
+    setMessages(null);
+    setConfirmingDelete(false);
+    importedHistoryManager.getMessages(platform, chatId)
+      .then(result => {
+        if (!cancelled) setMessages(result);
+      })
+      .catch(error => {
+        logger.error('[ImportedHistoryPanel] Error loading imported history:', error);
+        if (!cancelled) setMessages([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, platform, chatId]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, onClose]);
+
+  const rows = useMemo(() => buildRows(messages || []), [messages]);
+
+  if (!isOpen) return null;
+
+  const focusIndex = focusMessageId ? rows.findIndex(row => row.key === focusMessageId) : -1;
+
+  const handleDelete = async () => {
+    const deleted = await importedHistoryManager.deleteHistory(platform, chatId);
+    if (deleted) {
+      toast.success('Imported history deleted');
+      onClose();
+    } else {
+      toast.error('Failed to delete imported history');
+      setConfirmingDelete(false);
+    }
+  };
+
+  const renderRow = (index) => {
+    const row = rows[index];
+
+    if (row.type === 'day') {
+      return (
+        <div className="py-2 text-center text-xs text-gray-500">
+          {format(new Date(row.timestamp), 'EEEE, MMMM d, yyyy')}
+        </div>
+      );
+    }
+
+    const { message } = row;
+    if (message.isSystem) {
+      return <div className="px-4 py-1 text-center text-xs italic text-gray-500">{message.body}</div>;
+    }
+
+    return (
+      <div className={`px-4 py-1 flex ${message.isFromMe ? 'justify-end' : 'justify-start'}`}>
+        <div
+          className={`max-w-[75%] rounded-lg px-3 py-2 ${message.isFromMe ? 'bg-[#0088cc]/80' : 'bg-neutral-700'} ${
+            index === focusIndex ? 'ring-2 ring-amber-400' : ''
+          }`}
+        >
+          {!message.isFromMe && (
+            <div className="text-xs font-medium text-gray-300 mb-0.5">{message.senderName}</div>
+          )}
+          {message.body && <p className="text-sm text-white whitespace-pre-wrap break-words">{message.body}</p>}
+          {message.attachment && <ImportedAttachment attachment={message.attachment} />}
+          <div className="mt-0.5 text-right text-[10px] text-gray-300/70">
+            {format(new Date(message.timestamp), 'HH:mm')}{message.edited && ' · edited'}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/75 flex items-start justify-center z-[9999] pt-[10vh]"
+      onMouseDown={(event) => {
+        if (event.target === event.currentTarget) onClose();
+      }}
+    >
+      <div className="bg-neutral-800 bg-opacity-95 rounded-lg shadow-xl w-[640px] max-w-[95vw] h-[75vh] flex flex-col">
+        <div className="flex items-center gap-3 p-4 border-b border-white/10">
+          <FiArchive className="w-5 h-5 text-gray-300 flex-shrink-0" />
+          <div className="flex-1 min-w-0">
+            <h2 className="text-white font-medium truncate">Imported history · {chatName}</h2>
+            {messages && messages.length > 0 && (
+              <div className="text-xs text-gray-400">
+                {messages.length} messages · {format(new Date(messages[0].timestamp), 'MMM d, yyyy')} – {format(new Date(messages[messages.length - 1].timestamp), 'MMM d, yyyy')}
+              </div>
+            )}
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white transition-colors w-auto bg-transparent"
+            aria-label="Close imported history"
+          >
+            <FiX className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 min-h-0">
+          {messages === null ? (
+            <div className="p-6 text-center text-sm text-gray-400">Loading imported history...</div>
+          ) : rows.length === 0 ? (
+            <div className="p-6 text-center text-sm text-gray-500">No imported history for this chat.</div>
+          ) : (
+            <Virtuoso
+              style={{ height: '100%', width: '100%' }}
+              totalCount={rows.length}
+              computeItemKey={(index) => rows[index].key}
+              itemContent={renderRow}
+              initialTopMostItemIndex={focusIndex >= 0 ? { index: focusIndex, align: 'center' } : rows.length - 1}
+            />
+          )}
+        </div>
+
+        {messages && messages.length > 0 && (
+          <div className="flex items-center justify-end gap-2 p-3 border-t border-white/10">
+            {confirmingDelete ? (
+              <>
+                <span className="mr-auto text-sm text-gray-300">Delete all imported history for {chatName}?</span>
+                <button
+                  onClick={() => setConfirmingDelete(false)}
+                  className="w-auto px-3 py-1.5 rounded-lg bg-neutral-700 text-gray-200 hover:bg-neutral-600 text-sm"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleDelete}
+                  className="w-auto px-3 py-1.5 rounded-lg bg-red-600 text-white hover:bg-red-500 text-sm"
+                >
+                  Delete
+                </button>
+              </>
+            ) : (
+              <button
+                onClick={() => setConfirmingDelete(true)}
+                className="flex items-center gap-2 w-auto px-3 py-1.5 rounded-lg bg-transparent text-gray-400 hover:text-red-400 text-sm"
+              >
+                <FiTrash2 className="w-4 h-4" />
+                Delete imported history
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+ImportedHistoryPanel.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  platform: PropTypes.oneOf(['telegram', 'whatsapp']).isRequired,
+  chatId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  chatName: PropTypes.string,
+  focusMessageId: PropTypes.string
+};
+
+export default ImportedHistoryPanel;
@@ -0,0 +1,32 @@
+import PropTypes from 'prop-types';
+import { FiCornerDownLeft, FiX } from 'react-icons/fi';
+
+/**
+ * Floating pill that returns the chat to where it was before jumping to a
+ * reply's parent, a pinned message or a search result
+ */
+const JumpBackButton = ({ onBack, onDismiss, className = 'bg-[#0088cc] hover:bg-[#0077b6]' }) => (
+  <div className={`flex items-center rounded-full text-white text-xs shadow-lg transition-colors ${className}`}>
+    <button className="flex items-center w-auto pl-3 pr-2 py-1.5 bg-transparent" onClick={onBack}>
+      <FiCornerDownLeft className="mr-1" />
+      Back to where you were
+    </button>
+    {onDismiss && (
+      <button
+        className="w-auto pr-3 pl-1 py-1.5 bg-transparent opacity-70 hover:opacity-100"
+        onClick={onDismiss}
+        aria-label="Dismiss"
+      >
+        <FiX />
+      </button>
+    )}
+  </div>
+);
+
+JumpBackButton.propTypes = {
+  onBack: PropTypes.func.isRequired,
+  onDismiss: PropTypes.func,
+  className: PropTypes.string
+};
+
+export default JumpBackButton;
@@ -0,0 +1,32 @@
+import PropTypes from 'prop-types';
+import { FiArrowUp, FiX } from 'react-icons/fi';
+
+/**
+ * Floating pill that scrolls the chat back to the first unread message
+ */
+const JumpToUnreadButton = ({ count, onJump, onDismiss, className = 'bg-[#0088cc] hover:bg-[#0077b6]' }) => (
+  <div className={`flex items-center rounded-full text-white text-xs shadow-lg transition-colors ${className}`}>
+    <button className="flex items-center w-auto pl-3 pr-2 py-1.5 bg-transparent" onClick={onJump}>
+      <FiArrowUp className="mr-1" />
+      {count > 0 ? `${count} unread` : 'Jump to unread'}
+    </button>
+    {onDismiss && (
+      <button
+        className="w-auto pr-3 pl-1 py-1.5 bg-transparent opacity-70 hover:opacity-100"
+        onClick={onDismiss}
+        aria-label="Dismiss"
+      >
+        <FiX />
+      </button>
+    )}
+  </div>
+);
+
+JumpToUnreadButton.propTypes = {
+  count: PropTypes.number,
+  onJump: PropTypes.func.isRequired,
+  onDismiss: PropTypes.func,
+  className: PropTypes.string
+};
+
+export default JumpToUnreadButton;
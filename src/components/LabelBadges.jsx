@@ -0,0 +1,44 @@
+import PropTypes from 'prop-types';
+
+const MAX_VISIBLE_LABELS = 3;
+
+/**
+ * Colored chips for the labels on a contact
+ */
+const LabelBadges = ({ labels, className = '' }) => {
+  if (!labels || labels.length === 0) return null;
+
+  const visible = labels.slice(0, MAX_VISIBLE_LABELS);
+  const hidden = labels.slice(MAX_VISIBLE_LABELS);
+
+  return (
+    <span className={`inline-flex items-center gap-1 min-w-0 ${className}`}>
+      {visible.map(label => (
+        <span
+          key={label.id}
+          className="px-1.5 py-0.5 rounded text-[10px] font-medium leading-none truncate max-w-[6rem]"
+          style={{ backgroundColor: `${label.color}33`, color: label.color }}
+          title={label.name}
+        >
+          {label.name}
+        </span>
+      ))}
+      {hidden.length > 0 && (
+        <span className="text-[10px] text-gray-400" title={hidden.map(label => label.name).join(', ')}>
+          +{hidden.length}
+        </span>
+      )}
+    </span>
+  );
+};
+
+LabelBadges.propTypes = {
+  labels: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    color: PropTypes.string.isRequired
+  })),
+  className: PropTypes.string
+};
+
+export default LabelBadges;
@@ -0,0 +1,64 @@
+import PropTypes from 'prop-types';
+import { FiTag } from 'react-icons/fi';
+
+/**
+ * Row of label chips for filtering a contact list, with a shortcut to manage labels
+ */
+const LabelFilterBar = ({ labels, selectedLabelId, onChange, onManage, variant = 'dark' }) => {
+  const isLight = variant === 'light';
+  const idleClass = isLight
+    ? 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+    : 'bg-neutral-800 text-gray-400 hover:text-white';
+
+  return (
+    <div className="flex items-center gap-1.5 overflow-x-auto pb-1">
+      <button
+        onClick={onManage}
+        className={`flex items-center gap-1 w-auto flex-shrink-0 px-2 py-1 rounded-full text-xs ${idleClass}`}
+        title="Manage labels"
+      >
+        <FiTag className="w-3 h-3" />
+        {labels.length === 0 && 'Labels'}
+      </button>
+      {labels.length > 0 && (
+        <button
+          onClick={() => onChange(null)}
+          className={`w-auto flex-shrink-0 px-2.5 py-1 rounded-full text-xs ${
+            !selectedLabelId ? (isLight ? 'bg-[#075e54] text-white' : 'bg-white text-neutral-900') : idleClass
+          }`}
+        >
+          All
+        </button>
+      )}
+      {labels.map(label => {
+        const isSelected = label.id === selectedLabelId;
+        return (
+          <button
+            key={label.id}
+            onClick={() => onChange(isSelected ? null : label.id)}
+            className={`flex items-center gap-1.5 w-auto flex-shrink-0 px-2.5 py-1 rounded-full text-xs ${isSelected ? 'text-white' : idleClass}`}
+            style={isSelected ? { backgroundColor: label.color } : undefined}
+            aria-pressed={isSelected}
+          >
+            {!isSelected && <span className="w-2 h-2 rounded-full" style={{ backgroundColor: label.color }} />}
+            {label.name}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+LabelFilterBar.propTypes = {
+  labels: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    color: PropTypes.string.isRequired
+  })).isRequired,
+  selectedLabelId: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+  onManage: PropTypes.func.isRequired,
+  variant: PropTypes.oneOf(['dark', 'light'])
+};
+
+export default LabelFilterBar;
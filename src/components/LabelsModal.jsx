@@ -0,0 +1,263 @@
+import { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { FiTag, FiX, FiEdit2, FiTrash2, FiCheck, FiMinus, FiPlus } from 'react-icons/fi';
+import { toast } from 'react-hot-toast';
+import labelManager, { LABEL_COLORS } from '../utils/labelManager';
+import useLabels from '../hooks/useLabels';
+import logger from '../utils/logger';
+
+/**
+ * Row of color swatches
+ */
+const ColorPicker = ({ value, onChange }) => (
+  <div className="flex items-center gap-1">
+    {LABEL_COLORS.map(color => (
+      <button
+        key={color}
+        type="button"
+        onClick={() => onChange(color)}
+        className={`w-4 h-4 p-0 rounded-full flex-shrink-0 ${value === color ? 'ring-2 ring-white ring-offset-1 ring-offset-neutral-800' : ''}`}
+        style={{ backgroundColor: color }}
+        aria-label={`Color ${color}`}
+      />
+    ))}
+  </div>
+);
+
+ColorPicker.propTypes = {
+  value: PropTypes.string,
+  onChange: PropTypes.func.isRequired
+};
+
+/**
+ * Create, rename, recolor and delete labels. With targets, also adds labels to or
+ * takes them off every target contact at once.
+ */
+const LabelsModal = ({ isOpen, onClose, targets = [] }) => {
+  const labels = useLabels();
+  const [newName, setNewName] = useState('');
+  const [newColor, setNewColor] = useState(LABEL_COLORS[0]);
+  const [editing, setEditing] = useState(null);
+  const [confirmingDeleteId, setConfirmingDeleteId] = useState(null);
+  const [busyLabelId, setBusyLabelId] = useState(null);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setNewName('');
+    setEditing(null);
+    setConfirmingDeleteId(null);
+    inputRef.current?.focus();
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const isAssigning = targets.length > 0;
+
+  const countAssigned = (labelId) => targets
+    .filter(({ platform, chatId }) => labelManager.getContactLabelIds(platform, chatId).includes(labelId))
+    .length;
+
+  const handleToggle = async (labelId) => {
+    const assign = countAssigned(labelId) < targets.length;
+    setBusyLabelId(labelId);
+    try {
+      const failed = await labelManager.setLabel(targets, labelId, assign);
+      if (failed > 0) {
+        toast.error(`Could not update ${failed} ${failed === 1 ? 'chat' : 'chats'}`);
+      }
+    } catch (error) {
+      logger.error('[LabelsModal] Error updating labels:', error);
+      toast.error(error.message || 'Failed to update labels');
+    } finally {
+      setBusyLabelId(null);
+    }
+  };
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    try {
+      const label = labelManager.createLabel(newName, newColor);
+      setNewName('');
+      setNewColor(LABEL_COLORS[(LABEL_COLORS.indexOf(newColor) + 1) % LABEL_COLORS.length]);
+      if (isAssigning) await handleToggle(label.id);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleSaveEdit = () => {
+    try {
+      labelManager.updateLabel(editing.id, { name: editing.name, color: editing.color });
+      setEditing(null);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleDelete = async (labelId) => {
+    setConfirmingDeleteId(null);
+    await labelManager.deleteLabel(labelId);
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/75 flex items-start justify-center z-[9999] pt-[10vh]"
+      onMouseDown={(event) => {
+        if (event.target === event.currentTarget) onClose();
+      }}
+    >
+      <div className="bg-neutral-800 bg-opacity-95 rounded-lg shadow-xl w-[440px] max-w-[95vw] max-h-[75vh] flex flex-col">
+        <div className="flex items-center gap-3 p-4 border-b border-white/10">
+          <FiTag className="w-5 h-5 text-gray-300 flex-shrink-0" />
+          <h2 className="flex-1 text-white font-medium">
+            {isAssigning ? `Label ${targets.length} ${targets.length === 1 ? 'chat' : 'chats'}` : 'Labels'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white transition-colors w-auto bg-transparent"
+            aria-label="Close labels"
+          >
+            <FiX className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto py-1">
+          {labels.length === 0 && (
+            <div className="p-6 text-center text-sm text-gray-500">
+              Create labels like Customer, Supplier or Family to group your chats.
+            </div>
+          )}
+          {labels.map(label => {
+            if (editing?.id === label.id) {
+              return (
+                <div key={label.id} className="px-4 py-2 space-y-2 bg-neutral-700/50">
+                  <input
+                    type="text"
+                    value={editing.name}
+                    onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                    onKeyDown={(e) => e.key === 'Enter' && handleSaveEdit()}
+                    maxLength={32}
+                    autoFocus
+                    className="w-full bg-neutral-900 border border-white/10 rounded px-2 py-1 text-sm text-white focus:outline-none focus:border-white/30"
+                  />
+                  <div className="flex items-center justify-between">
+                    <ColorPicker value={editing.color} onChange={(color) => setEditing({ ...editing, color })} />
+                    <div className="flex gap-1">
+                      <button
+                        onClick={() => setEditing(null)}
+                        className="w-auto px-2 py-1 rounded bg-neutral-700 text-gray-200 hover:bg-neutral-600 text-xs"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        onClick={handleSaveEdit}
+                        className="w-auto px-2 py-1 rounded bg-white text-neutral-900 hover:bg-gray-200 text-xs"
+                      >
+                        Save
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              );
+            }
+
+            const assignedCount = isAssigning ? countAssigned(label.id) : 0;
+            return (
+              <div key={label.id} className="group flex items-center gap-3 px-4 py-2 hover:bg-neutral-700">
+                {isAssigning && (
+                  <button
+                    onClick={() => handleToggle(label.id)}
+                    disabled={busyLabelId === label.id}
+                    className={`w-5 h-5 p-0 flex items-center justify-center rounded border flex-shrink-0 disabled:opacity-50 ${
+                      assignedCount > 0 ? 'bg-white border-white text-neutral-900' : 'bg-transparent border-gray-500'
+                    }`}
+                    role="checkbox"
+                    aria-checked={assignedCount === targets.length ? 'true' : assignedCount > 0 ? 'mixed' : 'false'}
+                    aria-label={label.name}
+                  >
+                    {assignedCount === targets.length ? <FiCheck className="w-3 h-3" /> : assignedCount > 0 ? <FiMinus className="w-3 h-3" /> : null}
+                  </button>
+                )}
+                <span className="w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: label.color }} />
+                <span className="flex-1 text-sm text-gray-200 truncate">{label.name}</span>
+
+                {confirmingDeleteId === label.id ? (
+                  <span className="flex items-center gap-2 text-xs">
+                    <span className="text-gray-400">Delete?</span>
+                    <button onClick={() => handleDelete(label.id)} className="w-auto p-0 bg-transparent text-red-400 hover:text-red-300">Delete</button>
+                    <button onClick={() => setConfirmingDeleteId(null)} className="w-auto p-0 bg-transparent text-gray-400 hover:text-white">Cancel</button>
+                  </span>
+                ) : (
+                  <span className="flex items-center gap-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+                    <button
+                      onClick={() => setEditing({ id: label.id, name: label.name, color: label.color })}
+                      className="w-auto p-1 bg-transparent text-gray-400 hover:text-white"
+                      title="Edit label"
+                      aria-label={`Edit ${label.name}`}
+                    >
+                      <FiEdit2 className="w-3.5 h-3.5" />
+                    </button>
+                    <button
+                      onClick={() => setConfirmingDeleteId(label.id)}
+                      className="w-auto p-1 bg-transparent text-gray-400 hover:text-red-400"
+                      title="Delete label"
+                      aria-label={`Delete ${label.name}`}
+                    >
+                      <FiTrash2 className="w-3.5 h-3.5" />
+                    </button>
+                  </span>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <form onSubmit={handleCreate} className="p-4 border-t border-white/10 space-y-2">
+          <div className="flex gap-2">
+            <input
+              ref={inputRef}
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="New label"
+              maxLength={32}
+              className="flex-1 min-w-0 bg-neutral-900 border border-white/10 rounded-lg px-3 py-1.5 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-white/30"
+            />
+            <button
+              type="submit"
+              disabled={!newName.trim()}
+              className="flex items-center gap-1 w-auto px-3 py-1.5 rounded-lg bg-white text-neutral-900 hover:bg-gray-200 text-sm disabled:opacity-50"
+            >
+              <FiPlus className="w-4 h-4" />
+              Add
+            </button>
+          </div>
+          <ColorPicker value={newColor} onChange={setNewColor} />
+        </form>
+      </div>
+    </div>
+  );
+};
+
+LabelsModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  targets: PropTypes.arrayOf(PropTypes.shape({
+    platform: PropTypes.oneOf(['telegram', 'whatsapp']).isRequired,
+    chatId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired
+  }))
+};
+
+export default LabelsModal;
@@ -0,0 +1,106 @@
+import { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import linkPreviewManager from '../utils/linkPreviewManager';
+import { getMediaUrl } from '../utils/mediaUtils';
+
+/**
+ * Title, description and image of a linked page. Nothing is fetched until the
+ * card scrolls into view, and the image is left to the browser's lazy loading.
+ */
+const LinkPreviewCard = ({ url, client }) => {
+  const containerRef = useRef(null);
+  const [isVisible, setIsVisible] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [imageFailed, setImageFailed] = useState(false);
+
+  // Wait until the card is near the viewport before asking the homeserver
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return undefined;
+
+    if (typeof IntersectionObserver === 'undefined') {
+      setIsVisible(true);
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        setIsVisible(true);
+        observer.disconnect();
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (!isVisible) return undefined;
+
+    let cancelled = false;
+    setPreview(null);
+    setImageFailed(false);
+
+    linkPreviewManager.getPreview(client, url).then(result => {
+      if (!cancelled) setPreview(result);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isVisible, client, url]);
+
+  const imageUrl = preview?.imageMxc && !imageFailed
+    ? getMediaUrl(client, preview.imageMxc, { type: 'thumbnail', width: 400, height: 300 })
+    : '';
+
+  let hostname = url;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    // Keep the raw URL
+  }
+
+  return (
+    <div ref={containerRef}>
+      {preview && (
+        <a
+          href={url}
+          target="_blank"
+          rel="noopener noreferrer"
+          onClick={(e) => e.stopPropagation()}
+          className="block mt-2 max-w-xs overflow-hidden rounded-lg border-l-4 border-[#0088cc] bg-black/20 hover:bg-black/30 transition-colors no-underline"
+        >
+          {imageUrl && (
+            <img
+              src={imageUrl}
+              alt=""
+              loading="lazy"
+              decoding="async"
+              width={preview.imageWidth || undefined}
+              height={preview.imageHeight || undefined}
+              onError={() => setImageFailed(true)}
+              className="w-full h-auto max-h-48 object-cover"
+            />
+          )}
+          <div className="px-3 py-2">
+            <div className="text-xs text-[#0088cc] truncate">{preview.siteName || hostname}</div>
+            {preview.title && (
+              <div className="text-sm font-medium text-white line-clamp-2">{preview.title}</div>
+            )}
+            {preview.description && (
+              <div className="text-xs text-gray-300 line-clamp-3">{preview.description}</div>
+            )}
+          </div>
+        </a>
+      )}
+    </div>
+  );
+};
+
+LinkPreviewCard.propTypes = {
+  url: PropTypes.string.isRequired,
+  client: PropTypes.object.isRequired
+};
+
+export default LinkPreviewCard;
@@ -0,0 +1,34 @@
+import { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import FormattedMessageBody from './FormattedMessageBody';
+import { buildTextContent } from '../utils/markdownUtils';
+
+/**
+ * Live preview of the composer's Markdown, rendered the way recipients will see it
+ */
+const MarkdownPreview = ({ text, onClose }) => {
+  const content = useMemo(() => buildTextContent(text), [text]);
+
+  return (
+    <div className="mx-1 mb-2 px-3 py-2 rounded-xl bg-neutral-800/80 border border-white/10 text-sm text-white max-h-40 overflow-y-auto">
+      <div className="flex items-center justify-between mb-1 text-xs text-gray-400">
+        <span>Preview</span>
+        <button
+          type="button"
+          onClick={onClose}
+          className="w-auto p-0 bg-transparent text-gray-400 hover:text-white"
+        >
+          Hide
+        </button>
+      </div>
+      <FormattedMessageBody content={content} />
+    </div>
+  );
+};
+
+MarkdownPreview.propTypes = {
+  text: PropTypes.string.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default MarkdownPreview;
@@ -0,0 +1,137 @@
+import { useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { FiX, FiChevronLeft, FiChevronRight, FiDownload } from 'react-icons/fi';
+import { toast } from 'react-hot-toast';
+import { downloadMediaFile } from '../utils/mediaUtils';
+import useCachedMediaUrl from '../hooks/useCachedMediaUrl';
+import logger from '../utils/logger';
+
+/**
+ * Full-screen viewer for the images and videos in a room, with prev/next navigation
+ */
+const MediaLightbox = ({ items, index, client, onClose, onIndexChange }) => {
+  const item = items[index];
+  const content = item?.content || {};
+  const isVideo = content.msgtype === 'm.video';
+  // Opening media stores the full file in the offline cache
+  const mediaUrl = useCachedMediaUrl(client, content.url, {}, !!item);
+  const hasPrevious = index > 0;
+  const hasNext = index < items.length - 1;
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+      if (event.key === 'ArrowLeft' && hasPrevious) onIndexChange(index - 1);
+      if (event.key === 'ArrowRight' && hasNext) onIndexChange(index + 1);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [index, hasPrevious, hasNext, onClose, onIndexChange]);
+
+  if (!item) return null;
+
+  const handleDownload = async () => {
+    try {
+      const started = await downloadMediaFile(client, content.url, content.body || 'download');
+      if (!started) toast.error('Could not download this file');
+    } catch (error) {
+      logger.error('[MediaLightbox] Error downloading media:', error);
+      toast.error('Could not download this file');
+    }
+  };
+
+  const navButtonClassName = 'absolute top-1/2 -translate-y-1/2 p-3 w-auto rounded-full bg-black/50 text-white hover:bg-black/70 transition-colors';
+
+  return (
+    <div
+      className="fixed inset-0 z-[9999] bg-black/90 flex flex-col"
+      onMouseDown={(event) => {
+        if (event.target === event.currentTarget) onClose();
+      }}
+    >
+      <div className="flex items-center gap-3 px-4 py-3 text-white">
+        <div className="min-w-0 flex-1">
+          <div className="text-sm font-medium truncate">{item.senderName || item.sender}</div>
+          <div className="text-xs text-gray-400 truncate">
+            {content.body} · {new Date(item.timestamp).toLocaleString()}
+          </div>
+        </div>
+        <span className="text-xs text-gray-400">{index + 1} / {items.length}</span>
+        <button
+          onClick={handleDownload}
+          className="p-2 w-auto rounded-full bg-transparent text-gray-300 hover:text-white"
+          title="Download"
+        >
+          <FiDownload className="w-5 h-5" />
+        </button>
+        <button
+          onClick={onClose}
+          className="p-2 w-auto rounded-full bg-transparent text-gray-300 hover:text-white"
+          title="Close"
+        >
+          <FiX className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div
+        className="relative flex-1 flex items-center justify-center min-h-0 px-16 pb-6"
+        onMouseDown={(event) => {
+          if (event.target === event.currentTarget) onClose();
+        }}
+      >
+        {!mediaUrl ? (
+          <div className="w-10 h-10 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+        ) : isVideo ? (
+          <video
+            key={item.id}
+            src={mediaUrl}
+            controls
+            autoPlay
+            className="max-w-full max-h-full rounded-md"
+          />
+        ) : (
+          <img
+            src={mediaUrl}
+            alt={content.body || 'Image'}
+            className="max-w-full max-h-full object-contain rounded-md"
+          />
+        )}
+
+        {hasPrevious && (
+          <button
+            onClick={() => onIndexChange(index - 1)}
+            className={`${navButtonClassName} left-4`}
+            title="Previous"
+          >
+            <FiChevronLeft className="w-6 h-6" />
+          </button>
+        )}
+        {hasNext && (
+          <button
+            onClick={() => onIndexChange(index + 1)}
+            className={`${navButtonClassName} right-4`}
+            title="Next"
+          >
+            <FiChevronRight className="w-6 h-6" />
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+MediaLightbox.propTypes = {
+  items: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    sender: PropTypes.string,
+    senderName: PropTypes.string,
+    timestamp: PropTypes.number,
+    content: PropTypes.object.isRequired
+  })).isRequired,
+  index: PropTypes.number.isRequired,
+  client: PropTypes.object,
+  onClose: PropTypes.func.isRequired,
+  onIndexChange: PropTypes.func.isRequired
+};
+
+export default MediaLightbox;
@@ -0,0 +1,55 @@
+import PropTypes from 'prop-types';
+import { getFallbackAvatarUrl } from '../utils/mediaUtils';
+
+/**
+ * Room members matching the @mention being typed, shown above the composer
+ */
+const MentionSuggestions = ({ members, activeIndex, onSelect, onHover }) => {
+  if (members.length === 0) return null;
+
+  return (
+    <ul
+      role="listbox"
+      aria-label="Mention suggestions"
+      className="absolute bottom-full left-0 right-0 mb-2 bg-neutral-800 border border-white/10 rounded-xl shadow-lg overflow-hidden z-30"
+    >
+      {members.map((member, index) => (
+        <li
+          key={member.userId}
+          role="option"
+          aria-selected={index === activeIndex}
+          // mousedown keeps focus in the composer, so the caret position survives
+          onMouseDown={(e) => {
+            e.preventDefault();
+            onSelect(member);
+          }}
+          onMouseEnter={() => onHover(index)}
+          className={`flex items-center px-3 py-2 cursor-pointer ${index === activeIndex ? 'bg-[#0088cc]/20' : 'hover:bg-neutral-700'}`}
+        >
+          <img
+            src={member.avatarUrl || getFallbackAvatarUrl(member.name || member.userId, '#0088cc')}
+            alt=""
+            className="w-7 h-7 rounded-full mr-3 object-cover"
+          />
+          <div className="min-w-0">
+            <p className="text-sm text-white truncate">{member.name}</p>
+            <p className="text-xs text-gray-400 truncate">{member.userId}</p>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+MentionSuggestions.propTypes = {
+  members: PropTypes.arrayOf(PropTypes.shape({
+    userId: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    avatarUrl: PropTypes.string
+  })).isRequired,
+  activeIndex: PropTypes.number.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  onHover: PropTypes.func.isRequired
+};
+
+export default MentionSuggestions;
@@ -1,13 +1,14 @@
 import React, { useState } from 'react';
-import { FiCornerUpLeft, FiTrash2, FiThumbsUp, FiBookmark } from 'react-icons/fi';
+import { FiCornerUpLeft, FiTrash2, FiThumbsUp, FiBookmark, FiEdit2, FiMessageSquare, FiStar } from 'react-icons/fi';
 import '../styles/messageActionWheel.css';
 import logger from '../utils/logger';
+import PropTypes from 'prop-types';
 
 /**
  * A horizontal action bar that appears when hovering over a message
- * Provides options to reply, delete, pin, and react to messages
+ * Provides options to reply, reply in a thread, edit, delete, pin, save, and react to messages
  */
-const MessageActionWheel = ({ message, onReply, onDelete, onPin, onReact }) => {
+const MessageActionWheel = ({ message, onReply, onThread, onEdit, onDelete, onPin, onBookmark, onReact, isPinned = false, isBookmarked = false }) => {
   const [hoveredAction, setHoveredAction] = useState(null);
 
   // Define the actions with their icons, tooltips, and handlers
@@ -22,6 +23,17 @@ const MessageActionWheel = ({ message, onReply, onDelete, onPin, onReact }) => {
       },
       color: '#0088cc', // Telegram blue
     },
+    {
+      id: 'thread',
+      icon: <FiMessageSquare size={16} />,
+      tooltip: 'Reply in thread',
+      handler: () => {
+        logger.info(`[MessageActionWheel] Open thread for message: ${message.id}`);
+        onThread?.(message);
+      },
+      color: '#16a085', // Teal
+      hidden: !onThread,
+    },
     {
       id: 'react',
       icon: <FiThumbsUp size={16} />,
@@ -31,16 +43,41 @@ const MessageActionWheel = ({ message, onReply, onDelete, onPin, onReact }) => {
         onReact?.(message);
       },
       color: '#2ecc71', // Green
+      hidden: !onReact,
     },
     {
       id: 'pin',
       icon: <FiBookmark size={16} />,
-      tooltip: 'Pin',
+      tooltip: isPinned ? 'Unpin' : 'Pin',
       handler: () => {
-        logger.info(`[MessageActionWheel] Pin message: ${message.id}`);
+        logger.info(`[MessageActionWheel] ${isPinned ? 'Unpin' : 'Pin'} message: ${message.id}`);
         onPin?.(message);
       },
       color: '#f39c12', // Orange
+      hidden: !onPin,
+    },
+    {
+      id: 'bookmark',
+      icon: <FiStar size={16} />,
+      tooltip: isBookmarked ? 'Remove from saved' : 'Save',
+      handler: () => {
+        logger.info(`[MessageActionWheel] ${isBookmarked ? 'Unsave' : 'Save'} message: ${message.id}`);
+        onBookmark?.(message);
+      },
+      color: '#d4a017', // Gold
+      hidden: !onBookmark,
+    },
+    {
+      id: 'edit',
+      icon: <FiEdit2 size={16} />,
+      tooltip: 'Edit',
+      handler: () => {
+        logger.info(`[MessageActionWheel] Edit message: ${message.id}`);
+        onEdit?.(message);
+      },
+      color: '#8e44ad', // Purple
+      ownOnly: true,
+      hidden: !onEdit,
     },
     {
       id: 'delete',
@@ -51,8 +88,10 @@ const MessageActionWheel = ({ message, onReply, onDelete, onPin, onReact }) => {
         onDelete?.(message);
       },
       color: '#e74c3c', // Red
+      ownOnly: true,
+      hidden: !onDelete,
     },
-  ];
+  ].filter(action => !action.hidden && (!action.ownOnly || message.isFromMe));
 
   return (
     <div className="action-buttons-container">
@@ -81,4 +120,20 @@ const MessageActionWheel = ({ message, onReply, onDelete, onPin, onReact }) => {
   );
 };
 
+MessageActionWheel.propTypes = {
+  message: PropTypes.shape({
+    id: PropTypes.string,
+    isFromMe: PropTypes.bool
+  }).isRequired,
+  onReply: PropTypes.func.isRequired,
+  onThread: PropTypes.func,
+  onEdit: PropTypes.func,
+  onDelete: PropTypes.func,
+  onPin: PropTypes.func,
+  onBookmark: PropTypes.func,
+  onReact: PropTypes.func,
+  isPinned: PropTypes.bool,
+  isBookmarked: PropTypes.bool
+};
+
 export default MessageActionWheel;
@@ -1,9 +1,22 @@
 import React, { useState, useRef, useEffect } from 'react';
 import MessageActionWheel from './MessageActionWheel';
 import MessageReply from './MessageReply';
+import ReactionPicker from './ReactionPicker';
+import MessageReactions from './MessageReactions';
+import MessageEditHistory from './MessageEditHistory';
+import { FiBookmark, FiSlash, FiStar } from 'react-icons/fi';
 import { getParentEventId } from '../utils/replyUtils';
-import { getMediaUrl } from '../utils/mediaUtils';
+import MessageMedia from './MessageMedia';
+import MessageStatusTicks from './MessageStatusTicks';
+import ThreadSummaryChip from './ThreadSummaryChip';
+import FormattedMessageBody from './FormattedMessageBody';
+import LinkPreviewCard from './LinkPreviewCard';
+import PollMessage from './PollMessage';
+import { extractLinks } from '../utils/sharedMediaUtils';
 import logger from '../utils/logger';
+import PropTypes from 'prop-types';
+
+const MEDIA_MSGTYPES = ['m.image', 'm.video', 'm.audio', 'm.file'];
 
 /**
  * A message bubble component with an action wheel
@@ -14,9 +27,23 @@ const MessageBubbleWithWheel = ({
   selectedContact,
   parentEvents,
   onReply,
+  onOpenThread,
+  onEdit,
   onDelete,
   onPin,
-  onReact
+  onBookmark,
+  onReact,
+  onOpenMedia,
+  onJumpToMessage,
+  onVotePoll,
+  onEndPoll,
+  receiptStatus,
+  onRetrySend,
+  onDiscardSend,
+  isMention = false,
+  isPinned = false,
+  isBookmarked = false,
+  showLinkPreviews = false
 }) => {
   // Get parent event ID if this is a reply
   const parentEventId = message.rawEvent ? getParentEventId(message.rawEvent) : null;
@@ -28,6 +55,35 @@ const MessageBubbleWithWheel = ({
   const [isSmallMessage, setIsSmallMessage] = useState(false);
   // Reference to the message bubble element
   const messageBubbleRef = useRef(null);
+  // State to track if the emoji picker is open
+  const [showReactionPicker, setShowReactionPicker] = useState(false);
+  // Inline editing state for our own messages
+  const [isEditing, setIsEditing] = useState(false);
+  const [editText, setEditText] = useState('');
+  const [showEditHistory, setShowEditHistory] = useState(false);
+
+  // Only plain text messages can be edited
+  const canEdit = !!onEdit && message.isFromMe && !message.isRedacted && !message.poll &&
+    (!message.content?.msgtype || message.content.msgtype === 'm.text');
+
+  // Only the first link gets a card; matrix.to links are mentions, not pages
+  const previewUrl = showLinkPreviews && client && !message.isRedacted && !isEditing && !message.poll &&
+    typeof message.content === 'object' && !MEDIA_MSGTYPES.includes(message.content?.msgtype)
+    ? extractLinks(message.content?.body || message.body).find(url => !url.startsWith('https://matrix.to/'))
+    : null;
+
+  const startEditing = () => {
+    setEditText(message.content?.body || message.body || '');
+    setIsEditing(true);
+  };
+
+  const saveEdit = () => {
+    const newBody = editText.trim();
+    setIsEditing(false);
+    if (newBody && newBody !== (message.content?.body || message.body)) {
+      onEdit(message, newBody);
+    }
+  };
 
   // Detect message size and position when hovered
   useEffect(() => {
@@ -76,7 +132,7 @@ const MessageBubbleWithWheel = ({
       onMouseLeave={() => setIsHovered(false)}
     >
       {/* Only show action wheel when message is hovered */}
-      {/* {isHovered && (
+      {isHovered && !showReactionPicker && !isEditing && !message.isRedacted && (
         <div
           className={`message-action-wheel-wrapper ${isSmallMessage ? 'small-message' : 'large-message'}`}
           onClick={(e) => e.stopPropagation()} // Prevent clicks from closing the action bar
@@ -87,25 +143,44 @@ const MessageBubbleWithWheel = ({
               logger.info(`[MessageBubbleWithWheel] Replying to message: ${message.id}`);
               onReply(message);
             }}
-            onDelete={() => {
+            onThread={onOpenThread ? () => {
+              logger.info(`[MessageBubbleWithWheel] Open thread for message: ${message.id}`);
+              onOpenThread(message);
+            } : undefined}
+            onEdit={canEdit ? () => {
+              logger.info(`[MessageBubbleWithWheel] Edit message: ${message.id}`);
+              startEditing();
+            } : undefined}
+            onDelete={onDelete ? () => {
               logger.info(`[MessageBubbleWithWheel] Delete message: ${message.id}`);
-              onDelete?.(message);
-            }}
-            onPin={() => {
+              onDelete(message);
+            } : undefined}
+            onPin={onPin ? () => {
               logger.info(`[MessageBubbleWithWheel] Pin message: ${message.id}`);
-              onPin?.(message);
-            }}
-            onReact={() => {
+              onPin(message);
+            } : undefined}
+            isPinned={isPinned}
+            onBookmark={onBookmark ? () => onBookmark(message) : undefined}
+            isBookmarked={isBookmarked}
+            onReact={onReact ? () => {
               logger.info(`[MessageBubbleWithWheel] React to message: ${message.id}`);
-              onReact?.(message);
-            }}
+              setShowReactionPicker(true);
+            } : undefined}
           />
         </div>
-      )} */}
+      )}
+
+      {showReactionPicker && (
+        <ReactionPicker
+          align={message.isFromMe ? 'right' : 'left'}
+          onSelect={(emoji) => onReact?.(message, emoji)}
+          onClose={() => setShowReactionPicker(false)}
+        />
+      )}
 
       <div
         ref={messageBubbleRef}
-        className={`message-bubble ${message.isFromMe ? 'message-bubble-sent' : 'message-bubble-received'} ${message.isOptimistic ? 'message-optimistic' : ''}`}
+        className={`message-bubble ${message.isFromMe ? 'message-bubble-sent' : 'message-bubble-received'} ${message.isOptimistic ? 'message-optimistic' : ''} ${isMention ? 'message-mention' : ''}`}
       >
         {/* Sender name for received messages */}
         {!message.isFromMe && (
@@ -187,12 +262,53 @@ const MessageBubbleWithWheel = ({
           <MessageReply
             replyToEvent={parentEvent}
             client={client}
+            onClick={onJumpToMessage ? () => onJumpToMessage(parentEventId) : undefined}
           />
         )}
 
         {/* Message content */}
         <div className="message-content">
           {(() => {
+            // Deleted messages keep their slot as a placeholder
+            if (message.isRedacted) {
+              return (
+                <span className="flex items-center gap-1 italic opacity-70">
+                  <FiSlash size={12} />
+                  {message.content?.body || 'Message deleted'}
+                </span>
+              );
+            }
+
+            if (isEditing) {
+              return (
+                <div onClick={(e) => e.stopPropagation()}>
+                  <textarea
+                    value={editText}
+                    onChange={(e) => setEditText(e.target.value)}
+                    autoFocus
+                    rows={Math.min(6, Math.max(1, editText.split('\n').length))}
+                    className="w-full min-w-[200px] bg-black/20 text-white rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-1 focus:ring-white/40 resize-none"
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter' && !e.shiftKey) {
+                        e.preventDefault();
+                        saveEdit();
+                      } else if (e.key === 'Escape') {
+                        setIsEditing(false);
+                      }
+                    }}
+                  />
+                  <div className="mt-1 flex justify-end gap-2 text-xs">
+                    <button onClick={() => setIsEditing(false)} className="px-2 py-0.5 w-auto rounded bg-transparent text-white/70 hover:text-white">
+                      Cancel
+                    </button>
+                    <button onClick={saveEdit} className="px-2 py-0.5 w-auto rounded bg-white/20 text-white hover:bg-white/30">
+                      Save
+                    </button>
+                  </div>
+                </div>
+              );
+            }
+
             // Handle different message content types
             if (!message.content) {
               return 'Message content unavailable';
@@ -202,83 +318,165 @@ const MessageBubbleWithWheel = ({
               return message.content;
             }
 
+            if (message.poll) {
+              return (
+                <PollMessage
+                  poll={message.poll}
+                  currentUserId={client?.getUserId()}
+                  onVote={onVotePoll ? (answerIds) => onVotePoll(message, answerIds) : undefined}
+                  onEnd={onEndPoll && message.isFromMe ? () => onEndPoll(message) : undefined}
+                />
+              );
+            }
+
             if (typeof message.content === 'object') {
-              // Handle text messages
+              // Media messages also carry a body (the file name), so check them first
+              if (MEDIA_MSGTYPES.includes(message.content.msgtype)) {
+                return (
+                  <MessageMedia
+                    content={message.content}
+                    client={client}
+                    onOpen={onOpenMedia ? () => onOpenMedia(message) : undefined}
+                  />
+                );
+              }
+
+              // Handle text messages, rendering formatted_body through the sanitizer
               if (message.content.body) {
-                return message.content.body;
+                return <FormattedMessageBody content={message.content} client={client} />;
               }
 
               // Handle text messages with msgtype
               if (message.content.msgtype === 'm.text' && message.content.text) {
                 return message.content.text;
               }
-
-              // Handle image messages
-              if (message.content.msgtype === 'm.image') {
-                // Get the image URL
-                let imageUrl = message.content.url;
-
-                // Handle mxc:// URLs
-                if (imageUrl && imageUrl.startsWith('mxc://') && client) {
-                  // Use our media utility to get the URL with proper caching and error handling
-                  const isLargeImage = message.content.info &&
-                      (message.content.info.w > 800 || message.content.info.h > 800);
-
-                  imageUrl = getMediaUrl(client, imageUrl, {
-                    type: isLargeImage ? 'thumbnail' : 'download',
-                    width: 800,
-                    height: 800,
-                    method: 'scale',
-                    fallbackUrl: '/images/image-placeholder.png'
-                  });
-                }
-
-                if (imageUrl) {
-                  return (
-                    <div className="mt-1">
-                      <img
-                        src={imageUrl}
-                        alt={message.content.body || 'Image'}
-                        className="max-w-full rounded-md max-h-[200px] object-contain bg-neutral-950/50"
-                        onError={(e) => {
-                          // If image fails to load, try using the thumbnail
-                          if (message.content.info && message.content.info.thumbnail_url) {
-                            let thumbUrl = message.content.info.thumbnail_url;
-                            if (thumbUrl.startsWith('mxc://') && client) {
-                              thumbUrl = getMediaUrl(client, thumbUrl, {
-                                type: 'download',
-                                fallbackUrl: '/images/image-placeholder.png'
-                              });
-                            }
-                            e.target.src = thumbUrl;
-                          } else {
-                            // If no thumbnail, use a placeholder
-                            e.target.src = '/images/image-placeholder.png';
-                          }
-                        }}
-                      />
-                      {message.content.body && message.content.body !== 'Image' && (
-                        <div className="mt-1 text-xs text-gray-400">{message.content.body}</div>
-                      )}
-                    </div>
-                  );
-                }
-              }
             }
 
             return 'Message content unavailable';
           })()}
         </div>
 
+        {previewUrl && <LinkPreviewCard url={previewUrl} client={client} />}
+
         {/* Timestamp */}
         <div
           className={`message-timestamp ${message.isFromMe ? 'message-timestamp-sent' : 'message-timestamp-received'}`}
         >
+          {message.isEdited && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowEditHistory(!showEditHistory);
+              }}
+              className="mr-1 p-0 w-auto bg-transparent italic underline-offset-2 hover:underline"
+              title="View edit history"
+            >
+              edited
+            </button>
+          )}
+          {isPinned && <FiBookmark className="w-3 h-3 mr-1" title="Pinned" aria-label="Pinned" />}
+          {isBookmarked && <FiStar className="w-3 h-3 mr-1 fill-current" title="Saved" aria-label="Saved" />}
           <span>{new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+          {message.isFromMe && !message.isRedacted && <MessageStatusTicks status={receiptStatus} />}
         </div>
       </div>
+
+      {/* Outbox messages that ran out of automatic retries */}
+      {message.status === 'failed' && message.txnId && onRetrySend && onDiscardSend && (
+        <div className={`flex items-center gap-1 mt-1 text-xs text-red-400 ${message.isFromMe ? 'justify-end' : 'justify-start'}`}>
+          <span title={message.sendError || undefined}>Not sent</span>
+          <span aria-hidden="true">·</span>
+          <button
+            onClick={() => onRetrySend(message)}
+            className="p-0 w-auto bg-transparent font-medium text-[#0088cc] hover:underline"
+          >
+            Retry
+          </button>
+          <span aria-hidden="true">·</span>
+          <button
+            onClick={() => onDiscardSend(message)}
+            className="p-0 w-auto bg-transparent font-medium text-gray-400 hover:underline"
+          >
+            Delete
+          </button>
+        </div>
+      )}
+
+      {showEditHistory && message.editHistory?.length > 0 && (
+        <MessageEditHistory
+          history={message.editHistory}
+          align={message.isFromMe ? 'right' : 'left'}
+          onClose={() => setShowEditHistory(false)}
+        />
+      )}
+
+      {/* Reply count and last replier for thread roots */}
+      {onOpenThread && message.thread?.count > 0 && (
+        <ThreadSummaryChip
+          thread={message.thread}
+          align={message.isFromMe ? 'right' : 'left'}
+          onClick={() => onOpenThread(message)}
+        />
+      )}
+
+      {/* Reactions, toggling our own on click */}
+      {onReact && !message.isRedacted && (
+        <MessageReactions
+          reactions={message.reactions}
+          currentUserId={client?.getUserId()}
+          room={client?.getRoom(selectedContact.id)}
+          isFromMe={message.isFromMe}
+          onToggle={(key) => onReact(message, key)}
+        />
+      )}
     </div>
   );
 };
 
+MessageBubbleWithWheel.propTypes = {
+  message: PropTypes.shape({
+    id: PropTypes.string,
+    sender: PropTypes.string,
+    senderName: PropTypes.string,
+    content: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+    body: PropTypes.string,
+    timestamp: PropTypes.number,
+    isFromMe: PropTypes.bool,
+    isOptimistic: PropTypes.bool,
+    status: PropTypes.string,
+    txnId: PropTypes.string,
+    sendError: PropTypes.string,
+    isRedacted: PropTypes.bool,
+    isEdited: PropTypes.bool,
+    editHistory: PropTypes.array,
+    reactions: PropTypes.array,
+    thread: PropTypes.object,
+    poll: PropTypes.object,
+    rawEvent: PropTypes.object
+  }).isRequired,
+  client: PropTypes.object,
+  selectedContact: PropTypes.shape({
+    id: PropTypes.string
+  }).isRequired,
+  parentEvents: PropTypes.object.isRequired,
+  onReply: PropTypes.func.isRequired,
+  onOpenThread: PropTypes.func,
+  onEdit: PropTypes.func,
+  onDelete: PropTypes.func,
+  onPin: PropTypes.func,
+  onBookmark: PropTypes.func,
+  onOpenMedia: PropTypes.func,
+  onJumpToMessage: PropTypes.func,
+  onVotePoll: PropTypes.func,
+  onEndPoll: PropTypes.func,
+  receiptStatus: PropTypes.oneOf(['sending', 'sent', 'delivered', 'read', 'failed']),
+  onReact: PropTypes.func,
+  onRetrySend: PropTypes.func,
+  onDiscardSend: PropTypes.func,
+  isMention: PropTypes.bool,
+  isPinned: PropTypes.bool,
+  isBookmarked: PropTypes.bool,
+  showLinkPreviews: PropTypes.bool
+};
+
 export default MessageBubbleWithWheel;
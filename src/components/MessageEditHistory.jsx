@@ -0,0 +1,64 @@
+import { useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { FiX } from 'react-icons/fi';
+
+/**
+ * Popover listing every version of an edited message, oldest first
+ */
+const MessageEditHistory = ({ history, onClose, align = 'left' }) => {
+  const popoverRef = useRef(null);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (popoverRef.current && !popoverRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [onClose]);
+
+  return (
+    <div
+      ref={popoverRef}
+      className={`absolute top-full mt-1 ${align === 'right' ? 'right-0' : 'left-0'} z-[200] w-72 max-h-64 overflow-y-auto bg-neutral-900 border border-white/10 rounded-xl shadow-xl p-3`}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-xs uppercase tracking-wide text-gray-400">Edit history</span>
+        <button
+          onClick={onClose}
+          className="text-gray-400 hover:text-white bg-transparent p-0 w-auto"
+          aria-label="Close edit history"
+        >
+          <FiX size={14} />
+        </button>
+      </div>
+      <ol className="space-y-2">
+        {history.map((entry, index) => (
+          <li key={entry.eventId} className="text-sm">
+            <div className="text-[10px] text-gray-500">
+              {index === 0 ? 'Original' : `Edit ${index}`} · {new Date(entry.timestamp).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}
+            </div>
+            <div className={`whitespace-pre-wrap break-words ${index === history.length - 1 ? 'text-white' : 'text-gray-400'}`}>
+              {entry.body}
+            </div>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+MessageEditHistory.propTypes = {
+  history: PropTypes.arrayOf(PropTypes.shape({
+    eventId: PropTypes.string.isRequired,
+    body: PropTypes.string,
+    timestamp: PropTypes.number
+  })).isRequired,
+  onClose: PropTypes.func.isRequired,
+  align: PropTypes.oneOf(['left', 'right'])
+};
+
+export default MessageEditHistory;
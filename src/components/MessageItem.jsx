@@ -1,9 +1,14 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import { format } from 'date-fns';
+import { FiBookmark, FiStar } from 'react-icons/fi';
 import logger from '../utils/logger';
+import MessageStatusTicks from './MessageStatusTicks';
+import { isMentioningMe } from '../utils/mentionUtils';
+import { hasFormattedBody } from '../utils/htmlSanitizer';
+import FormattedMessageBody from './FormattedMessageBody';
 
-const MessageItem = ({ message, currentUser }) => {
+const MessageItem = ({ message, currentUser, isPinned = false, onTogglePin, isBookmarked = false, onToggleBookmark, mentionKeywords = [] }) => {
   // Check if sender is the current user (Matrix user)
   const isMatrixUser = message.sender_id?.includes('matrix') || message.sender_id === currentUser?.id;
   const messageTime = message.timestamp ? format(new Date(message.timestamp), 'HH:mm') : '';
@@ -37,10 +42,29 @@ const MessageItem = ({ message, currentUser }) => {
     return content;
   };
 
+  const messageContent = getMessageContent(message.content);
+
+  // Bridged messages with formatting carry it in formatted_body, possibly as serialised JSON
+  const getFormattedContent = (content) => {
+    if (typeof content === 'string' && content.startsWith('{')) {
+      try {
+        return getFormattedContent(JSON.parse(content));
+      } catch {
+        return null;
+      }
+    }
+    return hasFormattedBody(content) ? content : null;
+  };
+  const formattedContent = getFormattedContent(message.content);
+  const isMention = !isMatrixUser && isMentioningMe(
+    { body: typeof messageContent === 'string' ? messageContent : '' },
+    { keywords: mentionKeywords }
+  );
+
   // Define conditional styling based on sender
   const bubbleClass = isMatrixUser
     ? 'bg-[#075E54] text-gray-100 rounded-lg rounded-tr-none shadow-sm animate-glow'
-    : 'bg-[#DCF7C5] text-black rounded-lg rounded-tl-none shadow-sm';
+    : `bg-[#DCF7C5] text-black rounded-lg rounded-tl-none shadow-sm ${isMention ? 'ring-2 ring-amber-400' : ''}`;
 
   const senderNameClass = isMatrixUser
     ? 'text-xs text-gray-200 mb-1'
@@ -51,17 +75,43 @@ const MessageItem = ({ message, currentUser }) => {
     : 'text-xs text-gray-600';
 
   return (
-    <div className={`message-container flex ${isMatrixUser ? 'justify-end' : 'justify-start'} mb-4`}>
+    <div
+      data-message-id={message.message_id || message.id}
+      className={`message-container group flex ${isMatrixUser ? 'justify-end' : 'justify-start'} mb-4`}
+    >
       <div className={`max-w-[70%] px-4 py-2 ${bubbleClass}`}>
         <div className="flex flex-col">
           <div className={senderNameClass}>
             {isMatrixUser ? 'You' : message.sender_name || 'Contact'}
           </div>
           <div className="text-sm" style={{ letterSpacing: '-0.3px' }}>
-            {getMessageContent(message.content)}
+            {formattedContent ? <FormattedMessageBody content={formattedContent} /> : messageContent}
           </div>
-          <div className="flex justify-end mt-1">
+          <div className="flex justify-end items-center mt-1">
+            {onTogglePin && (
+              <button
+                onClick={() => onTogglePin(message)}
+                className={`mr-auto w-auto p-0 bg-transparent ${timestampClass} ${isPinned ? '' : 'opacity-0 group-hover:opacity-100'} transition-opacity`}
+                title={isPinned ? 'Unpin' : 'Pin'}
+                aria-label={isPinned ? 'Unpin message' : 'Pin message'}
+              >
+                <FiBookmark className={`w-3 h-3 ${isPinned ? 'fill-current' : ''}`} />
+              </button>
+            )}
+            {onToggleBookmark && (
+              <button
+                onClick={() => onToggleBookmark(message)}
+                className={`${onTogglePin ? 'mr-2' : 'mr-auto'} w-auto p-0 bg-transparent ${timestampClass} ${isBookmarked ? '' : 'opacity-0 group-hover:opacity-100'} transition-opacity`}
+                title={isBookmarked ? 'Remove from saved' : 'Save'}
+                aria-label={isBookmarked ? 'Remove from saved messages' : 'Save message'}
+              >
+                <FiStar className={`w-3 h-3 ${isBookmarked ? 'fill-current' : ''}`} />
+              </button>
+            )}
             <div className={timestampClass}>{messageTime}</div>
+            {isMatrixUser && (
+              <MessageStatusTicks status={message.status} className={timestampClass} readClassName="text-[#34B7F1]" />
+            )}
           </div>
         </div>
       </div>
@@ -79,7 +129,12 @@ MessageItem.propTypes = {
     timestamp: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
     status: PropTypes.string
   }).isRequired,
-  currentUser: PropTypes.object.isRequired
+  currentUser: PropTypes.object.isRequired,
+  isPinned: PropTypes.bool,
+  onTogglePin: PropTypes.func,
+  isBookmarked: PropTypes.bool,
+  onToggleBookmark: PropTypes.func,
+  mentionKeywords: PropTypes.arrayOf(PropTypes.string)
 };
 
 export default MessageItem;
\ No newline at end of file
@@ -0,0 +1,141 @@
+import PropTypes from 'prop-types';
+import { FiFile, FiDownload, FiPlay } from 'react-icons/fi';
+import { toast } from 'react-hot-toast';
+import { downloadMediaFile } from '../utils/mediaUtils';
+import { formatFileSize } from '../utils/mediaUpload';
+import useCachedMediaUrl, { PLACEHOLDER_IMAGE } from '../hooks/useCachedMediaUrl';
+import logger from '../utils/logger';
+
+/**
+ * Pick the thumbnail to show inline for an image or video
+ * @param {Object} content - Message content
+ * @returns {Object} - { url, options } for useCachedMediaUrl
+ */
+const getInlinePreview = (content) => {
+  const info = content.info || {};
+
+  // Prefer the uploader's thumbnail; videos have nothing else to show inline
+  if (info.thumbnail_url || content.msgtype === 'm.video') {
+    return { url: info.thumbnail_url || null, options: {} };
+  }
+
+  const isLargeImage = info.w > 800 || info.h > 800;
+  return {
+    url: content.url,
+    options: isLargeImage ? { type: 'thumbnail', width: 800, height: 800, method: 'scale' } : {}
+  };
+};
+
+/**
+ * Render the media part of an m.image / m.video / m.audio / m.file message
+ */
+const MessageMedia = ({ content, client, onOpen }) => {
+  const { msgtype, body, info = {} } = content;
+  const isVoice = !!content['org.matrix.msc3245.voice'];
+  const isVisual = msgtype === 'm.image' || msgtype === 'm.video';
+  const preview = getInlinePreview(content);
+  const previewUrl = useCachedMediaUrl(client, preview.url, preview.options, isVisual);
+  // Audio is small enough to cache up front so voice notes play offline
+  const audioUrl = useCachedMediaUrl(client, content.url, {}, msgtype === 'm.audio');
+
+  const handleDownload = async (e) => {
+    e.stopPropagation();
+    try {
+      const started = await downloadMediaFile(client, content.url, body || 'download');
+      if (!started) toast.error('Could not download this file');
+    } catch (error) {
+      logger.error('[MessageMedia] Error downloading file:', error);
+      toast.error('Could not download this file');
+    }
+  };
+
+  if (isVisual) {
+    const isVideo = msgtype === 'm.video';
+
+    return (
+      <div className="mt-1">
+        <button
+          type="button"
+          onClick={(e) => {
+            e.stopPropagation();
+            onOpen?.();
+          }}
+          className="relative block p-0 w-auto bg-transparent rounded-md overflow-hidden"
+          title={isVideo ? 'Play video' : 'View image'}
+        >
+          {previewUrl ? (
+            <img
+              src={previewUrl}
+              alt={body || (isVideo ? 'Video' : 'Image')}
+              className="max-w-full rounded-md max-h-[200px] object-contain bg-neutral-950/50"
+              onError={(e) => {
+                e.target.onerror = null;
+                e.target.src = PLACEHOLDER_IMAGE;
+              }}
+            />
+          ) : (
+            <div className="w-48 h-28 rounded-md bg-neutral-950/50 animate-pulse" />
+          )}
+          {isVideo && (
+            <span className="absolute inset-0 flex items-center justify-center">
+              <span className="p-3 rounded-full bg-black/60 text-white">
+                <FiPlay className="w-5 h-5" />
+              </span>
+            </span>
+          )}
+        </button>
+        {body && body !== 'Image' && (
+          <div className="mt-1 text-xs text-gray-400">{body}</div>
+        )}
+      </div>
+    );
+  }
+
+  if (msgtype === 'm.audio') {
+    return (
+      <div className="mt-1 flex items-center gap-2">
+        <audio src={audioUrl || undefined} controls preload="metadata" className="max-w-full" />
+        {!isVoice && (
+          <button
+            type="button"
+            onClick={handleDownload}
+            className="p-1 w-auto rounded-full bg-transparent text-gray-300 hover:text-white"
+            title={`Download ${body || 'audio'}`}
+          >
+            <FiDownload className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={handleDownload}
+      className="mt-1 flex items-center gap-3 p-2 w-full text-left rounded-md bg-black/20 hover:bg-black/30 text-white"
+      title="Download file"
+    >
+      <FiFile className="w-6 h-6 flex-shrink-0" />
+      <div className="min-w-0 flex-1">
+        <div className="text-sm truncate">{body || 'File'}</div>
+        {info.size > 0 && <div className="text-xs text-gray-400">{formatFileSize(info.size)}</div>}
+      </div>
+      <FiDownload className="w-4 h-4 flex-shrink-0" />
+    </button>
+  );
+};
+
+MessageMedia.propTypes = {
+  content: PropTypes.shape({
+    msgtype: PropTypes.string.isRequired,
+    body: PropTypes.string,
+    url: PropTypes.string,
+    info: PropTypes.object,
+    'org.matrix.msc3245.voice': PropTypes.object
+  }).isRequired,
+  client: PropTypes.object,
+  onOpen: PropTypes.func
+};
+
+export default MessageMedia;
@@ -0,0 +1,56 @@
+import PropTypes from 'prop-types';
+import { aggregateReactions } from '../utils/reactionUtils';
+import { getDisplayNameFromUserId } from '../utils/replyUtils';
+
+/**
+ * Aggregated reaction chips shown under a message bubble.
+ * Clicking a chip adds or removes the current user's reaction with that emoji.
+ */
+const MessageReactions = ({ reactions, currentUserId, room, isFromMe = false, onToggle }) => {
+  const groups = aggregateReactions(reactions, currentUserId);
+  if (groups.length === 0) return null;
+
+  const getName = (userId) => {
+    if (userId === currentUserId) return 'You';
+    const member = room?.getMember?.(userId);
+    return member?.name || getDisplayNameFromUserId(userId);
+  };
+
+  return (
+    <div className={`flex flex-wrap gap-1 mt-1 ${isFromMe ? 'justify-end' : 'justify-start'}`}>
+      {groups.map(group => (
+        <button
+          key={group.key}
+          onClick={(e) => {
+            e.stopPropagation();
+            onToggle(group.key);
+          }}
+          title={group.senders.map(getName).join(', ')}
+          className={`flex items-center gap-1 px-2 py-0.5 rounded-full text-xs border transition-colors ${
+            group.ownReaction
+              ? 'bg-purple-600/30 border-purple-500 text-white'
+              : 'bg-neutral-800 border-white/10 text-gray-300 hover:bg-neutral-700'
+          }`}
+        >
+          <span>{group.key}</span>
+          <span>{group.count}</span>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+MessageReactions.propTypes = {
+  reactions: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    sender: PropTypes.string,
+    eventId: PropTypes.string,
+    timestamp: PropTypes.number
+  })),
+  currentUserId: PropTypes.string,
+  room: PropTypes.object,
+  isFromMe: PropTypes.bool,
+  onToggle: PropTypes.func.isRequired
+};
+
+export default MessageReactions;
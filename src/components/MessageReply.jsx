@@ -1,10 +1,12 @@
 import React from 'react';
+import PropTypes from 'prop-types';
 import logger from '../utils/logger';
 
 /**
- * Component to display a reply within a message
+ * Component to display a reply within a message. With onClick set, clicking
+ * the quote jumps to the message it quotes.
  */
-const MessageReply = ({ replyToEvent, client }) => {
+const MessageReply = ({ replyToEvent, client, onClick }) => {
   if (!replyToEvent) return null;
 
   // Get sender information with improved reliability
@@ -233,7 +235,25 @@ const MessageReply = ({ replyToEvent, client }) => {
   };
 
   return (
-    <div className="border-l-2 pl-2 mb-2 text-xs bg-neutral-700/40 p-2 rounded-lg shadow-sm" style={{ borderColor: getSenderColor() }}>
+    <div
+      className={`border-l-2 pl-2 mb-2 text-xs bg-neutral-700/40 p-2 rounded-lg shadow-sm ${onClick ? 'cursor-pointer hover:bg-neutral-700/70 transition-colors' : ''}`}
+      style={{ borderColor: getSenderColor() }}
+      {...(onClick && {
+        role: 'button',
+        tabIndex: 0,
+        title: 'Go to message',
+        onClick: (e) => {
+          e.stopPropagation();
+          onClick();
+        },
+        onKeyDown: (e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            onClick();
+          }
+        }
+      })}
+    >
       <div className="font-medium flex items-center gap-1" style={{ color: getSenderColor() }}>
         <svg xmlns="http://www.w3.org/2000/svg" className="h-3 w-3 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6" />
@@ -249,4 +269,10 @@ const MessageReply = ({ replyToEvent, client }) => {
   );
 };
 
+MessageReply.propTypes = {
+  replyToEvent: PropTypes.object,
+  client: PropTypes.object,
+  onClick: PropTypes.func
+};
+
 export default MessageReply;
@@ -0,0 +1,266 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { FiSearch, FiX } from 'react-icons/fi';
+import { format } from 'date-fns';
+import messageSearchIndex, { tokenize } from '../utils/messageSearchIndex';
+import { getSupportedPlatforms, getPlatformAdapter } from '../utils/platformAdapters';
+import { PlatformBadge } from './PlatformAdapter';
+import logger from '../utils/logger';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Fold text the way tokenize does (lowercase, no diacritics), remembering where
+ * each folded character came from so matches can be mapped back
+ * @param {string} text - Original text
+ * @returns {Object} - { folded, starts, ends } with original offsets per folded character
+ */
+const foldWithOffsets = (text) => {
+  let folded = '';
+  const starts = [];
+  const ends = [];
+  let offset = 0;
+
+  for (const char of text) {
+    const foldedChar = char.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+    for (let i = 0; i < foldedChar.length; i++) {
+      starts.push(offset);
+      ends.push(offset + char.length);
+    }
+    folded += foldedChar;
+    offset += char.length;
+  }
+
+  return { folded, starts, ends };
+};
+
+/**
+ * Wrap the query terms inside a snippet in <mark> tags. Matching runs on the folded
+ * text, so "cafe" highlights "café" just as the search finds it.
+ * @param {string} snippet - Result snippet
+ * @param {string} query - Search query
+ * @returns {Array|string} - Snippet with highlighted terms
+ */
+const highlightSnippet = (snippet, query) => {
+  const tokens = tokenize(query);
+  if (!snippet || tokens.length === 0) return snippet;
+
+  const { folded, starts, ends } = foldWithOffsets(snippet);
+  const pattern = new RegExp(tokens.map(escapeRegExp).join('|'), 'g');
+  const parts = [];
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(folded)) !== null) {
+    const start = starts[match.index];
+    const end = ends[match.index + match[0].length - 1];
+    if (start < last) continue;
+
+    if (start > last) parts.push(snippet.slice(last, start));
+    parts.push(
+      <mark key={start} className="bg-purple-500/40 text-white rounded px-0.5">{snippet.slice(start, end)}</mark>
+    );
+    last = end;
+  }
+
+  if (parts.length === 0) return snippet;
+  if (last < snippet.length) parts.push(snippet.slice(last));
+  return parts;
+};
+
+const MessageSearchPanel = ({ isOpen, onClose, onSelectResult, platforms }) => {
+  const [query, setQuery] = useState('');
+  const [platformFilter, setPlatformFilter] = useState('');
+  const [contactFilter, setContactFilter] = useState('');
+  const [senderFilter, setSenderFilter] = useState('');
+  const [dateFrom, setDateFrom] = useState('');
+  const [dateTo, setDateTo] = useState('');
+  const [ready, setReady] = useState(messageSearchIndex.initialized);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    inputRef.current?.focus();
+    messageSearchIndex.initialize()
+      .then(() => setReady(true))
+      .catch(error => logger.error('[MessageSearchPanel] Error preparing search index:', error));
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, onClose]);
+
+  const availablePlatforms = useMemo(
+    () => getSupportedPlatforms().filter(platform => !platforms || platforms.includes(platform)),
+    [platforms]
+  );
+
+  // Re-read facets whenever the panel opens, new messages may have been indexed since
+  const facets = useMemo(
+    () => (isOpen && ready ? messageSearchIndex.getFacets() : { contacts: [], senders: [] }),
+    [isOpen, ready]
+  );
+
+  const contactOptions = facets.contacts.filter(contact => !platformFilter || contact.platform === platformFilter);
+
+  const hasFilters = !!(platformFilter || contactFilter || senderFilter || dateFrom || dateTo);
+
+  const results = useMemo(() => {
+    if (!ready || (!query.trim() && !hasFilters)) return [];
+
+    // Contact values are "platform:roomId"; Matrix room IDs contain colons themselves
+    const separatorIndex = contactFilter.indexOf(':');
+    const contactPlatform = contactFilter ? contactFilter.slice(0, separatorIndex) : '';
+    const contactRoomId = contactFilter ? contactFilter.slice(separatorIndex + 1) : '';
+
+    return messageSearchIndex.search(query, {
+      platform: platformFilter || contactPlatform || undefined,
+      roomId: contactRoomId || undefined,
+      sender: senderFilter.trim() || undefined,
+      dateFrom: dateFrom ? new Date(`${dateFrom}T00:00:00`).getTime() : undefined,
+      dateTo: dateTo ? new Date(`${dateTo}T23:59:59.999`).getTime() : undefined
+    });
+  }, [ready, query, hasFilters, platformFilter, contactFilter, senderFilter, dateFrom, dateTo]);
+
+  if (!isOpen) return null;
+
+  const inputClassName = 'bg-neutral-900 border border-white/10 rounded-lg px-3 py-2 text-sm text-gray-200 focus:outline-none focus:border-purple-500';
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/75 flex items-start justify-center z-[9999] pt-[10vh]"
+      onMouseDown={(event) => {
+        if (event.target === event.currentTarget) onClose();
+      }}
+    >
+      <div className="bg-neutral-800 bg-opacity-95 rounded-lg shadow-xl w-[640px] max-w-[95vw] max-h-[75vh] flex flex-col">
+        <div className="flex items-center gap-3 p-4 border-b border-white/10">
+          <FiSearch className="w-5 h-5 text-gray-400 flex-shrink-0" />
+          <input
+            ref={inputRef}
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search messages"
+            className="flex-1 bg-transparent text-white placeholder-gray-500 focus:outline-none"
+          />
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white transition-colors w-auto bg-transparent"
+            aria-label="Close search"
+          >
+            <FiX className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-2 p-4 border-b border-white/10">
+          {availablePlatforms.length > 1 && (
+            <select
+              value={platformFilter}
+              onChange={(e) => {
+                setPlatformFilter(e.target.value);
+                setContactFilter('');
+              }}
+              className={inputClassName}
+            >
+              <option value="">All platforms</option>
+              {availablePlatforms.map(platform => (
+                <option key={platform} value={platform}>{getPlatformAdapter(platform)?.label || platform}</option>
+              ))}
+            </select>
+          )}
+          <select
+            value={contactFilter}
+            onChange={(e) => setContactFilter(e.target.value)}
+            className={inputClassName}
+          >
+            <option value="">All chats</option>
+            {contactOptions.map(contact => (
+              <option key={`${contact.platform}:${contact.roomId}`} value={`${contact.platform}:${contact.roomId}`}>
+                {contact.roomName}
+              </option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={senderFilter}
+            onChange={(e) => setSenderFilter(e.target.value)}
+            placeholder="Sender"
+            list="message-search-senders"
+            className={inputClassName}
+          />
+          <datalist id="message-search-senders">
+            {facets.senders.map(sender => <option key={sender} value={sender} />)}
+          </datalist>
+          <input
+            type="date"
+            value={dateFrom}
+            onChange={(e) => setDateFrom(e.target.value)}
+            title="From date"
+            className={inputClassName}
+          />
+          <input
+            type="date"
+            value={dateTo}
+            onChange={(e) => setDateTo(e.target.value)}
+            title="To date"
+            className={inputClassName}
+          />
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {!ready ? (
+            <div className="p-6 text-center text-sm text-gray-400">Preparing search...</div>
+          ) : !query.trim() && !hasFilters ? (
+            <div className="p-6 text-center text-sm text-gray-500">
+              Search covers messages from chats you have opened on this device.
+            </div>
+          ) : results.length === 0 ? (
+            <div className="p-6 text-center text-sm text-gray-400">No messages found</div>
+          ) : (
+            results.map(result => (
+              <button
+                key={result.id}
+                onClick={() => onSelectResult(result)}
+                className="w-full text-left px-4 py-3 border-b border-white/5 bg-transparent hover:bg-neutral-700 transition-colors"
+              >
+                <div className="flex items-center gap-2 mb-1">
+                  <PlatformBadge platform={result.platform} />
+                  <span className="text-sm font-medium text-white truncate">{result.roomName || result.roomId}</span>
+                  <span className="text-xs text-gray-400 truncate">{result.isFromMe ? 'You' : result.senderName}</span>
+                  {result.imported && (
+                    <span className="text-[10px] uppercase tracking-wide text-gray-400 bg-neutral-700 rounded px-1.5 py-0.5 flex-shrink-0">
+                      Imported
+                    </span>
+                  )}
+                  {result.timestamp > 0 && (
+                    <span className="ml-auto text-xs text-gray-500 flex-shrink-0">
+                      {format(new Date(result.timestamp), 'MMM d, yyyy HH:mm')}
+                    </span>
+                  )}
+                </div>
+                <p className="text-sm text-gray-300 line-clamp-2">{highlightSnippet(result.snippet, query)}</p>
+              </button>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+MessageSearchPanel.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSelectResult: PropTypes.func.isRequired,
+  platforms: PropTypes.arrayOf(PropTypes.string)
+};
+
+export default MessageSearchPanel;
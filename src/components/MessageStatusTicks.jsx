@@ -0,0 +1,39 @@
+import PropTypes from 'prop-types';
+import { BsCheck, BsCheckAll, BsClock, BsExclamationCircle } from 'react-icons/bs';
+
+const STATUS_LABELS = {
+  sending: 'Sending',
+  sent: 'Sent',
+  delivered: 'Delivered',
+  read: 'Read',
+  failed: 'Failed to send'
+};
+
+/**
+ * Sent/delivered/read ticks for outgoing messages
+ */
+const MessageStatusTicks = ({ status, className = '', readClassName = 'text-sky-400' }) => {
+  if (!status || !STATUS_LABELS[status]) return null;
+
+  const icon = {
+    sending: <BsClock className="w-3 h-3" />,
+    sent: <BsCheck className="w-4 h-4" />,
+    delivered: <BsCheckAll className="w-4 h-4" />,
+    read: <BsCheckAll className={`w-4 h-4 ${readClassName}`} />,
+    failed: <BsExclamationCircle className="w-3 h-3 text-red-400" />
+  }[status];
+
+  return (
+    <span className={`inline-flex items-center ml-1 ${className}`} title={STATUS_LABELS[status]} aria-label={STATUS_LABELS[status]}>
+      {icon}
+    </span>
+  );
+};
+
+MessageStatusTicks.propTypes = {
+  status: PropTypes.string,
+  className: PropTypes.string,
+  readClassName: PropTypes.string
+};
+
+export default MessageStatusTicks;
@@ -0,0 +1,21 @@
+import PropTypes from 'prop-types';
+
+/**
+ * "New messages" line shown above the first unread message
+ */
+const NewMessagesDivider = ({ count, className = 'text-[#0088cc]' }) => (
+  <div className={`flex items-center gap-3 my-4 select-none ${className}`} data-unread-divider role="separator">
+    <div className="flex-1 h-px bg-current opacity-40" />
+    <span className="text-xs font-medium uppercase tracking-wide">
+      {count > 0 ? `${count} new ${count === 1 ? 'message' : 'messages'}` : 'New messages'}
+    </span>
+    <div className="flex-1 h-px bg-current opacity-40" />
+  </div>
+);
+
+NewMessagesDivider.propTypes = {
+  count: PropTypes.number,
+  className: PropTypes.string
+};
+
+export default NewMessagesDivider;
@@ -0,0 +1,119 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { FiBookmark, FiChevronDown, FiChevronUp, FiX } from 'react-icons/fi';
+
+/**
+ * Banner above the timeline showing a chat's pinned messages.
+ * Clicking it jumps to the pin shown and moves on to the previous one, so
+ * repeated clicks cycle through every pin; the chevron expands the full list.
+ */
+const PinnedMessagesBanner = ({
+  pins,
+  onJump,
+  onUnpin,
+  accentClassName = 'text-[#0088cc] border-[#0088cc]',
+  className = 'bg-neutral-900 border-white/10 text-white'
+}) => {
+  // Start from the most recent pin
+  const [index, setIndex] = useState(pins.length - 1);
+  const [expanded, setExpanded] = useState(false);
+
+  useEffect(() => {
+    setIndex(pins.length - 1);
+  }, [pins.length]);
+
+  if (pins.length === 0) return null;
+
+  const currentIndex = Math.min(Math.max(index, 0), pins.length - 1);
+  const currentPin = pins[currentIndex];
+
+  const handleJump = () => {
+    onJump(currentPin);
+    setIndex(currentIndex === 0 ? pins.length - 1 : currentIndex - 1);
+  };
+
+  return (
+    <div className={`border-b text-sm ${className}`}>
+      <div className="flex items-center px-3 py-2 gap-2">
+        <button
+          className={`flex-1 min-w-0 flex items-center gap-2 w-auto text-left bg-transparent border-l-2 pl-2 ${accentClassName}`}
+          onClick={handleJump}
+          title="Jump to pinned message"
+        >
+          <FiBookmark className="flex-shrink-0" />
+          <div className="min-w-0">
+            <div className="text-xs font-medium">
+              {pins.length > 1 ? `Pinned message ${currentIndex + 1} of ${pins.length}` : 'Pinned message'}
+            </div>
+            <div className="truncate opacity-80">
+              {currentPin.senderName && <span className="font-medium">{currentPin.senderName}: </span>}
+              {currentPin.body}
+            </div>
+          </div>
+        </button>
+        {pins.length > 1 && (
+          <button
+            className="w-auto p-1 bg-transparent opacity-70 hover:opacity-100"
+            onClick={() => setExpanded(!expanded)}
+            aria-label={expanded ? 'Hide pinned messages' : 'Show all pinned messages'}
+          >
+            {expanded ? <FiChevronUp /> : <FiChevronDown />}
+          </button>
+        )}
+        {onUnpin && !expanded && (
+          <button
+            className="w-auto p-1 bg-transparent opacity-70 hover:opacity-100"
+            onClick={() => onUnpin(currentPin)}
+            aria-label="Unpin message"
+            title="Unpin"
+          >
+            <FiX />
+          </button>
+        )}
+      </div>
+
+      {expanded && (
+        <ul className="max-h-48 overflow-y-auto pb-2">
+          {[...pins].reverse().map(pin => (
+            <li key={pin.id} className="flex items-center px-3 py-1 gap-2 hover:bg-white/5">
+              <button
+                className="flex-1 min-w-0 w-auto text-left bg-transparent truncate"
+                onClick={() => {
+                  onJump(pin);
+                  setExpanded(false);
+                }}
+              >
+                {pin.senderName && <span className="font-medium">{pin.senderName}: </span>}
+                <span className="opacity-80">{pin.body}</span>
+              </button>
+              {onUnpin && (
+                <button
+                  className="w-auto p-1 bg-transparent opacity-70 hover:opacity-100"
+                  onClick={() => onUnpin(pin)}
+                  aria-label="Unpin message"
+                  title="Unpin"
+                >
+                  <FiX />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+PinnedMessagesBanner.propTypes = {
+  pins: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    body: PropTypes.string,
+    senderName: PropTypes.string
+  })).isRequired,
+  onJump: PropTypes.func.isRequired,
+  onUnpin: PropTypes.func,
+  accentClassName: PropTypes.string,
+  className: PropTypes.string
+};
+
+export default PinnedMessagesBanner;
@@ -0,0 +1,211 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import PropTypes from 'prop-types';
+import { format } from 'date-fns';
+import { FaTelegram, FaWhatsapp } from 'react-icons/fa';
+import { useMatrixClient } from '../context/MatrixClientContext';
+import { fetchMessages, selectMessages } from '../store/slices/messageSlice';
+import matrixTimelineManager from '../utils/matrixTimelineManager';
+import logger from '../utils/logger';
+import labelManager from '../utils/labelManager';
+import { normalizeTelegramMessage, normalizeWhatsAppMessage } from '../utils/conversationNormalizers';
+import useLabels from '../hooks/useLabels';
+import MessageViewer from './MessageViewer';
+import LabelBadges from './LabelBadges';
+
+/**
+ * PlatformAdapter
+ *
+ * The per-platform components of the adapters in utils/platformAdapters: a
+ * message viewer for each platform, and the chat list they all share.
+ */
+
+// ────────────────────────────────────────────────────────────────────────────────
+// Telegram (Matrix bridge)
+// ────────────────────────────────────────────────────────────────────────────────
+
+export const TelegramMessageViewer = ({ roomId, activeComponent }) => {
+  const { client } = useMatrixClient() || {};
+  const [messages, setMessages] = useState([]);
+
+  useEffect(() => {
+    if (!client || !roomId) return undefined;
+
+    let isMounted = true;
+
+    const load = async () => {
+      try {
+        if (!matrixTimelineManager.initialized) {
+          matrixTimelineManager.initialize(client);
+        }
+        const loaded = await matrixTimelineManager.loadMessages(roomId, { limit: 50 });
+        if (isMounted) {
+          setMessages((loaded || []).map(normalizeTelegramMessage));
+        }
+      } catch (error) {
+        logger.error('[PlatformAdapter] Error loading Telegram messages:', error);
+      }
+    };
+
+    const handleTimelineUpdate = (event) => {
+      if (event.detail?.roomId === roomId) {
+        load();
+      }
+    };
+
+    load();
+    window.addEventListener('matrix-timeline-update', handleTimelineUpdate);
+
+    return () => {
+      isMounted = false;
+      window.removeEventListener('matrix-timeline-update', handleTimelineUpdate);
+    };
+  }, [client, roomId]);
+
+  return <MessageViewer messages={messages} activeComponent={activeComponent} />;
+};
+
+TelegramMessageViewer.propTypes = {
+  roomId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  activeComponent: PropTypes.string
+};
+
+// ────────────────────────────────────────────────────────────────────────────────
+// WhatsApp (backend API)
+// ────────────────────────────────────────────────────────────────────────────────
+
+export const WhatsAppMessageViewer = ({ roomId, activeComponent }) => {
+  const dispatch = useDispatch();
+  const rawMessages = useSelector(state => selectMessages(state, roomId));
+
+  useEffect(() => {
+    if (roomId) {
+      dispatch(fetchMessages({ contactId: roomId }));
+    }
+  }, [dispatch, roomId]);
+
+  const messages = useMemo(
+    () => rawMessages.map(message => normalizeWhatsAppMessage(message, roomId)),
+    [rawMessages, roomId]
+  );
+
+  return <MessageViewer messages={messages} activeComponent={activeComponent} />;
+};
+
+WhatsAppMessageViewer.propTypes = {
+  roomId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  activeComponent: PropTypes.string
+};
+
+// ────────────────────────────────────────────────────────────────────────────────
+// Shared list rendering
+// ────────────────────────────────────────────────────────────────────────────────
+
+const PLATFORM_BADGES = {
+  telegram: { icon: FaTelegram, label: 'Telegram', className: 'bg-[#0088cc]/20 text-[#0088cc]' },
+  whatsapp: { icon: FaWhatsapp, label: 'WhatsApp', className: 'bg-[#25D366]/20 text-[#25D366]' }
+};
+
+export const PlatformBadge = ({ platform }) => {
+  const badge = PLATFORM_BADGES[platform];
+  if (!badge) return null;
+  const Icon = badge.icon;
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1 px-1.5 py-0.5 rounded text-[10px] font-medium flex-shrink-0 ${badge.className}`}
+      title={badge.label}
+    >
+      <Icon className="w-3 h-3" />
+      {badge.label}
+    </span>
+  );
+};
+
+PlatformBadge.propTypes = {
+  platform: PropTypes.string.isRequired
+};
+
+export const ChatListItem = ({ conversation, onSelectRoom, isSelected, showPlatformBadge = false, labels = [] }) => (
+  <div
+    className={`flex items-center px-4 py-3 cursor-pointer hover:bg-dark-lighter ${isSelected ? 'bg-dark-lighter' : ''}`}
+    onClick={() => onSelectRoom(conversation)}
+  >
+    <div className="w-10 h-10 rounded-full bg-[#757575] flex items-center justify-center flex-shrink-0 overflow-hidden">
+      {conversation.avatar ? (
+        <img src={conversation.avatar} alt={conversation.name} className="w-full h-full object-cover" />
+      ) : (
+        <span className="text-white font-medium">{conversation.name.charAt(0).toUpperCase()}</span>
+      )}
+    </div>
+    <div className="ml-3 flex-1 min-w-0">
+      <div className="flex justify-between items-start">
+        <h3 className="text-white font-medium truncate flex items-center gap-2">
+          <span className="truncate">{conversation.name}</span>
+          {showPlatformBadge && <PlatformBadge platform={conversation.platform} />}
+        </h3>
+        <LabelBadges labels={labels} className="ml-auto pl-2 self-center" />
+        {conversation.timestamp > 0 && (
+          <span className="text-xs text-gray-400 flex-shrink-0 ml-2">
+            {format(new Date(conversation.timestamp), 'HH:mm')}
+          </span>
+        )}
+      </div>
+      <div className="flex justify-between items-center">
+        <p className="text-sm text-gray-400 truncate">{conversation.lastMessage}</p>
+        {conversation.unreadCount > 0 && (
+          <span className="ml-2 min-w-[1.25rem] h-5 px-1.5 rounded-full bg-purple-600 text-white text-xs flex items-center justify-center flex-shrink-0">
+            {conversation.unreadCount > 99 ? '99+' : conversation.unreadCount}
+          </span>
+        )}
+      </div>
+    </div>
+  </div>
+);
+
+ChatListItem.propTypes = {
+  conversation: PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    platform: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    avatar: PropTypes.string,
+    lastMessage: PropTypes.string,
+    timestamp: PropTypes.number,
+    unreadCount: PropTypes.number
+  }).isRequired,
+  onSelectRoom: PropTypes.func.isRequired,
+  isSelected: PropTypes.bool,
+  showPlatformBadge: PropTypes.bool,
+  labels: PropTypes.array
+};
+
+export const ChatList = ({ conversations, onSelectRoom, selectedRoom, showPlatformBadge = false }) => {
+  // Re-renders the list when labels are assigned, so the badges stay current
+  useLabels();
+
+  if (!conversations || conversations.length === 0) {
+    return <div className="p-4 text-sm text-gray-400">No conversations yet</div>;
+  }
+
+  return (
+    <div className="flex flex-col overflow-y-auto">
+      {conversations.map(conversation => (
+        <ChatListItem
+          key={`${conversation.platform}_${conversation.id}`}
+          conversation={conversation}
+          onSelectRoom={onSelectRoom}
+          isSelected={selectedRoom === conversation.id}
+          showPlatformBadge={showPlatformBadge}
+          labels={labelManager.getContactLabels(conversation.platform, conversation.id)}
+        />
+      ))}
+    </div>
+  );
+};
+
+ChatList.propTypes = {
+  conversations: PropTypes.array,
+  onSelectRoom: PropTypes.func.isRequired,
+  selectedRoom: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  showPlatformBadge: PropTypes.bool
+};
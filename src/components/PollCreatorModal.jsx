@@ -0,0 +1,176 @@
+import { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { FiBarChart2, FiPlus, FiX } from 'react-icons/fi';
+import { MAX_POLL_ANSWERS, POLL_KIND } from '../utils/pollUtils';
+
+const MIN_POLL_ANSWERS = 2;
+
+/**
+ * Dialog for writing a poll's question and answers before sending it
+ */
+const PollCreatorModal = ({ isOpen, onClose, onSubmit }) => {
+  const [question, setQuestion] = useState('');
+  const [answers, setAnswers] = useState(['', '']);
+  const [allowMultiple, setAllowMultiple] = useState(false);
+  const [hideResults, setHideResults] = useState(false);
+  const [sending, setSending] = useState(false);
+  const questionRef = useRef(null);
+
+  // Start from a blank poll each time the dialog opens
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setQuestion('');
+    setAnswers(['', '']);
+    setAllowMultiple(false);
+    setHideResults(false);
+    setSending(false);
+    questionRef.current?.focus();
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const filledAnswers = answers.map(answer => answer.trim()).filter(Boolean);
+  const canSubmit = question.trim() && filledAnswers.length >= MIN_POLL_ANSWERS && !sending;
+
+  const updateAnswer = (index, value) => {
+    setAnswers(prevAnswers => prevAnswers.map((answer, i) => (i === index ? value : answer)));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+
+    setSending(true);
+    const sent = await onSubmit({
+      question: question.trim(),
+      answers: filledAnswers,
+      kind: hideResults ? POLL_KIND.UNDISCLOSED : POLL_KIND.DISCLOSED,
+      maxSelections: allowMultiple ? filledAnswers.length : 1
+    });
+    if (sent) {
+      onClose();
+    } else {
+      setSending(false);
+    }
+  };
+
+  const inputClassName = 'w-full bg-neutral-900 border border-white/10 rounded-lg px-3 py-2 text-sm text-gray-200 focus:outline-none focus:border-[#0088cc]';
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/75 flex items-start justify-center z-[9999] pt-[10vh]"
+      onMouseDown={(event) => {
+        if (event.target === event.currentTarget) onClose();
+      }}
+    >
+      <form
+        onSubmit={handleSubmit}
+        className="bg-neutral-800 bg-opacity-95 rounded-lg shadow-xl w-[480px] max-w-[95vw] max-h-[80vh] flex flex-col"
+      >
+        <div className="flex items-center gap-3 p-4 border-b border-white/10">
+          <FiBarChart2 className="w-5 h-5 text-[#0088cc] flex-shrink-0" />
+          <h2 className="flex-1 text-white font-medium">Create poll</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-white transition-colors w-auto bg-transparent"
+            aria-label="Close"
+          >
+            <FiX className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-3">
+          <input
+            ref={questionRef}
+            type="text"
+            value={question}
+            onChange={(e) => setQuestion(e.target.value)}
+            placeholder="Ask a question"
+            maxLength={340}
+            className={inputClassName}
+          />
+
+          {answers.map((answer, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <input
+                type="text"
+                value={answer}
+                onChange={(e) => updateAnswer(index, e.target.value)}
+                placeholder={`Option ${index + 1}`}
+                maxLength={340}
+                className={inputClassName}
+              />
+              {answers.length > MIN_POLL_ANSWERS && (
+                <button
+                  type="button"
+                  onClick={() => setAnswers(prevAnswers => prevAnswers.filter((_, i) => i !== index))}
+                  className="w-auto p-1 bg-transparent text-gray-500 hover:text-red-400"
+                  aria-label={`Remove option ${index + 1}`}
+                >
+                  <FiX className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          ))}
+
+          {answers.length < MAX_POLL_ANSWERS && (
+            <button
+              type="button"
+              onClick={() => setAnswers(prevAnswers => [...prevAnswers, ''])}
+              className="flex items-center gap-1 w-auto px-0 bg-transparent text-sm text-[#0088cc] hover:underline"
+            >
+              <FiPlus className="w-4 h-4" />
+              Add option
+            </button>
+          )}
+
+          <label className="flex items-center gap-2 text-sm text-gray-300">
+            <input type="checkbox" checked={allowMultiple} onChange={(e) => setAllowMultiple(e.target.checked)} />
+            Allow multiple answers
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-300">
+            <input type="checkbox" checked={hideResults} onChange={(e) => setHideResults(e.target.checked)} />
+            Hide results until the poll ends
+          </label>
+        </div>
+
+        <div className="flex justify-end gap-2 p-4 border-t border-white/10">
+          <button
+            type="button"
+            onClick={onClose}
+            className="w-auto px-4 py-2 rounded-lg bg-neutral-700 text-gray-200 hover:bg-neutral-600 text-sm"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!canSubmit}
+            className="w-auto px-4 py-2 rounded-lg bg-[#0088cc] text-white hover:bg-[#0077b6] text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {sending ? 'Sending...' : 'Send poll'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+PollCreatorModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSubmit: PropTypes.func.isRequired
+};
+
+export default PollCreatorModal;
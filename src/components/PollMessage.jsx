@@ -0,0 +1,155 @@
+import { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { FiBarChart2, FiCheck } from 'react-icons/fi';
+import { getPollResults, POLL_KIND } from '../utils/pollUtils';
+
+/**
+ * A poll inside a message bubble: the answers with live tallies, our own vote
+ * highlighted, and controls to vote and to end our own polls
+ */
+const PollMessage = ({ poll, currentUserId, onVote, onEnd }) => {
+  const [confirmingEnd, setConfirmingEnd] = useState(false);
+  const { counts, totalVotes, myAnswers, winningIds } = useMemo(
+    () => getPollResults(poll, currentUserId),
+    [poll, currentUserId]
+  );
+
+  const isEnded = !!poll.endedAt;
+  const showResults = isEnded || poll.kind === POLL_KIND.DISCLOSED;
+  const canVote = !isEnded && !!onVote;
+  const isMultiple = poll.maxSelections > 1;
+
+  const handleSelect = (answerId) => {
+    if (!canVote) return;
+
+    if (!isMultiple) {
+      if (!myAnswers.includes(answerId)) onVote([answerId]);
+      return;
+    }
+
+    const nextAnswers = myAnswers.includes(answerId)
+      ? myAnswers.filter(id => id !== answerId)
+      : [...myAnswers, answerId].slice(-poll.maxSelections);
+    onVote(nextAnswers);
+  };
+
+  let status;
+  if (isEnded) {
+    status = `Final results · ${totalVotes} ${totalVotes === 1 ? 'vote' : 'votes'}`;
+  } else if (!showResults) {
+    status = myAnswers.length > 0 ? 'Results will show when the poll ends' : 'Vote to take part · results are hidden until the poll ends';
+  } else {
+    status = `${totalVotes} ${totalVotes === 1 ? 'vote' : 'votes'}${isMultiple ? ` · choose up to ${poll.maxSelections}` : ''}`;
+  }
+
+  return (
+    <div className="min-w-[220px] max-w-sm">
+      <div className="flex items-start gap-2 mb-2">
+        <FiBarChart2 className="w-4 h-4 mt-0.5 flex-shrink-0 opacity-80" />
+        <div className="font-medium break-words">{poll.question}</div>
+      </div>
+
+      <div className="space-y-1.5" role={isMultiple ? 'group' : 'radiogroup'} aria-label={poll.question}>
+        {poll.answers.map(answer => {
+          const isMine = myAnswers.includes(answer.id);
+          const isWinner = isEnded && winningIds.includes(answer.id);
+          const share = showResults && totalVotes > 0 ? Math.round((counts[answer.id] / totalVotes) * 100) : 0;
+
+          return (
+            <button
+              key={answer.id}
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                handleSelect(answer.id);
+              }}
+              disabled={!canVote}
+              role={isMultiple ? 'checkbox' : 'radio'}
+              aria-checked={isMine}
+              className={`relative w-full overflow-hidden text-left px-3 py-1.5 rounded-lg border text-sm bg-black/20 transition-colors ${
+                isMine ? 'border-white/70' : 'border-white/10'
+              } ${canVote ? 'hover:bg-black/30 cursor-pointer' : 'cursor-default'}`}
+            >
+              {showResults && (
+                <span
+                  className={`absolute inset-y-0 left-0 ${isWinner ? 'bg-emerald-400/30' : 'bg-white/15'}`}
+                  style={{ width: `${share}%` }}
+                  aria-hidden="true"
+                />
+              )}
+              <span className="relative flex items-center gap-2">
+                <span className={`flex items-center justify-center w-4 h-4 flex-shrink-0 border border-white/60 ${isMultiple ? 'rounded' : 'rounded-full'} ${isMine ? 'bg-white text-neutral-900' : ''}`}>
+                  {isMine && <FiCheck className="w-3 h-3" />}
+                </span>
+                <span className={`flex-1 break-words ${isWinner ? 'font-semibold' : ''}`}>{answer.text}</span>
+                {showResults && (
+                  <span className="text-xs opacity-80">{counts[answer.id]}</span>
+                )}
+              </span>
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="flex items-center gap-2 mt-2 text-xs opacity-80">
+        <span className="flex-1">{status}</span>
+        {onEnd && !isEnded && (confirmingEnd ? (
+          <>
+            <span>End poll?</span>
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                setConfirmingEnd(false);
+                onEnd();
+              }}
+              className="w-auto p-0 bg-transparent font-medium underline"
+            >
+              End
+            </button>
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                setConfirmingEnd(false);
+              }}
+              className="w-auto p-0 bg-transparent"
+            >
+              Cancel
+            </button>
+          </>
+        ) : (
+          <button
+            type="button"
+            onClick={(e) => {
+              e.stopPropagation();
+              setConfirmingEnd(true);
+            }}
+            className="w-auto p-0 bg-transparent font-medium hover:underline"
+          >
+            End poll
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+PollMessage.propTypes = {
+  poll: PropTypes.shape({
+    question: PropTypes.string.isRequired,
+    answers: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      text: PropTypes.string.isRequired
+    })).isRequired,
+    kind: PropTypes.string,
+    maxSelections: PropTypes.number,
+    responses: PropTypes.object,
+    endedAt: PropTypes.number
+  }).isRequired,
+  currentUserId: PropTypes.string,
+  onVote: PropTypes.func,
+  onEnd: PropTypes.func
+};
+
+export default PollMessage;
@@ -0,0 +1,93 @@
+import { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { FiPlus } from 'react-icons/fi';
+
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+const EMOJI_GROUPS = [
+  { label: 'Smileys', emojis: ['😀', '😁', '😅', '🤣', '😊', '😍', '😘', '😎', '🤔', '😐', '🙄', '😴', '😬', '🤯', '😡', '🥳'] },
+  { label: 'Gestures', emojis: ['👍', '👎', '👏', '🙌', '👌', '✌️', '🤝', '💪', '🙏', '👀', '🤷', '🤦'] },
+  { label: 'Symbols', emojis: ['❤️', '💔', '🔥', '✨', '🎉', '💯', '✅', '❌', '⚡', '⭐', '💡', '📌'] }
+];
+
+/**
+ * Emoji picker popover for reacting to a message
+ */
+const ReactionPicker = ({ onSelect, onClose, align = 'left' }) => {
+  const [expanded, setExpanded] = useState(false);
+  const pickerRef = useRef(null);
+
+  // Close when clicking anywhere outside the picker
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (pickerRef.current && !pickerRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [onClose]);
+
+  const handleSelect = (emoji) => {
+    onSelect(emoji);
+    onClose();
+  };
+
+  return (
+    <div
+      ref={pickerRef}
+      className={`absolute bottom-full mb-2 ${align === 'right' ? 'right-0' : 'left-0'} z-[200] bg-neutral-900 border border-white/10 rounded-xl shadow-xl p-2`}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="flex items-center gap-1">
+        {QUICK_REACTIONS.map(emoji => (
+          <button
+            key={emoji}
+            onClick={() => handleSelect(emoji)}
+            className="w-8 h-8 flex items-center justify-center rounded-full text-lg bg-transparent hover:bg-neutral-700 transition-colors"
+            aria-label={`React with ${emoji}`}
+          >
+            {emoji}
+          </button>
+        ))}
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="w-8 h-8 flex items-center justify-center rounded-full text-gray-400 bg-neutral-800 hover:bg-neutral-700 hover:text-white transition-colors"
+          aria-label="More reactions"
+        >
+          <FiPlus size={14} />
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="mt-2 w-64 max-h-48 overflow-y-auto">
+          {EMOJI_GROUPS.map(group => (
+            <div key={group.label} className="mb-2">
+              <div className="px-1 mb-1 text-[10px] uppercase tracking-wide text-gray-500">{group.label}</div>
+              <div className="grid grid-cols-8 gap-0.5">
+                {group.emojis.map(emoji => (
+                  <button
+                    key={emoji}
+                    onClick={() => handleSelect(emoji)}
+                    className="w-7 h-7 flex items-center justify-center rounded text-base bg-transparent hover:bg-neutral-700 transition-colors"
+                  >
+                    {emoji}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+ReactionPicker.propTypes = {
+  onSelect: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+  align: PropTypes.oneOf(['left', 'right'])
+};
+
+export default ReactionPicker;
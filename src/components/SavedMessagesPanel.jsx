@@ -0,0 +1,152 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { FiStar, FiX, FiTrash2 } from 'react-icons/fi';
+import { format } from 'date-fns';
+import bookmarkManager from '../utils/bookmarkManager';
+import useBookmarks from '../hooks/useBookmarks';
+import { PlatformBadge } from './PlatformAdapter';
+
+/**
+ * Group bookmarks by the chat they're from, keeping the most recently saved chat first
+ * @param {Array} bookmarks - Bookmarks, most recently saved first
+ * @returns {Array} - [{ key, platform, roomId, roomName, bookmarks }]
+ */
+const groupByContact = (bookmarks) => {
+  const groups = new Map();
+
+  bookmarks.forEach(bookmark => {
+    const key = `${bookmark.platform}|${bookmark.roomId}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        platform: bookmark.platform,
+        roomId: bookmark.roomId,
+        roomName: bookmark.roomName,
+        bookmarks: []
+      });
+    }
+    groups.get(key).bookmarks.push(bookmark);
+  });
+
+  return Array.from(groups.values());
+};
+
+const SavedMessagesPanel = ({ isOpen, onClose, onSelectBookmark }) => {
+  const bookmarks = useBookmarks();
+  const [query, setQuery] = useState('');
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    if (isOpen) inputRef.current?.focus();
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, onClose]);
+
+  const groups = useMemo(() => {
+    const search = query.trim().toLowerCase();
+    const matching = search
+      ? bookmarks.filter(bookmark => [bookmark.preview, bookmark.senderName, bookmark.roomName]
+        .some(value => value?.toLowerCase().includes(search)))
+      : bookmarks;
+
+    return groupByContact(matching);
+  }, [bookmarks, query]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/75 flex items-start justify-center z-[9999] pt-[10vh]"
+      onMouseDown={(event) => {
+        if (event.target === event.currentTarget) onClose();
+      }}
+    >
+      <div className="bg-neutral-800 bg-opacity-95 rounded-lg shadow-xl w-[640px] max-w-[95vw] max-h-[75vh] flex flex-col">
+        <div className="flex items-center gap-3 p-4 border-b border-white/10">
+          <FiStar className="w-5 h-5 text-amber-400 flex-shrink-0" />
+          <input
+            ref={inputRef}
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search saved messages"
+            className="flex-1 bg-transparent text-white placeholder-gray-500 focus:outline-none"
+          />
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white transition-colors w-auto bg-transparent"
+            aria-label="Close saved messages"
+          >
+            <FiX className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {bookmarks.length === 0 ? (
+            <div className="p-6 text-center text-sm text-gray-500">
+              Star a message in any chat to save it here.
+            </div>
+          ) : groups.length === 0 ? (
+            <div className="p-6 text-center text-sm text-gray-400">No saved messages match</div>
+          ) : (
+            groups.map(group => (
+              <div key={group.key}>
+                <div className="sticky top-0 flex items-center gap-2 px-4 py-2 bg-neutral-900/95 border-b border-white/5">
+                  <PlatformBadge platform={group.platform} />
+                  <span className="text-sm font-medium text-white truncate">{group.roomName}</span>
+                  <span className="ml-auto text-xs text-gray-500">{group.bookmarks.length}</span>
+                </div>
+                {group.bookmarks.map(bookmark => (
+                  <div
+                    key={bookmark.id}
+                    className="group flex items-start border-b border-white/5 hover:bg-neutral-700 transition-colors"
+                  >
+                    <button
+                      onClick={() => onSelectBookmark(bookmark)}
+                      className="flex-1 min-w-0 text-left px-4 py-3 bg-transparent"
+                      title="Show in chat"
+                    >
+                      <div className="flex items-center gap-2 mb-1">
+                        <span className="text-xs text-gray-400 truncate">{bookmark.senderName}</span>
+                        {bookmark.timestamp > 0 && (
+                          <span className="ml-auto text-xs text-gray-500 flex-shrink-0">
+                            {format(new Date(bookmark.timestamp), 'MMM d, yyyy HH:mm')}
+                          </span>
+                        )}
+                      </div>
+                      <p className="text-sm text-gray-300 line-clamp-2 break-words">{bookmark.preview}</p>
+                    </button>
+                    <button
+                      onClick={() => bookmarkManager.removeBookmark(bookmark.id)}
+                      className="w-auto p-3 bg-transparent text-gray-500 hover:text-red-400 opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity"
+                      title="Remove from saved"
+                      aria-label="Remove from saved"
+                    >
+                      <FiTrash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+SavedMessagesPanel.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSelectBookmark: PropTypes.func.isRequired
+};
+
+export default SavedMessagesPanel;
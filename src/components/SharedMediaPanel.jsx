@@ -0,0 +1,270 @@
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { FiFile, FiMusic, FiLink, FiPlay, FiDownload } from 'react-icons/fi';
+import { format } from 'date-fns';
+import { toast } from 'react-hot-toast';
+import { useMatrixClient } from '../context/MatrixClientContext';
+import matrixMessageLoaderV2 from '../utils/matrixMessageLoaderV2';
+import { collectSharedItems, SHARED_ITEM_TYPES } from '../utils/sharedMediaUtils';
+import { downloadMediaFile } from '../utils/mediaUtils';
+import { formatFileSize } from '../utils/mediaUpload';
+import useCachedMediaUrl from '../hooks/useCachedMediaUrl';
+import MediaLightbox from './MediaLightbox';
+import logger from '../utils/logger';
+
+const PAGE_SIZE = 100;
+
+const FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: SHARED_ITEM_TYPES.MEDIA, label: 'Media' },
+  { id: SHARED_ITEM_TYPES.FILE, label: 'Files' },
+  { id: SHARED_ITEM_TYPES.LINK, label: 'Links' }
+];
+
+const MediaTile = ({ item, client, onOpen }) => {
+  const info = item.content.info || {};
+  const thumbnailUrl = useCachedMediaUrl(
+    client,
+    info.thumbnail_url || (item.msgtype === 'm.image' ? item.url : null),
+    info.thumbnail_url ? {} : { type: 'thumbnail', width: 200, height: 200, method: 'crop' }
+  );
+
+  return (
+    <button
+      onClick={onOpen}
+      className="relative aspect-square w-full p-0 bg-neutral-800 rounded-md overflow-hidden"
+      title={item.title}
+    >
+      {thumbnailUrl && <img src={thumbnailUrl} alt={item.title || 'Media'} className="w-full h-full object-cover" />}
+      {item.msgtype === 'm.video' && (
+        <span className="absolute inset-0 flex items-center justify-center text-white">
+          <FiPlay className="w-6 h-6 drop-shadow" />
+        </span>
+      )}
+    </button>
+  );
+};
+
+MediaTile.propTypes = {
+  item: PropTypes.object.isRequired,
+  client: PropTypes.object,
+  onOpen: PropTypes.func.isRequired
+};
+
+/**
+ * Side panel listing the images, files and links shared in a room
+ */
+const SharedMediaPanel = ({ roomId, onClose }) => {
+  const { client } = useMatrixClient() || {};
+  const [messages, setMessages] = useState([]);
+  const [hasMore, setHasMore] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [filter, setFilter] = useState('all');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [lightboxItemId, setLightboxItemId] = useState(null);
+  const loadingRef = useRef(false);
+
+  const loadOlder = useCallback(async () => {
+    if (!client || !roomId || loadingRef.current) return;
+
+    loadingRef.current = true;
+    setLoading(true);
+    try {
+      if (!matrixMessageLoaderV2.initialized) {
+        await matrixMessageLoaderV2.initialize(client);
+      }
+      const result = await matrixMessageLoaderV2.paginateBackwards(roomId, { limit: PAGE_SIZE });
+      setMessages(result.messages);
+      setHasMore(result.hasMore);
+    } catch (error) {
+      logger.error('[SharedMediaPanel] Error loading older messages:', error);
+      toast.error('Could not load older messages');
+    } finally {
+      loadingRef.current = false;
+      setLoading(false);
+    }
+  }, [client, roomId]);
+
+  // Start from what the timeline already has, then fetch one page further back
+  useEffect(() => {
+    if (!client || !roomId) return;
+
+    const room = client.getRoom(roomId);
+    if (room) {
+      if (!matrixMessageLoaderV2.initialized) {
+        matrixMessageLoaderV2.initialize(client);
+      }
+      setMessages(matrixMessageLoaderV2.processEvents(room.getLiveTimeline().getEvents(), room));
+    }
+    setHasMore(true);
+    loadOlder();
+  }, [client, roomId, loadOlder]);
+
+  const items = useMemo(() => collectSharedItems(messages), [messages]);
+
+  const visibleItems = useMemo(() => {
+    const query = searchQuery.trim().toLowerCase();
+    return items.filter(item => {
+      if (filter !== 'all' && item.type !== filter) return false;
+      if (query && !`${item.title} ${item.senderName}`.toLowerCase().includes(query)) return false;
+      return true;
+    });
+  }, [items, filter, searchQuery]);
+
+  const mediaItems = useMemo(
+    () => visibleItems.filter(item => item.type === SHARED_ITEM_TYPES.MEDIA),
+    [visibleItems]
+  );
+  const lightboxIndex = mediaItems.findIndex(item => item.id === lightboxItemId);
+
+  const handleScroll = (e) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.currentTarget;
+    if (hasMore && !loading && scrollHeight - scrollTop - clientHeight < 200) {
+      loadOlder();
+    }
+  };
+
+  const handleDownload = async (item) => {
+    try {
+      const started = await downloadMediaFile(client, item.url, item.title || 'download');
+      if (!started) toast.error('Could not download this file');
+    } catch (error) {
+      logger.error('[SharedMediaPanel] Error downloading file:', error);
+      toast.error('Could not download this file');
+    }
+  };
+
+  const renderMeta = (item) => (
+    <div className="text-xs text-gray-400 truncate">
+      {item.senderName || item.sender} · {format(new Date(item.timestamp), 'MMM d, yyyy')}
+      {item.content.info?.size > 0 && ` · ${formatFileSize(item.content.info.size)}`}
+    </div>
+  );
+
+  return (
+    <div className="h-full flex flex-col bg-neutral-900 text-white">
+      {/* Header */}
+      <div className="p-4 border-b border-white/10 flex items-center">
+        <button
+          onClick={onClose}
+          className="mr-3 w-auto p-2 rounded-full hover:bg-neutral-800 transition-colors"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+            <path d="M19 12H5M12 19l-7-7 7-7"/>
+          </svg>
+        </button>
+        <h2 className="text-lg font-medium">Shared</h2>
+      </div>
+
+      {/* Filters */}
+      <div className="p-4 space-y-3 border-b border-white/10">
+        <div className="flex gap-2">
+          {FILTERS.map(option => (
+            <button
+              key={option.id}
+              onClick={() => setFilter(option.id)}
+              className={`px-3 py-1 w-auto rounded-full text-sm transition-colors ${
+                filter === option.id ? 'bg-[#0088cc] text-white' : 'bg-neutral-800 text-gray-300 hover:bg-neutral-700'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <input
+          type="text"
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+          placeholder="Filter by name or sender..."
+          className="w-full bg-neutral-800 text-white rounded-lg px-4 py-2 focus:outline-none focus:ring-1 focus:ring-blue-500"
+        />
+      </div>
+
+      {/* Items */}
+      <div className="flex-1 overflow-y-auto p-4" onScroll={handleScroll}>
+        {filter === SHARED_ITEM_TYPES.MEDIA ? (
+          <div className="grid grid-cols-3 gap-2">
+            {mediaItems.map(item => (
+              <MediaTile key={item.id} item={item} client={client} onOpen={() => setLightboxItemId(item.id)} />
+            ))}
+          </div>
+        ) : (
+          <div className="space-y-1">
+            {visibleItems.map(item => {
+              if (item.type === SHARED_ITEM_TYPES.LINK) {
+                return (
+                  <a
+                    key={item.id}
+                    href={item.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="flex items-center gap-3 p-3 rounded-lg hover:bg-neutral-800 transition-colors text-white"
+                  >
+                    <FiLink className="w-5 h-5 flex-shrink-0 text-[#0088cc]" />
+                    <div className="min-w-0 flex-1">
+                      <div className="text-sm truncate">{item.url}</div>
+                      {renderMeta(item)}
+                    </div>
+                  </a>
+                );
+              }
+
+              const isMedia = item.type === SHARED_ITEM_TYPES.MEDIA;
+              const Icon = isMedia ? FiPlay : item.msgtype === 'm.audio' ? FiMusic : FiFile;
+              return (
+                <button
+                  key={item.id}
+                  onClick={() => (isMedia ? setLightboxItemId(item.id) : handleDownload(item))}
+                  className="w-full flex items-center gap-3 p-3 rounded-lg bg-transparent hover:bg-neutral-800 transition-colors text-left"
+                >
+                  <Icon className="w-5 h-5 flex-shrink-0 text-[#0088cc]" />
+                  <div className="min-w-0 flex-1">
+                    <div className="text-sm truncate">{item.title || 'File'}</div>
+                    {renderMeta(item)}
+                  </div>
+                  {!isMedia && <FiDownload className="w-4 h-4 flex-shrink-0 text-gray-400" />}
+                </button>
+              );
+            })}
+          </div>
+        )}
+
+        {!loading && visibleItems.length === 0 && (
+          <p className="text-center text-sm text-gray-400 py-6">
+            {hasMore ? 'Nothing found yet' : 'Nothing has been shared in this chat'}
+          </p>
+        )}
+
+        <div className="flex justify-center py-4">
+          {loading ? (
+            <div className="w-6 h-6 border-2 border-t-blue-500 border-blue-200 rounded-full animate-spin"></div>
+          ) : hasMore && (
+            <button
+              onClick={loadOlder}
+              className="px-4 py-2 w-auto text-sm bg-neutral-800 text-gray-300 rounded-lg hover:bg-neutral-700 transition-colors"
+            >
+              Load older messages
+            </button>
+          )}
+        </div>
+      </div>
+
+      {lightboxIndex >= 0 && (
+        <MediaLightbox
+          items={mediaItems.map(item => ({ ...item, id: item.messageId }))}
+          index={lightboxIndex}
+          client={client}
+          onClose={() => setLightboxItemId(null)}
+          onIndexChange={(index) => setLightboxItemId(mediaItems[index]?.id || null)}
+        />
+      )}
+    </div>
+  );
+};
+
+SharedMediaPanel.propTypes = {
+  roomId: PropTypes.string.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default SharedMediaPanel;
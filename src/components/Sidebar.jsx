@@ -1,8 +1,9 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { FiMessageSquare, FiCompass, FiSettings, FiLogOut, FiX, FiBarChart2, FiUser, FiChevronDown, FiHelpCircle } from 'react-icons/fi';
+import { FiMessageSquare, FiCompass, FiSettings, FiLogOut, FiX, FiBarChart2, FiUser, FiChevronDown, FiHelpCircle, FiSearch, FiStar, FiClock } from 'react-icons/fi';
 import { BsFillInboxesFill } from 'react-icons/bs';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useDispatch } from 'react-redux';
+import PropTypes from 'prop-types';
 import { useTheme } from '../context/ThemeContext';
 import { initiateWhatsAppRelogin } from '../store/slices/onboardingSlice';
 import { toast } from 'react-hot-toast';
@@ -23,7 +24,7 @@ import whatsappIcon from '../images/whatsapp-icon.svg';
 import matrixIcon from '../images/matrix-icon.svg';
 import telegramIcon from '../images/telegram-icon.svg'; // You'll need to add this image
 import '../styles/platformSwitcher.css';
-import platformManager from '../services/PlatformManager';
+import platformManager, { ALL_PLATFORMS } from '../services/PlatformManager';
 // import logger from '../utils/logger';
 
 const TutorialModal = ({ isOpen, onClose }) => {
@@ -107,7 +108,7 @@ const TutorialModal = ({ isOpen, onClose }) => {
   );
 };
 
-const Sidebar = ({ accounts = [], selectedPlatform, onPlatformSelect, onViewToggle, isAnalyticsView, onConnectPlatform, isCollapsed = false }) => {
+const Sidebar = ({ accounts = [], selectedPlatform, onPlatformSelect, onViewToggle, isAnalyticsView, onConnectPlatform, onSearchOpen, onSavedOpen, onSnoozedOpen, isCollapsed = false }) => {
   const navigate = useNavigate();
   const location = useLocation();
   const dispatch = useDispatch();
@@ -148,6 +149,9 @@ const Sidebar = ({ accounts = [], selectedPlatform, onPlatformSelect, onViewTogg
 
   const connectedPlatforms = getConnectedPlatforms();
   const availablePlatforms = getAvailablePlatforms();
+  const connectedPlatformIds = [...new Set(connectedPlatforms.map(p => p.id))];
+  const canMergeInboxes = connectedPlatformIds.length > 1;
+  const isMergedView = selectedPlatform === ALL_PLATFORMS;
 
   // Enhanced platform switching with proper isolation
   const handlePlatformClick = async (platform) => {
@@ -158,12 +162,20 @@ const Sidebar = ({ accounts = [], selectedPlatform, onPlatformSelect, onViewTogg
 
     logger.info(`[Sidebar] Switching from ${selectedPlatform} to ${platform}`);
 
+    const platformLabel = platform === ALL_PLATFORMS
+      ? 'all inboxes'
+      : platform.charAt(0).toUpperCase() + platform.slice(1);
+
     // Show loading toast
-    const toastId = toast.loading(`Switching to ${platform.charAt(0).toUpperCase() + platform.slice(1)}...`);
+    const toastId = toast.loading(`Switching to ${platformLabel}...`);
+
+    // The merged inbox needs Matrix too when Telegram is one of the connected platforms
+    const needsMatrix = platform === 'telegram' ||
+      (platform === ALL_PLATFORMS && connectedPlatformIds.includes('telegram'));
 
     try {
       // For Telegram, make sure Matrix is initialized first
-      if (platform === 'telegram' && !window.matrixClient) {
+      if (needsMatrix && !window.matrixClient) {
         logger.info('[Sidebar] Telegram selected but Matrix client not available, initializing Matrix first');
 
         // Dispatch an event to trigger Matrix initialization
@@ -196,7 +208,7 @@ const Sidebar = ({ accounts = [], selectedPlatform, onPlatformSelect, onViewTogg
       }
 
       // Use platform manager to handle the switch
-      const success = await platformManager.switchPlatform(platform);
+      const success = await platformManager.switchPlatform(platform, { platforms: connectedPlatformIds });
 
       if (success) {
         // Call the parent component's handler
@@ -210,13 +222,13 @@ const Sidebar = ({ accounts = [], selectedPlatform, onPlatformSelect, onViewTogg
           logger.error('[Sidebar] Error saving selected platform to localStorage:', storageError);
         }
 
-        toast.success(`Switched to ${platform.charAt(0).toUpperCase() + platform.slice(1)}`, { id: toastId });
+        toast.success(`Switched to ${platformLabel}`, { id: toastId });
       } else {
-        toast.error(`Failed to switch to ${platform}`, { id: toastId });
+        toast.error(`Failed to switch to ${platformLabel}`, { id: toastId });
       }
     } catch (error) {
       logger.error(`[Sidebar] Error switching to platform ${platform}:`, error);
-      toast.error(`Error switching to ${platform}`, { id: toastId });
+      toast.error(`Error switching to ${platformLabel}`, { id: toastId });
     }
   };
 
@@ -279,6 +291,9 @@ const Sidebar = ({ accounts = [], selectedPlatform, onPlatformSelect, onViewTogg
               className={`platform-switcher bg-zinc-700 w-full flex items-center ${isCollapsed ? 'justify-center' : 'justify-between'} ${isCollapsed ? 'px-2' : 'px-3'} py-2 rounded-lg transition-colors theme-transition ${isDarkTheme ? 'bg-neutral-800 text-white hover:bg-neutral-700' : 'bg-gray-100 text-gray-900 hover:bg-gray-200'}`}
             >
               <div className={`flex items-center bg-zinc-700 ${isCollapsed ? 'justify-center' : ''}`}>
+                {isMergedView && (
+                  <BsFillInboxesFill className={`w-5 h-5 ${isCollapsed ? '' : 'mr-2'}`} />
+                )}
                 {/* Show icon for current platform */}
                 {connectedPlatforms.find(p => p.id === selectedPlatform)?.icon && (
                   <img
@@ -290,9 +305,9 @@ const Sidebar = ({ accounts = [], selectedPlatform, onPlatformSelect, onViewTogg
                 {!isCollapsed && (
                   <div className="flex items-center space-x-2">
                     <span className="text-sm font-medium">
-                      {connectedPlatforms.find(p => p.id === selectedPlatform)?.name || selectedPlatform}
+                      {isMergedView ? 'All inboxes' : connectedPlatforms.find(p => p.id === selectedPlatform)?.name || selectedPlatform}
                     </span>
-                    <ConnectionStatusIndicator platform={selectedPlatform} size="sm" />
+                    {!isMergedView && <ConnectionStatusIndicator platform={selectedPlatform} size="sm" />}
                   </div>
                 )}
               </div>
@@ -323,6 +338,19 @@ const Sidebar = ({ accounts = [], selectedPlatform, onPlatformSelect, onViewTogg
                   </button>
                 ))}
 
+                {/* Merged inbox keeps every connected platform live at once */}
+                {canMergeInboxes && (
+                  <button
+                    onClick={() => handlePlatformClick(ALL_PLATFORMS)}
+                    className={`w-full flex items-center px-3 py-2 text-sm theme-transition ${isMergedView ?
+                      (isDarkTheme ? 'bg-neutral-700 text-white' : 'bg-gray-100 text-gray-900') :
+                      (isDarkTheme ? 'text-gray-300 hover:bg-neutral-700 hover:text-white' : 'text-gray-700 hover:bg-gray-100')}`}
+                  >
+                    <BsFillInboxesFill className="w-5 h-5 mr-2" />
+                    <span className="flex-1 text-left">All inboxes</span>
+                  </button>
+                )}
+
                 {/* Available Platforms */}
                 {availablePlatforms.length > 0 && (
                   <>
@@ -385,6 +413,51 @@ const Sidebar = ({ accounts = [], selectedPlatform, onPlatformSelect, onViewTogg
           </button>
         )}
 
+        {/* Message Search Button */}
+        {accounts.length > 0 && onSearchOpen && (
+          <button
+            onClick={onSearchOpen}
+            className={`w-full flex items-center ${isCollapsed ? 'justify-center' : 'space-x-3'} ${isCollapsed ? 'px-2' : 'px-3'} py-2 rounded-lg transition-colors theme-transition ${
+              isDarkTheme
+                ? 'text-gray-400 bg-neutral-800 hover:bg-neutral-700 hover:text-white'
+                : 'text-gray-600 bg-gray-100 hover:bg-gray-200 hover:text-gray-900'
+            }`}
+          >
+            <FiSearch className="w-5 h-5" />
+            {!isCollapsed && <span className="text-sm font-medium ml-3">Search messages</span>}
+          </button>
+        )}
+
+        {/* Saved Messages Button */}
+        {accounts.length > 0 && onSavedOpen && (
+          <button
+            onClick={onSavedOpen}
+            className={`w-full flex items-center ${isCollapsed ? 'justify-center' : 'space-x-3'} ${isCollapsed ? 'px-2' : 'px-3'} py-2 rounded-lg transition-colors theme-transition ${
+              isDarkTheme
+                ? 'text-gray-400 bg-neutral-800 hover:bg-neutral-700 hover:text-white'
+                : 'text-gray-600 bg-gray-100 hover:bg-gray-200 hover:text-gray-900'
+            }`}
+          >
+            <FiStar className="w-5 h-5" />
+            {!isCollapsed && <span className="text-sm font-medium ml-3">Saved messages</span>}
+          </button>
+        )}
+
+        {/* Snoozed Chats Button */}
+        {accounts.length > 0 && onSnoozedOpen && (
+          <button
+            onClick={onSnoozedOpen}
+            className={`w-full flex items-center ${isCollapsed ? 'justify-center' : 'space-x-3'} ${isCollapsed ? 'px-2' : 'px-3'} py-2 rounded-lg transition-colors theme-transition ${
+              isDarkTheme
+                ? 'text-gray-400 bg-neutral-800 hover:bg-neutral-700 hover:text-white'
+                : 'text-gray-600 bg-gray-100 hover:bg-gray-200 hover:text-gray-900'
+            }`}
+          >
+            <FiClock className="w-5 h-5" />
+            {!isCollapsed && <span className="text-sm font-medium ml-3">Snoozed chats</span>}
+          </button>
+        )}
+
         {/* <button
           onClick={() => navigate('/explore')}
           className={`w-full flex bg-neutral-800 items-center ${isCollapsed ? 'justify-center' : 'space-x-3'} ${isCollapsed ? 'px-2' : 'px-3'} py-2 rounded-lg transition-colors ${
@@ -475,4 +548,17 @@ const Sidebar = ({ accounts = [], selectedPlatform, onPlatformSelect, onViewTogg
   );
 };
 
+Sidebar.propTypes = {
+  accounts: PropTypes.array,
+  selectedPlatform: PropTypes.string,
+  onPlatformSelect: PropTypes.func,
+  onViewToggle: PropTypes.func,
+  isAnalyticsView: PropTypes.bool,
+  onConnectPlatform: PropTypes.func,
+  onSearchOpen: PropTypes.func,
+  onSavedOpen: PropTypes.func,
+  onSnoozedOpen: PropTypes.func,
+  isCollapsed: PropTypes.bool
+};
+
 export default Sidebar;
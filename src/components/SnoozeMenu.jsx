@@ -0,0 +1,143 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { FiClock, FiCornerDownLeft, FiX } from 'react-icons/fi';
+import { format } from 'date-fns';
+import { toast } from 'react-hot-toast';
+import snoozeManager, { getSnoozePresets, isSnoozeActive, describeSnooze } from '../utils/snoozeManager';
+import useSnoozes from '../hooks/useSnoozes';
+
+/**
+ * Popover for snoozing the open conversation, meant to sit in a relative wrapper next to its button
+ */
+const SnoozeMenu = ({ isOpen, onClose, platform, chatId, chatName }) => {
+  const snoozes = useSnoozes();
+  const [wakeOnReply, setWakeOnReply] = useState(true);
+  const [customTime, setCustomTime] = useState('');
+  const menuRef = useRef(null);
+
+  const snooze = snoozes.find(item => item.platform === platform && item.chatId === String(chatId));
+  const presets = useMemo(() => (isOpen ? getSnoozePresets() : []), [isOpen]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const applySnooze = (options) => {
+    snoozeManager.snooze({ platform, chatId, chatName }, options);
+    toast.success(`Snoozed ${describeSnooze(options)}`);
+    onClose();
+  };
+
+  const handleCustomSnooze = () => {
+    const until = new Date(customTime).getTime();
+    if (!until || until <= Date.now()) {
+      toast.error('Pick a time in the future');
+      return;
+    }
+    applySnooze({ until, untilReply: wakeOnReply });
+  };
+
+  return (
+    <div
+      ref={menuRef}
+      className="absolute right-0 top-full mt-2 z-50 w-72 bg-neutral-800 rounded-lg shadow-xl border border-white/10 p-2 text-left"
+    >
+      <div className="flex items-center gap-2 px-2 py-1 mb-1">
+        <FiClock className="w-4 h-4 text-amber-400" />
+        <span className="flex-1 text-sm font-medium text-white">Snooze conversation</span>
+        <button
+          onClick={onClose}
+          className="w-auto bg-transparent p-0 text-gray-400 hover:text-white"
+          aria-label="Close snooze menu"
+        >
+          <FiX className="w-4 h-4" />
+        </button>
+      </div>
+
+      {isSnoozeActive(snooze) && (
+        <div className="flex items-center gap-2 mx-2 mb-2 px-2 py-1.5 rounded bg-amber-500/10 text-xs text-amber-300">
+          <span className="flex-1">Snoozed {describeSnooze(snooze)}</span>
+          <button
+            onClick={() => {
+              snoozeManager.unsnooze(platform, chatId);
+              onClose();
+            }}
+            className="w-auto bg-transparent p-0 text-amber-200 hover:text-white underline"
+          >
+            Unsnooze
+          </button>
+        </div>
+      )}
+
+      {presets.map(preset => (
+        <button
+          key={preset.label}
+          onClick={() => applySnooze({ until: preset.until, untilReply: wakeOnReply })}
+          className="w-full flex items-center justify-between px-2 py-1.5 rounded bg-transparent text-sm text-gray-200 hover:bg-neutral-700"
+        >
+          <span>{preset.label}</span>
+          <span className="text-xs text-gray-400">{format(new Date(preset.until), 'EEE HH:mm')}</span>
+        </button>
+      ))}
+      <button
+        onClick={() => applySnooze({ untilReply: true })}
+        className="w-full flex items-center gap-2 px-2 py-1.5 rounded bg-transparent text-sm text-gray-200 hover:bg-neutral-700"
+      >
+        <FiCornerDownLeft className="w-4 h-4 text-gray-400" />
+        Until they reply
+      </button>
+
+      <div className="flex items-center gap-2 px-2 pt-2 mt-1 border-t border-white/10">
+        <input
+          type="datetime-local"
+          value={customTime}
+          min={format(new Date(), "yyyy-MM-dd'T'HH:mm")}
+          onChange={(e) => setCustomTime(e.target.value)}
+          className="flex-1 min-w-0 bg-neutral-900 border border-white/10 rounded px-2 py-1 text-xs text-gray-200 focus:outline-none focus:border-amber-400"
+        />
+        <button
+          onClick={handleCustomSnooze}
+          disabled={!customTime}
+          className="w-auto px-2 py-1 rounded bg-amber-500 text-neutral-900 text-xs font-medium hover:bg-amber-400 disabled:opacity-50"
+        >
+          Snooze
+        </button>
+      </div>
+
+      <label className="flex items-center gap-2 px-2 pt-2 text-xs text-gray-400">
+        <input
+          type="checkbox"
+          checked={wakeOnReply}
+          onChange={(e) => setWakeOnReply(e.target.checked)}
+          className="accent-amber-500"
+        />
+        Bring it back early if they reply
+      </label>
+    </div>
+  );
+};
+
+SnoozeMenu.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  platform: PropTypes.oneOf(['telegram', 'whatsapp']).isRequired,
+  chatId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  chatName: PropTypes.string
+};
+
+export default SnoozeMenu;
@@ -0,0 +1,117 @@
+import { useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { FiClock, FiX, FiBellOff } from 'react-icons/fi';
+import { formatDistanceToNow } from 'date-fns';
+import snoozeManager, { isSnoozeActive, describeSnooze } from '../utils/snoozeManager';
+import useSnoozes from '../hooks/useSnoozes';
+import { PlatformBadge } from './PlatformAdapter';
+
+const SnoozedChatsPanel = ({ isOpen, onClose, onSelectChat }) => {
+  const snoozes = useSnoozes();
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const waiting = snoozes.filter(snooze => isSnoozeActive(snooze));
+  const resurfaced = snoozes
+    .filter(snooze => !isSnoozeActive(snooze))
+    .sort((a, b) => (b.wokenAt || b.until) - (a.wokenAt || a.until));
+
+  const renderSnooze = (snooze, isWaiting) => (
+    <div
+      key={snooze.id}
+      className="group flex items-center border-b border-white/5 hover:bg-neutral-700 transition-colors"
+    >
+      <button
+        onClick={() => onSelectChat(snooze)}
+        className="flex-1 min-w-0 text-left px-4 py-3 bg-transparent"
+        title="Open chat"
+      >
+        <div className="flex items-center gap-2 mb-1">
+          <PlatformBadge platform={snooze.platform} />
+          <span className="text-sm font-medium text-white truncate">{snooze.chatName}</span>
+        </div>
+        <p className="text-xs text-gray-400">
+          {isWaiting
+            ? `Snoozed ${describeSnooze(snooze)}`
+            : `Back ${formatDistanceToNow(new Date(snooze.wokenAt || snooze.until), { addSuffix: true })}${snooze.wokenBy === 'reply' ? ' after a reply' : ''}`}
+        </p>
+      </button>
+      <button
+        onClick={() => snoozeManager.unsnooze(snooze.platform, snooze.chatId)}
+        className="w-auto p-3 bg-transparent text-gray-500 hover:text-amber-400 opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity"
+        title={isWaiting ? 'Unsnooze' : 'Clear snoozed mark'}
+        aria-label={isWaiting ? 'Unsnooze' : 'Clear snoozed mark'}
+      >
+        <FiBellOff className="w-4 h-4" />
+      </button>
+    </div>
+  );
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/75 flex items-start justify-center z-[9999] pt-[10vh]"
+      onMouseDown={(event) => {
+        if (event.target === event.currentTarget) onClose();
+      }}
+    >
+      <div className="bg-neutral-800 bg-opacity-95 rounded-lg shadow-xl w-[560px] max-w-[95vw] max-h-[75vh] flex flex-col">
+        <div className="flex items-center gap-3 p-4 border-b border-white/10">
+          <FiClock className="w-5 h-5 text-amber-400 flex-shrink-0" />
+          <h2 className="flex-1 text-white font-medium">Snoozed chats</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white transition-colors w-auto bg-transparent"
+            aria-label="Close snoozed chats"
+          >
+            <FiX className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {snoozes.length === 0 ? (
+            <div className="p-6 text-center text-sm text-gray-500">
+              Snooze a conversation from its header to hide it until later.
+            </div>
+          ) : (
+            <>
+              {resurfaced.length > 0 && (
+                <>
+                  <div className="sticky top-0 px-4 py-2 bg-neutral-900/95 border-b border-white/5 text-xs font-medium uppercase tracking-wide text-gray-400">
+                    Back in your inbox
+                  </div>
+                  {resurfaced.map(snooze => renderSnooze(snooze, false))}
+                </>
+              )}
+              {waiting.length > 0 && (
+                <>
+                  <div className="sticky top-0 px-4 py-2 bg-neutral-900/95 border-b border-white/5 text-xs font-medium uppercase tracking-wide text-gray-400">
+                    Snoozed
+                  </div>
+                  {waiting.map(snooze => renderSnooze(snooze, true))}
+                </>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+SnoozedChatsPanel.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSelectChat: PropTypes.func.isRequired
+};
+
+export default SnoozedChatsPanel;
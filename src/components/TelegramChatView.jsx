@@ -1,5 +1,5 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { FiSend, FiMessageCircle, FiUser, FiUsers, FiPaperclip, FiImage, FiSmile, FiMic, FiHelpCircle } from 'react-icons/fi';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { FiSend, FiMessageCircle, FiUser, FiUsers, FiPaperclip, FiImage, FiSmile, FiHelpCircle, FiFolder, FiLink, FiBarChart2, FiDownload, FiUpload, FiArchive, FiClock } from 'react-icons/fi';
 import AIAssistantButton from './AIAssistantButton';
 import AIFeatureTour from './AIFeatureTour';
 import AIActionButtons from './TelegramAI/AIActionButtons';
@@ -7,6 +7,9 @@ import '../styles/messageBubbles.css';
 import { useMatrixClient } from '../context/MatrixClientContext';
 import { toast } from 'react-hot-toast';
 import matrixTimelineManager from '../utils/matrixTimelineManager';
+import draftManager from '../utils/draftManager';
+import outboxManager, { mergeOutboxMessages, OUTBOX_SENT_EVENT } from '../utils/outboxManager';
+import bookmarkManager from '../utils/bookmarkManager';
 import logger from '../utils/logger';
 import ChatConfirmation from './ChatConfirmation';
 import RoomMemberList from './RoomMemberList';
@@ -14,13 +17,50 @@ import ReplyPreview from './ReplyPreview';
 import MessageReply from './MessageReply';
 import MessageBubbleWithWheel from './MessageBubbleWithWheel';
 import DateSeparator from './DateSeparator';
+import AttachmentTray from './AttachmentTray';
+import VoiceRecorderButton from './VoiceRecorderButton';
+import MediaLightbox from './MediaLightbox';
+import SharedMediaPanel from './SharedMediaPanel';
+import ThreadPanel from './ThreadPanel';
+import TypingIndicator from './TypingIndicator';
+import PinnedMessagesBanner from './PinnedMessagesBanner';
+import NewMessagesDivider from './NewMessagesDivider';
+import JumpToUnreadButton from './JumpToUnreadButton';
+import JumpBackButton from './JumpBackButton';
+import MentionSuggestions from './MentionSuggestions';
+import MarkdownPreview from './MarkdownPreview';
+import PollCreatorModal from './PollCreatorModal';
+import ChatExportModal from './ChatExportModal';
+import ChatImportModal from './ChatImportModal';
+import ImportedHistoryPanel from './ImportedHistoryPanel';
+import SnoozeMenu from './SnoozeMenu';
 import { getParentEventId, addReplyToMessageContent } from '../utils/replyUtils';
 import { getMediaUrl, getFallbackAvatarUrl } from '../utils/mediaUtils';
+import { findMessageElement, highlightMessageElement } from '../utils/messageJump';
+import { getReactionFromEvent, getRedactedEventId, addReactionToMessages, removeReactionFromMessages } from '../utils/reactionUtils';
+import { getEditFromEvent, applyEditToMessages, redactMessageInMessages } from '../utils/messageEditUtils';
+import { getThreadReplyFromEvent, addThreadReplyToMessages } from '../utils/threadUtils';
+import { getPollResponseFromEvent, getPollEndFromEvent, addPollResponseToMessages, endPollInMessages } from '../utils/pollUtils';
+import { getMsgtypeForFile, uploadMediaMessage } from '../utils/mediaUpload';
+import { getReceiptStatus } from '../utils/receiptUtils';
+import { buildTextContent, hasMarkdown } from '../utils/markdownUtils';
+import { getMentionQuery, getMentionSuggestions, insertMention, addMentionsToContent, isMentioningMe } from '../utils/mentionUtils';
+import { getFirstUnreadEventId, getRoomUnreadCounts } from '../utils/unreadUtils';
+import useMatrixTyping from '../hooks/useMatrixTyping';
+import useMatrixReceipts from '../hooks/useMatrixReceipts';
+import useMatrixPinnedEvents from '../hooks/useMatrixPinnedEvents';
+import useOutbox from '../hooks/useOutbox';
+import useMentionKeywords from '../hooks/useMentionKeywords';
+import useLinkPreviewsEnabled from '../hooks/useLinkPreviewsEnabled';
+import useBookmarks from '../hooks/useBookmarks';
+import useImportedHistory from '../hooks/useImportedHistory';
+import useSnoozes from '../hooks/useSnoozes';
+import { isSnoozeActive } from '../utils/snoozeManager';
 import '../styles/messageActionWheel.css';
 import '../styles/dateSeparator.css';
 import PropTypes from 'prop-types';
 
-const TelegramChatView = ({ selectedContact }) => {
+const TelegramChatView = ({ selectedContact, jumpToMessage, onJumpComplete }) => {
   const { client, loading: clientLoading } = useMatrixClient() || {};
   const [messages, setMessages] = useState([]);
   const [inputMessage, setInputMessage] = useState('');
@@ -40,6 +80,29 @@ const TelegramChatView = ({ selectedContact }) => {
   const lastMessageTimestampRef = useRef(Date.now());
   const timelineUpdateHandlerRef = useRef(null);
   const userHasScrolled = useRef(false);
+  const pendingJumpRef = useRef(null);
+  // Jumps started from inside the chat (e.g. the pinned banner) go through the same path as search results
+  const [localJump, setLocalJump] = useState(null);
+  // Where each jump started ({ messageId, scrollTop, atBottom }), most recent last, for "back to where I was"
+  const [jumpOrigins, setJumpOrigins] = useState([]);
+  const messagesContainerRef = useRef(null);
+
+  // Pending attachments for the composer
+  const [attachments, setAttachments] = useState([]);
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false);
+  const attachmentsRef = useRef([]);
+  const fileInputRef = useRef(null);
+  const dragDepthRef = useRef(0);
+
+  // Typing notifications and read receipts
+  const { typingMembers, notifyTyping, stopTyping } = useMatrixTyping(client, selectedContact?.id);
+  // Changes on new receipts so the ticks below stay current
+  const receiptVersion = useMatrixReceipts(client, selectedContact?.id);
+  // Pinned messages (m.room.pinned_events)
+  const { pinnedIds, pins } = useMatrixPinnedEvents(client, selectedContact?.id);
+
+  // Message whose image/video is open in the lightbox
+  const [lightboxMessageId, setLightboxMessageId] = useState(null);
 
   // CRITICAL FIX: Moved these state declarations to the top
   const [shouldScrollToBottom, setShouldScrollToBottom] = useState(true);
@@ -52,6 +115,14 @@ const TelegramChatView = ({ selectedContact }) => {
   // Room members panel state
   const [showMemberList, setShowMemberList] = useState(false);
 
+  // Shared media and links panel state
+  const [showSharedPanel, setShowSharedPanel] = useState(false);
+  // Root message of the thread open in the side panel
+  const [threadRoot, setThreadRoot] = useState(null);
+  // First unread message when the room was opened: { roomId, eventId, count }
+  const [unreadMarker, setUnreadMarker] = useState(null);
+  const [showJumpToUnread, setShowJumpToUnread] = useState(false);
+
   // AI Feature Tour state
   const [showAITour, setShowAITour] = useState(false);
 
@@ -59,6 +130,30 @@ const TelegramChatView = ({ selectedContact }) => {
   const [replyToEvent, setReplyToEvent] = useState(null);
   const [parentEvents, setParentEvents] = useState({});
 
+  // @mention autocomplete: the room's members and the mention being typed ({ query, start })
+  const [roomMembers, setRoomMembers] = useState([]);
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [mentionIndex, setMentionIndex] = useState(0);
+  // Live preview of Markdown in the composer, shown whenever the text has formatting
+  const [showFormattingPreview, setShowFormattingPreview] = useState(true);
+  const [showPollCreator, setShowPollCreator] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showImportedHistory, setShowImportedHistory] = useState(false);
+  const importedHistory = useImportedHistory('telegram', selectedContact?.id);
+  const [showSnoozeMenu, setShowSnoozeMenu] = useState(false);
+  const snoozes = useSnoozes();
+  const isSnoozed = snoozes.some(snooze =>
+    snooze.platform === 'telegram' && snooze.chatId === String(selectedContact?.id) && isSnoozeActive(snooze));
+  const mentionKeywords = useMentionKeywords();
+  // Link previews send the URL to the homeserver, so encrypted rooms start with them off
+  const isEncryptedRoom = !!client?.getRoom(selectedContact?.id)?.hasEncryptionStateEvent?.();
+  const [linkPreviewsEnabled, setLinkPreviewsEnabled] = useLinkPreviewsEnabled(selectedContact?.id, !isEncryptedRoom);
+  const bookmarks = useBookmarks();
+  const bookmarkedIds = useMemo(() => new Set(bookmarks
+    .filter(bookmark => bookmark.platform === 'telegram' && bookmark.roomId === selectedContact?.id)
+    .map(bookmark => bookmark.messageId)), [bookmarks, selectedContact?.id]);
+
   // Check if user has already confirmed viewing this chat
   useEffect(() => {
     if (selectedContact) {
@@ -133,6 +228,9 @@ const TelegramChatView = ({ selectedContact }) => {
         return; // Ignore events for other rooms
       }
 
+      // Messages we're sending are shown from the outbox until the server has them
+      if (event.status && outboxManager.has(event.getTxnId?.())) return;
+
       // --- Deduplication ---
       if (processedEventIdsRef.current.has(eventId)) {
         logger.debug(`[TelegramChatView] Event ${eventId} already processed, skipping.`);
@@ -146,6 +244,52 @@ const TelegramChatView = ({ selectedContact }) => {
 
       logger.info(`[TelegramChatView] ✅ Processing 'Room.timeline' event for ${currentRoomId}. ID: ${eventId}`);
 
+      // Reactions and redactions update existing messages instead of adding new ones
+      const eventType = event.getType?.();
+      if (eventType === 'm.reaction') {
+        const reaction = getReactionFromEvent(event);
+        if (reaction) {
+          setMessages(prevMessages => addReactionToMessages(prevMessages, reaction));
+        }
+        return;
+      }
+      if (eventType === 'm.room.redaction') {
+        const redactedId = getRedactedEventId(event);
+        if (redactedId) {
+          // A redaction either takes back a reaction or deletes a message
+          setMessages(prevMessages => redactMessageInMessages(
+            removeReactionFromMessages(prevMessages, r => r.eventId === redactedId),
+            redactedId
+          ));
+        }
+        return;
+      }
+      // Votes and poll ends update the poll they refer to
+      const pollResponse = getPollResponseFromEvent(event);
+      if (pollResponse) {
+        setMessages(prevMessages => addPollResponseToMessages(prevMessages, pollResponse));
+        return;
+      }
+      const pollEnd = getPollEndFromEvent(event);
+      if (pollEnd) {
+        setMessages(prevMessages => endPollInMessages(prevMessages, pollEnd, client.getRoom(currentRoomId)));
+        return;
+      }
+      const edit = getEditFromEvent(event);
+      if (edit) {
+        // Our own edits are already applied optimistically; skip their local echo
+        if (!event.status && !edit.eventId?.startsWith('~')) {
+          setMessages(prevMessages => applyEditToMessages(prevMessages, edit));
+        }
+        return;
+      }
+      // Thread replies update their root's summary; the thread panel shows the reply itself
+      const threadReply = getThreadReplyFromEvent(event, client.getRoom(currentRoomId));
+      if (threadReply) {
+        setMessages(prevMessages => addThreadReplyToMessages(prevMessages, threadReply));
+        return;
+      }
+
       // --- Process the Message ---
       try {
         const currentRoomForProcessing = client.getRoom(currentRoomId); // Get fresh room object
@@ -166,19 +310,7 @@ const TelegramChatView = ({ selectedContact }) => {
             return updatedMessages.sort((a, b) => a.timestamp - b.timestamp); // Keep chronological order
           });
 
-          // Mark as read if applicable
-           if (!newMessage.isFromMe) {
-                try {
-                    if (typeof event.getRoomId !== 'function') {
-                        event.getRoomId = () => currentRoomId;
-                        logger.debug(`[TelegramChatView] Patched getRoomId onto event ${eventId} for read receipt.`);
-                    }
-                    client.sendReadReceipt(event);
-                    logger.info(`[TelegramChatView] Sent read receipt for new message ${eventId}`);
-                } catch (readError) {
-                    logger.warn(`[TelegramChatView] Error sending read receipt for new message ${eventId}: ${readError.message}`);
-                }
-            }
+          // Read receipts for new messages are sent by the mark-as-read effect
 
           // Handle scrolling
           if (!userHasScrolled.current) {
@@ -1328,6 +1460,115 @@ const TelegramChatView = ({ selectedContact }) => {
     }
   }, [messages, shouldScrollToBottom]);
 
+  // Jump history belongs to one conversation
+  useEffect(() => {
+    setJumpOrigins([]);
+  }, [selectedContact?.id]);
+
+  const activeJump = jumpToMessage || localJump;
+  const completeJump = useCallback(() => {
+    if (jumpToMessage) {
+      onJumpComplete?.();
+    } else {
+      setLocalJump(null);
+    }
+  }, [jumpToMessage, onJumpComplete]);
+
+  // Jump to a search result or pinned message, loading the messages around it if it isn't rendered yet
+  useEffect(() => {
+    if (!activeJump || activeJump.roomId !== selectedContact?.id) return;
+    if (loading || needsConfirmation || pendingJumpRef.current === activeJump.messageId) return;
+
+    // Remember where we are, so the user can come back after looking at the target
+    const container = messagesContainerRef.current;
+    setJumpOrigins(prevOrigins => [...prevOrigins, {
+      messageId: activeJump.originId || null,
+      scrollTop: container?.scrollTop || 0,
+      atBottom: !userHasScrolled.current
+    }]);
+
+    // Stop the auto-scroll from pulling the view back down while we jump
+    setShouldScrollToBottom(false);
+    userHasScrolled.current = true;
+
+    const element = findMessageElement(activeJump.messageId);
+    if (element) {
+      highlightMessageElement(element);
+      completeJump();
+      return;
+    }
+
+    pendingJumpRef.current = activeJump.messageId;
+
+    const loadJumpContext = async () => {
+      if (!matrixTimelineManager.initialized && client) {
+        matrixTimelineManager.initialize(client);
+      }
+
+      // Recent targets are reached by paginating backwards, which keeps the loaded history
+      // contiguous; older ones fall back to the messages around the event
+      let contextMessages = await matrixTimelineManager.paginateToEvent(selectedContact.id, activeJump.messageId);
+      if (contextMessages.length > 0) {
+        setOldestEventId(contextMessages[0].id);
+      } else {
+        contextMessages = await matrixTimelineManager.loadEventContext(selectedContact.id, activeJump.messageId);
+      }
+
+      if (contextMessages.length === 0) {
+        toast.error('Could not load that message');
+        pendingJumpRef.current = null;
+        completeJump();
+        return;
+      }
+
+      await fetchParentEvents(contextMessages);
+
+      setMessages(prevMessages => {
+        const existingIds = new Set(prevMessages.map(msg => msg.id));
+        const newMessages = contextMessages.filter(msg => !existingIds.has(msg.id));
+        return [...prevMessages, ...newMessages].sort((a, b) => a.timestamp - b.timestamp);
+      });
+    };
+
+    loadJumpContext();
+  }, [activeJump, selectedContact?.id, loading, needsConfirmation, client, fetchParentEvents, completeJump]);
+
+  // Highlight the jump target once its context has rendered
+  useEffect(() => {
+    if (!activeJump || pendingJumpRef.current !== activeJump.messageId) return;
+
+    const element = findMessageElement(activeJump.messageId);
+    if (!element) return;
+
+    highlightMessageElement(element);
+    pendingJumpRef.current = null;
+    completeJump();
+  }, [messages, activeJump, completeJump]);
+
+  // Jump to the message a reply quotes, remembering the reply so "back" returns to it
+  const handleJumpToMessage = useCallback((messageId, originId) => {
+    if (!messageId || !selectedContact?.id) return;
+    setLocalJump({ roomId: selectedContact.id, messageId, originId });
+  }, [selectedContact?.id]);
+
+  // Return to where the latest jump started
+  const handleJumpBack = () => {
+    const origin = jumpOrigins[jumpOrigins.length - 1];
+    setJumpOrigins(prevOrigins => prevOrigins.slice(0, -1));
+    if (!origin) return;
+
+    const originElement = findMessageElement(origin.messageId);
+    if (originElement) {
+      highlightMessageElement(originElement);
+    } else if (origin.atBottom) {
+      userHasScrolled.current = false;
+      setShouldScrollToBottom(true);
+      messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+    } else {
+      messagesContainerRef.current?.scrollTo({ top: origin.scrollTop, behavior: 'smooth' });
+    }
+  };
+
   // Helper function to show welcome messages
   const showWelcomeMessages = (customMessage) => {
     const welcomeMessages = [
@@ -1631,15 +1872,406 @@ const TelegramChatView = ({ selectedContact }) => {
   // Note: We're using MatrixTimelineManager for real-time updates and message loading
   // The implementation is in matrixTimelineManager.js
 
+  // Images and videos in the loaded timeline, in order, for lightbox prev/next
+  const mediaMessages = useMemo(() => messages.filter(message => (
+    !message.isRedacted &&
+    (message.content?.msgtype === 'm.image' || message.content?.msgtype === 'm.video')
+  )), [messages]);
+  const lightboxIndex = lightboxMessageId
+    ? mediaMessages.findIndex(message => message.id === lightboxMessageId)
+    : -1;
+
+  // Deliver queued messages through the timeline manager, reusing each message's transaction ID
+  useEffect(() => {
+    if (!client) return undefined;
+
+    const sendQueuedMessage = (entry) => {
+      if (!matrixTimelineManager.initialized) {
+        matrixTimelineManager.initialize(client);
+      }
+      return matrixTimelineManager.sendMessage(entry.roomId, entry.content, entry.txnId);
+    };
+
+    outboxManager.registerSender('telegram', sendQueuedMessage);
+    return () => outboxManager.unregisterSender('telegram', sendQueuedMessage);
+  }, [client]);
+
+  // Once a queued message is delivered, it takes its place in the timeline under its real event ID
+  useEffect(() => {
+    if (!client || !selectedContact?.id) return undefined;
+
+    const handleOutboxSent = ({ detail: { entry, eventId } }) => {
+      if (entry.roomId !== selectedContact.id || !eventId) return;
+
+      const room = client.getRoom(entry.roomId);
+      const sentEvent = room?.findEventById(eventId);
+      const sentMessage = (sentEvent && matrixTimelineManager._createMessageFromEvent(sentEvent, room)) || {
+        id: eventId,
+        sender: client.getUserId(),
+        senderName: 'You',
+        content: entry.content,
+        body: entry.content?.body || '',
+        timestamp: entry.createdAt,
+        isFromMe: true,
+        eventType: 'm.room.message',
+        roomId: entry.roomId
+      };
+
+      setMessages(prevMessages => {
+        const withoutEcho = prevMessages.filter(m => m.id !== `~${entry.roomId}:${entry.txnId}`);
+        if (withoutEcho.some(m => m.id === eventId)) return withoutEcho;
+        return [...withoutEcho, sentMessage].sort((a, b) => a.timestamp - b.timestamp);
+      });
+    };
+
+    window.addEventListener(OUTBOX_SENT_EVENT, handleOutboxSent);
+    return () => window.removeEventListener(OUTBOX_SENT_EVENT, handleOutboxSent);
+  }, [client, selectedContact?.id]);
+
+  // Messages still in the outbox show as pending or failed local echoes
+  const outboxEntries = useOutbox('telegram', selectedContact?.id);
+  const timelineMessages = useMemo(
+    () => mergeOutboxMessages(messages, outboxEntries, client?.getUserId()),
+    [messages, outboxEntries, client]
+  );
+
+  // Sent/delivered/read state of our own messages, worked out again only when a receipt arrives
+  const receiptRoom = client?.getRoom(selectedContact?.id);
+  const receiptStatuses = useMemo(() => {
+    const statuses = {};
+    timelineMessages.forEach(message => {
+      if (message.isFromMe && !message.isRedacted) {
+        statuses[message.id] = getReceiptStatus(receiptRoom, message, client?.getUserId());
+      }
+    });
+    return statuses;
+    // The room object is mutated in place, so receiptVersion is what says its receipts changed
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [timelineMessages, receiptVersion, receiptRoom, client]);
+
+  // Who counts as "us" when highlighting messages that mention us
+  const myUserId = client?.getUserId();
+  const mentionContext = {
+    userId: myUserId,
+    displayName: receiptRoom?.getMember(myUserId)?.name,
+    keywords: mentionKeywords
+  };
+
+  // Remember where the unread messages started before we mark the room as read,
+  // so the "New messages" divider stays put while the room is open
+  const latestMessageId = messages.length > 0 ? messages[messages.length - 1].id : null;
+  useEffect(() => {
+    if (!client || !selectedContact?.id || !latestMessageId || needsConfirmation) return;
+    if (unreadMarker?.roomId === selectedContact.id) return;
+
+    const room = client.getRoom(selectedContact.id);
+    const eventId = getFirstUnreadEventId(room, client.getUserId());
+    const { unreadCount } = getRoomUnreadCounts(room, client.getUserId());
+
+    setUnreadMarker({ roomId: selectedContact.id, eventId, count: eventId ? unreadCount : 0 });
+    setShowJumpToUnread(Boolean(eventId));
+  }, [client, selectedContact?.id, latestMessageId, needsConfirmation, unreadMarker?.roomId]);
+
+  // Scroll up to the first unread message
+  const handleJumpToUnread = () => {
+    setShowJumpToUnread(false);
+    if (unreadMarker?.eventId) {
+      setLocalJump({ roomId: selectedContact.id, messageId: unreadMarker.eventId });
+    }
+  };
+
+  // Send a read receipt and read marker while the room is on screen
+  useEffect(() => {
+    if (!client || !selectedContact?.id || !latestMessageId || needsConfirmation) return undefined;
+
+    const markAsRead = () => {
+      if (document.visibilityState !== 'visible') return;
+      if (!matrixTimelineManager.initialized) return;
+      matrixTimelineManager.markRoomAsRead(selectedContact.id)
+        .catch(error => logger.warn('[TelegramChatView] Error marking room as read:', error));
+    };
+
+    markAsRead();
+    document.addEventListener('visibilitychange', markAsRead);
+    return () => document.removeEventListener('visibilitychange', markAsRead);
+  }, [client, selectedContact?.id, latestMessageId, needsConfirmation]);
+
+  // Bring back the room's unsent text and reply target when switching to it
+  useEffect(() => {
+    setInputMessage('');
+    setReplyToEvent(null);
+
+    const roomId = selectedContact?.id;
+    if (!roomId) return undefined;
+
+    let cancelled = false;
+    const restoreDraft = async () => {
+      const draft = await draftManager.getDraft(roomId);
+      if (cancelled || !draft) return;
+
+      // Don't overwrite anything typed while the draft was loading
+      setInputMessage(current => current || draft.text);
+
+      const replyEventId = draft.replyTo?.eventId;
+      const room = client?.getRoom(roomId);
+      if (!replyEventId || !room) return;
+
+      let replyEvent = room.findEventById(replyEventId);
+      if (!replyEvent) {
+        try {
+          replyEvent = client.getEventMapper()(await client.fetchRoomEvent(roomId, replyEventId));
+        } catch (error) {
+          logger.warn('[TelegramChatView] Could not load the message a draft replies to:', error);
+          return;
+        }
+      }
+      if (!cancelled) setReplyToEvent(current => current || replyEvent);
+    };
+
+    restoreDraft();
+    return () => {
+      cancelled = true;
+    };
+  }, [client, selectedContact?.id]);
+
+  // Save the composer text and reply target as the room's draft
+  const saveDraft = (text, replyEvent) => {
+    const room = client?.getRoom(selectedContact?.id);
+    draftManager.setDraft(selectedContact?.id, {
+      text,
+      replyTo: replyEvent ? {
+        eventId: replyEvent.getId(),
+        senderName: room?.getMember(replyEvent.getSender())?.name || replyEvent.getSender(),
+        body: replyEvent.getContent()?.body || ''
+      } : null,
+      platform: 'telegram'
+    });
+  };
+
+  // Close the lightbox, shared panel and thread when switching rooms
+  useEffect(() => {
+    setLightboxMessageId(null);
+    setShowSharedPanel(false);
+    setThreadRoot(null);
+    setMentionQuery(null);
+  }, [selectedContact?.id]);
+
+  // Load the room's members for @mention suggestions
+  useEffect(() => {
+    setRoomMembers([]);
+    const roomId = selectedContact?.id;
+    if (!client || !roomId || needsConfirmation) return undefined;
+
+    if (!matrixTimelineManager.initialized) {
+      matrixTimelineManager.initialize(client);
+    }
+
+    let cancelled = false;
+    matrixTimelineManager.loadRoomMembers(roomId)
+      .then(members => {
+        if (!cancelled) setRoomMembers(members.joined);
+      })
+      .catch(error => logger.warn('[TelegramChatView] Could not load members for mentions:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [client, selectedContact?.id, needsConfirmation]);
+
+  const mentionSuggestions = useMemo(() => (
+    mentionQuery ? getMentionSuggestions(roomMembers, mentionQuery.query, client?.getUserId()) : []
+  ), [mentionQuery, roomMembers, client]);
+
+  // Follow the caret to see whether an @mention is being typed
+  const updateMentionQuery = (textarea) => {
+    const query = getMentionQuery(textarea.value, textarea.selectionStart);
+    setMentionQuery(current => (
+      current?.start === query?.start && current?.query === query?.query ? current : query
+    ));
+    if (query?.query !== mentionQuery?.query) setMentionIndex(0);
+  };
+
+  const handleSelectMention = (member) => {
+    if (!mentionQuery) return;
+
+    const { text, caret } = insertMention(inputMessage, mentionQuery, member);
+    setInputMessage(text);
+    saveDraft(text, replyToEvent);
+    setMentionQuery(null);
+
+    // Put the caret after the inserted name once the textarea has the new text
+    requestAnimationFrame(() => {
+      const inputField = document.getElementById('message-input');
+      inputField?.focus();
+      inputField?.setSelectionRange(caret, caret);
+    });
+  };
+
+  // Keep the open thread's root in step with edits and deletions in the timeline
+  const openThreadRoot = threadRoot && (messages.find(m => m.id === threadRoot.id) || threadRoot);
+
+  // Keep a ref to the attachments so the send loop and cleanup see the latest list
+  useEffect(() => {
+    attachmentsRef.current = attachments;
+  }, [attachments]);
+
+  // Cancel uploads and drop pending attachments when switching rooms or unmounting
+  useEffect(() => {
+    return () => {
+      attachmentsRef.current.forEach(attachment => {
+        attachment.abortController?.abort();
+        if (attachment.previewUrl) URL.revokeObjectURL(attachment.previewUrl);
+      });
+      attachmentsRef.current = [];
+      setAttachments([]);
+    };
+  }, [selectedContact?.id]);
+
+  const updateAttachment = (attachmentId, changes) => {
+    setAttachments(prev => prev.map(attachment => (
+      attachment.id === attachmentId ? { ...attachment, ...changes } : attachment
+    )));
+  };
+
+  /**
+   * Queue files to be sent with the next message
+   * @param {FileList|Array<File>} files - Files from the picker, a drop or a paste
+   * @param {Object} options - { isVoice } for recorded voice notes
+   */
+  const addAttachments = (files, { isVoice = false } = {}) => {
+    const newAttachments = Array.from(files || [])
+      .filter(file => file && file.size > 0)
+      .map(file => {
+        const msgtype = getMsgtypeForFile(file);
+        return {
+          id: `attachment_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+          file,
+          msgtype,
+          isVoice,
+          previewUrl: msgtype === 'm.image' ? URL.createObjectURL(file) : null,
+          progress: 0,
+          status: 'pending',
+          abortController: null
+        };
+      });
+
+    if (newAttachments.length > 0) {
+      setAttachments(prev => [...prev, ...newAttachments]);
+      document.getElementById('message-input')?.focus();
+    }
+  };
+
+  /**
+   * Remove a pending attachment, cancelling its upload if it already started
+   * @param {string} attachmentId - Attachment ID
+   */
+  const removeAttachment = (attachmentId) => {
+    const attachment = attachmentsRef.current.find(a => a.id === attachmentId);
+    if (!attachment) return;
+
+    if (attachment.status === 'uploading') {
+      attachment.abortController?.abort();
+      logger.info(`[TelegramChatView] Cancelled upload of ${attachment.file.name}`);
+    }
+    if (attachment.previewUrl) URL.revokeObjectURL(attachment.previewUrl);
+    setAttachments(prev => prev.filter(a => a.id !== attachmentId));
+  };
+
+  const handleFileInputChange = (e) => {
+    addAttachments(e.target.files);
+    // Reset so picking the same file again still fires onChange
+    e.target.value = '';
+  };
+
+  const handleComposerPaste = (e) => {
+    const files = Array.from(e.clipboardData?.files || []);
+    if (files.length > 0) {
+      e.preventDefault();
+      addAttachments(files);
+    }
+  };
+
+  const isFileDrag = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+  const handleDragEnter = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    dragDepthRef.current += 1;
+    setIsDraggingFiles(true);
+  };
+
+  const handleDragLeave = (e) => {
+    if (!isFileDrag(e)) return;
+    dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+    if (dragDepthRef.current === 0) setIsDraggingFiles(false);
+  };
+
+  const handleDrop = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    dragDepthRef.current = 0;
+    setIsDraggingFiles(false);
+    addAttachments(e.dataTransfer.files);
+  };
+
+  /**
+   * Upload the queued attachments one by one and send each as its own media message
+   * @param {string} roomId - Room to send to
+   * @param {Object} replyTo - Event the first attachment replies to, if any
+   */
+  const sendAttachments = async (roomId, replyTo) => {
+    const queued = attachmentsRef.current.filter(attachment => attachment.status !== 'uploading');
+
+    for (const [index, attachment] of queued.entries()) {
+      const abortController = new AbortController();
+      updateAttachment(attachment.id, { status: 'uploading', progress: 0, abortController });
+      // The ref is read by removeAttachment before the state update lands
+      attachmentsRef.current = attachmentsRef.current.map(a => (
+        a.id === attachment.id ? { ...a, status: 'uploading', abortController } : a
+      ));
+
+      try {
+        const content = await uploadMediaMessage(client, attachment.file, {
+          isVoice: attachment.isVoice,
+          abortController,
+          onProgress: (progress) => updateAttachment(attachment.id, { progress })
+        });
+
+        if (replyTo && index === 0) {
+          addReplyToMessageContent(content, replyTo);
+        }
+
+        // The upload is done, so the attachment moves from the tray to the timeline
+        if (attachment.previewUrl) URL.revokeObjectURL(attachment.previewUrl);
+        setAttachments(prev => prev.filter(a => a.id !== attachment.id));
+
+        await outboxManager.enqueue('telegram', roomId, content);
+        setShouldScrollToBottom(true);
+        userHasScrolled.current = false;
+      } catch (error) {
+        if (abortController.signal.aborted) {
+          logger.info(`[TelegramChatView] Upload of ${attachment.file.name} was cancelled`);
+          continue;
+        }
+        logger.error(`[TelegramChatView] Error sending attachment ${attachment.file.name}:`, error);
+        updateAttachment(attachment.id, { status: 'failed', abortController: null });
+        toast.error(`Failed to send ${attachment.file.name}`);
+      }
+    }
+  };
+
   const handleSendMessage = async (e) => {
     e.preventDefault();
-    if (!inputMessage.trim() || !selectedContact || !client || sending) return;
+    const hasAttachments = attachmentsRef.current.some(attachment => attachment.status !== 'uploading');
+    if ((!inputMessage.trim() && !hasAttachments) || !selectedContact || !client || sending) return;
 
     // Store the message text before clearing the input
     const messageText = inputMessage.trim();
+    stopTyping();
 
     // Clear the input field immediately for better UX
     setInputMessage('');
+    draftManager.clearDraft(selectedContact.id);
 
     // Focus back on the input field
     const inputField = document.getElementById('message-input');
@@ -1712,192 +2344,39 @@ const TelegramChatView = ({ selectedContact }) => {
         }
       }
 
-      // Prepare message content
-      let messageContent;
+      // Attachments go out first; the reply goes with the text if there is any
+      if (hasAttachments) {
+        await sendAttachments(selectedContact.id, messageText ? null : replyToEvent);
+        if (!messageText) {
+          setReplyToEvent(null);
+          return;
+        }
+      }
 
-      // If it's a simple text message
-      if (!replyToEvent) {
-        // Create a proper content object for better compatibility
-        messageContent = {
-          msgtype: 'm.text',
-          body: messageText, // Use the stored message text
-          format: 'org.matrix.custom.html',  // Support HTML formatting if present
-          formatted_body: messageText.replace(/\n/g, '<br/>')  // Convert newlines to <br/>
-        };
-      } else {
+      // Markdown source as body, rendered HTML as formatted_body
+      const messageContent = buildTextContent(messageText);
+
+      if (replyToEvent) {
         // If replying to a message, add reply information
         logger.info(`[TelegramChatView] Sending reply to event ${replyToEvent.getId?.() || replyToEvent.id}`);
-
-        // Create content object with reply information
-        messageContent = {
-          msgtype: 'm.text',
-          body: messageText, // Use the stored message text
-          format: 'org.matrix.custom.html',
-          formatted_body: messageText.replace(/\n/g, '<br/>')
-        };
-
-        // Add reply relation
         addReplyToMessageContent(messageContent, replyToEvent);
       }
 
-      // Create a unique ID for the optimistic message
-      const optimisticId = `temp_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
-
-      // Create an optimistic message to show immediately
-      const optimisticMessage = {
-        id: optimisticId,
-        sender: client.getUserId(),
-        senderName: 'You',
-        content: messageContent,
-        body: messageText, // Use the stored message text
-        timestamp: Date.now(),
-        isFromMe: true,
-        eventType: 'm.room.message',
-        roomId: selectedContact.id,
-        isOptimistic: true, // Mark as optimistic update
-        status: 'sending' // Track sending status
-      };
-
-      // Add the optimistic message to the state BEFORE sending
-      // This ensures the user sees their message immediately
-      try {
-        setMessages(prevMessages => {
-          try {
-            const updatedMessages = [...prevMessages, optimisticMessage].sort((a, b) => a.timestamp - b.timestamp);
-
-            // When sending a message, we always want to scroll to bottom
-            setShouldScrollToBottom(true);
-            userHasScrolled.current = false;
-
-            return updatedMessages;
-          } catch (innerError) {
-            logger.error('[TelegramChatView] Error adding optimistic message:', innerError);
-            return prevMessages; // Return unchanged messages on error
-          }
-        });
-      } catch (outerError) {
-        logger.error('[TelegramChatView] Error updating messages state with optimistic message:', outerError);
-      }
+      // "@Name" of a room member goes out as a pill, which the bridge turns into a Telegram mention
+      addMentionsToContent(messageContent, roomMembers);
 
-      // Clear input and reply state immediately for better UX
-      setInputMessage('');
+      // The outbox shows the message straight away and keeps retrying until it's delivered
+      await outboxManager.enqueue('telegram', selectedContact.id, messageContent);
       setReplyToEvent(null);
 
       // Scroll to bottom immediately when sending a message
       setShouldScrollToBottom(true);
       userHasScrolled.current = false;
-
-      // Now send the actual message in the background
-      logger.info(`[TelegramChatView] Sending message with content:`, JSON.stringify(messageContent).substring(0, 100) + '...');
-
-      // CRITICAL FIX: Try multiple methods to send the message
-      let eventId;
-      try {
-        // Method 1: Use MatrixTimelineManager
-        logger.info('[TelegramChatView] Attempting to send message via MatrixTimelineManager');
-        eventId = await matrixTimelineManager.sendMessage(selectedContact.id, messageContent);
-      } catch (sendError1) {
-        logger.warn(`[TelegramChatView] Failed to send via MatrixTimelineManager: ${sendError1.message}`);
-
-        try {
-          // Method 2: Use client directly
-          logger.info('[TelegramChatView] Attempting to send message via client directly');
-          const response = await client.sendEvent(selectedContact.id, 'm.room.message', messageContent);
-          eventId = response.event_id;
-        } catch (sendError2) {
-          logger.warn(`[TelegramChatView] Failed to send via client.sendEvent: ${sendError2.message}`);
-
-          try {
-            // Method 3: Use client.sendMessage
-            logger.info('[TelegramChatView] Attempting to send message via client.sendMessage');
-            const response = await client.sendMessage(selectedContact.id, messageContent);
-            eventId = response.event_id;
-          } catch (sendError3) {
-            logger.error(`[TelegramChatView] All message sending methods failed: ${sendError3.message}`);
-            throw new Error('Failed to send message after multiple attempts');
-          }
-        }
-      }
-
-      if (eventId) {
-        logger.info(`[TelegramChatView] Message sent successfully with event ID: ${eventId}`);
-        toast.success('Message sent', { duration: 2000, position: 'bottom-right' });
-
-        // Store the event ID to prevent duplicate processing when it comes through the timeline
-        window.lastSentEventId = eventId;
-
-        // Store the mapping between optimistic ID and real event ID
-        window.optimisticMessageMap = window.optimisticMessageMap || new Map();
-        window.optimisticMessageMap.set(optimisticId, eventId);
-
-        // Replace the optimistic message with the real one
-        try {
-          setMessages(prevMessages => {
-            try {
-              // Find and replace the optimistic message with the real one
-              return prevMessages.map(msg => {
-                if (msg.id === optimisticId) {
-                  // Return a new message with the real event ID but keep the same content
-                  return {
-                    ...msg,
-                    id: eventId,
-                    isOptimistic: false,
-                    status: 'sent'
-                  };
-                }
-                return msg;
-              });
-            } catch (innerError) {
-              logger.error('[TelegramChatView] Error replacing optimistic message:', innerError);
-              return prevMessages; // Return unchanged messages on error
-            }
-          });
-        } catch (outerError) {
-          logger.error('[TelegramChatView] Error updating messages state after send:', outerError);
-        }
-
-        // Don't reload messages after sending - this causes duplicates and poor UX
-        // Instead, ensure the real-time updates are properly set up
-        if (setupRealTimeUpdates) {
-          // Check if we already have a listener for this room
-          const hasListener = matrixTimelineManager.hasRoomListener(selectedContact.id, 'timeline');
-
-          if (!hasListener) {
-            logger.info(`[TelegramChatView] Setting up real-time updates after message send for room ${selectedContact.id}`);
-            setupRealTimeUpdates(selectedContact.id);
-          } else {
-            logger.info(`[TelegramChatView] Real-time updates already set up for room ${selectedContact.id}`);
-          }
-        }
-
-        // Clear the ID after a short delay to allow for processing
-        setTimeout(() => {
-          window.lastSentEventId = null;
-          if (window.optimisticMessageMap) {
-            window.optimisticMessageMap.delete(optimisticId);
-          }
-        }, 10000);
-      } else {
-        logger.warn('[TelegramChatView] Message sent but no event ID returned');
-        toast.error('Failed to send message', { duration: 3000, position: 'bottom-right' });
-
-        // Mark the optimistic message as failed
-        setMessages(prevMessages => {
-          return prevMessages.map(msg => {
-            if (msg.id === optimisticId) {
-              return {
-                ...msg,
-                status: 'failed',
-                error: true
-              };
-            }
-            return msg;
-          });
-        });
-      }
     } catch (err) {
       logger.error('[TelegramChatView] Error sending message:', err);
       toast.error(`Failed to send message: ${err.message || 'Please try again'}`);
+      // Nothing was queued, so give the text back rather than losing it
+      setInputMessage(current => current || messageText);
     } finally {
       setSending(false);
     }
@@ -1909,11 +2388,253 @@ const TelegramChatView = ({ selectedContact }) => {
 
     logger.info(`[TelegramChatView] Setting up reply to message: ${message.id}`);
     setReplyToEvent(message.rawEvent);
+    saveDraft(inputMessage, message.rawEvent);
   };
 
   // Handle canceling a reply
   const handleCancelReply = () => {
     setReplyToEvent(null);
+    saveDraft(inputMessage, null);
+  };
+
+  // Edit one of our messages, showing the new text straight away
+  const handleEditMessage = async (message, newBody) => {
+    if (!message || !newBody || !client || !selectedContact) return;
+
+    if (!matrixTimelineManager.initialized) {
+      matrixTimelineManager.initialize(client);
+    }
+
+    const previousMessage = message;
+    const localEdit = {
+      eventId: `local_edit_${Date.now()}`,
+      replaces: message.id,
+      newContent: buildTextContent(newBody),
+      sender: message.sender,
+      timestamp: Date.now()
+    };
+    setMessages(prevMessages => applyEditToMessages(prevMessages, localEdit));
+
+    try {
+      const editEventId = await matrixTimelineManager.editMessage(selectedContact.id, message.id, newBody);
+      // Swap the local history entry for the real edit event
+      setMessages(prevMessages => prevMessages.map(m => (
+        m.id === message.id && m.editHistory
+          ? { ...m, editHistory: m.editHistory.map(entry => (entry.eventId === localEdit.eventId ? { ...entry, eventId: editEventId } : entry)) }
+          : m
+      )));
+    } catch (error) {
+      logger.error('[TelegramChatView] Error editing message:', error);
+      toast.error('Failed to edit message');
+      setMessages(prevMessages => prevMessages.map(m => (m.id === message.id ? previousMessage : m)));
+    }
+  };
+
+  // Delete one of our messages after confirming, leaving a placeholder in the timeline
+  const handleDeleteMessage = (message) => {
+    if (!message || !client || !selectedContact) return;
+    if (message.isOptimistic || message.id?.startsWith('~')) {
+      toast.error('Wait for the message to send before deleting it');
+      return;
+    }
+
+    const deleteMessage = async () => {
+      if (!matrixTimelineManager.initialized) {
+        matrixTimelineManager.initialize(client);
+      }
+
+      const previousMessage = message;
+      setMessages(prevMessages => redactMessageInMessages(prevMessages, message.id));
+      try {
+        await matrixTimelineManager.deleteMessage(selectedContact.id, message.id);
+      } catch (error) {
+        logger.error('[TelegramChatView] Error deleting message:', error);
+        toast.error('Failed to delete message');
+        setMessages(prevMessages => prevMessages.map(m => (m.id === message.id ? previousMessage : m)));
+      }
+    };
+
+    toast.custom(
+      (t) => (
+        <div className={`${t.visible ? 'animate-enter' : 'animate-leave'} bg-neutral-800 shadow-lg rounded-lg pointer-events-auto flex items-center gap-3 p-4 ring-1 ring-black ring-opacity-5`}>
+          <p className="text-sm text-white">Delete this message for everyone?</p>
+          <button
+            onClick={() => toast.dismiss(t.id)}
+            className="px-3 py-1 w-auto rounded text-sm bg-neutral-700 text-gray-200 hover:bg-neutral-600"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => {
+              toast.dismiss(t.id);
+              deleteMessage();
+            }}
+            className="px-3 py-1 w-auto rounded text-sm bg-red-600 text-white hover:bg-red-500"
+          >
+            Delete
+          </button>
+        </div>
+      ),
+      { duration: 10000 }
+    );
+  };
+
+  // Add a reaction, or take ours back if we already reacted with this emoji
+  const handleToggleReaction = async (message, key) => {
+    if (!message || !key || !client || !selectedContact) return;
+    if (message.isOptimistic || message.id?.startsWith('~')) {
+      toast.error('Wait for the message to send before reacting');
+      return;
+    }
+
+    if (!matrixTimelineManager.initialized) {
+      matrixTimelineManager.initialize(client);
+    }
+
+    const userId = client.getUserId();
+    const ownReaction = message.reactions?.find(r => r.key === key && r.sender === userId);
+
+    if (ownReaction) {
+      if (!ownReaction.eventId) return; // Still being sent
+
+      setMessages(prevMessages => removeReactionFromMessages(prevMessages, r => r === ownReaction));
+      try {
+        await matrixTimelineManager.removeReaction(selectedContact.id, ownReaction.eventId);
+      } catch (error) {
+        logger.error('[TelegramChatView] Error removing reaction:', error);
+        toast.error('Failed to remove reaction');
+        setMessages(prevMessages => addReactionToMessages(prevMessages, ownReaction));
+      }
+      return;
+    }
+
+    const optimisticReaction = { eventId: null, relatesTo: message.id, key, sender: userId, timestamp: Date.now() };
+    setMessages(prevMessages => addReactionToMessages(prevMessages, optimisticReaction));
+    try {
+      const reactionEventId = await matrixTimelineManager.sendReaction(selectedContact.id, message.id, key);
+      setMessages(prevMessages => addReactionToMessages(prevMessages, { ...optimisticReaction, eventId: reactionEventId }));
+    } catch (error) {
+      logger.error('[TelegramChatView] Error sending reaction:', error);
+      toast.error('Failed to send reaction');
+      setMessages(prevMessages => removeReactionFromMessages(
+        prevMessages,
+        (r, m) => m.id === message.id && r.key === key && r.sender === userId && !r.eventId
+      ));
+    }
+  };
+
+  // Open a message's thread in the side panel
+  const handleOpenThread = (message) => {
+    if (!message || message.isOptimistic || !message.id?.startsWith('$')) {
+      toast.error('Wait for the message to send before starting a thread');
+      return;
+    }
+    setShowSharedPanel(false);
+    setShowMemberList(false);
+    setThreadRoot(message);
+  };
+
+  // Pin or unpin a message for everyone in the room
+  const handleTogglePin = async (message) => {
+    if (!message || !client || !selectedContact) return;
+    if (message.isOptimistic || !message.id?.startsWith('$')) {
+      toast.error('Wait for the message to send before pinning it');
+      return;
+    }
+
+    if (!matrixTimelineManager.initialized) {
+      matrixTimelineManager.initialize(client);
+    }
+
+    try {
+      const pinned = await matrixTimelineManager.togglePinnedMessage(selectedContact.id, message.id);
+      toast.success(pinned.includes(message.id) ? 'Message pinned' : 'Message unpinned');
+    } catch (error) {
+      logger.error('[TelegramChatView] Error updating pinned messages:', error);
+      toast.error(error.message || 'Failed to update pinned messages');
+    }
+  };
+
+  // Save a message to the cross-platform "Saved messages" view, or remove it
+  const handleToggleBookmark = (message) => {
+    if (!message || !selectedContact) return;
+    if (message.isOptimistic || !message.id?.startsWith('$')) {
+      toast.error('Wait for the message to send before saving it');
+      return;
+    }
+
+    const saved = bookmarkManager.toggleBookmark(message, {
+      platform: 'telegram',
+      roomId: selectedContact.id,
+      roomName: selectedContact.name
+    });
+    toast.success(saved ? 'Message saved' : 'Removed from saved messages');
+  };
+
+  // Vote in a poll, showing the vote straight away and taking it back if it fails
+  const handleVotePoll = async (message, answerIds) => {
+    if (!message?.poll || !client || !selectedContact) return;
+    if (message.isOptimistic || !message.id?.startsWith('$')) return;
+
+    const userId = client.getUserId();
+    const previousVote = message.poll.responses[userId];
+    setMessages(prevMessages => addPollResponseToMessages(prevMessages, {
+      eventId: null,
+      pollId: message.id,
+      sender: userId,
+      answers: answerIds,
+      timestamp: Date.now()
+    }));
+
+    if (!matrixTimelineManager.initialized) {
+      matrixTimelineManager.initialize(client);
+    }
+
+    try {
+      await matrixTimelineManager.sendPollResponse(selectedContact.id, message.id, answerIds);
+    } catch (error) {
+      logger.error('[TelegramChatView] Error voting in poll:', error);
+      toast.error('Failed to send your vote');
+      setMessages(prevMessages => prevMessages.map(m => {
+        if (m.id !== message.id || !m.poll) return m;
+        const responses = { ...m.poll.responses };
+        delete responses[userId];
+        return { ...m, poll: { ...m.poll, responses: previousVote ? { ...responses, [userId]: previousVote } : responses } };
+      }));
+    }
+  };
+
+  const handleEndPoll = async (message) => {
+    if (!message?.poll || !client || !selectedContact) return;
+
+    if (!matrixTimelineManager.initialized) {
+      matrixTimelineManager.initialize(client);
+    }
+
+    try {
+      await matrixTimelineManager.endPoll(selectedContact.id, message.id, `The poll "${message.poll.question}" has ended`);
+      toast.success('Poll ended');
+    } catch (error) {
+      logger.error('[TelegramChatView] Error ending poll:', error);
+      toast.error('Failed to end the poll');
+    }
+  };
+
+  const handleCreatePoll = async ({ question, answers, kind, maxSelections }) => {
+    if (!client || !selectedContact) return false;
+
+    if (!matrixTimelineManager.initialized) {
+      matrixTimelineManager.initialize(client);
+    }
+
+    try {
+      await matrixTimelineManager.sendPoll(selectedContact.id, question, answers, { kind, maxSelections });
+      return true;
+    } catch (error) {
+      logger.error('[TelegramChatView] Error creating poll:', error);
+      toast.error('Failed to send the poll');
+      return false;
+    }
   };
 
   // Show message if no contact is selected
@@ -1967,7 +2688,23 @@ const TelegramChatView = ({ selectedContact }) => {
   }
 
   return (
-    <div className="chat-view-container telegram-chat-view h-full flex flex-col bg-neutral-900 relative">
+    <div
+      className="chat-view-container telegram-chat-view h-full flex flex-col bg-neutral-900 relative"
+      onDragEnter={handleDragEnter}
+      onDragOver={(e) => isFileDrag(e) && e.preventDefault()}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      {/* Drop zone overlay */}
+      {isDraggingFiles && (
+        <div className="absolute inset-0 z-30 flex items-center justify-center bg-neutral-900/80 border-2 border-dashed border-[#0088cc] rounded-lg pointer-events-none">
+          <div className="text-center text-white">
+            <FiPaperclip className="w-8 h-8 mx-auto mb-2 text-[#0088cc]" />
+            <p className="text-sm">Drop files to attach them</p>
+          </div>
+        </div>
+      )}
+
       {/* Room Members Panel */}
       {showMemberList && (
         <div className="absolute inset-0 z-20">
@@ -1978,6 +2715,69 @@ const TelegramChatView = ({ selectedContact }) => {
         </div>
       )}
 
+      {/* Shared Media Panel */}
+      {showSharedPanel && (
+        <div className="absolute inset-0 z-20">
+          <SharedMediaPanel
+            roomId={selectedContact.id}
+            onClose={() => setShowSharedPanel(false)}
+          />
+        </div>
+      )}
+
+      {/* Thread Panel */}
+      {openThreadRoot && (
+        <div className="absolute inset-y-0 right-0 z-20 w-full md:w-96 border-l border-white/10 shadow-xl">
+          <ThreadPanel
+            key={openThreadRoot.id}
+            roomId={selectedContact.id}
+            rootMessage={openThreadRoot}
+            onClose={() => setThreadRoot(null)}
+          />
+        </div>
+      )}
+
+      {/* Media lightbox */}
+      {lightboxIndex >= 0 && (
+        <MediaLightbox
+          items={mediaMessages}
+          index={lightboxIndex}
+          client={client}
+          onClose={() => setLightboxMessageId(null)}
+          onIndexChange={(index) => setLightboxMessageId(mediaMessages[index]?.id || null)}
+        />
+      )}
+
+      <PollCreatorModal
+        isOpen={showPollCreator}
+        onClose={() => setShowPollCreator(false)}
+        onSubmit={handleCreatePoll}
+      />
+
+      <ChatExportModal
+        isOpen={showExportModal}
+        onClose={() => setShowExportModal(false)}
+        platform="telegram"
+        chatId={selectedContact.id}
+        chatName={selectedContact.name}
+      />
+
+      <ChatImportModal
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        platform="telegram"
+        chatId={selectedContact.id}
+        chatName={selectedContact.name}
+      />
+
+      <ImportedHistoryPanel
+        isOpen={showImportedHistory}
+        onClose={() => setShowImportedHistory(false)}
+        platform="telegram"
+        chatId={selectedContact.id}
+        chatName={selectedContact.name}
+      />
+
       {/* AI Feature Tour */}
       {showAITour && (
         <AIFeatureTour onClose={() => setShowAITour(false)} />
@@ -2264,6 +3064,72 @@ const TelegramChatView = ({ selectedContact }) => {
             <FiUsers className="w-4 h-4" />
           </button>
 
+          {/* Shared media button */}
+          <button
+            onClick={() => setShowSharedPanel(true)}
+            className="p-2 bg-[#0088CC] text-gray-300 hover:text-white hover:bg-neutral-800 rounded-full transition-colors"
+            title="Shared media, files and links"
+          >
+            <FiFolder className="w-4 h-4" />
+          </button>
+
+          {/* Export chat button */}
+          <button
+            onClick={() => setShowExportModal(true)}
+            className="p-2 bg-[#0088CC] text-gray-300 hover:text-white hover:bg-neutral-800 rounded-full transition-colors"
+            title="Export chat"
+          >
+            <FiDownload className="w-4 h-4" />
+          </button>
+
+          {/* Import history from a Telegram Desktop export */}
+          <button
+            onClick={() => setShowImportModal(true)}
+            className="p-2 bg-[#0088CC] text-gray-300 hover:text-white hover:bg-neutral-800 rounded-full transition-colors"
+            title="Import chat history"
+          >
+            <FiUpload className="w-4 h-4" />
+          </button>
+
+          {importedHistory && (
+            <button
+              onClick={() => setShowImportedHistory(true)}
+              className="p-2 bg-[#0088CC] text-gray-300 hover:text-white hover:bg-neutral-800 rounded-full transition-colors"
+              title={`Imported history (${importedHistory.count} messages)`}
+            >
+              <FiArchive className="w-4 h-4" />
+            </button>
+          )}
+
+          {/* Snooze this conversation */}
+          <div className="relative">
+            <button
+              onMouseDown={(e) => e.stopPropagation()}
+              onClick={() => setShowSnoozeMenu(!showSnoozeMenu)}
+              className={`p-2 bg-[#0088CC] hover:text-white hover:bg-neutral-800 rounded-full transition-colors ${isSnoozed ? 'text-amber-300' : 'text-gray-300'}`}
+              title={isSnoozed ? 'Snoozed' : 'Snooze conversation'}
+            >
+              <FiClock className="w-4 h-4" />
+            </button>
+            <SnoozeMenu
+              isOpen={showSnoozeMenu}
+              onClose={() => setShowSnoozeMenu(false)}
+              platform="telegram"
+              chatId={selectedContact.id}
+              chatName={selectedContact.name}
+            />
+          </div>
+
+          {/* Link previews toggle for this conversation */}
+          <button
+            onClick={() => setLinkPreviewsEnabled(!linkPreviewsEnabled)}
+            className={`p-2 bg-[#0088CC] hover:text-white hover:bg-neutral-800 rounded-full transition-colors ${linkPreviewsEnabled ? 'text-white' : 'text-gray-300 opacity-60'}`}
+            title={linkPreviewsEnabled ? 'Turn off link previews' : 'Turn on link previews'}
+            aria-pressed={linkPreviewsEnabled}
+          >
+            <FiLink className="w-4 h-4" />
+          </button>
+
           {/* AI Assistant button */}
           <AIAssistantButton
             client={client}
@@ -2305,9 +3171,31 @@ const TelegramChatView = ({ selectedContact }) => {
         </div>
       </div>
 
+      {/* Pinned messages */}
+      <PinnedMessagesBanner
+        key={selectedContact.id}
+        pins={pins}
+        onJump={(pin) => handleJumpToMessage(pin.id)}
+        onUnpin={(pin) => handleTogglePin({ id: pin.id })}
+      />
+
+      {/* Jump to the first unread message */}
+      {showJumpToUnread && !loading && (
+        <div className="relative h-0">
+          <div className="absolute top-3 left-1/2 -translate-x-1/2 z-10">
+            <JumpToUnreadButton
+              count={unreadMarker?.count}
+              onJump={handleJumpToUnread}
+              onDismiss={() => setShowJumpToUnread(false)}
+            />
+          </div>
+        </div>
+      )}
+
       {/* Messages area */}
       <div
         id="messages-container"
+        ref={messagesContainerRef}
         className="messages-container flex-1 overflow-y-auto p-4 space-y-4 bg-gradient-to-b from-neutral-900 to-neutral-950"
         onScroll={handleScroll}
       >
@@ -2332,7 +3220,7 @@ const TelegramChatView = ({ selectedContact }) => {
               </button>
             </div>
           </div>
-        ) : messages.length === 0 ? (
+        ) : timelineMessages.length === 0 ? (
           <div className="h-full flex items-center justify-center">
             <div className="text-center bg-neutral-800/50 p-8 rounded-xl max-w-md mx-auto border border-[#0088cc]/10">
               <div className="w-16 h-16 rounded-full bg-[#0088cc]/10 flex items-center justify-center mx-auto mb-4">
@@ -2371,7 +3259,7 @@ const TelegramChatView = ({ selectedContact }) => {
             {/* Group messages by date and add date separators */}
             {(() => {
               // Filter out "Message content unavailable" messages
-              const filteredMessages = messages.filter(message =>
+              const filteredMessages = timelineMessages.filter(message =>
                 !(message.content?.body === 'Message content unavailable' ||
                   message.body === 'Message content unavailable')
               );
@@ -2408,8 +3296,12 @@ const TelegramChatView = ({ selectedContact }) => {
                     <React.Fragment key={dateString}>
                       <DateSeparator date={new Date(dateString)} />
                       {sortedMessages.map((message, index) => (
+                        <React.Fragment key={message.id || `${dateString}-${index}`}>
+                        {unreadMarker?.eventId && message.id === unreadMarker.eventId && (
+                          <NewMessagesDivider count={unreadMarker.count} />
+                        )}
                         <div
-                          key={message.id || `${dateString}-${index}`}
+                          data-message-id={message.id}
                           className={`message-container ${message.isFromMe ? 'message-container-sent' : 'message-container-received'} group`}
                         >
                           {/* Avatar for received messages */}
@@ -2513,9 +3405,23 @@ const TelegramChatView = ({ selectedContact }) => {
                               selectedContact={selectedContact}
                               parentEvents={parentEvents}
                               onReply={handleReplyToMessage}
-                              onDelete={() => toast.error('Delete functionality coming soon')}
-                              onPin={() => toast.error('Pin functionality coming soon')}
-                              onReact={() => toast.error('React functionality coming soon')}
+                              onOpenThread={handleOpenThread}
+                              onEdit={handleEditMessage}
+                              onDelete={handleDeleteMessage}
+                              onPin={handleTogglePin}
+                              isPinned={pinnedIds.includes(message.id)}
+                              onBookmark={handleToggleBookmark}
+                              isBookmarked={bookmarkedIds.has(message.id)}
+                              onReact={handleToggleReaction}
+                              onOpenMedia={(mediaMessage) => setLightboxMessageId(mediaMessage.id)}
+                              onJumpToMessage={(eventId) => handleJumpToMessage(eventId, message.id)}
+                              onVotePoll={handleVotePoll}
+                              onEndPoll={handleEndPoll}
+                              receiptStatus={receiptStatuses[message.id]}
+                              isMention={isMentioningMe(message, mentionContext)}
+                              showLinkPreviews={linkPreviewsEnabled}
+                              onRetrySend={(failedMessage) => outboxManager.retry(failedMessage.txnId)}
+                              onDiscardSend={(failedMessage) => outboxManager.discard(failedMessage.txnId)}
                             />
                 )}
                           <div className="hidden">
@@ -2830,6 +3736,7 @@ const TelegramChatView = ({ selectedContact }) => {
                           </div>
                         )}
                       </div>
+                        </React.Fragment>
                             ))}
                             </React.Fragment>
                           );
@@ -2840,6 +3747,15 @@ const TelegramChatView = ({ selectedContact }) => {
         )}
       </div>
 
+      {/* Return from a jump to a reply's parent, a pinned message or a search result */}
+      {jumpOrigins.length > 0 && !loading && (
+        <div className="relative h-0">
+          <div className="absolute bottom-3 right-4 z-10">
+            <JumpBackButton onBack={handleJumpBack} onDismiss={() => setJumpOrigins([])} />
+          </div>
+        </div>
+      )}
+
       {/* AI Action Buttons */}
       {client && selectedContact && !selectedContact.isPlaceholder && (
         <div className="px-3 pt-3">
@@ -2851,6 +3767,9 @@ const TelegramChatView = ({ selectedContact }) => {
         </div>
       )}
 
+      {/* Typing indicator */}
+      <TypingIndicator names={typingMembers.map(member => member.name)} />
+
       {/* Message input */}
       <div className="p-3 border-t border-white/10 bg-neutral-900">
         {/* Reply preview */}
@@ -2861,23 +3780,48 @@ const TelegramChatView = ({ selectedContact }) => {
             client={client}
           />
         )}
+        {/* Pending attachments */}
+        <AttachmentTray attachments={attachments} onRemove={removeAttachment} />
         {/* Attachment options */}
         <div className="flex items-center justify-between mb-4 px-1">
           <div className="flex space-x-4">
-            {/* <button
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              className="hidden"
+              onChange={handleFileInputChange}
+            />
+            <button
               type="button"
+              onClick={() => {
+                fileInputRef.current.accept = '';
+                fileInputRef.current.click();
+              }}
               className="text-gray-400 bg-neutral-800 hover:text-[#0088cc] transition-colors p-1 rounded-full hover:bg-neutral-800"
               title="Attach files"
             >
               <FiPaperclip className="w-5 h-5" />
-            </button> */}
-            {/* <button
+            </button>
+            <button
               type="button"
+              onClick={() => {
+                fileInputRef.current.accept = 'image/*,video/*';
+                fileInputRef.current.click();
+              }}
               className="text-gray-400 bg-neutral-800 hover:text-[#0088cc] transition-colors p-1 rounded-full hover:bg-neutral-800"
               title="Send images"
             >
               <FiImage className="w-5 h-5" />
-            </button> */}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowPollCreator(true)}
+              className="text-gray-400 bg-neutral-800 hover:text-[#0088cc] transition-colors p-1 rounded-full hover:bg-neutral-800"
+              title="Create poll"
+            >
+              <FiBarChart2 className="w-5 h-5" />
+            </button>
             {/* AI Assistant Button */}
             <div className="ai-button-container ml-10 relative">
               <AIAssistantButton
@@ -2888,19 +3832,32 @@ const TelegramChatView = ({ selectedContact }) => {
             </div>
           </div>
           <div>
-            {/* <button
+            <button
               type="button"
-              className="text-gray-400 bg-neutral-800 hover:text-[#0088cc] transition-colors p-1 rounded-full hover:bg-neutral-800"
-              title="Format text"
+              onClick={() => setShowFormattingPreview(show => !show)}
+              className={`bg-neutral-800 hover:text-[#0088cc] transition-colors p-1 rounded-full hover:bg-neutral-800 ${showFormattingPreview ? 'text-[#0088cc]' : 'text-gray-400'}`}
+              title={showFormattingPreview ? 'Hide formatting preview' : 'Show formatting preview'}
+              aria-pressed={showFormattingPreview}
             >
               <span className="font-bold text-sm">Aa</span>
-            </button> */}
+            </button>
           </div>
         </div>
 
+        {/* Markdown preview */}
+        {showFormattingPreview && hasMarkdown(inputMessage) && (
+          <MarkdownPreview text={inputMessage} onClose={() => setShowFormattingPreview(false)} />
+        )}
+
         {/* Message composer */}
-        {/* <form onSubmit={handleSendMessage} className="flex items-center">
+        <form onSubmit={handleSendMessage} className="flex items-center">
           <div className="relative flex-1 items-center">
+            <MentionSuggestions
+              members={mentionSuggestions}
+              activeIndex={Math.min(mentionIndex, Math.max(mentionSuggestions.length - 1, 0))}
+              onSelect={handleSelectMention}
+              onHover={setMentionIndex}
+            />
             <div className="absolute bottom-2 left-2">
               <button
                 type="button"
@@ -2913,35 +3870,63 @@ const TelegramChatView = ({ selectedContact }) => {
             <textarea
               id="message-input"
               value={inputMessage}
-              onChange={(e) => setInputMessage(e.target.value)}
-              placeholder="Type a message..."
+              onChange={(e) => {
+                setInputMessage(e.target.value);
+                saveDraft(e.target.value, replyToEvent);
+                updateMentionQuery(e.target);
+                if (e.target.value) {
+                  notifyTyping();
+                } else {
+                  stopTyping();
+                }
+              }}
+              onSelect={(e) => updateMentionQuery(e.target)}
+              onBlur={() => setMentionQuery(null)}
+              onPaste={handleComposerPaste}
+              placeholder="Type a message... (Markdown supported)"
               rows={1}
               className="w-full bg-neutral-800 text-white rounded-2xl pl-10 pr-4 py-3 focus:outline-none focus:ring-1 focus:ring-[#0088cc] resize-none min-h-[44px] max-h-[120px] overflow-auto"
               style={{ scrollbarWidth: 'thin', scrollbarColor: '#555 #333' }}
               onKeyDown={(e) => {
+                // While suggestions are open, the arrow keys, Enter and Tab pick a member
+                if (mentionSuggestions.length > 0) {
+                  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    const step = e.key === 'ArrowDown' ? 1 : -1;
+                    setMentionIndex(index => (index + step + mentionSuggestions.length) % mentionSuggestions.length);
+                    return;
+                  }
+                  if ((e.key === 'Enter' && !e.shiftKey) || e.key === 'Tab') {
+                    e.preventDefault();
+                    handleSelectMention(mentionSuggestions[Math.min(mentionIndex, mentionSuggestions.length - 1)]);
+                    return;
+                  }
+                  if (e.key === 'Escape') {
+                    e.preventDefault();
+                    setMentionQuery(null);
+                    return;
+                  }
+                }
                 if (e.key === 'Enter' && !e.shiftKey) {
                   e.preventDefault();
-                  if (inputMessage.trim()) {
+                  if (inputMessage.trim() || attachments.length > 0) {
                     handleSendMessage(e);
                   }
                 }
               }}
             />
             <div className="absolute bottom-2 right-2">
-              <button
-                type="button"
-                className="text-gray-400 bg-neutral-800 hover:text-[#0088cc] transition-colors p-1 rounded-full hover:bg-neutral-800"
-                title="Voice message"
-              >
-                <FiMic className="w-5 h-5" />
-              </button>
+              <VoiceRecorderButton
+                onRecorded={(file) => addAttachments([file], { isVoice: true })}
+                disabled={sending}
+              />
             </div>
           </div>
           <button
             type="submit"
-            disabled={!inputMessage.trim() || sending}
+            disabled={(!inputMessage.trim() && attachments.length === 0) || sending}
             className={`p-3 w-auto rounded-full ml-2 flex-shrink-0 transition-all duration-200 ${
-              inputMessage.trim() && !sending
+              (inputMessage.trim() || attachments.length > 0) && !sending
                 ? 'bg-[#0088cc] text-white shadow-md hover:bg-[#0077b6]'
                 : 'bg-neutral-800 text-gray-400'
             }`}
@@ -2949,7 +3934,7 @@ const TelegramChatView = ({ selectedContact }) => {
           >
             <FiSend className="w-5 h-5" />
           </button>
-        </form> */}
+        </form>
       </div>
     </div>
   );
@@ -2963,7 +3948,13 @@ TelegramChatView.propTypes = {
     isGroup: PropTypes.bool,
     members: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
     isPlaceholder: PropTypes.bool
-  })
+  }),
+  jumpToMessage: PropTypes.shape({
+    roomId: PropTypes.string,
+    messageId: PropTypes.string,
+    timestamp: PropTypes.number
+  }),
+  onJumpComplete: PropTypes.func
 };
 
 export default TelegramChatView;
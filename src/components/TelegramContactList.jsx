@@ -1,14 +1,29 @@
-import { useState, useEffect, useRef, useCallback } from 'react';
-import { FiSearch, FiRefreshCw, FiMessageCircle, FiUsers, FiPlus, FiSettings } from 'react-icons/fi';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { FiSearch, FiRefreshCw, FiMessageCircle, FiUsers, FiPlus, FiSettings, FiLayers, FiList, FiCheckSquare, FiCheck, FiTag, FiZap } from 'react-icons/fi';
 import { FaTelegram } from 'react-icons/fa';
 import { useMatrixClient } from '../context/MatrixClientContext';
 import { toast } from 'react-hot-toast';
 import roomListManager from '../utils/roomListManager';
 import logger from '../utils/logger';
-import contactOrganizer from '../utils/contactOrganizer';
+import contactOrganizer, { ContactCategories } from '../utils/contactOrganizer';
+import matrixTimelineManager from '../utils/matrixTimelineManager';
+import snoozeManager, { isSnoozeActive } from '../utils/snoozeManager';
+import labelManager from '../utils/labelManager';
+import { applyLabelRules } from '../utils/contactRules';
 import ContactCache from '../utils/contactCache';
 import PropTypes from 'prop-types';
 import { Virtuoso } from 'react-virtuoso';
+import ContactCategory from './ContactCategory';
+import DraftPreview from './DraftPreview';
+import LabelBadges from './LabelBadges';
+import LabelFilterBar from './LabelFilterBar';
+import LabelsModal from './LabelsModal';
+import ContactRulesModal from './ContactRulesModal';
+import useDrafts from '../hooks/useDrafts';
+import useMentionKeywords from '../hooks/useMentionKeywords';
+import useSnoozes from '../hooks/useSnoozes';
+import useLabels from '../hooks/useLabels';
+import useContactRules from '../hooks/useContactRules';
 
 /**
  * TelegramContactList Component
@@ -22,6 +37,15 @@ import { Virtuoso } from 'react-virtuoso';
  */
 const TelegramContactList = ({ onContactSelect, selectedContactId }) => {
   const { client, loading: clientLoading } = useMatrixClient() || {};
+  // Unsent composer text per room, shown in place of the last message
+  const drafts = useDrafts();
+  // Keywords that put a chat under Mentions, set in settings
+  const mentionKeywords = useMentionKeywords();
+  const snoozes = useSnoozes();
+  // User-defined labels, kept as room tags on each Telegram room
+  const labels = useLabels();
+  // Rules that file and label chats automatically
+  const contactRules = useContactRules();
   const [contacts, setContacts] = useState([]);
   const [filteredContacts, setFilteredContacts] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
@@ -39,6 +63,22 @@ const TelegramContactList = ({ onContactSelect, selectedContactId }) => {
   const [showMuted] = useState(true);
   const [showArchived, setShowArchived] = useState(false);
   const [activeFilter, setActiveFilter] = useState('all');
+  const [organizedContacts, setOrganizedContacts] = useState({});
+  const [selectedLabelId, setSelectedLabelId] = useState(null);
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  // Chats being labelled, or [] to just manage labels; null keeps the modal closed
+  const [labelTargets, setLabelTargets] = useState(null);
+  const [showRules, setShowRules] = useState(false);
+
+  // Snoozed chats stay hidden until they wake up, then sit at the top until opened
+  const { snoozedContactIds, resurfacedContactIds } = useMemo(() => {
+    const telegramSnoozes = snoozes.filter(snooze => snooze.platform === 'telegram');
+    return {
+      snoozedContactIds: telegramSnoozes.filter(snooze => isSnoozeActive(snooze)).map(snooze => snooze.chatId),
+      resurfacedContactIds: telegramSnoozes.filter(snooze => snooze.wokenAt).map(snooze => snooze.chatId)
+    };
+  }, [snoozes]);
 
   // Reference for sync timeout
   const syncTimeoutRef = useRef(null);
@@ -49,17 +89,21 @@ const TelegramContactList = ({ onContactSelect, selectedContactId }) => {
 
     try {
       // Use the contactOrganizer utility to organize contacts
-      contactOrganizer.organizeContacts(contactsToOrganize, {
-        pinnedIds: pinnedContactIds,
-        mutedIds: mutedContactIds,
-        archivedIds: archivedContactIds,
+      setOrganizedContacts(contactOrganizer.organizeContacts(contactsToOrganize, {
+        pinnedContactIds,
+        mutedContactIds,
+        archivedContactIds,
+        snoozedContactIds,
+        resurfacedContactIds,
+        mentionKeywords,
+        rules: contactRules,
         showMuted,
         showArchived
-      });
+      }));
     } catch (error) {
       logger.error('[TelegramContactList] Error organizing contacts:', error);
     }
-  }, [contacts, pinnedContactIds, mutedContactIds, archivedContactIds, showMuted, showArchived]);
+  }, [contacts, pinnedContactIds, mutedContactIds, archivedContactIds, snoozedContactIds, resurfacedContactIds, mentionKeywords, contactRules, showMuted, showArchived]);
 
   // Reference to track if we've already tried to load contacts
   const hasTriedLoading = useRef(false);
@@ -128,6 +172,7 @@ const TelegramContactList = ({ onContactSelect, selectedContactId }) => {
       lastMessage: room.lastMessage || '',
       timestamp: room.timestamp || Date.now(),
       unreadCount: room.unreadCount || 0,
+      highlightCount: room.highlightCount || 0,
       isGroup: Boolean(room.isGroup),
       isTelegram: true,
       members: room.members || 0,
@@ -495,10 +540,14 @@ const TelegramContactList = ({ onContactSelect, selectedContactId }) => {
     // Apply both null filtering and relevance filtering
     const validContacts = contacts
       .filter(contact => contact != null)
-      .filter(isRelevantRoom); // Ensure we only show relevant rooms
+      .filter(isRelevantRoom) // Ensure we only show relevant rooms
+      .filter(contact => !selectedLabelId || labelManager.getContactLabelIds('telegram', contact.id).includes(selectedLabelId));
     
     if (searchQuery.trim() === '') {
-      setFilteredContacts(validContacts);
+      // Searching still finds snoozed chats; the plain list leaves them out
+      setFilteredContacts(validContacts
+        .filter(contact => !snoozedContactIds.includes(contact.id))
+        .sort((a, b) => resurfacedContactIds.includes(b.id) - resurfacedContactIds.includes(a.id)));
     } else {
       const query = searchQuery.toLowerCase();
       const filtered = validContacts.filter(contact =>
@@ -509,7 +558,51 @@ const TelegramContactList = ({ onContactSelect, selectedContactId }) => {
     
     // Organize contacts after filtering
     organizeContactList(validContacts);
-  }, [searchQuery, contacts, organizeContactList]);
+  }, [searchQuery, contacts, organizeContactList, snoozedContactIds, resurfacedContactIds, labels, selectedLabelId]);
+
+  // Drop a label filter whose label was deleted
+  useEffect(() => {
+    if (selectedLabelId && !labels.some(label => label.id === selectedLabelId)) {
+      setSelectedLabelId(null);
+    }
+  }, [labels, selectedLabelId]);
+
+  // Wake chats snoozed until a reply once new messages arrive
+  useEffect(() => {
+    snoozeManager.checkReplies('telegram', contacts
+      .filter(Boolean)
+      .map(contact => ({ chatId: contact.id, unreadCount: contact.unreadCount, timestamp: contact.timestamp })));
+  }, [contacts, snoozes]);
+
+  // Label rules run as chats and their latest messages come in
+  useEffect(() => {
+    applyLabelRules('telegram', contacts.filter(Boolean), contactRules);
+  }, [contacts, contactRules, labels]);
+
+  const ruleEntries = useMemo(
+    () => contacts.filter(Boolean).map(contact => ({ platform: 'telegram', contact })),
+    [contacts]
+  );
+
+  // Opening a chat that came back from a snooze clears its snoozed mark
+  const handleContactSelect = (contact) => {
+    if (selectionMode) {
+      setSelectedIds(prev => prev.includes(contact.id)
+        ? prev.filter(id => id !== contact.id)
+        : [...prev, contact.id]);
+      return;
+    }
+
+    snoozeManager.dismissWoken('telegram', contact.id);
+    onContactSelect(contact);
+  };
+
+  const exitSelectionMode = () => {
+    setSelectionMode(false);
+    setSelectedIds([]);
+  };
+
+  const getContactLabels = (contactId) => labelManager.getContactLabels('telegram', contactId);
 
   // Handle manual refresh
   const handleRefresh = async () => {
@@ -579,21 +672,62 @@ const TelegramContactList = ({ onContactSelect, selectedContactId }) => {
     }
   };
 
+  // Mark every unread chat in a category as read
+  const handleMarkAllRead = async (category, unreadContacts) => {
+    if (!client || unreadContacts.length === 0) return;
+
+    if (!matrixTimelineManager.initialized) {
+      matrixTimelineManager.initialize(client);
+    }
+
+    const results = await Promise.allSettled(
+      unreadContacts.map(contact => matrixTimelineManager.markRoomAsRead(contact.id))
+    );
+    const markedIds = new Set(unreadContacts
+      .filter((contact, index) => results[index].status === 'fulfilled' && results[index].value)
+      .map(contact => contact.id));
+
+    // Clear the badges now rather than waiting for the next sync
+    setContacts(prevContacts => prevContacts.map(contact =>
+      contact && markedIds.has(contact.id) ? { ...contact, unreadCount: 0, highlightCount: 0 } : contact
+    ));
+
+    if (markedIds.size < unreadContacts.length) {
+      logger.warn(`[TelegramContactList] Could not mark ${unreadContacts.length - markedIds.size} chats in ${category} as read`);
+      toast.error('Some chats could not be marked as read');
+    }
+  };
+
   // Render contact item for virtualized list
   const renderContactItem = (index, contact) => {
     // Safety check for null contacts
     if (!contact) return null;
+
+    const isChecked = selectionMode && selectedIds.includes(contact.id);
     
     return (
       <div
         key={contact.id}
         className={`flex items-center p-3 rounded-lg cursor-pointer transition-all duration-200 ${
-          selectedContactId === contact.id
+          isChecked
+            ? 'bg-neutral-800 border-l-4 border-white'
+            : selectedContactId === contact.id
             ? 'bg-[#0088cc] bg-opacity-20 border-l-4 border-[#0088cc]'
             : 'hover:bg-neutral-800 border-l-4 border-transparent'
         }`}
-        onClick={() => onContactSelect(contact)}
+        onClick={() => handleContactSelect(contact)}
       >
+        {selectionMode && (
+          <div
+            className={`w-5 h-5 ml-1 flex items-center justify-center rounded border flex-shrink-0 ${
+              isChecked ? 'bg-white border-white text-neutral-900' : 'border-gray-500'
+            }`}
+            role="checkbox"
+            aria-checked={isChecked}
+          >
+            {isChecked && <FiCheck className="w-3 h-3" />}
+          </div>
+        )}
         <div className="relative ml-2">
           {contact.avatar ? (
             <img
@@ -641,7 +775,13 @@ const TelegramContactList = ({ onContactSelect, selectedContactId }) => {
             <h3 className="font-medium truncate text-white">
               {contact.telegramContact?.firstName || contact.name}
               {contact.telegramContact?.lastName && ` ${contact.telegramContact.lastName}`}
+              {resurfacedContactIds.includes(contact.id) && (
+                <span className="ml-2 text-[10px] uppercase tracking-wide text-amber-300 bg-amber-500/20 rounded px-1.5 py-0.5">
+                  Snoozed
+                </span>
+              )}
             </h3>
+            <LabelBadges labels={getContactLabels(contact.id)} className="ml-auto mr-2 pl-2" />
             <span className="text-xs text-gray-400">
               {formatTimestamp(contact.timestamp)}
             </span>
@@ -651,12 +791,16 @@ const TelegramContactList = ({ onContactSelect, selectedContactId }) => {
             {contact.telegramContact?.username && (
               <span className="text-[#0088cc] text-xs mr-2">@{contact.telegramContact.username}</span>
             )}
-            <p className="text-sm truncate text-gray-400">
-              {contact.lastMessage ||
-               (contact.isGroup ? `${contact.members} members` :
-                (contact.isPlaceholder ? 'Tap to view messages' :
-                 (contact.room ? 'Loading messages...' : 'Tap to view conversation')))}
-            </p>
+            {drafts[contact.id] ? (
+              <DraftPreview draft={drafts[contact.id]} />
+            ) : (
+              <p className="text-sm truncate text-gray-400">
+                {contact.lastMessage ||
+                 (contact.isGroup ? `${contact.members} members` :
+                  (contact.isPlaceholder ? 'Tap to view messages' :
+                   (contact.room ? 'Loading messages...' : 'Tap to view conversation')))}
+              </p>
+            )}
           </div>
         </div>
       </div>
@@ -689,6 +833,29 @@ const TelegramContactList = ({ onContactSelect, selectedContactId }) => {
           <h2 className="text-xl font-semibold text-white">Telegram</h2>
         </div>
         <div className="flex items-center space-x-2">
+          <button
+            className={`p-2 w-auto rounded-full transition-colors ${
+              selectionMode ? 'bg-white text-neutral-900' : 'bg-neutral-800 text-gray-400 hover:text-white'
+            }`}
+            onClick={() => (selectionMode ? exitSelectionMode() : setSelectionMode(true))}
+            title={selectionMode ? 'Cancel selection' : 'Select chats to label'}
+          >
+            <FiCheckSquare className="w-5 h-5" />
+          </button>
+          <button
+            className="p-2 w-auto bg-neutral-800 rounded-full text-gray-400 hover:text-white transition-colors"
+            onClick={() => setShowRules(true)}
+            title="Contact rules"
+          >
+            <FiZap className="w-5 h-5" />
+          </button>
+          <button
+            className="p-2 w-auto bg-neutral-800 rounded-full text-gray-400 hover:text-white transition-colors"
+            onClick={() => setActiveFilter(activeFilter === 'categories' ? 'all' : 'categories')}
+            title={activeFilter === 'categories' ? 'Show all chats' : 'Group chats by category'}
+          >
+            {activeFilter === 'categories' ? <FiList className="w-5 h-5" /> : <FiLayers className="w-5 h-5" />}
+          </button>
           <button
             className="p-2 w-auto bg-neutral-800 rounded-full text-gray-400 hover:text-white transition-colors"
             onClick={() => setShowArchived(!showArchived)}
@@ -706,7 +873,7 @@ const TelegramContactList = ({ onContactSelect, selectedContactId }) => {
         </div>
       </div>
 
-      <div className="relative mb-6">
+      <div className="relative mb-3">
         <input
           type="text"
           placeholder="Search conversations..."
@@ -717,6 +884,15 @@ const TelegramContactList = ({ onContactSelect, selectedContactId }) => {
         <FiSearch className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
       </div>
 
+      <div className="mb-4">
+        <LabelFilterBar
+          labels={labels}
+          selectedLabelId={selectedLabelId}
+          onChange={setSelectedLabelId}
+          onManage={() => setLabelTargets([])}
+        />
+      </div>
+
       {/* Background sync indicator */}
       {backgroundSyncInProgress && (
         <div className="bg-blue-500 bg-opacity-10 text-blue-400 text-sm px-3 py-1 rounded-md mb-2 flex items-center justify-center">
@@ -756,10 +932,33 @@ const TelegramContactList = ({ onContactSelect, selectedContactId }) => {
               <p className="text-gray-400">
                 {searchQuery
                   ? `No results for "${searchQuery}". Try a different search term.`
-                  : 'Connect with Telegram to start messaging.'}
+                  : selectedLabelId
+                    ? 'No chats have this label yet.'
+                    : 'Connect with Telegram to start messaging.'}
               </p>
             </div>
           </div>
+        ) : activeFilter === 'categories' && !searchQuery.trim() && !selectionMode ? (
+          // Render contacts grouped by category
+          <div className="h-full overflow-y-auto pr-1">
+            {Object.values(ContactCategories).map(category => (
+              <ContactCategory
+                key={category}
+                category={category}
+                contacts={organizedContacts[category] || []}
+                onContactSelect={handleContactSelect}
+                selectedContactId={selectedContactId}
+                onPinContact={togglePinContact}
+                onMuteContact={toggleMuteContact}
+                onArchiveContact={toggleArchiveContact}
+                onUnsnoozeContact={(contactId) => snoozeManager.unsnooze('telegram', contactId)}
+                onLabelContact={(contactId) => setLabelTargets([{ platform: 'telegram', chatId: contactId }])}
+                onMarkAllRead={handleMarkAllRead}
+                getContactLabels={getContactLabels}
+                drafts={drafts}
+              />
+            ))}
+          </div>
         ) : (
           // Render virtualized contact list
           <Virtuoso
@@ -772,8 +971,25 @@ const TelegramContactList = ({ onContactSelect, selectedContactId }) => {
         )}
       </div>
 
-      {/* Refresh button at the bottom */}
-      {!loading && filteredContacts && filteredContacts.length > 0 && (
+      {selectionMode ? (
+        <div className="pt-4 mt-auto flex items-center gap-2">
+          <span className="flex-1 text-sm text-gray-300">{selectedIds.length} selected</span>
+          <button
+            className="flex items-center gap-2 w-auto px-4 py-2 rounded-lg bg-[#0088cc] hover:bg-[#0099dd] text-white disabled:opacity-50"
+            onClick={() => setLabelTargets(selectedIds.map(chatId => ({ platform: 'telegram', chatId })))}
+            disabled={selectedIds.length === 0}
+          >
+            <FiTag className="w-4 h-4" />
+            Label
+          </button>
+          <button
+            className="w-auto px-4 py-2 rounded-lg bg-neutral-800 text-gray-300 hover:text-white"
+            onClick={exitSelectionMode}
+          >
+            Cancel
+          </button>
+        </div>
+      ) : !loading && filteredContacts && filteredContacts.length > 0 && (
         <div className="pt-4 mt-auto">
           <button
             className={`w-full flex items-center justify-center py-2 px-4 rounded-lg transition-all duration-200 ${
@@ -798,6 +1014,17 @@ const TelegramContactList = ({ onContactSelect, selectedContactId }) => {
           </button>
         </div>
       )}
+
+      <LabelsModal
+        isOpen={labelTargets !== null}
+        onClose={() => setLabelTargets(null)}
+        targets={labelTargets || []}
+      />
+      <ContactRulesModal
+        isOpen={showRules}
+        onClose={() => setShowRules(false)}
+        entries={ruleEntries}
+      />
     </div>
   );
 };
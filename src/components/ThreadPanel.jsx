@@ -0,0 +1,248 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { FiSend } from 'react-icons/fi';
+import { toast } from 'react-hot-toast';
+import { useMatrixClient } from '../context/MatrixClientContext';
+import matrixTimelineManager from '../utils/matrixTimelineManager';
+import { getThreadRootId, addThreadRelationToContent } from '../utils/threadUtils';
+import { buildTextContent } from '../utils/markdownUtils';
+import { getEditFromEvent, applyEditToMessages, redactMessageInMessages } from '../utils/messageEditUtils';
+import { getRedactedEventId } from '../utils/reactionUtils';
+import MessageBubbleWithWheel from './MessageBubbleWithWheel';
+import ReplyPreview from './ReplyPreview';
+import logger from '../utils/logger';
+
+/**
+ * Side panel showing a thread's root message and its replies, with a composer
+ * that sends into the thread
+ */
+const ThreadPanel = ({ roomId, rootMessage, onClose }) => {
+  const { client } = useMatrixClient() || {};
+  const [replies, setReplies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [text, setText] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [sending, setSending] = useState(false);
+  const messagesEndRef = useRef(null);
+  const inputRef = useRef(null);
+  const rootId = rootMessage.id;
+
+  // Load the replies already in the thread
+  useEffect(() => {
+    if (!client) return undefined;
+
+    let cancelled = false;
+    setLoading(true);
+    setReplies([]);
+    setReplyTo(null);
+
+    if (!matrixTimelineManager.initialized) {
+      matrixTimelineManager.initialize(client);
+    }
+
+    matrixTimelineManager.loadThread(roomId, rootId)
+      .then(loadedReplies => {
+        if (!cancelled) setReplies(loadedReplies);
+      })
+      .catch(() => {
+        if (!cancelled) toast.error('Failed to load thread');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [client, roomId, rootId]);
+
+  // Follow new replies, edits and deletions while the panel is open
+  useEffect(() => {
+    if (!client) return undefined;
+
+    const handleTimeline = (event, room, toStartOfTimeline, removed) => {
+      if (toStartOfTimeline || removed || room?.roomId !== roomId) return;
+      // Our own replies are added once sending completes
+      if (event.status) return;
+
+      if (event.getType() === 'm.room.redaction') {
+        const redactedId = getRedactedEventId(event);
+        if (redactedId) setReplies(prevReplies => redactMessageInMessages(prevReplies, redactedId));
+        return;
+      }
+
+      const edit = getEditFromEvent(event);
+      if (edit) {
+        setReplies(prevReplies => applyEditToMessages(prevReplies, edit));
+        return;
+      }
+
+      if (getThreadRootId(event) !== rootId) return;
+
+      const reply = matrixTimelineManager._createMessageFromEvent(event, room);
+      if (reply) {
+        setReplies(prevReplies => (
+          prevReplies.some(m => m.id === reply.id) ? prevReplies : [...prevReplies, reply]
+        ));
+      }
+    };
+
+    client.on('Room.timeline', handleTimeline);
+    return () => client.removeListener('Room.timeline', handleTimeline);
+  }, [client, roomId, rootId]);
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [replies.length]);
+
+  // Quoted replies inside the thread render against the thread's own messages
+  const parentEvents = useMemo(() => Object.fromEntries(
+    [rootMessage, ...replies]
+      .filter(message => message.rawEvent)
+      .map(message => [message.id, message.rawEvent])
+  ), [rootMessage, replies]);
+
+  const handleReply = (message) => {
+    // Replying to the root is just replying in the thread
+    setReplyTo(message.id === rootId ? null : message);
+    inputRef.current?.focus();
+  };
+
+  const handleSend = async () => {
+    const body = text.trim();
+    if (!body || sending || !client) return;
+
+    const latestId = replies[replies.length - 1]?.id || rootId;
+    const content = addThreadRelationToContent(
+      buildTextContent(body),
+      rootId,
+      replyTo?.id || latestId,
+      !replyTo
+    );
+
+    setSending(true);
+    try {
+      const eventId = await matrixTimelineManager.sendMessage(roomId, content);
+      const room = client.getRoom(roomId);
+      const sentEvent = room?.findEventById(eventId);
+      const sentReply = sentEvent
+        ? matrixTimelineManager._createMessageFromEvent(sentEvent, room)
+        : { id: eventId, sender: client.getUserId(), senderName: 'You', content, body, timestamp: Date.now(), isFromMe: true, roomId };
+
+      setReplies(prevReplies => (
+        prevReplies.some(m => m.id === eventId) ? prevReplies : [...prevReplies, sentReply]
+      ));
+      setText('');
+      setReplyTo(null);
+    } catch (error) {
+      logger.error('[ThreadPanel] Error sending thread reply:', error);
+      toast.error('Failed to send reply');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const selectedContact = { id: roomId };
+
+  return (
+    <div className="h-full flex flex-col bg-neutral-900 text-white">
+      {/* Header */}
+      <div className="p-4 border-b border-white/10 flex items-center">
+        <button
+          onClick={onClose}
+          className="mr-3 w-auto p-2 rounded-full hover:bg-neutral-800 transition-colors"
+          aria-label="Close thread"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+            <path d="M19 12H5M12 19l-7-7 7-7"/>
+          </svg>
+        </button>
+        <div>
+          <h2 className="text-lg font-medium">Thread</h2>
+          {!loading && (
+            <p className="text-xs text-gray-400">{replies.length} {replies.length === 1 ? 'reply' : 'replies'}</p>
+          )}
+        </div>
+      </div>
+
+      {/* Root message and replies */}
+      <div className="flex-1 overflow-y-auto px-4 py-3 space-y-2">
+        <MessageBubbleWithWheel
+          message={rootMessage}
+          client={client}
+          selectedContact={selectedContact}
+          parentEvents={parentEvents}
+          onReply={handleReply}
+        />
+
+        <div className="flex items-center gap-3 py-1 text-xs text-gray-400">
+          <div className="flex-1 h-px bg-white/10" />
+          <span>{loading ? 'Loading replies…' : 'Replies'}</span>
+          <div className="flex-1 h-px bg-white/10" />
+        </div>
+
+        {replies.map(reply => (
+          <MessageBubbleWithWheel
+            key={reply.id}
+            message={reply}
+            client={client}
+            selectedContact={selectedContact}
+            parentEvents={parentEvents}
+            onReply={handleReply}
+          />
+        ))}
+
+        {!loading && replies.length === 0 && (
+          <p className="text-center text-sm text-gray-500 py-4">No replies yet. Start the thread below.</p>
+        )}
+        <div ref={messagesEndRef} />
+      </div>
+
+      {/* Composer */}
+      <div className="border-t border-white/10">
+        {replyTo?.rawEvent && (
+          <ReplyPreview
+            replyToEvent={replyTo.rawEvent}
+            onCancelReply={() => setReplyTo(null)}
+            client={client}
+          />
+        )}
+        <div className="p-3 flex items-end gap-2">
+          <textarea
+            ref={inputRef}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                handleSend();
+              }
+            }}
+            rows={1}
+            placeholder="Reply in thread..."
+            className="flex-1 bg-neutral-800 text-white rounded-lg px-3 py-2 text-sm resize-none focus:outline-none focus:ring-1 focus:ring-[#0088cc]"
+          />
+          <button
+            onClick={handleSend}
+            disabled={!text.trim() || sending}
+            className="w-auto p-2 rounded-full bg-[#0088cc] text-white disabled:opacity-50"
+            aria-label="Send reply"
+          >
+            <FiSend />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+ThreadPanel.propTypes = {
+  roomId: PropTypes.string.isRequired,
+  rootMessage: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    rawEvent: PropTypes.object
+  }).isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default ThreadPanel;
@@ -0,0 +1,48 @@
+import PropTypes from 'prop-types';
+import { FiMessageSquare } from 'react-icons/fi';
+import { getDisplayNameFromUserId } from '../utils/replyUtils';
+
+/**
+ * Reply count and last replier shown under a thread's root message.
+ * Clicking it opens the thread panel.
+ */
+const ThreadSummaryChip = ({ thread, align = 'left', onClick }) => {
+  const { count, latestReply } = thread;
+  const lastReplier = latestReply && (
+    latestReply.senderName && latestReply.senderName !== latestReply.sender
+      ? latestReply.senderName
+      : getDisplayNameFromUserId(latestReply.sender)
+  );
+
+  return (
+    <div className={`flex mt-1 ${align === 'right' ? 'justify-end' : 'justify-start'}`}>
+      <button
+        onClick={(e) => {
+          e.stopPropagation();
+          onClick();
+        }}
+        className="flex items-center gap-1.5 w-auto px-2 py-0.5 rounded-full text-xs border bg-neutral-800 border-white/10 text-[#0088cc] hover:bg-neutral-700 transition-colors"
+        title="Open thread"
+      >
+        <FiMessageSquare className="w-3 h-3" />
+        <span className="font-medium">{count} {count === 1 ? 'reply' : 'replies'}</span>
+        {lastReplier && <span className="text-gray-400 truncate max-w-[10rem]">· {lastReplier}</span>}
+      </button>
+    </div>
+  );
+};
+
+ThreadSummaryChip.propTypes = {
+  thread: PropTypes.shape({
+    count: PropTypes.number.isRequired,
+    latestReply: PropTypes.shape({
+      sender: PropTypes.string,
+      senderName: PropTypes.string,
+      timestamp: PropTypes.number
+    })
+  }).isRequired,
+  align: PropTypes.oneOf(['left', 'right']),
+  onClick: PropTypes.func.isRequired
+};
+
+export default ThreadSummaryChip;
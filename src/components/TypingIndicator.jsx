@@ -0,0 +1,28 @@
+import PropTypes from 'prop-types';
+import { formatTypingLabel } from '../utils/receiptUtils';
+
+/**
+ * "Alice is typing…" line shown above the composer
+ */
+const TypingIndicator = ({ names, className = 'text-gray-400' }) => {
+  const label = formatTypingLabel(names);
+  if (!label) return null;
+
+  return (
+    <div className={`flex items-center gap-2 px-4 py-1 text-xs italic ${className}`} aria-live="polite">
+      <span className="flex gap-0.5">
+        <span className="w-1 h-1 rounded-full bg-current animate-bounce" style={{ animationDelay: '0ms' }} />
+        <span className="w-1 h-1 rounded-full bg-current animate-bounce" style={{ animationDelay: '150ms' }} />
+        <span className="w-1 h-1 rounded-full bg-current animate-bounce" style={{ animationDelay: '300ms' }} />
+      </span>
+      <span>{label}</span>
+    </div>
+  );
+};
+
+TypingIndicator.propTypes = {
+  names: PropTypes.arrayOf(PropTypes.string).isRequired,
+  className: PropTypes.string
+};
+
+export default TypingIndicator;
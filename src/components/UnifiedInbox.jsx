@@ -1,22 +1,111 @@
-import React from 'react';
-import { getPlatformAdapter } from './PlatformAdapter';
+import { useState, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { ChatList } from './PlatformAdapter';
+import ConversationSource from './ConversationSource';
+import LabelFilterBar from './LabelFilterBar';
+import LabelsModal from './LabelsModal';
+import labelManager from '../utils/labelManager';
+import { getPlatformAdapter, interleaveConversations, INBOX_MODES } from '../utils/platformAdapters';
+import useLabels from '../hooks/useLabels';
 
-// Show platform icons next to messages (TODO: add icons)
-function UnifiedInbox({ accounts, messages, selectedPlatform, onSelectRoom, selectedRoom, activeComponent, setActiveComponent, panelOpen, handleClosePanel }) {
-  const connectedPlatforms = accounts.map(a => a.platform);
-  const platformsToShow = selectedPlatform ? [selectedPlatform] : connectedPlatforms;
+function UnifiedInbox({ accounts, selectedPlatform, onSelectRoom, selectedRoom, activeComponent, setActiveComponent, panelOpen = false, handleClosePanel }) {
+  const [conversationsByPlatform, setConversationsByPlatform] = useState({});
+  const [mode, setMode] = useState(() => localStorage.getItem('dailyfix_inbox_mode') || INBOX_MODES.MERGED);
+  const labels = useLabels();
+  const [selectedLabelId, setSelectedLabelId] = useState(null);
+  const [showLabelsModal, setShowLabelsModal] = useState(false);
+
+  // One source per supported platform, even if several accounts share it
+  const connectedPlatforms = useMemo(
+    () => [...new Set(accounts.map(a => a.platform))].filter(plat => getPlatformAdapter(plat)),
+    [accounts]
+  );
+  const platformsToShow = useMemo(
+    () => (selectedPlatform ? [selectedPlatform] : connectedPlatforms),
+    [selectedPlatform, connectedPlatforms]
+  );
+
+  const handleConversationsChange = useCallback((platform, conversations) => {
+    setConversationsByPlatform(prev => ({ ...prev, [platform]: conversations }));
+  }, []);
+
+  // labels changes whenever an assignment does, so the filter re-runs
+  const filterByLabel = useCallback(
+    (list) => (selectedLabelId && labels.some(label => label.id === selectedLabelId)
+      ? list.filter(c => labelManager.getContactLabelIds(c.platform, c.id).includes(selectedLabelId))
+      : list),
+    [selectedLabelId, labels]
+  );
+
+  const conversations = useMemo(
+    () => interleaveConversations(platformsToShow.map(plat => filterByLabel(conversationsByPlatform[plat] || []))),
+    [platformsToShow, conversationsByPlatform, filterByLabel]
+  );
+
+  const selectedConversation = conversations.find(c => c.id === selectedRoom);
+  const viewerPlatform = selectedConversation?.platform || selectedPlatform;
+
+  const handleModeChange = (nextMode) => {
+    setMode(nextMode);
+    localStorage.setItem('dailyfix_inbox_mode', nextMode);
+  };
 
   return (
     <div className="flex h-full">
-      <div className={`${panelOpen && selectedRoom ? 'w-1/3' : 'w-full'} border-r border-dark-lighter`}>
-        {platformsToShow.map(plat => {
-          const Adapter = getPlatformAdapter(plat);
-          if (!Adapter) return null;
-          const ChatList = Adapter.ChatList;
-          return <ChatList key={plat} messages={messages} onSelectRoom={onSelectRoom} />;
-        })}
+      {connectedPlatforms.map(plat => (
+        <ConversationSource key={plat} platform={plat} onChange={handleConversationsChange} />
+      ))}
+      <div className={`${panelOpen && selectedRoom ? 'w-1/3' : 'w-full'} border-r border-dark-lighter overflow-y-auto`}>
+        {platformsToShow.length > 1 && (
+          <div className="flex gap-1 p-2 border-b border-dark-lighter">
+            <button
+              onClick={() => handleModeChange(INBOX_MODES.MERGED)}
+              className={`flex-1 px-3 py-1 rounded text-xs font-medium ${mode === INBOX_MODES.MERGED ? 'bg-purple-600 text-white' : 'bg-neutral-800 text-gray-400 hover:text-white'}`}
+            >
+              Merged
+            </button>
+            <button
+              onClick={() => handleModeChange(INBOX_MODES.BY_PLATFORM)}
+              className={`flex-1 px-3 py-1 rounded text-xs font-medium ${mode === INBOX_MODES.BY_PLATFORM ? 'bg-purple-600 text-white' : 'bg-neutral-800 text-gray-400 hover:text-white'}`}
+            >
+              By platform
+            </button>
+          </div>
+        )}
+        <div className="px-2 pt-2 border-b border-dark-lighter">
+          <LabelFilterBar
+            labels={labels}
+            selectedLabelId={selectedLabelId}
+            onChange={setSelectedLabelId}
+            onManage={() => setShowLabelsModal(true)}
+          />
+        </div>
+        {mode === INBOX_MODES.BY_PLATFORM && platformsToShow.length > 1 ? (
+          platformsToShow.map(plat => {
+            const Adapter = getPlatformAdapter(plat);
+            if (!Adapter) return null;
+            const PlatformChatList = Adapter.ChatList;
+            return (
+              <div key={plat}>
+                <div className="px-4 py-2 text-xs uppercase tracking-wide text-gray-500">{Adapter.label}</div>
+                <PlatformChatList
+                  conversations={filterByLabel(conversationsByPlatform[plat] || [])}
+                  onSelectRoom={onSelectRoom}
+                  selectedRoom={selectedRoom}
+                />
+              </div>
+            );
+          })
+        ) : (
+          <ChatList
+            conversations={conversations}
+            onSelectRoom={onSelectRoom}
+            selectedRoom={selectedRoom}
+            showPlatformBadge={platformsToShow.length > 1}
+          />
+        )}
       </div>
-      {panelOpen && selectedRoom && selectedPlatform && (
+      {panelOpen && selectedRoom && viewerPlatform && (
         <div className="w-2/3 flex flex-col">
           <div className="flex border-b border-dark-lighter">
             <button
@@ -43,17 +132,31 @@ function UnifiedInbox({ accounts, messages, selectedPlatform, onSelectRoom, sele
           </div>
           <div className="flex-1 overflow-auto p-6">
             {(()=>{
-              const Adapter = getPlatformAdapter(selectedPlatform);
+              const Adapter = getPlatformAdapter(viewerPlatform);
               if(!Adapter)return null;
               const MessageViewer = Adapter.MessageViewer;
-              const filtered = messages.filter(m=>m.roomId===selectedRoom);
-              return <MessageViewer messages={filtered} activeComponent={activeComponent} />;
+              return <MessageViewer key={selectedRoom} roomId={selectedRoom} activeComponent={activeComponent} />;
             })()}
           </div>
         </div>
       )}
+      <LabelsModal isOpen={showLabelsModal} onClose={() => setShowLabelsModal(false)} />
     </div>
   );
 }
 
+UnifiedInbox.propTypes = {
+  accounts: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    platform: PropTypes.string.isRequired
+  })).isRequired,
+  selectedPlatform: PropTypes.string,
+  onSelectRoom: PropTypes.func.isRequired,
+  selectedRoom: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  activeComponent: PropTypes.string,
+  setActiveComponent: PropTypes.func,
+  panelOpen: PropTypes.bool,
+  handleClosePanel: PropTypes.func
+};
+
 export default UnifiedInbox;
@@ -0,0 +1,108 @@
+import { useState, useRef, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { FiMic, FiSquare } from 'react-icons/fi';
+import { toast } from 'react-hot-toast';
+import logger from '../utils/logger';
+
+// Prefer Ogg/Opus, which Telegram treats as a native voice note
+const PREFERRED_MIME_TYPES = ['audio/ogg;codecs=opus', 'audio/webm;codecs=opus', 'audio/webm', 'audio/mp4'];
+
+const getSupportedMimeType = () => {
+  if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported) return '';
+  return PREFERRED_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+};
+
+/**
+ * Mic button that records a voice note and hands it back as a File
+ */
+const VoiceRecorderButton = ({ onRecorded, disabled }) => {
+  const [recording, setRecording] = useState(false);
+  const [elapsed, setElapsed] = useState(0);
+  const recorderRef = useRef(null);
+  const timerRef = useRef(null);
+
+  // Release the microphone if the chat is closed mid-recording
+  useEffect(() => () => {
+    clearInterval(timerRef.current);
+    if (recorderRef.current?.state === 'recording') {
+      recorderRef.current.onstop = null;
+      recorderRef.current.stop();
+    }
+    recorderRef.current?.stream.getTracks().forEach(track => track.stop());
+  }, []);
+
+  const startRecording = async () => {
+    if (!navigator.mediaDevices?.getUserMedia || typeof MediaRecorder === 'undefined') {
+      toast.error('Voice recording is not supported in this browser');
+      return;
+    }
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const mimeType = getSupportedMimeType();
+      const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+      const chunks = [];
+
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+      };
+      recorder.onstop = () => {
+        stream.getTracks().forEach(track => track.stop());
+        const type = (recorder.mimeType || 'audio/webm').split(';')[0];
+        const extension = type.split('/')[1] || 'webm';
+        const file = new File(chunks, `voice-message-${Date.now()}.${extension}`, { type });
+        if (file.size > 0) onRecorded(file);
+      };
+
+      recorder.start();
+      recorderRef.current = recorder;
+      setElapsed(0);
+      setRecording(true);
+      timerRef.current = setInterval(() => setElapsed(seconds => seconds + 1), 1000);
+    } catch (error) {
+      logger.error('[VoiceRecorderButton] Error starting voice recording:', error);
+      toast.error('Could not access the microphone');
+    }
+  };
+
+  const stopRecording = () => {
+    clearInterval(timerRef.current);
+    setRecording(false);
+    if (recorderRef.current?.state === 'recording') {
+      recorderRef.current.stop();
+    }
+    recorderRef.current = null;
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={recording ? stopRecording : startRecording}
+      disabled={disabled && !recording}
+      className={`p-1 w-auto rounded-full transition-colors flex items-center gap-1 ${
+        recording
+          ? 'text-red-400 bg-red-500/10 hover:bg-red-500/20'
+          : 'text-gray-400 bg-neutral-800 hover:text-[#0088cc] hover:bg-neutral-800'
+      }`}
+      title={recording ? 'Stop recording' : 'Voice message'}
+    >
+      {recording ? (
+        <>
+          <FiSquare className="w-4 h-4" />
+          <span className="text-xs tabular-nums">
+            {Math.floor(elapsed / 60)}:{String(elapsed % 60).padStart(2, '0')}
+          </span>
+        </>
+      ) : (
+        <FiMic className="w-5 h-5" />
+      )}
+    </button>
+  );
+};
+
+VoiceRecorderButton.propTypes = {
+  onRecorded: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+export default VoiceRecorderButton;
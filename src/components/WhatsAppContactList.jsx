@@ -4,6 +4,7 @@ import { useSelector, useDispatch } from 'react-redux';
 import PropTypes from 'prop-types';
 import { toast } from 'react-hot-toast';
 import { fetchContacts, syncContact, selectContactPriority, updateContactMembership, freshSyncContacts, addContact, hideContact, updateContactDisplayName } from '../store/slices/contactSlice';
+import { markMessagesAsRead } from '../store/slices/messageSlice';
 import logger from '../utils/logger';
 import { SYNC_STATES } from '../utils/syncUtils';
 import { getSocket, initializeSocket } from '../utils/socket';
@@ -12,10 +13,22 @@ import PriorityBubble from './PriorityBubble';
 import api from '../utils/api';
 import { BiSolidHide } from "react-icons/bi";
 import { MdCloudSync } from "react-icons/md";
-import { FiEdit3 } from "react-icons/fi";
+import { FiEdit3, FiClock, FiCheck, FiCheckSquare, FiTag, FiZap } from "react-icons/fi";
 import useAvatarCache from '../hooks/useAvatarCache';
 import { FiRefreshCw } from "react-icons/fi";
 import ContactAvatar from './ContactAvatar';
+import DraftPreview from './DraftPreview';
+import LabelBadges from './LabelBadges';
+import LabelFilterBar from './LabelFilterBar';
+import LabelsModal from './LabelsModal';
+import ContactRulesModal from './ContactRulesModal';
+import useDrafts from '../hooks/useDrafts';
+import useSnoozes from '../hooks/useSnoozes';
+import snoozeManager, { isSnoozeActive } from '../utils/snoozeManager';
+import useLabels from '../hooks/useLabels';
+import labelManager from '../utils/labelManager';
+import useContactRules from '../hooks/useContactRules';
+import { applyLabelRules } from '../utils/contactRules';
 import '../styles/ShakeAnimation.css';
 
 // const AcknowledgmentModal = ({ isOpen, onClose }) => {
@@ -84,7 +97,7 @@ const ShimmerContactList = () => (
   </div>
 );
 
-const ContactItem = memo(({ contact, onClick, isSelected }) => {
+const ContactItem = memo(({ contact, onClick, isSelected, draft, wasSnoozed, labels, selectable, isChecked }) => {
   const dispatch = useDispatch();
   const priority = useSelector(state => selectContactPriority(state, contact.id));
   const [isEditing, setIsEditing] = useState(false);
@@ -131,7 +144,19 @@ const ContactItem = memo(({ contact, onClick, isSelected }) => {
     >
       <PriorityBubble priority={priority} />
 
-      {showTooltip && (
+      {selectable && (
+        <div
+          className={`w-5 h-5 mr-3 flex items-center justify-center rounded border flex-shrink-0 ${
+            isChecked ? 'bg-[#075e54] border-[#075e54] text-white' : 'border-gray-400'
+          }`}
+          role="checkbox"
+          aria-checked={isChecked}
+        >
+          {isChecked && <FiCheck className="w-3 h-3" />}
+        </div>
+      )}
+
+      {showTooltip && !selectable && (
         <div className="absolute right-2 top-1/2 transform -translate-y-1/2 flex gap-2 bg-[#1a1b26] p-1 rounded shadow-lg z-10">
           <button
             onClick={handleEdit}
@@ -169,18 +194,35 @@ const ContactItem = memo(({ contact, onClick, isSelected }) => {
           ) : (
             <h3 className="text-black font-semibold text-base truncate">
               {contact.display_name}
+              {wasSnoozed && (
+                <span className="ml-2 text-[10px] uppercase tracking-wide font-medium text-amber-700 bg-amber-100 rounded px-1.5 py-0.5">
+                  Snoozed
+                </span>
+              )}
             </h3>
           )}
+          {!isEditing && <LabelBadges labels={labels} className="ml-auto pl-2 self-center" />}
           {contact.last_message_at && !isEditing && (
             <span className="text-xs text-gray-500 flex-shrink-0 ml-2">
               {format(new Date(contact.last_message_at), 'HH:mm')}
             </span>
           )}
         </div>
-        {contact.last_message && !isEditing && (
-          <p className="text-sm text-black truncate">
-            {contact.last_message}
-          </p>
+        {!isEditing && (draft || contact.last_message || contact.unread_count > 0) && (
+          <div className="flex items-center justify-between">
+            {draft ? (
+              <DraftPreview draft={draft} className="text-black" />
+            ) : (
+              <p className={`text-sm text-black truncate ${contact.unread_count > 0 ? 'font-semibold' : ''}`}>
+                {contact.last_message}
+              </p>
+            )}
+            {contact.unread_count > 0 && (
+              <span className="ml-2 flex-shrink-0 min-w-[1.25rem] h-5 px-1 rounded-full bg-[#25D366] text-white text-xs flex items-center justify-center">
+                {contact.unread_count > 99 ? '99+' : contact.unread_count}
+              </span>
+            )}
+          </div>
         )}
       </div>
     </div>
@@ -189,6 +231,13 @@ const ContactItem = memo(({ contact, onClick, isSelected }) => {
 
 const WhatsAppContactList = ({ onContactSelect, selectedContactId }) => {
   const contacts = useSelector((state) => state.contacts.items);
+  // Unsent composer text per contact, shown in place of the last message
+  const drafts = useDrafts();
+  const snoozes = useSnoozes();
+  // User-defined labels, synced through Matrix account data
+  const labels = useLabels();
+  // Rules that label chats automatically
+  const contactRules = useContactRules();
   const navigate = useNavigate();
   const dispatch = useDispatch();
   const session = useSelector(state => state.auth.session);
@@ -201,6 +250,14 @@ const WhatsAppContactList = ({ onContactSelect, selectedContactId }) => {
   const [showAcknowledgment, setShowAcknowledgment] = useState(false);
   const [hasShownAcknowledgment, setHasShownAcknowledgment] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [markingAllRead, setMarkingAllRead] = useState(false);
+  const [showSnoozed, setShowSnoozed] = useState(false);
+  const [selectedLabelId, setSelectedLabelId] = useState(null);
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  // Chats being labelled, or [] to just manage labels; null keeps the modal closed
+  const [labelTargets, setLabelTargets] = useState(null);
+  const [showRules, setShowRules] = useState(false);
   // syncRequestId is used in the refreshContacts function
   const [syncRequestId, setSyncRequestId] = useState(null);
   const [refreshCooldown, setRefreshCooldown] = useState(false);
@@ -746,12 +803,104 @@ const WhatsAppContactList = ({ onContactSelect, selectedContactId }) => {
     });
   }, [contacts]);
 
-  const searchedContacts = useMemo(() => {
-    if (!searchQuery.trim()) return filteredContacts;
+  // labels changes whenever an assignment does, so the filter re-runs
+  const labelledContacts = useMemo(() => {
+    if (!selectedLabelId || !labels.some(label => label.id === selectedLabelId)) return filteredContacts;
     return filteredContacts.filter(contact =>
+      labelManager.getContactLabelIds('whatsapp', contact.id).includes(selectedLabelId)
+    );
+  }, [filteredContacts, selectedLabelId, labels]);
+
+  // Drop a label filter whose label was deleted
+  useEffect(() => {
+    if (selectedLabelId && !labels.some(label => label.id === selectedLabelId)) {
+      setSelectedLabelId(null);
+    }
+  }, [labels, selectedLabelId]);
+
+  const searchedContacts = useMemo(() => {
+    if (!searchQuery.trim()) return labelledContacts;
+    return labelledContacts.filter(contact =>
       contact.display_name?.toLowerCase().includes(searchQuery.toLowerCase())
     );
-  }, [filteredContacts, searchQuery]);
+  }, [labelledContacts, searchQuery]);
+
+  // Snoozed chats stay hidden until they wake up, then sit at the top until opened
+  const { snoozedIds, resurfacedIds } = useMemo(() => {
+    const whatsappSnoozes = snoozes.filter(snooze => snooze.platform === 'whatsapp');
+    return {
+      snoozedIds: new Set(whatsappSnoozes.filter(snooze => isSnoozeActive(snooze)).map(snooze => snooze.chatId)),
+      resurfacedIds: new Set(whatsappSnoozes.filter(snooze => snooze.wokenAt).map(snooze => snooze.chatId))
+    };
+  }, [snoozes]);
+
+  // Searching still finds snoozed chats; the plain list leaves them out
+  const visibleContacts = useMemo(() => {
+    if (searchQuery.trim()) return searchedContacts;
+    return searchedContacts
+      .filter(contact => !snoozedIds.has(String(contact.id)))
+      .sort((a, b) => resurfacedIds.has(String(b.id)) - resurfacedIds.has(String(a.id)));
+  }, [searchedContacts, searchQuery, snoozedIds, resurfacedIds]);
+
+  const snoozedContacts = useMemo(() =>
+    labelledContacts.filter(contact => snoozedIds.has(String(contact.id))),
+  [labelledContacts, snoozedIds]);
+
+  // Label rules run as chats and their latest messages come in
+  useEffect(() => {
+    applyLabelRules('whatsapp', filteredContacts, contactRules);
+  }, [filteredContacts, contactRules, labels]);
+
+  const ruleEntries = useMemo(
+    () => filteredContacts.map(contact => ({ platform: 'whatsapp', contact })),
+    [filteredContacts]
+  );
+
+  const toggleSelected = (contactId) => {
+    setSelectedIds(prev => prev.includes(contactId)
+      ? prev.filter(id => id !== contactId)
+      : [...prev, contactId]);
+  };
+
+  const exitSelectionMode = () => {
+    setSelectionMode(false);
+    setSelectedIds([]);
+  };
+
+  // useLabels above re-renders the list whenever an assignment changes
+  const getContactLabels = (contactId) => labelManager.getContactLabels('whatsapp', contactId);
+
+  // Wake chats snoozed until a reply once new messages arrive
+  useEffect(() => {
+    snoozeManager.checkReplies('whatsapp', contacts.map(contact => ({
+      chatId: contact.id,
+      unreadCount: contact.unread_count,
+      timestamp: new Date(contact.last_message_at || 0).getTime()
+    })));
+  }, [contacts, snoozes]);
+
+  const unreadContacts = useMemo(() =>
+    filteredContacts.filter(contact => contact.unread_count > 0),
+  [filteredContacts]);
+
+  // Mark every chat with unread messages as read
+  const handleMarkAllRead = useCallback(async () => {
+    if (markingAllRead || unreadContacts.length === 0) return;
+
+    setMarkingAllRead(true);
+    try {
+      const results = await Promise.allSettled(unreadContacts.map(contact =>
+        dispatch(markMessagesAsRead({ contactId: contact.id, messageIds: [] })).unwrap()
+      ));
+      const failed = results.filter(result => result.status === 'rejected').length;
+      if (failed > 0) {
+        logger.warn(`[WhatsAppContactList] Could not mark ${failed} chats as read`);
+        toast.error('Some chats could not be marked as read');
+      }
+    } finally {
+      setMarkingAllRead(false);
+    }
+  }, [dispatch, markingAllRead, unreadContacts]);
 
   return (
     <>
@@ -765,6 +914,20 @@ const WhatsAppContactList = ({ onContactSelect, selectedContactId }) => {
         <div className="flex items-center justify-between p-4 bg-neutral-900 border-b border-gray-200">
           <h1 className="text-[#ece5dd] font-bold text-xl">Chats</h1>
           <div className="flex items-center space-x-2 relative">
+            <button
+              onClick={() => (selectionMode ? exitSelectionMode() : setSelectionMode(true))}
+              className={`w-auto p-1.5 rounded-full ${selectionMode ? 'bg-[#ece5dd] text-neutral-900' : 'bg-transparent text-[#66b5ac] hover:opacity-70'}`}
+              title={selectionMode ? 'Cancel selection' : 'Select chats to label'}
+            >
+              <FiCheckSquare className="w-5 h-5" />
+            </button>
+            <button
+              onClick={() => setShowRules(true)}
+              className="w-auto p-1.5 rounded-full bg-transparent text-[#66b5ac] hover:opacity-70"
+              title="Contact rules"
+            >
+              <FiZap className="w-5 h-5" />
+            </button>
             {isRefreshing ? (
               <MdCloudSync className="animate-spin text-[#66b5ac] w-6 h-6" />
             ) : refreshCooldown ? (
@@ -846,8 +1009,33 @@ const WhatsAppContactList = ({ onContactSelect, selectedContactId }) => {
               </button>
             )}
           </div>
+          <div className="mt-3">
+            <LabelFilterBar
+              labels={labels}
+              selectedLabelId={selectedLabelId}
+              onChange={setSelectedLabelId}
+              onManage={() => setLabelTargets([])}
+              variant="light"
+            />
+          </div>
         </div>
 
+        {/* Unread summary */}
+        {unreadContacts.length > 0 && !loading && (
+          <div className="flex items-center justify-between px-4 py-2 bg-white border-b border-gray-200 text-sm">
+            <span className="text-gray-600">
+              {unreadContacts.length} unread {unreadContacts.length === 1 ? 'chat' : 'chats'}
+            </span>
+            <button
+              onClick={handleMarkAllRead}
+              disabled={markingAllRead}
+              className="w-auto px-2 py-1 bg-transparent text-[#075e54] font-medium hover:underline disabled:opacity-50"
+            >
+              {markingAllRead ? 'Marking…' : 'Mark all read'}
+            </button>
+          </div>
+        )}
+
         {/* Contact List */}
         <div className="flex-1 overflow-y-auto bg-white">
           {loading ? (
@@ -862,12 +1050,14 @@ const WhatsAppContactList = ({ onContactSelect, selectedContactId }) => {
                 Retry
               </button>
             </div>
-          ) : !searchedContacts?.length ? (
+          ) : !visibleContacts.length && !snoozedContacts.length ? (
             <div className="flex flex-col items-center justify-center p-4">
               <p className="text-gray-500">
                 {searchQuery
                   ? `No contacts found matching "${searchQuery}"`
-                  : syncProgress
+                  : selectedLabelId
+                    ? 'No chats have this label yet.'
+                    : syncProgress
                     ? 'Syncing contacts...'
                     : 'Application syncs new contacts with new messages 🔃'
                 }
@@ -875,18 +1065,86 @@ const WhatsAppContactList = ({ onContactSelect, selectedContactId }) => {
             </div>
           ) : (
             <div className="contact-list divide-y divide-gray-200">
-              {searchedContacts.map(contact => (
+              {visibleContacts.map(contact => (
                 <ContactItem
                   key={contact.id}
                   contact={contact}
                   isSelected={contact.id === selectedContactId}
-                  onClick={() => handleContactSelect(contact)}
+                  onClick={() => {
+                    if (selectionMode) {
+                      toggleSelected(contact.id);
+                      return;
+                    }
+                    // Opening a chat that came back from a snooze clears its snoozed mark
+                    snoozeManager.dismissWoken('whatsapp', contact.id);
+                    handleContactSelect(contact);
+                  }}
+                  draft={drafts[contact.id]}
+                  wasSnoozed={resurfacedIds.has(String(contact.id))}
+                  labels={getContactLabels(contact.id)}
+                  selectable={selectionMode}
+                  isChecked={selectedIds.includes(contact.id)}
                 />
               ))}
+              {!searchQuery.trim() && snoozedContacts.length > 0 && (
+                <>
+                  <button
+                    onClick={() => setShowSnoozed(!showSnoozed)}
+                    className="w-full flex items-center gap-2 px-4 py-2 bg-white text-sm text-gray-600 hover:bg-gray-100"
+                  >
+                    <FiClock className="w-4 h-4 text-amber-600" />
+                    Snoozed ({snoozedContacts.length})
+                    <span className="ml-auto text-xs text-[#075e54]">{showSnoozed ? 'Hide' : 'Show'}</span>
+                  </button>
+                  {showSnoozed && snoozedContacts.map(contact => (
+                    <ContactItem
+                      key={contact.id}
+                      contact={contact}
+                      isSelected={contact.id === selectedContactId}
+                      onClick={() => (selectionMode ? toggleSelected(contact.id) : handleContactSelect(contact))}
+                      draft={drafts[contact.id]}
+                      labels={getContactLabels(contact.id)}
+                      selectable={selectionMode}
+                      isChecked={selectedIds.includes(contact.id)}
+                    />
+                  ))}
+                </>
+              )}
             </div>
           )}
         </div>
+
+        {selectionMode && (
+          <div className="flex items-center gap-2 px-4 py-3 bg-white border-t border-gray-200">
+            <span className="flex-1 text-sm text-gray-600">{selectedIds.length} selected</span>
+            <button
+              onClick={() => setLabelTargets(selectedIds.map(chatId => ({ platform: 'whatsapp', chatId })))}
+              disabled={selectedIds.length === 0}
+              className="flex items-center gap-2 w-auto px-4 py-2 rounded-lg bg-[#075e54] text-white hover:bg-[#064c44] disabled:opacity-50"
+            >
+              <FiTag className="w-4 h-4" />
+              Label
+            </button>
+            <button
+              onClick={exitSelectionMode}
+              className="w-auto px-4 py-2 rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200"
+            >
+              Cancel
+            </button>
+          </div>
+        )}
       </div>
+
+      <LabelsModal
+        isOpen={labelTargets !== null}
+        onClose={() => setLabelTargets(null)}
+        targets={labelTargets || []}
+      />
+      <ContactRulesModal
+        isOpen={showRules}
+        onClose={() => setShowRules(false)}
+        entries={ruleEntries}
+      />
     </>
   );
 };
@@ -899,7 +1157,7 @@ ContactItem.propTypes = {
     // profile_photo_url: PropTypes.string,
     is_group: PropTypes.bool,
     last_message: PropTypes.string,
-    // unread_count: PropTypes.number,
+    unread_count: PropTypes.number,
     sync_status: PropTypes.string,
     membership: PropTypes.string,
     // last_sync_at: PropTypes.string,
@@ -913,7 +1171,12 @@ ContactItem.propTypes = {
     // })
   }).isRequired,
   isSelected: PropTypes.bool.isRequired,
-  onClick: PropTypes.func.isRequired
+  onClick: PropTypes.func.isRequired,
+  draft: PropTypes.object,
+  wasSnoozed: PropTypes.bool,
+  labels: PropTypes.array,
+  selectable: PropTypes.bool,
+  isChecked: PropTypes.bool
 };
 
 WhatsAppContactList.propTypes = {
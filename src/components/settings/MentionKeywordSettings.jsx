@@ -0,0 +1,81 @@
+import { useState } from 'react';
+import { FiX, FiPlus } from 'react-icons/fi';
+import { toast } from 'react-hot-toast';
+import useMentionKeywords from '../../hooks/useMentionKeywords';
+import { setMentionKeywords, DEFAULT_MENTION_KEYWORDS } from '../../utils/mentionUtils';
+
+/**
+ * Edit the keywords that highlight a message and file its chat under Mentions
+ */
+const MentionKeywordSettings = () => {
+  const keywords = useMentionKeywords();
+  const [newKeyword, setNewKeyword] = useState('');
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const keyword = newKeyword.trim();
+    if (!keyword) return;
+
+    if (keywords.some(existing => existing.toLowerCase() === keyword.toLowerCase())) {
+      toast.error(`"${keyword}" is already a mention keyword`);
+      return;
+    }
+
+    setMentionKeywords([...keywords, keyword]);
+    setNewKeyword('');
+  };
+
+  return (
+    <div className="mb-6">
+      <h4 className="text-white font-medium mb-1">Mention keywords</h4>
+      <p className="text-gray-400 text-sm mb-3">
+        Messages containing these words are highlighted, and their chats appear under Mentions.
+        Messages that mention you by name always count.
+      </p>
+
+      <div className="flex flex-wrap gap-2 mb-3">
+        {keywords.map(keyword => (
+          <span key={keyword} className="flex items-center bg-neutral-800 text-white text-sm rounded-full pl-3 pr-1 py-1">
+            {keyword}
+            <button
+              onClick={() => setMentionKeywords(keywords.filter(existing => existing !== keyword))}
+              className="ml-1 p-1 w-auto bg-transparent rounded-full text-gray-400 hover:text-white hover:bg-neutral-700"
+              aria-label={`Remove ${keyword}`}
+            >
+              <FiX className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+        {keywords.length === 0 && (
+          <span className="text-gray-500 text-sm">No keywords. Only mentions of your name are highlighted.</span>
+        )}
+      </div>
+
+      <form onSubmit={handleAdd} className="flex items-center gap-2">
+        <input
+          value={newKeyword}
+          onChange={(e) => setNewKeyword(e.target.value)}
+          placeholder="Add a keyword, e.g. @team"
+          className="flex-1 bg-neutral-800 text-white text-sm rounded-lg px-3 py-2 focus:outline-none focus:ring-1 focus:ring-[#0088cc]"
+        />
+        <button
+          type="submit"
+          disabled={!newKeyword.trim()}
+          className="w-auto flex items-center bg-neutral-800 hover:bg-neutral-700 text-white text-sm px-3 py-2 rounded-lg disabled:opacity-50"
+        >
+          <FiPlus className="w-4 h-4 mr-1" />
+          Add
+        </button>
+        <button
+          type="button"
+          onClick={() => setMentionKeywords(DEFAULT_MENTION_KEYWORDS)}
+          className="w-auto bg-transparent text-gray-400 hover:text-white text-sm px-2 py-2"
+        >
+          Reset
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default MentionKeywordSettings;
@@ -17,6 +17,14 @@ export const MATRIX_CREDENTIALS_KEY = 'matrix_credentials';
 export const THEME_KEY = 'dailyfix_theme';
 export const AUTH_TOKEN_KEY = 'dailyfix_auth_token';
 export const USER_SETTINGS_KEY = 'dailyfix_user_settings';
+export const PINNED_MESSAGES_KEY = 'dailyfix_pinned_messages';
+export const MENTION_KEYWORDS_KEY = 'dailyfix_mention_keywords';
+export const LINK_PREVIEW_SETTINGS_KEY = 'dailyfix_link_previews';
+export const BOOKMARKS_KEY = 'dailyfix_bookmarks';
+export const SNOOZES_KEY = 'dailyfix_snoozes';
+export const LABELS_KEY = 'dailyfix_labels';
+export const CONTACT_RULES_KEY = 'dailyfix_contact_rules';
+export const CONTACT_RULE_LABELS_KEY = 'dailyfix_contact_rule_labels';
 
 // Platforms
 export const PLATFORMS = {
@@ -0,0 +1,29 @@
+import { useState, useEffect } from 'react';
+import { useMatrixClient } from '../context/MatrixClientContext';
+
+/**
+ * Subscribe to an AccountDataStore, syncing it with the Matrix account when logged in.
+ * Re-renders whenever the store changes.
+ * @param {Object} store - AccountDataStore instance
+ * @returns {*} - store.getSnapshot()
+ */
+export const useAccountDataStore = (store) => {
+  const { client } = useMatrixClient() || {};
+  const [snapshot, setSnapshot] = useState(() => store.getSnapshot());
+
+  useEffect(() => {
+    store.attachClient(client || window.matrixClient);
+  }, [store, client]);
+
+  useEffect(() => {
+    const update = () => setSnapshot(store.getSnapshot());
+
+    update();
+    window.addEventListener(store.changedEvent, update);
+    return () => window.removeEventListener(store.changedEvent, update);
+  }, [store]);
+
+  return snapshot;
+};
+
+export default useAccountDataStore;
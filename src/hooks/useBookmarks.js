@@ -0,0 +1,10 @@
+import bookmarkManager from '../utils/bookmarkManager';
+import useAccountDataStore from './useAccountDataStore';
+
+/**
+ * Track the saved messages, syncing them with the Matrix account when logged in
+ * @returns {Array} - Bookmarks, most recently saved first
+ */
+export const useBookmarks = () => useAccountDataStore(bookmarkManager);
+
+export default useBookmarks;
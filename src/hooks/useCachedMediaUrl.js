@@ -0,0 +1,56 @@
+import { useState, useEffect } from 'react';
+import { getMediaUrl, getMediaBlobUrl } from '../utils/mediaUtils';
+
+export const PLACEHOLDER_IMAGE = '/images/image-placeholder.png';
+
+/**
+ * Resolve an mxc:// URL to something the browser can load
+ * @param {Object} client - Matrix client
+ * @param {string} url - mxc:// or plain http URL
+ * @param {Object} options - getMediaUrl options
+ * @returns {string|null} - Loadable URL
+ */
+export const resolveMediaUrl = (client, url, options = {}) => {
+  if (!url) return null;
+  if (url.startsWith('mxc://')) {
+    return client ? getMediaUrl(client, url, { fallbackUrl: PLACEHOLDER_IMAGE, ...options }) : null;
+  }
+  return url;
+};
+
+/**
+ * Load media through the offline blob cache, falling back to the network URL if that fails
+ * @param {Object} client - Matrix client
+ * @param {string} mxcUrl - mxc:// URL
+ * @param {Object} options - getMediaUrl options
+ * @param {boolean} enabled - Set to false to skip loading (e.g. media that isn't shown)
+ * @returns {string|null} - URL to render, null while loading
+ */
+const useCachedMediaUrl = (client, mxcUrl, options = {}, enabled = true) => {
+  const optionsKey = JSON.stringify(options);
+  const [result, setResult] = useState({ key: null, url: null });
+  const requestKey = `${mxcUrl}_${optionsKey}`;
+
+  useEffect(() => {
+    if (!enabled || !mxcUrl) return undefined;
+
+    let cancelled = false;
+    getMediaBlobUrl(client, mxcUrl, JSON.parse(optionsKey)).then(url => {
+      if (cancelled) return;
+      setResult({
+        key: `${mxcUrl}_${optionsKey}`,
+        url: url || resolveMediaUrl(client, mxcUrl, JSON.parse(optionsKey))
+      });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [client, mxcUrl, optionsKey, enabled]);
+
+  if (!enabled || !mxcUrl) return null;
+  // Plain http URLs don't go through the media repository
+  if (!mxcUrl.startsWith('mxc://')) return mxcUrl;
+  return result.key === requestKey ? result.url : null;
+};
+
+export default useCachedMediaUrl;
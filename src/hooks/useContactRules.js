@@ -0,0 +1,21 @@
+import { useState, useEffect } from 'react';
+import { getContactRules, CONTACT_RULES_CHANGED_EVENT } from '../utils/contactRules';
+
+/**
+ * Track the user's contact rules, updating when they're edited
+ * @returns {Array} - Rules, in the order they're checked
+ */
+export const useContactRules = () => {
+  const [rules, setRules] = useState(getContactRules);
+
+  useEffect(() => {
+    const update = () => setRules(getContactRules());
+
+    window.addEventListener(CONTACT_RULES_CHANGED_EVENT, update);
+    return () => window.removeEventListener(CONTACT_RULES_CHANGED_EVENT, update);
+  }, []);
+
+  return rules;
+};
+
+export default useContactRules;
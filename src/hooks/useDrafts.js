@@ -0,0 +1,29 @@
+import { useState, useEffect } from 'react';
+import draftManager, { DRAFT_CHANGED_EVENT } from '../utils/draftManager';
+
+/**
+ * Track every saved composer draft, for "Draft:" previews in contact lists
+ * @returns {Object} - Map of roomId -> draft ({ text, replyTo, platform, updatedAt })
+ */
+export const useDrafts = () => {
+  const [drafts, setDrafts] = useState(() => draftManager.getAllDrafts());
+
+  useEffect(() => {
+    let cancelled = false;
+    const update = () => setDrafts(draftManager.getAllDrafts());
+
+    draftManager.initialize().then(() => {
+      if (!cancelled) update();
+    });
+    window.addEventListener(DRAFT_CHANGED_EVENT, update);
+
+    return () => {
+      cancelled = true;
+      window.removeEventListener(DRAFT_CHANGED_EVENT, update);
+    };
+  }, []);
+
+  return drafts;
+};
+
+export default useDrafts;
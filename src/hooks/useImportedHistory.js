@@ -0,0 +1,44 @@
+import { useState, useEffect } from 'react';
+import importedHistoryManager, { IMPORTED_HISTORY_CHANGED_EVENT } from '../utils/importedHistoryManager';
+import logger from '../utils/logger';
+
+/**
+ * Track whether a contact has imported history, and how much
+ * @param {string} platform - 'telegram' or 'whatsapp'
+ * @param {string|number} chatId - Room or contact ID
+ * @returns {Object|null} - { count, from, to }, or null if nothing was imported
+ */
+export const useImportedHistory = (platform, chatId) => {
+  const [summary, setSummary] = useState(null);
+
+  useEffect(() => {
+    if (!platform || !chatId) {
+      setSummary(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const update = () => {
+      importedHistoryManager.getSummary(platform, chatId)
+        .then(result => {
+          if (!cancelled) setSummary(result);
+        })
+        .catch(error => logger.warn('[useImportedHistory] Error loading imported history:', error));
+    };
+    const handleChange = (event) => {
+      if (event.detail?.platform === platform && event.detail?.chatId === String(chatId)) update();
+    };
+
+    setSummary(null);
+    update();
+    window.addEventListener(IMPORTED_HISTORY_CHANGED_EVENT, handleChange);
+    return () => {
+      cancelled = true;
+      window.removeEventListener(IMPORTED_HISTORY_CHANGED_EVENT, handleChange);
+    };
+  }, [platform, chatId]);
+
+  return summary;
+};
+
+export default useImportedHistory;
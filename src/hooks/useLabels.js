@@ -0,0 +1,12 @@
+import labelManager from '../utils/labelManager';
+import useAccountDataStore from './useAccountDataStore';
+
+/**
+ * Track the user's contact labels, syncing them with the Matrix account when logged in.
+ * Re-renders whenever a label or a contact's labels change, so callers can read
+ * labelManager.getContactLabels() while rendering.
+ * @returns {Array} - Labels, sorted by name
+ */
+export const useLabels = () => useAccountDataStore(labelManager);
+
+export default useLabels;
@@ -0,0 +1,28 @@
+import { useState, useEffect, useCallback } from 'react';
+import linkPreviewManager, { LINK_PREVIEWS_CHANGED_EVENT } from '../utils/linkPreviewManager';
+
+/**
+ * Track whether link previews are shown in a conversation
+ * @param {string} roomId - Room ID
+ * @param {boolean} defaultEnabled - Used until the user chooses for this room
+ * @returns {Array} - [enabled, setEnabled]
+ */
+export const useLinkPreviewsEnabled = (roomId, defaultEnabled = true) => {
+  const [enabled, setEnabledState] = useState(() => linkPreviewManager.areLinkPreviewsEnabled(roomId, defaultEnabled));
+
+  useEffect(() => {
+    const update = () => setEnabledState(linkPreviewManager.areLinkPreviewsEnabled(roomId, defaultEnabled));
+    update();
+
+    window.addEventListener(LINK_PREVIEWS_CHANGED_EVENT, update);
+    return () => window.removeEventListener(LINK_PREVIEWS_CHANGED_EVENT, update);
+  }, [roomId, defaultEnabled]);
+
+  const setEnabled = useCallback((value) => {
+    linkPreviewManager.setLinkPreviewsEnabled(roomId, value);
+  }, [roomId]);
+
+  return [enabled, setEnabled];
+};
+
+export default useLinkPreviewsEnabled;
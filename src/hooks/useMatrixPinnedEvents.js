@@ -0,0 +1,92 @@
+import { useState, useEffect } from 'react';
+import { PINNED_EVENTS_TYPE, getPinnedEventIds, getPinPreview } from '../utils/pinUtils';
+import logger from '../utils/logger';
+
+/**
+ * Load a pinned event, from the room if we have it or from the server otherwise
+ * @param {Object} client - Matrix client
+ * @param {Object} room - Matrix room
+ * @param {string} eventId - Pinned event ID
+ * @returns {Promise<Object|null>} - Pin ({ id, body, sender, senderName, timestamp })
+ */
+const loadPin = async (client, room, eventId) => {
+  let sender;
+  let content;
+  let timestamp;
+
+  const event = room.findEventById(eventId);
+  if (event) {
+    if (event.isRedacted()) return null;
+    sender = event.getSender();
+    content = event.getContent();
+    timestamp = event.getTs();
+  } else {
+    try {
+      const rawEvent = await client.fetchRoomEvent(room.roomId, eventId);
+      if (!rawEvent?.content || Object.keys(rawEvent.content).length === 0) return null;
+      sender = rawEvent.sender;
+      content = rawEvent.content;
+      timestamp = rawEvent.origin_server_ts;
+    } catch (error) {
+      logger.warn(`[useMatrixPinnedEvents] Could not load pinned event ${eventId}:`, error);
+      return null;
+    }
+  }
+
+  return {
+    id: eventId,
+    body: getPinPreview(content),
+    sender,
+    senderName: room.getMember(sender)?.name || sender,
+    timestamp
+  };
+};
+
+/**
+ * Track a room's pinned messages (m.room.pinned_events)
+ * @param {Object} client - Matrix client
+ * @param {string} roomId - Room ID
+ * @returns {Object} - { pinnedIds, pins } with pins in pin order, oldest first
+ */
+export const useMatrixPinnedEvents = (client, roomId) => {
+  const [pinnedIds, setPinnedIds] = useState([]);
+  const [pins, setPins] = useState([]);
+
+  // Follow the pinned events state
+  useEffect(() => {
+    setPinnedIds([]);
+    if (!client || !roomId) return undefined;
+
+    const update = () => setPinnedIds(getPinnedEventIds(client.getRoom(roomId)));
+    const handleStateEvent = (event) => {
+      if (event.getRoomId() === roomId && event.getType() === PINNED_EVENTS_TYPE) update();
+    };
+
+    update();
+    client.on('RoomState.events', handleStateEvent);
+    return () => client.removeListener('RoomState.events', handleStateEvent);
+  }, [client, roomId]);
+
+  // Resolve the pinned IDs into previews for the banner
+  useEffect(() => {
+    const room = client?.getRoom(roomId);
+    if (!room || pinnedIds.length === 0) {
+      setPins([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    Promise.all(pinnedIds.map(eventId => loadPin(client, room, eventId)))
+      .then(loadedPins => {
+        if (!cancelled) setPins(loadedPins.filter(Boolean));
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [client, roomId, pinnedIds]);
+
+  return { pinnedIds, pins };
+};
+
+export default useMatrixPinnedEvents;
@@ -0,0 +1,26 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Re-render when read receipts arrive in a room
+ * @param {Object} client - Matrix client
+ * @param {string} roomId - Room ID
+ * @returns {number} - Counter that changes whenever the room's receipts change
+ */
+export const useMatrixReceipts = (client, roomId) => {
+  const [receiptVersion, setReceiptVersion] = useState(0);
+
+  useEffect(() => {
+    if (!client || !roomId) return undefined;
+
+    const handleReceipt = (event, room) => {
+      if (room?.roomId === roomId) setReceiptVersion(version => version + 1);
+    };
+
+    client.on('Room.receipt', handleReceipt);
+    return () => client.removeListener('Room.receipt', handleReceipt);
+  }, [client, roomId]);
+
+  return receiptVersion;
+};
+
+export default useMatrixReceipts;
@@ -0,0 +1,68 @@
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { debounce } from '../utils/debounceUtils';
+import { getTypingMembers } from '../utils/receiptUtils';
+import logger from '../utils/logger';
+
+// How long the server keeps us "typing" without a refresh
+const TYPING_TIMEOUT = 6000;
+// Refresh the typing state a little before it expires
+const TYPING_REFRESH_INTERVAL = 4000;
+// Stop typing after this long without a keystroke
+const TYPING_IDLE_DELAY = 3000;
+
+/**
+ * Send our typing state for a room and track who else is typing in it
+ * @param {Object} client - Matrix client
+ * @param {string} roomId - Room ID
+ * @returns {Object} - { typingMembers, notifyTyping, stopTyping }
+ */
+export const useMatrixTyping = (client, roomId) => {
+  const [typingMembers, setTypingMembers] = useState([]);
+  const isTypingRef = useRef(false);
+  const lastSentRef = useRef(0);
+
+  // Listen for typing notifications from the other members
+  useEffect(() => {
+    setTypingMembers([]);
+    if (!client || !roomId) return undefined;
+
+    const update = () => setTypingMembers(getTypingMembers(client.getRoom(roomId), client.getUserId()));
+    const handleTyping = (event, member) => {
+      if (member?.roomId === roomId) update();
+    };
+
+    update();
+    client.on('RoomMember.typing', handleTyping);
+    return () => client.removeListener('RoomMember.typing', handleTyping);
+  }, [client, roomId]);
+
+  const sendTyping = useCallback((isTyping) => {
+    if (!client || !roomId) return;
+
+    isTypingRef.current = isTyping;
+    lastSentRef.current = isTyping ? Date.now() : 0;
+    client.sendTyping(roomId, isTyping, TYPING_TIMEOUT)
+      .catch(error => logger.warn('[useMatrixTyping] Error sending typing notification:', error));
+  }, [client, roomId]);
+
+  const stopTyping = useCallback(() => {
+    if (isTypingRef.current) sendTyping(false);
+  }, [sendTyping]);
+
+  const stopWhenIdle = useMemo(() => debounce(stopTyping, TYPING_IDLE_DELAY), [stopTyping]);
+
+  // Call on every keystroke in the composer
+  const notifyTyping = useCallback(() => {
+    if (!isTypingRef.current || Date.now() - lastSentRef.current > TYPING_REFRESH_INTERVAL) {
+      sendTyping(true);
+    }
+    stopWhenIdle();
+  }, [sendTyping, stopWhenIdle]);
+
+  // Don't leave a stale "typing…" behind when switching rooms
+  useEffect(() => () => stopTyping(), [stopTyping]);
+
+  return { typingMembers, notifyTyping, stopTyping };
+};
+
+export default useMatrixTyping;
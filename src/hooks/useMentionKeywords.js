@@ -0,0 +1,21 @@
+import { useState, useEffect } from 'react';
+import { getMentionKeywords, MENTION_KEYWORDS_CHANGED_EVENT } from '../utils/mentionUtils';
+
+/**
+ * Track the user's mention keywords, updating when they're changed in settings
+ * @returns {Array<string>} - Keywords that count as a mention
+ */
+export const useMentionKeywords = () => {
+  const [keywords, setKeywords] = useState(getMentionKeywords);
+
+  useEffect(() => {
+    const update = () => setKeywords(getMentionKeywords());
+
+    window.addEventListener(MENTION_KEYWORDS_CHANGED_EVENT, update);
+    return () => window.removeEventListener(MENTION_KEYWORDS_CHANGED_EVENT, update);
+  }, []);
+
+  return keywords;
+};
+
+export default useMentionKeywords;
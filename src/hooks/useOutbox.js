@@ -0,0 +1,37 @@
+import { useState, useEffect } from 'react';
+import outboxManager, { OUTBOX_CHANGED_EVENT } from '../utils/outboxManager';
+
+/**
+ * Track the queued outgoing messages for a room
+ * @param {string} platform - 'telegram' or 'whatsapp'
+ * @param {string|number} roomId - Room or contact ID
+ * @returns {Array} - Outbox entries for the room, oldest first
+ */
+export const useOutbox = (platform, roomId) => {
+  const [entries, setEntries] = useState(() => (roomId ? outboxManager.getEntries(platform, roomId) : []));
+
+  useEffect(() => {
+    if (!roomId) {
+      setEntries([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const update = () => setEntries(outboxManager.getEntries(platform, roomId));
+
+    update();
+    outboxManager.initialize().then(() => {
+      if (!cancelled) update();
+    });
+    window.addEventListener(OUTBOX_CHANGED_EVENT, update);
+
+    return () => {
+      cancelled = true;
+      window.removeEventListener(OUTBOX_CHANGED_EVENT, update);
+    };
+  }, [platform, roomId]);
+
+  return entries;
+};
+
+export default useOutbox;
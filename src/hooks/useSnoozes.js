@@ -0,0 +1,10 @@
+import snoozeManager from '../utils/snoozeManager';
+import useAccountDataStore from './useAccountDataStore';
+
+/**
+ * Track snoozed conversations, syncing them with the Matrix account when logged in
+ * @returns {Array} - Snoozes, soonest to wake first
+ */
+export const useSnoozes = () => useAccountDataStore(snoozeManager);
+
+export default useSnoozes;
@@ -0,0 +1,47 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useMatrixClient } from '../context/MatrixClientContext';
+import roomListManager from '../utils/roomListManager';
+import { debounce } from '../utils/debounceUtils';
+import logger from '../utils/logger';
+import { normalizeTelegramContact } from '../utils/conversationNormalizers';
+
+/**
+ * Track the Telegram rooms as normalized conversations for the unified inbox
+ * @returns {Array} - Normalized conversations
+ */
+export const useTelegramConversations = () => {
+  const { client } = useMatrixClient() || {};
+  const [rooms, setRooms] = useState([]);
+
+  useEffect(() => {
+    if (!client) return undefined;
+
+    const userId = client.getUserId();
+    const refresh = () => setRooms([...roomListManager.getRooms(userId)]);
+
+    // Reuse the room list if TelegramContactList already set it up, otherwise start our own
+    if (roomListManager.isInitialized(userId)) {
+      refresh();
+    } else {
+      logger.info('[useTelegramConversations] Initializing Telegram room list for unified inbox');
+      roomListManager.initRoomList(
+        userId,
+        client,
+        { filters: { platform: 'telegram' }, sortBy: 'lastMessage' },
+        (updatedRooms) => setRooms([...updatedRooms])
+      );
+    }
+
+    // The room list can be owned by another component, so follow the timeline ourselves
+    const handleTimeline = debounce(refresh, 500);
+    client.on('Room.timeline', handleTimeline);
+
+    return () => {
+      client.removeListener('Room.timeline', handleTimeline);
+    };
+  }, [client]);
+
+  return useMemo(() => rooms.map(normalizeTelegramContact), [rooms]);
+};
+
+export default useTelegramConversations;
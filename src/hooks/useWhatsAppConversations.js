@@ -0,0 +1,27 @@
+import { useEffect, useMemo } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { fetchContacts, selectAllContacts } from '../store/slices/contactSlice';
+import { normalizeWhatsAppContact } from '../utils/conversationNormalizers';
+
+/**
+ * Track the WhatsApp contacts as normalized conversations for the unified inbox
+ * @returns {Array} - Normalized conversations
+ */
+export const useWhatsAppConversations = () => {
+  const dispatch = useDispatch();
+  const contacts = useSelector(selectAllContacts);
+  const session = useSelector(state => state.auth.session);
+  const loading = useSelector(state => state.contacts.loading);
+
+  useEffect(() => {
+    if (contacts.length === 0 && !loading && session?.user?.id) {
+      dispatch(fetchContacts(session.user.id));
+    }
+    // Only fetch once per session; WhatsAppContactList owns refreshes
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [session?.user?.id]);
+
+  return useMemo(() => contacts.map(normalizeWhatsAppContact), [contacts]);
+};
+
+export default useWhatsAppConversations;
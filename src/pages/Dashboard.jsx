@@ -1,4 +1,4 @@
-import { useState, useEffect, useReducer, lazy, Suspense } from 'react';
+import { useState, useEffect, useReducer, useCallback, lazy, Suspense } from 'react';
 import Sidebar from '../components/Sidebar';
 import ResizablePanel from '../components/ResizablePanel';
 import { MatrixClientProvider } from '../context/MatrixClientContext';
@@ -8,6 +8,11 @@ const WhatsAppContactList = lazy(() => import('../components/WhatsAppContactList
 const TelegramContactList = lazy(() => import('../components/TelegramContactList'));
 const ChatView = lazy(() => import('../components/ChatView'));
 const TelegramChatView = lazy(() => import('../components/TelegramChatView'));
+const UnifiedInbox = lazy(() => import('../components/UnifiedInbox'));
+const MessageSearchPanel = lazy(() => import('../components/MessageSearchPanel'));
+const SavedMessagesPanel = lazy(() => import('../components/SavedMessagesPanel'));
+const ImportedHistoryPanel = lazy(() => import('../components/ImportedHistoryPanel'));
+const SnoozedChatsPanel = lazy(() => import('../components/SnoozedChatsPanel'));
 const AnalyticsDashboard = lazy(() => import('../components/AnalyticsDashboard'));
 const AISuggestionFeedback = lazy(() => import('../components/AISuggestionFeedback'));
 const TourPopup = lazy(() => import('../components/TourPopup'));
@@ -29,7 +34,9 @@ import '../styles/tooltips.css';
 import '../styles/tourGuide.css';
 import { FiMenu, FiX } from 'react-icons/fi';
 import { IoArrowBack, IoChevronBackOutline, IoChevronForwardOutline } from "react-icons/io5";
-import platformManager from '../services/PlatformManager';
+import platformManager, { ALL_PLATFORMS } from '../services/PlatformManager';
+import roomListManager from '../utils/roomListManager';
+import snoozeManager from '../utils/snoozeManager';
 import { toast } from 'react-hot-toast';
 import { FaWhatsapp, FaTelegram } from 'react-icons/fa';
 
@@ -273,6 +280,14 @@ const Dashboard = () => {
   // Track the selected contact directly
   const [selectedContact, setSelectedContact] = useState(null);
 
+  // Message search and the search result the open chat should scroll to
+  const [showSearchPanel, setShowSearchPanel] = useState(false);
+  const [showSavedPanel, setShowSavedPanel] = useState(false);
+  const [showSnoozedPanel, setShowSnoozedPanel] = useState(false);
+  const [pendingJump, setPendingJump] = useState(null);
+  // Imported messages aren't in the live timeline, so search opens them in the archive view
+  const [importedHistoryTarget, setImportedHistoryTarget] = useState(null);
+
   // CRITICAL FIX: Log the selected contact for debugging
   useEffect(() => {
     if (selectedContact) {
@@ -636,7 +651,10 @@ const Dashboard = () => {
       // Try to get selected platform from localStorage
       const savedPlatform = localStorage.getItem('dailyfix_selected_platform');
 
-      if (savedPlatform && messagingAccounts.some(acc => acc.platform === savedPlatform)) {
+      const canRestoreMerged = savedPlatform === ALL_PLATFORMS &&
+        new Set(messagingAccounts.map(acc => acc.platform)).size > 1;
+
+      if (savedPlatform && (canRestoreMerged || messagingAccounts.some(acc => acc.platform === savedPlatform))) {
         // Use saved platform if it exists and is connected
         logger.info(`[Dashboard] Restoring saved platform: ${savedPlatform}`);
         setSelectedPlatform(savedPlatform);
@@ -688,7 +706,12 @@ const Dashboard = () => {
 
     logger.info(`[Dashboard] Running platform-specific initialization for ${selectedPlatform}`);
 
-    if (selectedPlatform === 'telegram') {
+    // The merged inbox needs every connected platform up, so run each platform's branch
+    const livePlatforms = selectedPlatform === ALL_PLATFORMS
+      ? [...new Set(accounts.map(acc => acc.platform))]
+      : [selectedPlatform];
+
+    if (livePlatforms.includes('telegram')) {
       // For Telegram, ensure Matrix is initialized
       if (!window.matrixClient) {
         logger.info('[Dashboard] Telegram selected but Matrix client not available, initializing Matrix');
@@ -701,19 +724,23 @@ const Dashboard = () => {
         });
         window.dispatchEvent(event);
       }
-    } else if (selectedPlatform === 'whatsapp') {
-      // For WhatsApp, ensure socket connection and clear Telegram flags
+    }
+
+    if (livePlatforms.includes('whatsapp')) {
+      // For WhatsApp, ensure socket connection
       if (!socketConnected) {
         logger.info('[Dashboard] WhatsApp selected but socket not connected, initializing socket');
         dispatch(connectSocket('whatsapp'));
       }
 
-      // Clear any Telegram connection flags
-      sessionStorage.removeItem('connecting_to_telegram');
-      sessionStorage.removeItem('telegram_connection_step');
-      sessionStorage.removeItem('telegram_phone_number');
+      // Clear any Telegram connection flags, unless Telegram is live alongside WhatsApp
+      if (!livePlatforms.includes('telegram')) {
+        sessionStorage.removeItem('connecting_to_telegram');
+        sessionStorage.removeItem('telegram_connection_step');
+        sessionStorage.removeItem('telegram_phone_number');
+      }
     }
-  }, [selectedPlatform, socketConnected, dispatch, forceUpdate]);
+  }, [selectedPlatform, accounts, socketConnected, dispatch, forceUpdate]);
 
   // const handlePlatformSelect = async (platform) => {
   //   logger.info(`[Dashboard] Switching platform from ${selectedPlatform} to ${platform}`);
@@ -770,12 +797,18 @@ const Dashboard = () => {
   const handlePlatformSelect = async (platform) => {
     logger.info(`[Dashboard] Switching platform from ${selectedPlatform} to ${platform}`);
 
+    const platformLabel = platform === ALL_PLATFORMS
+      ? 'all inboxes'
+      : platform.charAt(0).toUpperCase() + platform.slice(1);
+
     // Use platform manager to handle the switch with proper isolation
     try {
       // Show loading toast
-      const toastId = toast.loading(`Switching to ${platform.charAt(0).toUpperCase() + platform.slice(1)}...`);
+      const toastId = toast.loading(`Switching to ${platformLabel}...`);
 
-      const success = await platformManager.switchPlatform(platform);
+      const success = await platformManager.switchPlatform(platform, {
+        platforms: [...new Set(accounts.filter(acc => acc.platform !== 'matrix').map(acc => acc.platform))]
+      });
 
       if (success) {
         // Update state
@@ -792,7 +825,7 @@ const Dashboard = () => {
           const connectedPlatforms = JSON.parse(localStorage.getItem('connected_platforms') || '[]');
 
           // If this is a newly selected platform, mark it for tooltips
-          if (!connectedPlatforms.includes(platform)) {
+          if (platform !== ALL_PLATFORMS && !connectedPlatforms.includes(platform)) {
             // Remove any existing onboarding completion status
             localStorage.removeItem(`${platform}_onboarding_complete`);
 
@@ -812,13 +845,13 @@ const Dashboard = () => {
           logger.error('[Dashboard] Error saving selected platform to localStorage:', storageError);
         }
 
-        toast.success(`Switched to ${platform.charAt(0).toUpperCase() + platform.slice(1)}`, { id: toastId });
+        toast.success(`Switched to ${platformLabel}`, { id: toastId });
       } else {
-        toast.error(`Failed to switch to ${platform}`, { id: toastId });
+        toast.error(`Failed to switch to ${platformLabel}`, { id: toastId });
       }
     } catch (error) {
       logger.error(`[Dashboard] Error switching to platform ${platform}:`, error);
-      toast.error(`Error switching to ${platform}`);
+      toast.error(`Error switching to ${platformLabel}`);
     }
   };
 
@@ -830,6 +863,75 @@ const Dashboard = () => {
     setIsContactListVisible(false);
   };
 
+  // Merged inbox rows carry their platform so the right chat view can be picked per contact
+  const handleUnifiedInboxSelect = (conversation) => {
+    handleContactSelect({ ...conversation.raw, platform: conversation.platform });
+  };
+
+  // In the merged inbox the chat view follows the selected contact, not the sidebar
+  const chatPlatform = selectedPlatform === ALL_PLATFORMS ? selectedContact?.platform : selectedPlatform;
+
+  // Look up the full contact behind a search result, falling back to a minimal one
+  const findSearchResultContact = (result) => {
+    if (result.platform === 'telegram') {
+      const userId = window.matrixClient?.getUserId();
+      const room = userId && roomListManager.getRooms(userId).find(r => r.id === result.roomId);
+      return room || { id: result.roomId, name: result.roomName };
+    }
+
+    const contact = contacts.find(c => String(c.id) === String(result.roomId));
+    return contact || { id: result.roomId, display_name: result.roomName };
+  };
+
+  // Switch to a platform's chats unless the merged inbox already shows them
+  const showPlatformChats = async (platform) => {
+    setIsAnalyticsView(false);
+
+    if (selectedPlatform !== ALL_PLATFORMS && selectedPlatform !== platform) {
+      await handlePlatformSelect(platform);
+      return platformManager.isPlatformActive(platform);
+    }
+    return true;
+  };
+
+  const handleSearchResultSelect = async (result) => {
+    setShowSearchPanel(false);
+    if (!(await showPlatformChats(result.platform))) return;
+
+    const contact = findSearchResultContact(result);
+    handleContactSelect({ ...contact, platform: result.platform });
+
+    if (result.imported) {
+      setImportedHistoryTarget({
+        platform: result.platform,
+        chatId: contact.id,
+        chatName: contact.name || contact.display_name || result.roomName,
+        messageId: result.messageId
+      });
+      return;
+    }
+
+    setPendingJump({ roomId: contact.id, messageId: result.messageId, timestamp: result.timestamp });
+  };
+
+  // Bookmarks carry the same platform, room and message fields as search results
+  const handleBookmarkSelect = (bookmark) => {
+    setShowSavedPanel(false);
+    handleSearchResultSelect(bookmark);
+  };
+
+  // Open a chat from the snoozed list; it stays snoozed unless it's already back
+  const handleSnoozedChatSelect = async (snooze) => {
+    setShowSnoozedPanel(false);
+    if (!(await showPlatformChats(snooze.platform))) return;
+
+    const contact = findSearchResultContact({ platform: snooze.platform, roomId: snooze.chatId, roomName: snooze.chatName });
+    snoozeManager.dismissWoken(snooze.platform, snooze.chatId);
+    handleContactSelect({ ...contact, platform: snooze.platform });
+  };
+
+  const handleJumpComplete = useCallback(() => setPendingJump(null), []);
+
   const handleBackToContacts = () => {
     setIsContactListVisible(true);
     setSelectedContactId(null);
@@ -951,6 +1053,9 @@ const Dashboard = () => {
             onViewToggle={handleViewToggle}
             isAnalyticsView={isAnalyticsView}
             onConnectPlatform={() => setShowConnectionModal(true)}
+            onSearchOpen={() => setShowSearchPanel(true)}
+            onSavedOpen={() => setShowSavedPanel(true)}
+            onSnoozedOpen={() => setShowSnoozedPanel(true)}
             isCollapsed={isSidebarCollapsed}
           />
 
@@ -1044,7 +1149,15 @@ const Dashboard = () => {
                   <div className="h-full flex flex-col">
                     <div className="flex-1 overflow-y-auto w-full bg-neutral-900">
                       <Suspense fallback={<div className="flex items-center justify-center h-full"><div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div></div>}>
-                        {selectedPlatform === 'telegram' ? (
+                        {selectedPlatform === ALL_PLATFORMS ? (
+                          <MatrixClientProvider>
+                            <UnifiedInbox
+                              accounts={accounts.filter(acc => acc.platform !== 'matrix')}
+                              onSelectRoom={handleUnifiedInboxSelect}
+                              selectedRoom={selectedContactId}
+                            />
+                          </MatrixClientProvider>
+                        ) : selectedPlatform === 'telegram' ? (
                           <MatrixClientProvider>
                             <>
                               {/* Banner for optimized Telegram version on mobile */}
@@ -1109,12 +1222,12 @@ const Dashboard = () => {
                   {/* Chat View */}
                   <div className="flex-1 overflow-hidden h-[calc(100%-60px)]">
                     <Suspense fallback={<div className="flex items-center justify-center h-full"><div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div></div>}>
-                      {selectedPlatform === 'telegram' ? (
+                      {chatPlatform === 'telegram' ? (
                         <MatrixClientProvider>
-                          <TelegramChatView selectedContact={selectedContact} />
+                          <TelegramChatView selectedContact={selectedContact} jumpToMessage={pendingJump} onJumpComplete={handleJumpComplete} />
                         </MatrixClientProvider>
                       ) : (
-                        <ChatView selectedContact={selectedContact} />
+                        <ChatView selectedContact={selectedContact} jumpToMessage={pendingJump} onJumpComplete={handleJumpComplete} />
                       )}
                     </Suspense>
                   </div>
@@ -1133,7 +1246,15 @@ const Dashboard = () => {
                   <div className="h-full flex flex-col">
                     <div className="flex-1 overflow-y-auto w-full bg-neutral-900">
                       <Suspense fallback={<div className="flex items-center justify-center h-full"><div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div></div>}>
-                        {selectedPlatform === 'telegram' ? (
+                        {selectedPlatform === ALL_PLATFORMS ? (
+                          <MatrixClientProvider>
+                            <UnifiedInbox
+                              accounts={accounts.filter(acc => acc.platform !== 'matrix')}
+                              onSelectRoom={handleUnifiedInboxSelect}
+                              selectedRoom={selectedContactId}
+                            />
+                          </MatrixClientProvider>
+                        ) : selectedPlatform === 'telegram' ? (
                           <MatrixClientProvider>
                             <>
                               {/* Banner for optimized Telegram version */}
@@ -1182,12 +1303,12 @@ const Dashboard = () => {
                 right={
                   <div className="flex-1 overflow-hidden h-full">
                     <Suspense fallback={<div className="flex items-center justify-center h-full"><div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div></div>}>
-                      {selectedPlatform === 'telegram' ? (
+                      {chatPlatform === 'telegram' ? (
                         <MatrixClientProvider>
-                          <TelegramChatView selectedContact={selectedContact} />
+                          <TelegramChatView selectedContact={selectedContact} jumpToMessage={pendingJump} onJumpComplete={handleJumpComplete} />
                         </MatrixClientProvider>
                       ) : (
-                        <ChatView selectedContact={selectedContact} />
+                        <ChatView selectedContact={selectedContact} jumpToMessage={pendingJump} onJumpComplete={handleJumpComplete} />
                       )}
                     </Suspense>
                   </div>
@@ -1208,6 +1329,54 @@ const Dashboard = () => {
         </>
       )}
 
+      {/* Message Search */}
+      {showSearchPanel && (
+        <Suspense fallback={null}>
+          <MessageSearchPanel
+            isOpen={showSearchPanel}
+            onClose={() => setShowSearchPanel(false)}
+            onSelectResult={handleSearchResultSelect}
+            platforms={[...new Set(accounts.filter(acc => acc.platform !== 'matrix').map(acc => acc.platform))]}
+          />
+        </Suspense>
+      )}
+
+      {/* Saved messages */}
+      {showSavedPanel && (
+        <Suspense fallback={null}>
+          <SavedMessagesPanel
+            isOpen={showSavedPanel}
+            onClose={() => setShowSavedPanel(false)}
+            onSelectBookmark={handleBookmarkSelect}
+          />
+        </Suspense>
+      )}
+
+      {/* Snoozed chats */}
+      {showSnoozedPanel && (
+        <Suspense fallback={null}>
+          <SnoozedChatsPanel
+            isOpen={showSnoozedPanel}
+            onClose={() => setShowSnoozedPanel(false)}
+            onSelectChat={handleSnoozedChatSelect}
+          />
+        </Suspense>
+      )}
+
+      {/* Imported history opened from search */}
+      {importedHistoryTarget && (
+        <Suspense fallback={null}>
+          <ImportedHistoryPanel
+            isOpen
+            onClose={() => setImportedHistoryTarget(null)}
+            platform={importedHistoryTarget.platform}
+            chatId={importedHistoryTarget.chatId}
+            chatName={importedHistoryTarget.chatName}
+            focusMessageId={importedHistoryTarget.messageId}
+          />
+        </Suspense>
+      )}
+
       {/* Tour Guide Button moved to Sidebar */}
       </>
     </MatrixInitializer>
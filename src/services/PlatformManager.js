@@ -3,6 +3,9 @@ import roomListManager from '../utils/roomListManager';
 import slidingSyncManager from '../utils/SlidingSyncManager';
 import { getSocket, disconnectSocket } from '../utils/socketManager';
 
+// Pseudo-platform used by the merged inbox: every connected platform stays live at once
+export const ALL_PLATFORMS = 'all';
+
 /**
  * PlatformManager service
  * Handles platform-specific initialization, cleanup, and switching
@@ -10,6 +13,7 @@ import { getSocket, disconnectSocket } from '../utils/socketManager';
 class PlatformManager {
   constructor() {
     this.activePlatform = null;
+    this.livePlatforms = new Set();
     this.platformStates = new Map();
     this.platformInitializers = {
       'telegram': this.initializeTelegram.bind(this),
@@ -38,19 +42,25 @@ class PlatformManager {
     logger.info(`[PlatformManager] Switching platform from ${this.activePlatform || 'none'} to ${platform}`);
 
     // If we're already on this platform, just return success
-    if (this.activePlatform === platform) {
+    if (this.activePlatform === platform && platform !== ALL_PLATFORMS) {
       logger.info(`[PlatformManager] Already on platform ${platform}`);
       return true;
     }
 
+    if (platform === ALL_PLATFORMS) {
+      return this.activatePlatforms(options.platforms || [], options);
+    }
+
     try {
-      // 1. Clean up current platform if any
-      if (this.activePlatform) {
-        await this.cleanupPlatform(this.activePlatform);
+      // 1. Clean up every other live platform; after the merged inbox that can be several
+      for (const livePlatform of [...this.livePlatforms]) {
+        if (livePlatform !== platform) {
+          await this.cleanupPlatform(livePlatform);
+        }
       }
 
-      // 2. Initialize new platform
-      const success = await this.initializePlatform(platform, options);
+      // 2. Initialize new platform, unless the merged inbox already has it live
+      const success = this.livePlatforms.has(platform) || await this.initializePlatform(platform, options);
       if (success) {
         this.activePlatform = platform;
         logger.info(`[PlatformManager] Successfully switched to platform ${platform}`);
@@ -65,6 +75,42 @@ class PlatformManager {
     }
   }
 
+  /**
+   * Bring several platforms live at the same time without tearing any of them down
+   * @param {Array<string>} platforms - Platforms to keep live
+   * @param {Object} options - Additional options for platform initialization
+   * @returns {Promise<boolean>} True if at least one platform is live
+   */
+  async activatePlatforms(platforms, options = {}) {
+    if (!platforms || platforms.length === 0) {
+      logger.error('[PlatformManager] Cannot activate an empty platform list');
+      return false;
+    }
+
+    logger.info(`[PlatformManager] Activating platforms together: ${platforms.join(', ')}`);
+
+    let anySuccess = false;
+    for (const platform of platforms) {
+      if (this.livePlatforms.has(platform)) {
+        anySuccess = true;
+        continue;
+      }
+
+      const success = await this.initializePlatform(platform, options);
+      if (success) {
+        anySuccess = true;
+      } else {
+        logger.warn(`[PlatformManager] Platform ${platform} failed to initialize, continuing with the others`);
+      }
+    }
+
+    if (anySuccess) {
+      this.activePlatform = ALL_PLATFORMS;
+    }
+
+    return anySuccess;
+  }
+
   /**
    * Initialize a specific platform
    * @param {string} platform - Platform to initialize
@@ -85,6 +131,10 @@ class PlatformManager {
       // Call platform-specific initializer
       const success = await initializer(options);
 
+      if (success) {
+        this.livePlatforms.add(platform);
+      }
+
       // Save platform state
       this.platformStates.set(platform, {
         active: success,
@@ -117,6 +167,7 @@ class PlatformManager {
 
       // Call platform-specific cleanup handler
       const success = await cleanupHandler();
+      this.livePlatforms.delete(platform);
 
       // Update platform state
       if (this.platformStates.has(platform)) {
@@ -338,8 +389,19 @@ class PlatformManager {
    * @returns {boolean} Whether the platform is active
    */
   isPlatformActive(platform) {
+    if (this.activePlatform === ALL_PLATFORMS) {
+      return this.livePlatforms.has(platform);
+    }
     return this.activePlatform === platform;
   }
+
+  /**
+   * Check if the merged inbox is active
+   * @returns {boolean} Whether all connected platforms are live together
+   */
+  isMergedMode() {
+    return this.activePlatform === ALL_PLATFORMS;
+  }
 }
 
 // Create singleton instance
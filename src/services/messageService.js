@@ -135,17 +135,25 @@ class MessageService {
   //   }
   // }
 
-  // async markMessagesAsRead(contactId, messageIds) {
-  //   try {
-  //     await api.post(`/api//contacts/${contactId}/messages/read`, {
-  //       messageIds: Array.from(messageIds)
-  //     });
-  //     return true;
-  //   } catch (error) {
-  //     logger.error('[MessageService] Error marking messages as read:', error);
-  //     throw error;
-  //   }
-  // }
+  /**
+   * Mark messages in a chat as read. Read receipts are cumulative, so marking
+   * the newest incoming message also marks everything before it; an empty
+   * list marks the whole chat as read.
+   * @param {number} contactId - Contact ID
+   * @param {Array<string>} [messageIds] - IDs of the messages that were read
+   * @returns {Promise<boolean>}
+   */
+  async markMessagesAsRead(contactId, messageIds = []) {
+    try {
+      await api.post(`/api/v1/whatsapp/contacts/${contactId}/messages/read`, {
+        messageIds: Array.from(messageIds)
+      });
+      return true;
+    } catch (error) {
+      logger.error('[MessageService] Error marking messages as read:', error);
+      throw error;
+    }
+  }
 
   async refreshMessages(contactId) {
     try {
@@ -309,6 +309,13 @@ const contactSlice = createSlice({
           lastUpdated: timestamp
         };
       })
+      // Messages read in the chat clear the backend unread count
+      .addCase('messages/markAsRead/fulfilled', (state, action) => {
+        const contact = state.items.find(c => c.id === action.meta.arg.contactId);
+        if (contact) {
+          contact.unread_count = 0;
+        }
+      })
       // Handle rehydration
       .addCase('persist/REHYDRATE', (state, action) => {
         if (action.payload?.contacts) {
@@ -1,15 +1,27 @@
 import { createSlice, createAsyncThunk, createSelector } from '@reduxjs/toolkit';
 import { messageService } from '../../services/messageService';
 import logger from '../../utils/logger';
+import messageSearchIndex from '../../utils/messageSearchIndex';
+
+// Hand fetched WhatsApp messages to the local search index without blocking the thunk
+const indexForSearch = (messages, contactId, getState) => {
+  const contact = getState().contacts?.items?.find(c => c.id === contactId);
+  messageSearchIndex.indexMessages(messages, {
+    platform: 'whatsapp',
+    roomId: contactId,
+    roomName: contact?.display_name
+  }).catch(error => logger.warn('[Messages] Failed to index messages for search:', error));
+};
 
 // Async thunks
 export const fetchMessages = createAsyncThunk(
   'messages/fetchAll',
-  async ({ contactId, page = 0, limit = 20 }, { rejectWithValue }) => {
+  async ({ contactId, page = 0, limit = 20 }, { rejectWithValue, getState }) => {
     try {
       logger.info('[Messages] Fetching messages for contact:', contactId);
       const result = await messageService.fetchMessages(contactId, { page, limit });
       logger.info('[Messages] Fetched messages:', result.messages?.length);
+      indexForSearch(result.messages, contactId, getState);
       return result;
     } catch (error) {
       logger.error('[Messages] Failed to fetch messages:', error);
@@ -46,11 +58,12 @@ export const markMessagesAsRead = createAsyncThunk(
 
 export const fetchNewMessages = createAsyncThunk(
   'messages/fetchNew',
-  async ({ contactId, lastEventId }, { rejectWithValue }) => {
+  async ({ contactId, lastEventId }, { rejectWithValue, getState }) => {
     try {
       logger.info('[Messages] Fetching new messages for contact:', { contactId, lastEventId });
       const result = await messageService.fetchNewMessages(contactId, lastEventId);
       logger.info('[Messages] Fetched new messages:', result.messages?.length);
+      indexForSearch(result.messages, contactId, getState);
       return result;
     } catch (error) {
       logger.error('[Messages] Failed to fetch new messages:', error);
@@ -0,0 +1,252 @@
+/**
+ * Account Data Store
+ *
+ * Base class for per-user collections that are kept in localStorage, so they
+ * work offline and without a Matrix login, and mirrored to the user's Matrix
+ * account data, so they follow the user to other browsers. Every item has an
+ * id and a timestamp, and merging devices keeps the newest change to each item.
+ * Removals are remembered for a while, so an item deleted on one device isn't
+ * brought back by another device's older copy. Each Matrix account gets its own
+ * localStorage copy, so accounts sharing a browser never see each other's items.
+ */
+
+import logger from './logger';
+
+// How long a removal is remembered for merging with other devices
+const DEFAULT_REMOVAL_RETENTION = 90 * 24 * 60 * 60 * 1000;
+// Batch quick successive changes into one account data write
+const SYNC_DELAY = 1000;
+
+const isSameState = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const sortEntries = (object) => Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b)));
+
+class AccountDataStore {
+  /**
+   * @param {Object} options - Store configuration
+   * @param {string} options.name - Name used in log messages, e.g. 'BookmarkManager'
+   * @param {string} options.storageKey - localStorage key; the Matrix user ID is appended once logged in
+   * @param {string} options.accountDataType - Matrix account data event type
+   * @param {string} options.changedEvent - Window event fired whenever the state changes
+   * @param {string} options.itemsKey - State key of the item array, e.g. 'bookmarks'
+   * @param {string} [options.timestampKey] - Item field holding its last change time
+   * @param {number} [options.removalRetention] - How long removals are remembered, in ms
+   */
+  constructor({ name, storageKey, accountDataType, changedEvent, itemsKey, timestampKey = 'updatedAt', removalRetention = DEFAULT_REMOVAL_RETENTION }) {
+    this.name = name;
+    this.baseStorageKey = storageKey;
+    this.storageKey = storageKey;
+    this.accountDataType = accountDataType;
+    this.changedEvent = changedEvent;
+    this.itemsKey = itemsKey;
+    this.timestampKey = timestampKey;
+    this.removalRetention = removalRetention;
+
+    this.state = this._readLocal();
+    this.client = null;
+    this.syncTimeout = null;
+    this.handleAccountData = this.handleAccountData.bind(this);
+  }
+
+  /**
+   * Fill in anything missing from a stored or remote state
+   * @param {Object} stored - State as read, possibly partial
+   * @returns {Object} - { [itemsKey], removed }
+   * @protected
+   */
+  _normalizeState(stored) {
+    return {
+      [this.itemsKey]: Array.isArray(stored?.[this.itemsKey]) ? stored[this.itemsKey] : [],
+      removed: stored?.removed || {}
+    };
+  }
+
+  /**
+   * Read the state saved on this device
+   * @returns {Object} - State
+   * @private
+   */
+  _readLocal() {
+    try {
+      return this._normalizeState(JSON.parse(localStorage.getItem(this.storageKey)));
+    } catch (error) {
+      logger.warn(`[${this.name}] Error reading ${this.itemsKey}:`, error);
+      return this._normalizeState(null);
+    }
+  }
+
+  /**
+   * Switch to the local copy of a Matrix account, or to the logged-out one
+   * @param {string|null} userId - Matrix user ID, or null
+   * @private
+   */
+  _useStorageFor(userId) {
+    const storageKey = userId ? `${this.baseStorageKey}_${userId}` : this.baseStorageKey;
+    if (storageKey === this.storageKey) return;
+
+    this.storageKey = storageKey;
+    this._setState(this._readLocal());
+  }
+
+  /**
+   * Merge two states: the newest change or removal of each item wins
+   * @param {Object} local - State
+   * @param {Object} remote - State
+   * @returns {Object} - Merged state, sorted so the same items always serialise the same way
+   * @protected
+   */
+  _mergeStates(local, remote) {
+    const now = Date.now();
+    const removed = {};
+    [local.removed, remote.removed].forEach(source => {
+      Object.entries(source || {}).forEach(([id, removedAt]) => {
+        if (now - removedAt < this.removalRetention && !(removed[id] >= removedAt)) removed[id] = removedAt;
+      });
+    });
+
+    const items = {};
+    [local[this.itemsKey], remote[this.itemsKey]].forEach(source => {
+      (source || []).forEach(item => {
+        if (!item?.id || removed[item.id] >= item[this.timestampKey]) return;
+        if (!items[item.id] || items[item.id][this.timestampKey] < item[this.timestampKey]) {
+          items[item.id] = item;
+        }
+      });
+    });
+
+    return {
+      [this.itemsKey]: Object.values(items).sort((a, b) => a.id.localeCompare(b.id)),
+      removed: sortEntries(removed)
+    };
+  }
+
+  /**
+   * Replace the state, saving it locally and telling the UI
+   * @param {Object} state - State
+   * @protected
+   */
+  _setState(state) {
+    this.state = state;
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(state));
+    } catch (error) {
+      logger.error(`[${this.name}] Error saving ${this.itemsKey}:`, error);
+    }
+
+    this._notifyChange();
+  }
+
+  /**
+   * Tell the UI that the state changed
+   * @protected
+   */
+  _notifyChange() {
+    window.dispatchEvent(new CustomEvent(this.changedEvent, { detail: { count: this.state[this.itemsKey].length } }));
+  }
+
+  /**
+   * Add, replace or remove one item, then sync the result
+   * @param {string} id - Item ID
+   * @param {Object|null} item - New item, or null to remove it
+   * @protected
+   */
+  _update(id, item) {
+    const items = this.state[this.itemsKey].filter(existing => existing.id !== id);
+    const removed = { ...this.state.removed };
+
+    if (item) {
+      items.push(item);
+      delete removed[id];
+    } else {
+      removed[id] = Date.now();
+    }
+
+    this._setState({ ...this.state, [this.itemsKey]: items, removed });
+    this._scheduleSync();
+  }
+
+  /**
+   * What the subscription hook hands to components; subclasses return their sorted view
+   * @returns {*}
+   */
+  getSnapshot() {
+    return [...this.state[this.itemsKey]];
+  }
+
+  /**
+   * Start syncing with a Matrix account. Safe to call on every render.
+   * @param {Object} client - Matrix client
+   */
+  attachClient(client) {
+    if (!client || client === this.client) return;
+
+    this.detachClient();
+    this._useStorageFor(client.getUserId?.() || null);
+    this.client = client;
+    client.on('accountData', this.handleAccountData);
+
+    // Before the first sync the account data isn't there yet; the listener picks it up
+    const event = client.getAccountData(this.accountDataType);
+    if (event) {
+      this.handleAccountData(event);
+    } else if (client.isInitialSyncComplete?.() && this.state[this.itemsKey].length > 0) {
+      this._scheduleSync();
+    }
+  }
+
+  /**
+   * Stop syncing with the current Matrix account and go back to the logged-out copy
+   */
+  detachClient() {
+    if (this.client) {
+      this.client.removeListener('accountData', this.handleAccountData);
+    }
+    clearTimeout(this.syncTimeout);
+    this.client = null;
+    this._useStorageFor(null);
+  }
+
+  /**
+   * Merge changes made on other devices
+   * @param {Object} event - Matrix account data event
+   */
+  handleAccountData(event) {
+    if (event?.getType() !== this.accountDataType) return;
+
+    const remote = this._normalizeState(event.getContent());
+    const merged = this._mergeStates(this.state, remote);
+
+    if (!isSameState(merged, this.state)) {
+      this._setState(merged);
+    }
+    // This device had changes the account didn't, so send them up
+    if (!isSameState(merged, this._mergeStates(remote, this._normalizeState(null)))) {
+      this._scheduleSync();
+    }
+  }
+
+  /**
+   * Write the state to account data after a short delay
+   * @protected
+   */
+  _scheduleSync() {
+    if (!this.client) return;
+
+    clearTimeout(this.syncTimeout);
+    this.syncTimeout = setTimeout(async () => {
+      const client = this.client;
+      if (!client) return;
+
+      try {
+        await client.setAccountData(this.accountDataType, this.state);
+        logger.info(`[${this.name}] Synced ${this.state[this.itemsKey].length} ${this.itemsKey} to account data`);
+      } catch (error) {
+        // Kept locally; the next change or login tries again
+        logger.warn(`[${this.name}] Error syncing ${this.itemsKey}:`, error?.message || error);
+      }
+    }, SYNC_DELAY);
+  }
+}
+
+export default AccountDataStore;
@@ -0,0 +1,117 @@
+/**
+ * Bookmark Manager
+ *
+ * Saved messages from every platform. Bookmarks are kept in localStorage so
+ * they work offline and without a Matrix login, and synced through Matrix
+ * account data by AccountDataStore.
+ */
+
+import AccountDataStore from './accountDataStore';
+import { getPinPreview } from './pinUtils';
+import { BOOKMARKS_KEY } from '../constants';
+
+export const BOOKMARKS_CHANGED_EVENT = 'dailyfix-bookmarks-changed';
+export const BOOKMARKS_ACCOUNT_DATA_TYPE = 'com.dailyfix.bookmarks';
+
+// Account data events are size limited, so only a preview of each message is kept
+const MAX_PREVIEW_LENGTH = 300;
+
+/**
+ * Build the ID of a bookmark
+ * @param {string} platform - 'telegram' or 'whatsapp'
+ * @param {string|number} roomId - Room or contact ID
+ * @param {string|number} messageId - Message ID
+ * @returns {string} - Bookmark ID
+ */
+export const getBookmarkId = (platform, roomId, messageId) => `${platform}|${roomId}|${messageId}`;
+
+class BookmarkManager extends AccountDataStore {
+  constructor() {
+    super({
+      name: 'BookmarkManager',
+      storageKey: BOOKMARKS_KEY,
+      accountDataType: BOOKMARKS_ACCOUNT_DATA_TYPE,
+      changedEvent: BOOKMARKS_CHANGED_EVENT,
+      itemsKey: 'bookmarks',
+      timestampKey: 'savedAt'
+    });
+  }
+
+  getSnapshot() {
+    return this.getBookmarks();
+  }
+
+  /**
+   * Get all bookmarks
+   * @returns {Array} - Bookmarks, most recently saved first
+   */
+  getBookmarks() {
+    return [...this.state.bookmarks].sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * Check whether a message is bookmarked
+   * @param {string} platform - 'telegram' or 'whatsapp'
+   * @param {string|number} roomId - Room or contact ID
+   * @param {string|number} messageId - Message ID
+   * @returns {boolean} - Whether it's bookmarked
+   */
+  isBookmarked(platform, roomId, messageId) {
+    const id = getBookmarkId(platform, roomId, messageId);
+    return this.state.bookmarks.some(bookmark => bookmark.id === id);
+  }
+
+  /**
+   * Bookmark a message, or remove its bookmark
+   * @param {Object} message - Message to save
+   * @param {string|number} message.id - Message ID
+   * @param {Object|string} message.content - Message content
+   * @param {string} message.senderName - Sender's display name
+   * @param {boolean} message.isFromMe - Whether we sent it
+   * @param {number} message.timestamp - When it was sent
+   * @param {Object} context - Where the message is
+   * @param {string} context.platform - 'telegram' or 'whatsapp'
+   * @param {string|number} context.roomId - Room or contact ID
+   * @param {string} context.roomName - Contact or room name, for grouping
+   * @returns {boolean} - Whether the message is bookmarked now
+   */
+  toggleBookmark(message, { platform, roomId, roomName }) {
+    const id = getBookmarkId(platform, roomId, message.id);
+
+    if (this.isBookmarked(platform, roomId, message.id)) {
+      this.removeBookmark(id);
+      return false;
+    }
+
+    const bookmark = {
+      id,
+      platform,
+      roomId: String(roomId),
+      roomName: roomName || String(roomId),
+      messageId: String(message.id),
+      senderName: message.isFromMe ? 'You' : message.senderName || 'Unknown',
+      isFromMe: !!message.isFromMe,
+      preview: getPinPreview(message.content).slice(0, MAX_PREVIEW_LENGTH),
+      timestamp: typeof message.timestamp === 'number' ? message.timestamp : new Date(message.timestamp).getTime() || 0,
+      savedAt: Date.now()
+    };
+
+    this._update(id, bookmark);
+    return true;
+  }
+
+  /**
+   * Remove a bookmark
+   * @param {string} id - Bookmark ID
+   */
+  removeBookmark(id) {
+    if (!this.state.bookmarks.some(bookmark => bookmark.id === id)) return;
+
+    this._update(id, null);
+  }
+}
+
+// Create a singleton instance
+const bookmarkManager = new BookmarkManager();
+
+export default bookmarkManager;
@@ -9,12 +9,18 @@ import logger from './logger';
 
 // Constants
 const DB_NAME = 'matrix_cache';
-const DB_VERSION = 1;
+const DB_VERSION = 6;
 const STORES = {
   MESSAGES: 'messages',
   ROOMS: 'rooms',
   MEMBERS: 'members',
-  MEDIA: 'media'
+  MEDIA: 'media',
+  SEARCH_DOCUMENTS: 'search_documents',
+  DRAFTS: 'drafts',
+  OUTBOX: 'outbox',
+  LINK_PREVIEWS: 'link_previews',
+  IMPORTED_MESSAGES: 'imported_messages',
+  IMPORTED_MEDIA: 'imported_media'
 };
 
 // Cache expiration time (in milliseconds)
@@ -22,7 +28,9 @@ const CACHE_EXPIRY = {
   MESSAGES: 24 * 60 * 60 * 1000, // 24 hours
   ROOMS: 12 * 60 * 60 * 1000,    // 12 hours
   MEMBERS: 6 * 60 * 60 * 1000,   // 6 hours
-  MEDIA: 7 * 24 * 60 * 60 * 1000 // 7 days
+  MEDIA: 7 * 24 * 60 * 60 * 1000, // 7 days
+  LINK_PREVIEWS: 24 * 60 * 60 * 1000, // 24 hours
+  EMPTY_LINK_PREVIEWS: 60 * 60 * 1000 // 1 hour, so pages without metadata are retried sooner
 };
 
 class CacheManager {
@@ -78,6 +86,42 @@ class CacheManager {
             mediaStore.createIndex('lastAccessed', 'lastAccessed', { unique: false });
           }
 
+          // Search documents outlive the message cache, which is invalidated on every room load
+          if (!db.objectStoreNames.contains(STORES.SEARCH_DOCUMENTS)) {
+            const searchStore = db.createObjectStore(STORES.SEARCH_DOCUMENTS, { keyPath: 'id' });
+            searchStore.createIndex('roomId', 'roomId', { unique: false });
+            searchStore.createIndex('platform', 'platform', { unique: false });
+            searchStore.createIndex('timestamp', 'timestamp', { unique: false });
+          }
+
+          // Composer drafts are kept until they're sent or cleared, so they never expire
+          if (!db.objectStoreNames.contains(STORES.DRAFTS)) {
+            db.createObjectStore(STORES.DRAFTS, { keyPath: 'roomId' });
+          }
+
+          // Outgoing messages waiting to be sent, kept until the server accepts them
+          if (!db.objectStoreNames.contains(STORES.OUTBOX)) {
+            const outboxStore = db.createObjectStore(STORES.OUTBOX, { keyPath: 'txnId' });
+            outboxStore.createIndex('roomId', 'roomId', { unique: false });
+          }
+
+          // URL preview metadata from the homeserver's /preview_url
+          if (!db.objectStoreNames.contains(STORES.LINK_PREVIEWS)) {
+            const previewStore = db.createObjectStore(STORES.LINK_PREVIEWS, { keyPath: 'url' });
+            previewStore.createIndex('expiresAt', 'expiresAt', { unique: false });
+          }
+
+          // History imported from WhatsApp/Telegram chat exports; never expires
+          if (!db.objectStoreNames.contains(STORES.IMPORTED_MESSAGES)) {
+            const importedStore = db.createObjectStore(STORES.IMPORTED_MESSAGES, { keyPath: 'id' });
+            importedStore.createIndex('chatKey', 'chatKey', { unique: false });
+          }
+
+          if (!db.objectStoreNames.contains(STORES.IMPORTED_MEDIA)) {
+            const importedMediaStore = db.createObjectStore(STORES.IMPORTED_MEDIA, { keyPath: 'id' });
+            importedMediaStore.createIndex('chatKey', 'chatKey', { unique: false });
+          }
+
           logger.info('[CacheManager] Database schema created/updated');
         };
 
@@ -164,6 +208,7 @@ class CacheManager {
     // Create a new object with only the properties we need
     const serializableMessage = {
       id: message.id,
+      platform: message.platform,
       body: message.body,
       timestamp: message.timestamp,
       sender: message.sender,
@@ -459,6 +504,461 @@ class CacheManager {
     }
   }
 
+  /**
+   * Get every cached message across all rooms
+   * @returns {Promise<Array>} - Array of cached messages
+   */
+  async getAllMessages() {
+    try {
+      const db = await this.initialize();
+      const transaction = db.transaction(STORES.MESSAGES, 'readonly');
+      const store = transaction.objectStore(STORES.MESSAGES);
+
+      return new Promise((resolve, reject) => {
+        const request = store.getAll();
+
+        request.onsuccess = (event) => resolve(event.target.result || []);
+        request.onerror = (event) => {
+          logger.warn('[CacheManager] Error retrieving all cached messages:', event.target.error);
+          reject(event.target.error);
+        };
+      });
+    } catch (error) {
+      logger.error('[CacheManager] Error getting all cached messages:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Store search documents (flattened, already serializable messages)
+   * @param {Array} documents - Search documents keyed by id
+   * @returns {Promise<boolean>} - Whether the documents were stored
+   */
+  async cacheSearchDocuments(documents) {
+    if (!documents || documents.length === 0) {
+      return true;
+    }
+
+    try {
+      const db = await this.initialize();
+      const transaction = db.transaction(STORES.SEARCH_DOCUMENTS, 'readwrite');
+      const store = transaction.objectStore(STORES.SEARCH_DOCUMENTS);
+
+      documents.forEach(document => store.put(document));
+
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('[CacheManager] Error caching search documents:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get all stored search documents
+   * @returns {Promise<Array>} - Array of search documents
+   */
+  async getSearchDocuments() {
+    try {
+      const db = await this.initialize();
+      const transaction = db.transaction(STORES.SEARCH_DOCUMENTS, 'readonly');
+      const store = transaction.objectStore(STORES.SEARCH_DOCUMENTS);
+
+      return new Promise((resolve, reject) => {
+        const request = store.getAll();
+
+        request.onsuccess = (event) => resolve(event.target.result || []);
+        request.onerror = (event) => {
+          logger.warn('[CacheManager] Error retrieving search documents:', event.target.error);
+          reject(event.target.error);
+        };
+      });
+    } catch (error) {
+      logger.error('[CacheManager] Error getting search documents:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Remove search documents
+   * @param {Array<string>} ids - Document IDs
+   * @returns {Promise<boolean>} - Whether the documents were removed
+   */
+  async deleteSearchDocuments(ids) {
+    if (!ids || ids.length === 0) {
+      return true;
+    }
+
+    try {
+      const db = await this.initialize();
+      const transaction = db.transaction(STORES.SEARCH_DOCUMENTS, 'readwrite');
+      const store = transaction.objectStore(STORES.SEARCH_DOCUMENTS);
+
+      ids.forEach(id => store.delete(id));
+
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('[CacheManager] Error deleting search documents:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Store the messages and attachments of an imported chat export
+   * @param {Array} messages - Imported messages keyed by id, each with a chatKey
+   * @param {Array} media - Attachments as { id, chatKey, name, mimetype, blob }
+   * @returns {Promise<boolean>} - Whether everything was stored
+   */
+  async saveImportedHistory(messages, media = []) {
+    try {
+      const db = await this.initialize();
+      const transaction = db.transaction([STORES.IMPORTED_MESSAGES, STORES.IMPORTED_MEDIA], 'readwrite');
+      const messageStore = transaction.objectStore(STORES.IMPORTED_MESSAGES);
+      const mediaStore = transaction.objectStore(STORES.IMPORTED_MEDIA);
+
+      messages.forEach(message => messageStore.put(message));
+      media.forEach(item => mediaStore.put(item));
+
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+        transaction.onabort = (event) => reject(event.target.error);
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('[CacheManager] Error saving imported history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the imported messages of a chat
+   * @param {string} chatKey - Platform and chat ID, as built by importedHistoryManager
+   * @returns {Promise<Array>} - Imported messages
+   */
+  async getImportedMessages(chatKey) {
+    try {
+      const db = await this.initialize();
+      const transaction = db.transaction(STORES.IMPORTED_MESSAGES, 'readonly');
+      const index = transaction.objectStore(STORES.IMPORTED_MESSAGES).index('chatKey');
+
+      return new Promise((resolve, reject) => {
+        const request = index.getAll(IDBKeyRange.only(chatKey));
+
+        request.onsuccess = (event) => resolve(event.target.result || []);
+        request.onerror = (event) => {
+          logger.warn(`[CacheManager] Error retrieving imported messages for ${chatKey}:`, event.target.error);
+          reject(event.target.error);
+        };
+      });
+    } catch (error) {
+      logger.error('[CacheManager] Error getting imported messages:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get every imported message, across all chats
+   * @returns {Promise<Array>} - Imported messages
+   */
+  async getAllImportedMessages() {
+    try {
+      const db = await this.initialize();
+      const transaction = db.transaction(STORES.IMPORTED_MESSAGES, 'readonly');
+      const store = transaction.objectStore(STORES.IMPORTED_MESSAGES);
+
+      return new Promise((resolve, reject) => {
+        const request = store.getAll();
+
+        request.onsuccess = (event) => resolve(event.target.result || []);
+        request.onerror = (event) => {
+          logger.warn('[CacheManager] Error retrieving imported messages:', event.target.error);
+          reject(event.target.error);
+        };
+      });
+    } catch (error) {
+      logger.error('[CacheManager] Error getting all imported messages:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get an imported attachment
+   * @param {string} id - Attachment ID
+   * @returns {Promise<Object|null>} - { id, chatKey, name, mimetype, blob } or null
+   */
+  async getImportedMedia(id) {
+    if (!id) return null;
+
+    try {
+      const db = await this.initialize();
+      const transaction = db.transaction(STORES.IMPORTED_MEDIA, 'readonly');
+      const store = transaction.objectStore(STORES.IMPORTED_MEDIA);
+
+      return new Promise((resolve, reject) => {
+        const request = store.get(id);
+
+        request.onsuccess = (event) => resolve(event.target.result || null);
+        request.onerror = (event) => {
+          logger.warn(`[CacheManager] Error retrieving imported media ${id}:`, event.target.error);
+          reject(event.target.error);
+        };
+      });
+    } catch (error) {
+      logger.error('[CacheManager] Error getting imported media:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete everything imported for a chat
+   * @param {string} chatKey - Platform and chat ID
+   * @returns {Promise<boolean>} - Whether the history was deleted
+   */
+  async deleteImportedHistory(chatKey) {
+    try {
+      const db = await this.initialize();
+      const transaction = db.transaction([STORES.IMPORTED_MESSAGES, STORES.IMPORTED_MEDIA], 'readwrite');
+
+      [STORES.IMPORTED_MESSAGES, STORES.IMPORTED_MEDIA].forEach(storeName => {
+        const request = transaction.objectStore(storeName).index('chatKey').openKeyCursor(IDBKeyRange.only(chatKey));
+        request.onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (cursor) {
+            transaction.objectStore(storeName).delete(cursor.primaryKey);
+            cursor.continue();
+          }
+        };
+      });
+
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('[CacheManager] Error deleting imported history:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Store or replace the composer draft for a room
+   * @param {Object} draft - Draft keyed by roomId
+   * @returns {Promise<boolean>} - Whether the draft was stored
+   */
+  async saveDraft(draft) {
+    try {
+      const db = await this.initialize();
+      const transaction = db.transaction(STORES.DRAFTS, 'readwrite');
+      transaction.objectStore(STORES.DRAFTS).put(draft);
+
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('[CacheManager] Error saving draft:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete the composer draft for a room
+   * @param {string} roomId - Room or contact ID
+   * @returns {Promise<boolean>} - Whether the draft was deleted
+   */
+  async deleteDraft(roomId) {
+    try {
+      const db = await this.initialize();
+      const transaction = db.transaction(STORES.DRAFTS, 'readwrite');
+      transaction.objectStore(STORES.DRAFTS).delete(roomId);
+
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('[CacheManager] Error deleting draft:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get all stored composer drafts
+   * @returns {Promise<Array>} - Array of drafts
+   */
+  async getDrafts() {
+    try {
+      const db = await this.initialize();
+      const transaction = db.transaction(STORES.DRAFTS, 'readonly');
+      const store = transaction.objectStore(STORES.DRAFTS);
+
+      return new Promise((resolve, reject) => {
+        const request = store.getAll();
+
+        request.onsuccess = (event) => resolve(event.target.result || []);
+        request.onerror = (event) => {
+          logger.warn('[CacheManager] Error retrieving drafts:', event.target.error);
+          reject(event.target.error);
+        };
+      });
+    } catch (error) {
+      logger.error('[CacheManager] Error getting drafts:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Store or update an outgoing message in the outbox
+   * @param {Object} entry - Outbox entry keyed by txnId
+   * @returns {Promise<boolean>} - Whether the entry was stored
+   */
+  async saveOutboxEntry(entry) {
+    try {
+      const db = await this.initialize();
+      const transaction = db.transaction(STORES.OUTBOX, 'readwrite');
+      transaction.objectStore(STORES.OUTBOX).put(entry);
+
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('[CacheManager] Error saving outbox entry:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove an outgoing message from the outbox
+   * @param {string} txnId - Transaction ID of the message
+   * @returns {Promise<boolean>} - Whether the entry was removed
+   */
+  async deleteOutboxEntry(txnId) {
+    try {
+      const db = await this.initialize();
+      const transaction = db.transaction(STORES.OUTBOX, 'readwrite');
+      transaction.objectStore(STORES.OUTBOX).delete(txnId);
+
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('[CacheManager] Error deleting outbox entry:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get every message still in the outbox
+   * @returns {Promise<Array>} - Array of outbox entries
+   */
+  async getOutboxEntries() {
+    try {
+      const db = await this.initialize();
+      const transaction = db.transaction(STORES.OUTBOX, 'readonly');
+      const store = transaction.objectStore(STORES.OUTBOX);
+
+      return new Promise((resolve, reject) => {
+        const request = store.getAll();
+
+        request.onsuccess = (event) => resolve(event.target.result || []);
+        request.onerror = (event) => {
+          logger.warn('[CacheManager] Error retrieving outbox entries:', event.target.error);
+          reject(event.target.error);
+        };
+      });
+    } catch (error) {
+      logger.error('[CacheManager] Error getting outbox entries:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Store the preview metadata for a URL. A null preview records that the page has none.
+   * @param {string} url - Previewed URL
+   * @param {Object|null} preview - Preview metadata
+   * @returns {Promise<boolean>} - Whether the preview was stored
+   */
+  async cacheLinkPreview(url, preview) {
+    if (!url) return false;
+
+    try {
+      const db = await this.initialize();
+      const transaction = db.transaction(STORES.LINK_PREVIEWS, 'readwrite');
+      const now = Date.now();
+      transaction.objectStore(STORES.LINK_PREVIEWS).put({
+        url,
+        preview,
+        cachedAt: now,
+        expiresAt: now + (preview ? CACHE_EXPIRY.LINK_PREVIEWS : CACHE_EXPIRY.EMPTY_LINK_PREVIEWS)
+      });
+
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('[CacheManager] Error caching link preview:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the cached preview metadata for a URL
+   * @param {string} url - Previewed URL
+   * @returns {Promise<Object|undefined>} - { preview } (preview may be null), or undefined if not cached or expired
+   */
+  async getCachedLinkPreview(url) {
+    if (!url) return undefined;
+
+    try {
+      const db = await this.initialize();
+      const transaction = db.transaction(STORES.LINK_PREVIEWS, 'readonly');
+      const store = transaction.objectStore(STORES.LINK_PREVIEWS);
+
+      return new Promise((resolve, reject) => {
+        const request = store.get(url);
+
+        request.onsuccess = (event) => {
+          const entry = event.target.result;
+          // Expired entries are left for cleanupExpiredCache
+          resolve(entry && entry.expiresAt > Date.now() ? { preview: entry.preview } : undefined);
+        };
+        request.onerror = (event) => {
+          logger.warn(`[CacheManager] Error retrieving link preview for ${url}:`, event.target.error);
+          reject(event.target.error);
+        };
+      });
+    } catch (error) {
+      logger.error('[CacheManager] Error getting cached link preview:', error);
+      return undefined;
+    }
+  }
+
   /**
    * Clean up expired cache entries
    * @returns {Promise} - Promise that resolves when cleanup is complete
@@ -475,6 +975,9 @@ class CacheManager {
       // Clean up expired media
       await this._cleanupStore(STORES.MEDIA, 'expiresAt', now);
 
+      // Clean up expired link previews
+      await this._cleanupStore(STORES.LINK_PREVIEWS, 'expiresAt', now);
+
       logger.info('[CacheManager] Expired cache entries cleaned up');
       return true;
     } catch (error) {
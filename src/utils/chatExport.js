@@ -0,0 +1,451 @@
+/**
+ * Utility functions for exporting a conversation: collecting its full history
+ * from Matrix (Telegram) or the WhatsApp API, and writing it out as a
+ * self-contained HTML archive, JSON or CSV, or sending it to the print dialog
+ */
+import { format } from 'date-fns';
+import logger from './logger';
+import matrixMessageLoaderV2 from './matrixMessageLoaderV2';
+import { messageService } from '../services/messageService';
+import { getMediaBlobUrl } from './mediaUtils';
+
+export const EXPORT_FORMATS = {
+  HTML: 'html',
+  JSON: 'json',
+  CSV: 'csv',
+  PRINT: 'print'
+};
+
+const PAGE_SIZE = 100;
+const MEDIA_MSGTYPES = ['m.image', 'm.video', 'm.audio', 'm.file', 'm.sticker'];
+// Embedded files live in memory as data URLs until the archive is saved
+const MAX_EMBEDDED_FILE_BYTES = 20 * 1024 * 1024;
+const MAX_EMBEDDED_TOTAL_BYTES = 150 * 1024 * 1024;
+
+/**
+ * Throw if the export was cancelled
+ * @param {AbortSignal} signal - Signal from the export's AbortController
+ */
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    throw new DOMException('Export cancelled', 'AbortError');
+  }
+};
+
+/**
+ * Check whether an error means the export was cancelled
+ * @param {Error} error - Error thrown by an export step
+ * @returns {boolean} - Whether it was a cancellation
+ */
+export const isExportCancelled = (error) => error?.name === 'AbortError';
+
+/**
+ * Read the content of a WhatsApp message, which may arrive as serialised JSON
+ * @param {*} content - Message content
+ * @returns {Object} - Content object with at least a body
+ */
+const parseWhatsAppContent = (content) => {
+  if (content && typeof content === 'object') return content;
+  if (typeof content === 'string' && content.startsWith('{')) {
+    try {
+      const parsed = JSON.parse(content);
+      return { ...parsed, body: parsed.body || parsed.content || '' };
+    } catch {
+      return { body: content };
+    }
+  }
+  return { body: content ? String(content) : '' };
+};
+
+/**
+ * Describe a message's attachment, if it has one
+ * @param {Object} content - Message content
+ * @returns {Object|null} - { name, mimetype, size, url } or null
+ */
+const getAttachment = (content) => {
+  if (!content || !MEDIA_MSGTYPES.includes(content.msgtype) || !content.url) return null;
+
+  return {
+    name: content.body || 'attachment',
+    mimetype: content.info?.mimetype || null,
+    size: content.info?.size || null,
+    url: content.url
+  };
+};
+
+/**
+ * Turn a loaded Matrix message into an export record
+ * @param {Object} message - Message from matrixMessageLoaderV2
+ * @returns {Object} - Export record
+ */
+const fromMatrixMessage = (message) => {
+  const content = typeof message.content === 'object' && message.content ? message.content : {};
+  return {
+    id: message.id,
+    timestamp: message.timestamp,
+    sender: message.sender,
+    senderName: message.senderName || message.sender,
+    isFromMe: !!message.isFromMe,
+    type: message.isRedacted ? 'redacted' : (content.msgtype || message.eventType || 'message'),
+    body: content.body || message.body || '',
+    edited: !!message.isEdited,
+    attachment: message.isRedacted ? null : getAttachment(content)
+  };
+};
+
+/**
+ * Turn a WhatsApp API message into an export record
+ * @param {Object} message - Message from messageService.fetchMessages
+ * @returns {Object} - Export record
+ */
+const fromWhatsAppMessage = (message) => {
+  const content = parseWhatsAppContent(message.content);
+  const isFromMe = !!message.sender_id?.includes('matrix');
+  return {
+    id: message.message_id || message.id,
+    timestamp: new Date(message.timestamp).getTime() || 0,
+    sender: message.sender_id || '',
+    senderName: isFromMe ? 'You' : (message.sender_name || 'Contact'),
+    isFromMe,
+    type: content.msgtype || 'm.text',
+    body: typeof content.body === 'string' ? content.body : '',
+    edited: false,
+    attachment: getAttachment(content)
+  };
+};
+
+/**
+ * Page through a Matrix room's whole history, stopping once it reaches the start of the range
+ * @param {Object} client - Matrix client
+ * @param {string} roomId - Room ID
+ * @param {Object} options - { from, signal, onProgress }
+ * @returns {Promise<Array>} - Export records
+ */
+const collectMatrixHistory = async (client, roomId, { from, signal, onProgress }) => {
+  if (!matrixMessageLoaderV2.initialized) {
+    await matrixMessageLoaderV2.initialize(client);
+  }
+
+  const room = client.getRoom(roomId);
+  if (!room) {
+    throw new Error('This conversation is not available');
+  }
+
+  let messages = matrixMessageLoaderV2.processEvents(room.getLiveTimeline().getEvents(), room);
+  let hasMore = true;
+
+  while (hasMore && !(from && messages.length > 0 && messages[0].timestamp < from)) {
+    throwIfAborted(signal);
+    const result = await matrixMessageLoaderV2.paginateBackwards(roomId, { limit: PAGE_SIZE });
+    // Stopping here would write an archive silently missing the older history
+    if (result.error) {
+      throw new Error('Could not load the full history of this conversation');
+    }
+    hasMore = result.hasMore;
+    messages = result.messages;
+    onProgress?.({ stage: 'messages', loaded: messages.length, oldest: messages[0]?.timestamp || null });
+  }
+
+  return messages.map(fromMatrixMessage);
+};
+
+/**
+ * Page through a WhatsApp contact's whole history, newest page first
+ * @param {string} contactId - WhatsApp contact ID
+ * @param {Object} options - { from, signal, onProgress }
+ * @returns {Promise<Array>} - Export records
+ */
+const collectWhatsAppHistory = async (contactId, { from, signal, onProgress }) => {
+  const records = new Map();
+  let page = 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    throwIfAborted(signal);
+    const result = await messageService.fetchMessages(contactId, { page, limit: PAGE_SIZE });
+    const pageRecords = result.messages.map(fromWhatsAppMessage);
+    pageRecords.forEach(record => records.set(record.id, record));
+
+    const oldest = Math.min(...pageRecords.map(record => record.timestamp));
+    hasMore = result.hasMore && !(from && oldest < from);
+    page++;
+    onProgress?.({ stage: 'messages', loaded: records.size, oldest: Number.isFinite(oldest) ? oldest : null });
+  }
+
+  return Array.from(records.values());
+};
+
+/**
+ * Load every message of a conversation within a date range, oldest first
+ * @param {Object} options - Export options
+ * @param {string} options.platform - 'telegram' or 'whatsapp'
+ * @param {Object} options.client - Matrix client (Telegram only)
+ * @param {string} options.chatId - Matrix room ID or WhatsApp contact ID
+ * @param {number} [options.from] - Earliest timestamp to include
+ * @param {number} [options.to] - Latest timestamp to include
+ * @param {AbortSignal} [options.signal] - Cancels the export
+ * @param {Function} [options.onProgress] - Called with { stage, loaded, oldest } after each page
+ * @returns {Promise<Array>} - Export records
+ */
+export const collectChatHistory = async ({ platform, client, chatId, from, to, signal, onProgress }) => {
+  const records = platform === 'whatsapp'
+    ? await collectWhatsAppHistory(chatId, { from, signal, onProgress })
+    : await collectMatrixHistory(client, chatId, { from, signal, onProgress });
+
+  throwIfAborted(signal);
+  return records
+    .filter(record => (!from || record.timestamp >= from) && (!to || record.timestamp <= to))
+    .sort((a, b) => a.timestamp - b.timestamp);
+};
+
+/**
+ * Read a blob as a data: URL
+ * @param {Blob} blob - File contents
+ * @returns {Promise<string>} - data: URL
+ */
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+/**
+ * Download the attachments of the exported messages so the HTML archive can embed them.
+ * Files over the size limits are listed by name only.
+ * @param {Object} client - Matrix client
+ * @param {Array} records - Export records
+ * @param {Object} options - { signal, onProgress }
+ * @returns {Promise<Map>} - mxc URL → data: URL
+ */
+export const embedAttachments = async (client, records, { signal, onProgress } = {}) => {
+  const embedded = new Map();
+  const attachments = records.map(record => record.attachment).filter(attachment => attachment?.url?.startsWith('mxc://'));
+  let totalBytes = 0;
+
+  for (let i = 0; i < attachments.length; i++) {
+    throwIfAborted(signal);
+    onProgress?.({ stage: 'media', done: i, total: attachments.length });
+
+    const { url, size } = attachments[i];
+    if (embedded.has(url) || (size && size > MAX_EMBEDDED_FILE_BYTES)) continue;
+
+    try {
+      const blobUrl = await getMediaBlobUrl(client, url);
+      if (!blobUrl) continue;
+
+      const blob = await (await fetch(blobUrl)).blob();
+      if (blob.size > MAX_EMBEDDED_FILE_BYTES || totalBytes + blob.size > MAX_EMBEDDED_TOTAL_BYTES) continue;
+
+      embedded.set(url, await blobToDataUrl(blob));
+      totalBytes += blob.size;
+    } catch (error) {
+      logger.warn(`[chatExport] Could not embed ${url}:`, error);
+    }
+  }
+
+  onProgress?.({ stage: 'media', done: attachments.length, total: attachments.length });
+  return embedded;
+};
+
+/**
+ * Build the JSON export
+ * @param {Array} records - Export records
+ * @param {Object} meta - { platform, chatName, chatId, from, to }
+ * @returns {string} - JSON document
+ */
+export const buildJsonExport = (records, meta) => JSON.stringify({
+  exportedAt: new Date().toISOString(),
+  platform: meta.platform,
+  chat: { id: meta.chatId, name: meta.chatName },
+  range: {
+    from: meta.from ? new Date(meta.from).toISOString() : null,
+    to: meta.to ? new Date(meta.to).toISOString() : null
+  },
+  messageCount: records.length,
+  messages: records.map(record => ({
+    ...record,
+    timestamp: new Date(record.timestamp).toISOString()
+  }))
+}, null, 2);
+
+/**
+ * Quote a CSV field; cells that spreadsheets would run as formulas are prefixed with a quote
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+const csvField = (value) => {
+  let text = value == null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Build the CSV export
+ * @param {Array} records - Export records
+ * @returns {string} - CSV document, with a BOM so spreadsheet apps read it as UTF-8
+ */
+export const buildCsvExport = (records) => {
+  const header = ['Date', 'Sender', 'Sender ID', 'Type', 'Message', 'Attachment', 'Message ID'];
+  const rows = records.map(record => [
+    new Date(record.timestamp).toISOString(),
+    record.senderName,
+    record.sender,
+    record.type,
+    record.body,
+    record.attachment?.name || '',
+    record.id
+  ]);
+
+  return `\uFEFF${[header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+};
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Render a message's attachment for the HTML archive
+ * @param {Object} record - Export record
+ * @param {Map} embedded - mxc URL → data: URL
+ * @returns {string} - HTML
+ */
+const renderAttachment = (record, embedded) => {
+  const { attachment } = record;
+  if (!attachment) return '';
+
+  const dataUrl = embedded.get(attachment.url);
+  const name = escapeHtml(attachment.name);
+  if (!dataUrl) {
+    return `<div class="attachment missing">📎 ${name} (not included in this export)</div>`;
+  }
+  if (record.type === 'm.image' || record.type === 'm.sticker') {
+    return `<img class="media" src="${dataUrl}" alt="${name}">`;
+  }
+  if (record.type === 'm.video') {
+    return `<video class="media" src="${dataUrl}" controls></video>`;
+  }
+  if (record.type === 'm.audio') {
+    return `<audio src="${dataUrl}" controls></audio>`;
+  }
+  return `<div class="attachment"><a href="${dataUrl}" download="${name}">📎 ${name}</a></div>`;
+};
+
+/**
+ * Build the self-contained HTML archive; the same page is used for printing
+ * @param {Array} records - Export records
+ * @param {Object} meta - { platform, chatName, from, to }
+ * @param {Map} [embedded] - mxc URL → data: URL for attachments to embed
+ * @returns {string} - HTML document
+ */
+export const buildHtmlExport = (records, meta, embedded = new Map()) => {
+  const range = meta.from || meta.to
+    ? `${meta.from ? format(new Date(meta.from), 'MMM d, yyyy') : 'Beginning'} – ${meta.to ? format(new Date(meta.to), 'MMM d, yyyy') : 'Today'}`
+    : 'Full history';
+
+  let lastDay = null;
+  const body = records.map(record => {
+    const day = format(new Date(record.timestamp), 'EEEE, MMMM d, yyyy');
+    const separator = day !== lastDay ? `<div class="day">${escapeHtml(day)}</div>` : '';
+    lastDay = day;
+
+    const text = record.type === 'redacted'
+      ? '<em>Message deleted</em>'
+      : record.attachment ? '' : escapeHtml(record.body).replace(/\n/g, '<br>');
+
+    return `${separator}<div class="message${record.isFromMe ? ' mine' : ''}">
+  <div class="meta"><span class="sender">${escapeHtml(record.senderName)}</span> <span class="time">${format(new Date(record.timestamp), 'HH:mm')}${record.edited ? ' · edited' : ''}</span></div>
+  ${text ? `<div class="text">${text}</div>` : ''}${renderAttachment(record, embedded)}
+</div>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(meta.chatName)} – chat export</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 0 auto; max-width: 800px; padding: 24px; color: #111; background: #fff; }
+  header { border-bottom: 2px solid #ddd; margin-bottom: 16px; padding-bottom: 12px; }
+  header h1 { font-size: 20px; margin: 0 0 4px; }
+  header p { color: #666; font-size: 13px; margin: 0; }
+  .day { color: #666; font-size: 12px; font-weight: 600; margin: 20px 0 8px; text-align: center; }
+  .message { border-left: 3px solid #ccc; margin: 6px 0; padding: 4px 10px; page-break-inside: avoid; }
+  .message.mine { border-left-color: ${meta.platform === 'whatsapp' ? '#25D366' : '#0088cc'}; }
+  .meta { font-size: 12px; color: #555; }
+  .sender { font-weight: 600; color: #111; }
+  .text { font-size: 14px; white-space: normal; word-wrap: break-word; margin-top: 2px; }
+  .media { display: block; max-width: 100%; max-height: 400px; margin-top: 4px; border-radius: 4px; }
+  .attachment { font-size: 13px; margin-top: 4px; }
+  .attachment.missing { color: #888; }
+  @media print {
+    body { padding: 0; max-width: none; }
+    video, audio { display: none; }
+  }
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(meta.chatName)}</h1>
+  <p>${meta.platform === 'whatsapp' ? 'WhatsApp' : 'Telegram'} · ${escapeHtml(range)} · ${records.length} ${records.length === 1 ? 'message' : 'messages'} · exported ${escapeHtml(format(new Date(), 'MMM d, yyyy HH:mm'))}</p>
+</header>
+${body}
+</body>
+</html>`;
+};
+
+/**
+ * Save a generated export
+ * @param {string} contents - File contents
+ * @param {string} fileName - File name
+ * @param {string} mimeType - MIME type
+ */
+export const downloadExport = (contents, fileName, mimeType) => {
+  const url = URL.createObjectURL(new Blob([contents], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Open the browser's print dialog for an HTML document, where it can be saved as PDF
+ * @param {string} html - HTML document
+ */
+export const printHtmlExport = (html) => {
+  const frame = document.createElement('iframe');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = '0';
+  frame.onload = () => {
+    const frameWindow = frame.contentWindow;
+    frameWindow.addEventListener('afterprint', () => frame.remove());
+    frameWindow.focus();
+    frameWindow.print();
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+};
+
+/**
+ * Build a file name for an export
+ * @param {string} chatName - Conversation name
+ * @param {string} extension - File extension
+ * @returns {string} - File name
+ */
+export const getExportFileName = (chatName, extension) => {
+  const safeName = (chatName || 'chat').replace(/[\\/:*?"<>|]+/g, '').trim().replace(/\s+/g, '_') || 'chat';
+  return `${safeName}_${format(new Date(), 'yyyy-MM-dd')}.${extension}`;
+};
@@ -0,0 +1,365 @@
+/**
+ * Parsers for the chat exports WhatsApp ("Export chat" .txt or .zip) and
+ * Telegram Desktop (result.json, loose or zipped with its media folders) produce.
+ * Both are turned into the same shape so importedHistoryManager can store them.
+ */
+import { isZipFile, readZipEntries } from './zipReader';
+
+const MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  webm: 'video/webm',
+  opus: 'audio/ogg',
+  ogg: 'audio/ogg',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  pdf: 'application/pdf',
+  vcf: 'text/vcard',
+  txt: 'text/plain'
+};
+
+// Direction and spacing marks WhatsApp sprinkles through exports, especially on iOS
+const INVISIBLE_MARKS = /[\u200e\u200f\u202a-\u202e\u2066-\u2069\ufeff]/g;
+const ODD_SPACES = /[\u00a0\u2007\u202f]/g;
+
+// "31/12/2020", "2020-12-31", or Korean "2020. 12. 31."
+const DATE_PATTERN = '(\\d{1,4}[./-]\\d{1,2}[./-]\\d{1,4}|\\d{4}\\.\\s\\d{1,2}\\.\\s\\d{1,2}\\.)';
+// "23:59", "11:59 PM", or Korean "오후 11:59" (오전 = AM, 오후 = PM)
+const TIME_PATTERN = '((?:오[전후]\\s)?\\d{1,2}[:.]\\d{2}(?:[:.]\\d{2})?(?:\\s?[AaPp]\\.?\\s?[Mm]\\.?)?)';
+// iOS: "[31/12/2020, 23:59:59] Name: text"; Android: "31/12/2020, 23:59 - Name: text"
+const IOS_LINE = new RegExp(`^\\[${DATE_PATTERN},?\\s${TIME_PATTERN}\\]\\s(.*)$`);
+const ANDROID_LINE = new RegExp(`^${DATE_PATTERN},?\\s${TIME_PATTERN}\\s[-–]\\s(.*)$`);
+
+// "<attached: 00000012-PHOTO-2020-12-31-23-59-59.jpg>" on iOS, in the phone's language
+const IOS_ATTACHMENT = /^<[^:<>]+:\s*([^<>]+\.\w{2,5})>$/;
+// "IMG-20201231-WA0001.jpg (file attached)" on Android, in the phone's language
+const ANDROID_ATTACHMENT = /^(\S+\.\w{2,5})\s\([^()]+\)$/;
+
+/**
+ * Guess the MIME type of an attachment from its file name
+ * @param {string} name - File name
+ * @returns {string} - MIME type
+ */
+export const getMimeTypeForFileName = (name) => {
+  const extension = name?.split('.').pop()?.toLowerCase();
+  return MIME_TYPES[extension] || 'application/octet-stream';
+};
+
+/**
+ * Work out which Matrix msgtype an attachment would have
+ * @param {string} mimetype - MIME type
+ * @returns {string} - m.image, m.video, m.audio or m.file
+ */
+const getMsgtypeForMimeType = (mimetype) => {
+  if (mimetype.startsWith('image/')) return 'm.image';
+  if (mimetype.startsWith('video/')) return 'm.video';
+  if (mimetype.startsWith('audio/')) return 'm.audio';
+  return 'm.file';
+};
+
+/**
+ * Describe an attachment found in an export
+ * @param {string} path - Path relative to the export's folder
+ * @param {string} [mimetype] - MIME type, if the export gives one
+ * @returns {Object} - { path, name, mimetype, msgtype }
+ */
+const createAttachment = (path, mimetype) => {
+  const name = path.split('/').pop();
+  const type = mimetype || getMimeTypeForFileName(name);
+  return { path, name, mimetype: type, msgtype: getMsgtypeForMimeType(type) };
+};
+
+/**
+ * Day-month order of the browser's locale, used when an export's dates are ambiguous
+ * @returns {string} - 'DMY' or 'MDY'
+ */
+const getLocaleDateOrder = () => {
+  try {
+    const parts = new Intl.DateTimeFormat(undefined, { day: 'numeric', month: 'numeric', year: 'numeric' })
+      .formatToParts(new Date(2001, 10, 22));
+    const first = parts.find(part => part.type === 'day' || part.type === 'month');
+    return first?.type === 'month' ? 'MDY' : 'DMY';
+  } catch {
+    return 'DMY';
+  }
+};
+
+/**
+ * Work out the date order of a WhatsApp export from all of its dates:
+ * a day over 12 settles it, otherwise fall back to the browser's locale
+ * @param {Array<string>} dates - Date strings from the export
+ * @returns {string} - 'YMD', 'DMY' or 'MDY'
+ */
+const detectDateOrder = (dates) => {
+  let dayFirst = false;
+  let monthFirst = false;
+
+  for (const date of dates) {
+    const [first, second] = date.match(/\d+/g);
+    if (first.length === 4) return 'YMD';
+    if (Number(first) > 12) dayFirst = true;
+    if (Number(second) > 12) monthFirst = true;
+  }
+
+  if (dayFirst && !monthFirst) return 'DMY';
+  if (monthFirst && !dayFirst) return 'MDY';
+  return getLocaleDateOrder();
+};
+
+/**
+ * Turn an export's date and time strings into a timestamp in local time
+ * @param {string} date - Date as written in the export
+ * @param {string} time - Time as written in the export
+ * @param {string} order - 'YMD', 'DMY' or 'MDY'
+ * @returns {number} - Milliseconds since epoch, or NaN if invalid
+ */
+const toTimestamp = (date, time, order) => {
+  const parts = date.match(/\d+/g).map(Number);
+  let year;
+  let month;
+  let day;
+  if (order === 'YMD') [year, month, day] = parts;
+  else if (order === 'MDY') [month, day, year] = parts;
+  else [day, month, year] = parts;
+  if (year < 100) year += 2000;
+
+  const [, koreanMeridiem, hourText, minuteText, secondText, latinMeridiem] =
+    time.match(/^(?:(오[전후])\s)?(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s?([AaPp])?/) || [];
+  const meridiem = koreanMeridiem || latinMeridiem;
+  let hours = Number(hourText);
+  if (meridiem) {
+    const isPm = meridiem === '오후' || meridiem.toLowerCase() === 'p';
+    if (hours === 12) hours = isPm ? 12 : 0;
+    else if (isPm) hours += 12;
+  }
+
+  const result = new Date(year, month - 1, day, hours, Number(minuteText), Number(secondText || 0));
+  return result.getMonth() === month - 1 ? result.getTime() : NaN;
+};
+
+/**
+ * Parse the text of a WhatsApp "Export chat" file
+ * @param {string} text - Contents of the .txt file
+ * @param {Set<string>} [availableFiles] - Names of the files shipped alongside it
+ * @returns {Object} - { participants, messages: [{ sourceId, timestamp, senderName, body, attachment }] }
+ */
+export const parseWhatsAppExport = (text, availableFiles = new Set()) => {
+  const lines = text.replace(INVISIBLE_MARKS, '').replace(ODD_SPACES, ' ').split(/\r?\n/);
+  const entries = [];
+
+  lines.forEach(line => {
+    const match = line.match(IOS_LINE) || line.match(ANDROID_LINE);
+    if (match) {
+      entries.push({ date: match[1], time: match[2], rest: match[3] });
+    } else if (entries.length > 0) {
+      // Messages with line breaks continue on the following lines
+      entries[entries.length - 1].rest += `\n${line}`;
+    }
+  });
+
+  if (entries.length === 0) {
+    throw new Error('No messages found. Is this a WhatsApp chat export? If so, its date format is not supported yet.');
+  }
+
+  const order = detectDateOrder(entries.map(entry => entry.date));
+  const participants = new Set();
+  const messages = [];
+
+  entries.forEach((entry, index) => {
+    const timestamp = toTimestamp(entry.date, entry.time, order);
+    if (Number.isNaN(timestamp)) return;
+
+    // System notices ("Messages and calls are end-to-end encrypted") have no sender
+    const separator = entry.rest.indexOf(': ');
+    const hasSender = separator > 0 && separator <= 80 && !entry.rest.slice(0, separator).includes('\n');
+    const senderName = hasSender ? entry.rest.slice(0, separator).trim() : null;
+    let body = hasSender ? entry.rest.slice(separator + 2) : entry.rest;
+    if (senderName) participants.add(senderName);
+
+    let attachment = null;
+    const [firstLine, ...captionLines] = body.split('\n');
+    const attachmentMatch = firstLine.trim().match(IOS_ATTACHMENT) || firstLine.trim().match(ANDROID_ATTACHMENT);
+    if (attachmentMatch && (availableFiles.size === 0 || availableFiles.has(attachmentMatch[1]))) {
+      attachment = createAttachment(attachmentMatch[1]);
+      body = captionLines.join('\n').trim();
+    }
+
+    messages.push({
+      sourceId: String(index),
+      timestamp,
+      senderName,
+      body: body.trim(),
+      attachment
+    });
+  });
+
+  return { participants: [...participants], messages };
+};
+
+/**
+ * Flatten Telegram's rich text (a string or a list of strings and entities)
+ * @param {string|Array} text - Message text from result.json
+ * @returns {string} - Plain text
+ */
+const getTelegramText = (text) => {
+  if (typeof text === 'string') return text;
+  if (!Array.isArray(text)) return '';
+  return text.map(part => (typeof part === 'string' ? part : part?.text || '')).join('');
+};
+
+/**
+ * Check that a Telegram export path points at a file that was exported
+ * @param {string} path - Path from result.json
+ * @returns {boolean} - Whether the file should exist
+ */
+const isExportedPath = (path) => typeof path === 'string' && path.length > 0 && !path.startsWith('(');
+
+/**
+ * Parse one chat of a Telegram Desktop export
+ * @param {Object} chat - Chat object from result.json
+ * @param {string} [myFromId] - from_id of the person who made the export
+ * @returns {Object} - { name, participants, messages }
+ */
+const parseTelegramChat = (chat, myFromId) => {
+  const participants = new Set();
+  const messages = [];
+
+  (chat.messages || []).forEach(message => {
+    const timestamp = message.date_unixtime ? Number(message.date_unixtime) * 1000 : new Date(message.date).getTime();
+    if (!timestamp || Number.isNaN(timestamp)) return;
+
+    const isService = message.type === 'service';
+    const senderName = isService ? null : (message.from || message.from_id || 'Unknown');
+    if (senderName) participants.add(senderName);
+
+    let attachment = null;
+    if (isExportedPath(message.photo)) {
+      attachment = createAttachment(message.photo, 'image/jpeg');
+    } else if (isExportedPath(message.file)) {
+      attachment = createAttachment(message.file, message.mime_type);
+    }
+
+    let body = getTelegramText(message.text);
+    if (isService) {
+      body = [message.actor, message.action?.replace(/_/g, ' '), message.title || body].filter(Boolean).join(' ');
+    } else if (!body && !attachment && message.media_type) {
+      body = `[${message.media_type.replace(/_/g, ' ')}]`;
+    }
+
+    messages.push({
+      sourceId: String(message.id),
+      timestamp,
+      senderName,
+      senderId: message.from_id || message.actor_id || null,
+      isFromMe: myFromId ? (message.from_id || message.actor_id) === myFromId : undefined,
+      body,
+      edited: !!message.edited,
+      attachment
+    });
+  });
+
+  return { name: chat.name || 'Telegram chat', participants: [...participants], messages };
+};
+
+/**
+ * Parse a Telegram Desktop result.json, either a single chat or a full account export
+ * @param {string} text - Contents of result.json
+ * @returns {Array} - [{ name, participants, messages }]
+ */
+export const parseTelegramExport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('This file is not valid JSON');
+  }
+
+  const userId = data.personal_information?.user_id;
+  const myFromId = userId ? `user${userId}` : null;
+
+  if (Array.isArray(data.messages)) {
+    return [parseTelegramChat(data, myFromId)];
+  }
+  if (Array.isArray(data.chats?.list)) {
+    return data.chats.list
+      .filter(chat => Array.isArray(chat.messages) && chat.messages.length > 0)
+      .map(chat => parseTelegramChat(chat, myFromId));
+  }
+  throw new Error('No chats found. Is this a Telegram Desktop JSON export?');
+};
+
+/**
+ * Guess the chat name from a WhatsApp export's file name ("WhatsApp Chat with Alice.zip")
+ * @param {string} fileName - Export file name
+ * @returns {string|null} - Contact or group name
+ */
+const getWhatsAppChatName = (fileName) => {
+  const match = fileName?.match(/^WhatsApp Chat (?:with |- )?(.+?)(?: \(\d+\))?\.(?:txt|zip)$/i);
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Read the files the user picked (one .zip/.txt/.json, or a whole export folder)
+ * and parse whichever export they contain
+ * @param {Array<File>} files - Picked files; folder picks carry webkitRelativePath
+ * @returns {Promise<Object>} - { platform, chats: [{ name, participants, messages }], readAttachment: (path) => Promise<Blob|null> }
+ */
+export const readChatExport = async (files) => {
+  const picked = Array.from(files || []);
+  if (picked.length === 0) {
+    throw new Error('Choose an export file first');
+  }
+
+  // Every file as { path, read }, whether it came from a zip or a folder
+  let sources;
+  let archiveName = picked[0].name;
+  if (picked.length === 1 && await isZipFile(picked[0])) {
+    sources = (await readZipEntries(picked[0])).map(entry => ({ path: entry.name, read: entry.read }));
+  } else {
+    sources = picked.map(file => ({ path: file.webkitRelativePath || file.name, read: async () => file }));
+    if (picked[0].webkitRelativePath) archiveName = picked[0].webkitRelativePath.split('/')[0];
+  }
+
+  const fileName = (path) => path.split('/').pop();
+  const telegramSource = sources.find(source => fileName(source.path) === 'result.json');
+  const whatsAppSource = telegramSource ? null : (
+    sources.find(source => fileName(source.path) === '_chat.txt') ||
+    sources.find(source => source.path.toLowerCase().endsWith('.txt'))
+  );
+  const mainSource = telegramSource || whatsAppSource ||
+    sources.find(source => source.path.toLowerCase().endsWith('.json'));
+  if (!mainSource) {
+    throw new Error('No WhatsApp .txt or Telegram result.json found in the export');
+  }
+
+  // Attachments are referenced relative to the folder holding the chat file
+  const baseDir = mainSource.path.includes('/') ? mainSource.path.slice(0, mainSource.path.lastIndexOf('/') + 1) : '';
+  const byPath = new Map(sources.map(source => [
+    source.path.startsWith(baseDir) ? source.path.slice(baseDir.length) : source.path,
+    source
+  ]));
+  const readAttachment = async (path) => {
+    const source = byPath.get(path);
+    return source ? source.read() : null;
+  };
+
+  const text = await (await mainSource.read()).text();
+
+  if (mainSource === whatsAppSource) {
+    const availableFiles = new Set([...byPath.keys()].filter(path => !path.includes('/')));
+    availableFiles.delete(mainSource.path.slice(baseDir.length));
+    const chat = parseWhatsAppExport(text, availableFiles);
+    return {
+      platform: 'whatsapp',
+      chats: [{ name: getWhatsAppChatName(archiveName) || getWhatsAppChatName(mainSource.path) || 'WhatsApp chat', ...chat }],
+      readAttachment
+    };
+  }
+
+  return { platform: 'telegram', chats: parseTelegramExport(text), readAttachment };
+};
@@ -7,6 +7,8 @@
 
 import logger from './logger';
 import { TelegramEntityTypes } from './telegramEntityUtils';
+import { getMentionKeywords } from './mentionUtils';
+import { getContactRules, findMatchingRule } from './contactRules';
 
 /**
  * Contact Categories
@@ -21,12 +23,24 @@ export const ContactCategories = {
   PRIVATE_GROUPS: 'private_groups',
   CHANNELS: 'channels',
   SUPERGROUPS: 'supergroups',
+  SNOOZED: 'snoozed',
   MUTED: 'muted',
   ARCHIVED: 'archived',
 };
 
+// Why a contact sits in a category when nothing more specific applies
+const DEFAULT_CATEGORY_REASONS = {
+  [ContactCategories.DIRECT_MESSAGES]: 'One-to-one chat',
+  [ContactCategories.BOTS]: 'Bot account',
+  [ContactCategories.GROUPS]: 'Group chat',
+  [ContactCategories.PRIVATE_GROUPS]: 'Group you can only read',
+  [ContactCategories.CHANNELS]: 'Channel',
+  [ContactCategories.SUPERGROUPS]: 'Supergroup',
+};
+
 /**
- * Organize contacts into categories
+ * Organize contacts into categories. Each contact gets a categoryReason saying
+ * why it landed where it did.
  * @param {Array} contacts - Array of contact objects
  * @param {Object} options - Organization options
  * @returns {Object} Organized contacts by category
@@ -41,7 +55,11 @@ export const organizeContacts = (contacts, options = {}) => {
     pinnedContactIds = [],
     mutedContactIds = [],
     archivedContactIds = [],
-    mentionKeywords = ['@me', '@all'],
+    snoozedContactIds = [],
+    resurfacedContactIds = [],
+    mentionKeywords = getMentionKeywords(),
+    rules = getContactRules(),
+    platform = 'telegram',
     showMuted = true,
     showArchived = false,
   } = options;
@@ -57,6 +75,7 @@ export const organizeContacts = (contacts, options = {}) => {
     [ContactCategories.PRIVATE_GROUPS]: [],
     [ContactCategories.CHANNELS]: [],
     [ContactCategories.SUPERGROUPS]: [],
+    [ContactCategories.SNOOZED]: [],
     [ContactCategories.MUTED]: [],
     [ContactCategories.ARCHIVED]: [],
   };
@@ -79,35 +98,63 @@ export const organizeContacts = (contacts, options = {}) => {
       isPinned: pinnedContactIds.includes(contact.id),
       isMuted: mutedContactIds.includes(contact.id),
       isArchived: archivedContactIds.includes(contact.id),
+      isSnoozed: snoozedContactIds.includes(contact.id),
+      // Snoozed earlier and back now, shown at the top until it's opened
+      wasSnoozed: resurfacedContactIds.includes(contact.id),
     };
 
     // Categorize contact
     if (enhancedContact.isArchived) {
+      enhancedContact.categoryReason = 'You archived this chat';
       organizedContacts[ContactCategories.ARCHIVED].push(enhancedContact);
       return;
     }
 
+    if (enhancedContact.isSnoozed) {
+      enhancedContact.categoryReason = 'Snoozed';
+      organizedContacts[ContactCategories.SNOOZED].push(enhancedContact);
+      return;
+    }
+
     if (enhancedContact.isMuted) {
+      enhancedContact.categoryReason = 'You muted this chat';
       organizedContacts[ContactCategories.MUTED].push(enhancedContact);
       return;
     }
 
     // Check if contact is pinned (Priority Hub)
     if (enhancedContact.isPinned) {
+      enhancedContact.categoryReason = 'You pinned this chat';
       organizedContacts[ContactCategories.PRIORITY].push(enhancedContact);
       return;
     }
 
+    // User-defined rules come after the user's own choices above, ahead of everything automatic
+    const ruleMatch = findMatchingRule(rules, enhancedContact, platform);
+    if (ruleMatch && organizedContacts[ruleMatch.rule.action.value]) {
+      if (ruleMatch.rule.action.value === ContactCategories.ARCHIVED && !showArchived) {
+        return;
+      }
+
+      enhancedContact.categoryReason = `Rule "${ruleMatch.rule.name || 'Untitled'}": ${ruleMatch.reason}`;
+      enhancedContact.categorizedByRule = ruleMatch.rule.id;
+      organizedContacts[ruleMatch.rule.action.value].push(enhancedContact);
+      return;
+    }
+
     // Check if contact has unread messages
     if (enhancedContact.unreadCount > 0) {
+      enhancedContact.categoryReason = `${enhancedContact.unreadCount} unread ${enhancedContact.unreadCount === 1 ? 'message' : 'messages'}`;
       organizedContacts[ContactCategories.UNREAD].push(enhancedContact);
 
-      // Check if contact has mentions
-      const hasMention = mentionKeywords.some(keyword =>
-        enhancedContact.lastMessage && enhancedContact.lastMessage.includes(keyword)
+      // Check if contact has mentions (Matrix highlight count, or a keyword in the preview)
+      const lastMessage = typeof enhancedContact.lastMessage === 'string' ? enhancedContact.lastMessage.toLowerCase() : '';
+      const hasMention = enhancedContact.highlightCount > 0 || mentionKeywords.some(keyword =>
+        keyword && lastMessage.includes(keyword.toLowerCase())
       );
 
       if (hasMention) {
+        enhancedContact.categoryReason += ', including a mention';
         organizedContacts[ContactCategories.MENTIONS].push(enhancedContact);
       }
 
@@ -260,8 +307,13 @@ export const organizeContacts = (contacts, options = {}) => {
     }
   });
 
-  // Sort each category
+  // Sort each category, filling in the reason for contacts sorted by chat type
   Object.keys(organizedContacts).forEach(category => {
+    organizedContacts[category].forEach(contact => {
+      if (!contact.categoryReason) {
+        contact.categoryReason = DEFAULT_CATEGORY_REASONS[category] || getCategoryDisplayName(category);
+      }
+    });
     organizedContacts[category] = sortContacts(organizedContacts[category]);
   });
 
@@ -275,7 +327,11 @@ export const organizeContacts = (contacts, options = {}) => {
  */
 export const sortContacts = (contacts) => {
   return [...contacts].sort((a, b) => {
-    // First sort by pinned status
+    // Conversations back from a snooze come first
+    if (a.wasSnoozed && !b.wasSnoozed) return -1;
+    if (!a.wasSnoozed && b.wasSnoozed) return 1;
+
+    // Then sort by pinned status
     if (a.isPinned && !b.isPinned) return -1;
     if (!a.isPinned && b.isPinned) return 1;
 
@@ -304,6 +360,7 @@ export const getCategoryDisplayName = (category) => {
     [ContactCategories.PRIVATE_GROUPS]: 'Private Groups',
     [ContactCategories.CHANNELS]: 'Channels',
     [ContactCategories.SUPERGROUPS]: 'Supergroups',
+    [ContactCategories.SNOOZED]: 'Snoozed',
     [ContactCategories.MUTED]: 'Muted',
     [ContactCategories.ARCHIVED]: 'Archived',
   };
@@ -327,6 +384,7 @@ export const getCategoryIcon = (category) => {
     [ContactCategories.PRIVATE_GROUPS]: 'lock',
     [ContactCategories.CHANNELS]: 'hash',
     [ContactCategories.SUPERGROUPS]: 'globe',
+    [ContactCategories.SNOOZED]: 'clock',
     [ContactCategories.MUTED]: 'volume-x',
     [ContactCategories.ARCHIVED]: 'archive',
   };
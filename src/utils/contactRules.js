@@ -0,0 +1,395 @@
+/**
+ * User-defined rules that categorize and label contacts automatically, e.g.
+ * "name contains Support → label Support" or "group with more than 50 members → Muted".
+ *
+ * Rules are checked in order and the first enabled match wins. Category rules are
+ * applied by contactOrganizer whenever the contact list is organized, so they follow
+ * new contacts and incoming messages. Label rules add the label once per chat, so
+ * removing it by hand sticks.
+ */
+import logger from './logger';
+import labelManager from './labelManager';
+import { TelegramEntityTypes } from './telegramEntityUtils';
+import { CONTACT_RULES_KEY, CONTACT_RULE_LABELS_KEY } from '../constants';
+
+export const CONTACT_RULES_CHANGED_EVENT = 'dailyfix-contact-rules-changed';
+
+export const RuleFields = {
+  NAME: 'name',
+  LAST_MESSAGE: 'lastMessage',
+  MEMBERS: 'members',
+  UNREAD_COUNT: 'unreadCount',
+  CHAT_TYPE: 'chatType',
+  PLATFORM: 'platform'
+};
+
+export const RuleActions = {
+  CATEGORY: 'category',
+  LABEL: 'label'
+};
+
+export const ChatTypes = {
+  DIRECT: 'direct',
+  GROUP: 'group',
+  CHANNEL: 'channel',
+  BOT: 'bot'
+};
+
+const TEXT_OPERATORS = {
+  contains: 'contains',
+  not_contains: 'does not contain',
+  equals: 'is',
+  starts_with: 'starts with'
+};
+
+const NUMBER_OPERATORS = {
+  gt: 'is more than',
+  lt: 'is less than',
+  eq: 'is exactly'
+};
+
+const CHOICE_OPERATORS = {
+  is: 'is',
+  is_not: 'is not'
+};
+
+/**
+ * What each field can be compared with, for building and describing conditions
+ */
+export const RULE_FIELD_OPTIONS = {
+  [RuleFields.NAME]: { label: 'Name', type: 'text', operators: TEXT_OPERATORS },
+  [RuleFields.LAST_MESSAGE]: { label: 'Latest message', type: 'text', operators: TEXT_OPERATORS },
+  [RuleFields.MEMBERS]: { label: 'Members', type: 'number', operators: NUMBER_OPERATORS },
+  [RuleFields.UNREAD_COUNT]: { label: 'Unread messages', type: 'number', operators: NUMBER_OPERATORS },
+  [RuleFields.CHAT_TYPE]: {
+    label: 'Chat type',
+    type: 'choice',
+    operators: CHOICE_OPERATORS,
+    choices: {
+      [ChatTypes.DIRECT]: 'Direct message',
+      [ChatTypes.GROUP]: 'Group',
+      [ChatTypes.CHANNEL]: 'Channel',
+      [ChatTypes.BOT]: 'Bot'
+    }
+  },
+  [RuleFields.PLATFORM]: {
+    label: 'Platform',
+    type: 'choice',
+    operators: CHOICE_OPERATORS,
+    choices: { telegram: 'Telegram', whatsapp: 'WhatsApp' }
+  }
+};
+
+const generateId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+const getContactKey = (platform, chatId) => `${platform}|${chatId}`;
+
+// Platforms with a label run in flight, so bursts of contact updates don't re-send tags
+const labellingPlatforms = new Set();
+
+const readAppliedLabels = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CONTACT_RULE_LABELS_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Start a condition for a field with its first operator
+ * @param {string} field - One of RuleFields
+ * @returns {Object} - { field, operator, value }
+ */
+export const createCondition = (field = RuleFields.NAME) => {
+  const options = RULE_FIELD_OPTIONS[field];
+  return {
+    field,
+    operator: Object.keys(options.operators)[0],
+    value: options.type === 'choice' ? Object.keys(options.choices)[0] : ''
+  };
+};
+
+/**
+ * Start a new, empty rule
+ * @returns {Object} - Rule
+ */
+export const createRule = () => ({
+  id: generateId(),
+  name: '',
+  enabled: true,
+  match: 'all',
+  conditions: [createCondition()],
+  action: { type: RuleActions.CATEGORY, value: 'priority' }
+});
+
+/**
+ * Get the user's rules, in the order they're checked
+ * @returns {Array} - Rules
+ */
+export const getContactRules = () => {
+  try {
+    const rules = JSON.parse(localStorage.getItem(CONTACT_RULES_KEY));
+    return Array.isArray(rules) ? rules : [];
+  } catch (error) {
+    logger.warn('[ContactRules] Error reading contact rules:', error);
+    return [];
+  }
+};
+
+/**
+ * Save the user's rules
+ * @param {Array} rules - Rules, in the order they're checked
+ * @returns {Array} - The rules as saved
+ */
+export const setContactRules = (rules) => {
+  try {
+    localStorage.setItem(CONTACT_RULES_KEY, JSON.stringify(rules));
+
+    // Forget which chats deleted rules already labelled
+    const ruleIds = new Set(rules.map(rule => rule.id));
+    const applied = readAppliedLabels();
+    const kept = Object.fromEntries(Object.entries(applied).filter(([key]) => ruleIds.has(key.split('|')[0])));
+    if (Object.keys(kept).length !== Object.keys(applied).length) {
+      localStorage.setItem(CONTACT_RULE_LABELS_KEY, JSON.stringify(kept));
+    }
+  } catch (error) {
+    logger.error('[ContactRules] Error saving contact rules:', error);
+  }
+
+  window.dispatchEvent(new CustomEvent(CONTACT_RULES_CHANGED_EVENT, { detail: { rules } }));
+  return rules;
+};
+
+/**
+ * Work out the kind of chat a contact is, across Telegram rooms and WhatsApp contacts
+ * @param {Object} contact - Contact
+ * @returns {string} - One of ChatTypes
+ */
+const getChatType = (contact) => {
+  switch (contact.entityType) {
+    case TelegramEntityTypes.DIRECT_MESSAGE:
+      return ChatTypes.DIRECT;
+    case TelegramEntityTypes.BOT:
+      return ChatTypes.BOT;
+    case TelegramEntityTypes.CHANNEL:
+      return ChatTypes.CHANNEL;
+    case TelegramEntityTypes.GROUP:
+    case TelegramEntityTypes.SUPERGROUP:
+    case TelegramEntityTypes.PRIVATE_GROUP:
+    case TelegramEntityTypes.PUBLIC_GROUP:
+      return ChatTypes.GROUP;
+    default:
+      if (contact.isBot) return ChatTypes.BOT;
+      if (contact.isChannel) return ChatTypes.CHANNEL;
+      if (contact.isGroup || contact.is_group || contact.members > 2) return ChatTypes.GROUP;
+      return ChatTypes.DIRECT;
+  }
+};
+
+/**
+ * Read the value a condition compares against
+ * @param {Object} contact - Telegram contact, WhatsApp contact or inbox conversation
+ * @param {string} field - One of RuleFields
+ * @param {string} platform - 'telegram' or 'whatsapp'
+ * @returns {string|number}
+ */
+const getFieldValue = (contact, field, platform) => {
+  switch (field) {
+    case RuleFields.NAME:
+      return contact.name || contact.display_name || '';
+    case RuleFields.LAST_MESSAGE: {
+      const message = contact.lastMessage ?? contact.last_message;
+      return typeof message === 'string' ? message : '';
+    }
+    case RuleFields.MEMBERS:
+      return contact.members ?? contact.metadata?.member_count ?? 0;
+    case RuleFields.UNREAD_COUNT:
+      return contact.unreadCount ?? contact.unread_count ?? 0;
+    case RuleFields.CHAT_TYPE:
+      return getChatType(contact);
+    case RuleFields.PLATFORM:
+      return platform;
+    default:
+      return '';
+  }
+};
+
+const testCondition = (condition, contact, platform) => {
+  const options = RULE_FIELD_OPTIONS[condition.field];
+  if (!options) return false;
+
+  const actual = getFieldValue(contact, condition.field, platform);
+
+  if (options.type === 'number') {
+    const expected = Number(condition.value);
+    if (condition.value === '' || Number.isNaN(expected)) return false;
+    if (condition.operator === 'gt') return actual > expected;
+    if (condition.operator === 'lt') return actual < expected;
+    return actual === expected;
+  }
+
+  if (options.type === 'choice') {
+    return condition.operator === 'is_not' ? actual !== condition.value : actual === condition.value;
+  }
+
+  const expected = String(condition.value || '').trim().toLowerCase();
+  if (!expected) return false;
+
+  const text = String(actual).toLowerCase();
+  switch (condition.operator) {
+    case 'not_contains':
+      return !text.includes(expected);
+    case 'equals':
+      return text === expected;
+    case 'starts_with':
+      return text.startsWith(expected);
+    default:
+      return text.includes(expected);
+  }
+};
+
+/**
+ * Describe a condition in words, e.g. 'Name contains "Support"'
+ * @param {Object} condition - { field, operator, value }
+ * @returns {string}
+ */
+export const describeCondition = (condition) => {
+  const options = RULE_FIELD_OPTIONS[condition.field];
+  if (!options) return '';
+
+  const operator = options.operators[condition.operator] || condition.operator;
+  const value = options.type === 'choice'
+    ? options.choices[condition.value] || condition.value
+    : options.type === 'text' ? `"${condition.value}"` : condition.value;
+
+  return `${options.label} ${operator} ${value}`;
+};
+
+/**
+ * Check one rule against a contact
+ * @param {Object} rule - Rule
+ * @param {Object} contact - Contact
+ * @param {string} platform - 'telegram' or 'whatsapp'
+ * @returns {string|null} - Why it matched, or null when it doesn't
+ */
+export const matchRule = (rule, contact, platform) => {
+  const conditions = rule.conditions || [];
+  if (!contact || conditions.length === 0) return null;
+
+  const matched = conditions.filter(condition => testCondition(condition, contact, platform));
+  const isMatch = rule.match === 'any' ? matched.length > 0 : matched.length === conditions.length;
+  if (!isMatch) return null;
+
+  return matched.map(describeCondition).join(rule.match === 'any' ? ' or ' : ' and ');
+};
+
+/**
+ * Find the first enabled rule of a kind that matches a contact
+ * @param {Array} rules - Rules, in order
+ * @param {Object} contact - Contact
+ * @param {string} platform - 'telegram' or 'whatsapp'
+ * @param {string} actionType - One of RuleActions
+ * @returns {Object|null} - { rule, reason }
+ */
+export const findMatchingRule = (rules, contact, platform, actionType = RuleActions.CATEGORY) => {
+  for (const rule of rules) {
+    if (!rule.enabled || rule.action?.type !== actionType) continue;
+
+    const reason = matchRule(rule, contact, platform);
+    if (reason) return { rule, reason };
+  }
+  return null;
+};
+
+/**
+ * Dry-run a rule over contacts without changing anything
+ * @param {Object} rule - Rule being edited, saved or not
+ * @param {Array} rules - Saved rules, in order, to spot earlier rules that win instead
+ * @param {Array} entries - [{ platform, contact }]
+ * @returns {Array} - [{ platform, contact, reason, shadowedBy }] for every contact the rule matches
+ */
+export const previewRule = (rule, rules, entries) => {
+  const index = rules.findIndex(existing => existing.id === rule.id);
+  const earlierRules = index === -1 ? rules : rules.slice(0, index);
+
+  return entries.reduce((matches, { platform, contact }) => {
+    const reason = matchRule(rule, contact, platform);
+    if (!reason) return matches;
+
+    // Category rules stop at the first match, so an earlier one takes the contact.
+    // Label rules all apply.
+    const earlier = rule.action?.type === RuleActions.CATEGORY
+      ? findMatchingRule(earlierRules, contact, platform, RuleActions.CATEGORY)
+      : null;
+
+    matches.push({ platform, contact, reason, shadowedBy: earlier?.rule || null });
+    return matches;
+  }, []);
+};
+
+/**
+ * Add the labels from label rules to the contacts they match. Each rule labels a
+ * chat once, so a label taken off by hand isn't put back.
+ * @param {string} platform - 'telegram' or 'whatsapp'
+ * @param {Array} contacts - Contacts with an id
+ * @param {Array} rules - Rules, defaults to the saved ones
+ * @returns {Promise<number>} - Number of chats labelled
+ */
+export const applyLabelRules = async (platform, contacts, rules = getContactRules()) => {
+  const labelRules = rules.filter(rule =>
+    rule.enabled && rule.action?.type === RuleActions.LABEL &&
+    labelManager.getLabels().some(label => label.id === rule.action.value)
+  );
+  if (labelRules.length === 0 || !contacts?.length || labellingPlatforms.has(platform)) return 0;
+
+  labellingPlatforms.add(platform);
+  const applied = readAppliedLabels();
+  let labelled = 0;
+
+  for (const rule of labelRules) {
+    const targets = contacts
+      .filter(contact => contact && !applied[`${rule.id}|${getContactKey(platform, contact.id)}`])
+      .filter(contact => matchRule(rule, contact, platform))
+      .map(contact => ({ platform, chatId: contact.id }));
+    if (targets.length === 0) continue;
+
+    try {
+      const failed = await labelManager.setLabel(targets, rule.action.value, true);
+      if (failed > 0) {
+        // Leave them unmarked so the next run tries again
+        logger.warn(`[ContactRules] Could not label ${failed} chats for rule "${rule.name}"`);
+        continue;
+      }
+
+      targets.forEach(({ chatId }) => {
+        applied[`${rule.id}|${getContactKey(platform, chatId)}`] = Date.now();
+      });
+      labelled += targets.length;
+      logger.info(`[ContactRules] Rule "${rule.name}" labelled ${targets.length} chats`);
+    } catch (error) {
+      logger.warn('[ContactRules] Error applying label rule:', error);
+    }
+  }
+
+  try {
+    localStorage.setItem(CONTACT_RULE_LABELS_KEY, JSON.stringify({ ...readAppliedLabels(), ...applied }));
+  } catch (error) {
+    logger.error('[ContactRules] Error saving applied rule labels:', error);
+  } finally {
+    labellingPlatforms.delete(platform);
+  }
+
+  return labelled;
+};
+
+export default {
+  getContactRules,
+  setContactRules,
+  createRule,
+  createCondition,
+  matchRule,
+  findMatchingRule,
+  previewRule,
+  applyLabelRules,
+  describeCondition
+};
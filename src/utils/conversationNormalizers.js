@@ -0,0 +1,109 @@
+/**
+ * Conversation normalizers
+ *
+ * Turn each platform's raw contacts/rooms and messages into the shapes the
+ * unified inbox works with, so it never has to know which backend a
+ * conversation comes from:
+ *
+ * Normalized conversation: { id, platform, name, avatar, lastMessage, timestamp, unreadCount, isGroup, raw }
+ * Normalized message: { id, platform, roomId, sender, senderName, content, timestamp, isFromMe, raw }
+ */
+
+const toMillis = (value) => {
+  if (!value) return 0;
+  if (typeof value === 'number') return value;
+  const parsed = new Date(value).getTime();
+  return Number.isNaN(parsed) ? 0 : parsed;
+};
+
+// ────────────────────────────────────────────────────────────────────────────────
+// Telegram (Matrix bridge)
+// ────────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Normalize a room produced by roomListManager.transformRooms
+ * @param {Object} room - Transformed Matrix room
+ * @returns {Object} Normalized conversation
+ */
+export const normalizeTelegramContact = (room) => ({
+  id: room.id,
+  platform: 'telegram',
+  name: room.name || 'Telegram Chat',
+  avatar: room.avatar || null,
+  lastMessage: room.lastMessage || '',
+  timestamp: toMillis(room.timestamp),
+  unreadCount: room.unreadCount || 0,
+  isGroup: !!room.isGroup,
+  raw: room
+});
+
+/**
+ * Normalize a message produced by matrixTimelineManager
+ * @param {Object} message - Timeline message
+ * @returns {Object} Normalized message
+ */
+export const normalizeTelegramMessage = (message) => {
+  const content = message.content;
+  const body = typeof content === 'string' ? content : (content?.body || message.body || '');
+
+  return {
+    id: message.id,
+    platform: 'telegram',
+    roomId: message.roomId,
+    sender: message.sender,
+    senderName: message.senderName || message.sender,
+    content: body,
+    timestamp: toMillis(message.timestamp),
+    isFromMe: !!message.isFromMe,
+    raw: message
+  };
+};
+
+// ────────────────────────────────────────────────────────────────────────────────
+// WhatsApp (backend API)
+// ────────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Normalize a contact from contactSlice
+ * @param {Object} contact - WhatsApp contact
+ * @returns {Object} Normalized conversation
+ */
+export const normalizeWhatsAppContact = (contact) => ({
+  id: contact.id,
+  platform: 'whatsapp',
+  name: contact.display_name || 'WhatsApp Contact',
+  avatar: contact.avatar_url || null,
+  lastMessage: contact.last_message || '',
+  timestamp: toMillis(contact.last_message_at),
+  unreadCount: contact.unread_count || 0,
+  isGroup: !!contact.is_group,
+  raw: contact
+});
+
+/**
+ * Normalize a message from messageSlice (already passed through messageService.normalizeMessage)
+ * @param {Object} message - WhatsApp message
+ * @param {string} contactId - Contact the message belongs to
+ * @returns {Object} Normalized message
+ */
+export const normalizeWhatsAppMessage = (message, contactId) => ({
+  id: message.message_id || message.id,
+  platform: 'whatsapp',
+  roomId: contactId || message.contact_id,
+  sender: message.sender_id,
+  senderName: message.sender_name || message.sender_id,
+  content: typeof message.content === 'string' ? message.content : (message.content?.body || ''),
+  timestamp: toMillis(message.timestamp),
+  isFromMe: !!message.is_from_me,
+  raw: message
+});
+
+/**
+ * Interleave conversations from several platforms, most recent first
+ * @param {Array<Array>} conversationLists - Normalized conversation lists
+ * @returns {Array} Merged conversations sorted by timestamp
+ */
+export const interleaveConversations = (conversationLists) =>
+  conversationLists
+    .flat()
+    .sort((a, b) => b.timestamp - a.timestamp);
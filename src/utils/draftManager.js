@@ -0,0 +1,149 @@
+/**
+ * Draft Manager
+ *
+ * Keeps unsent composer text, and the message being replied to, per room so
+ * switching conversations or reloading the page doesn't lose it. Drafts are
+ * held in memory for instant access and persisted to the `drafts` store of the
+ * matrix_cache IndexedDB.
+ */
+
+import logger from './logger';
+import cacheManager from './cacheManager';
+
+export const DRAFT_CHANGED_EVENT = 'dailyfix-draft-changed';
+
+// Typing updates the draft on every keystroke, so writes are batched per room
+const SAVE_DELAY = 500;
+
+class DraftManager {
+  constructor() {
+    this.drafts = new Map(); // Map of roomId -> draft
+    this.pendingSaves = new Map(); // Map of roomId -> save timeout
+    this.initialized = false;
+    this.initPromise = null;
+  }
+
+  /**
+   * Load persisted drafts
+   * @returns {Promise<boolean>} - Whether the drafts were loaded
+   */
+  async initialize() {
+    if (this.initialized) return true;
+    if (this.initPromise) return this.initPromise;
+
+    this.initPromise = (async () => {
+      try {
+        const storedDrafts = await cacheManager.getDrafts();
+        storedDrafts.forEach(draft => {
+          // Anything typed while we were loading wins over the stored copy
+          if (!this.drafts.has(draft.roomId) && !this.pendingSaves.has(draft.roomId)) {
+            this.drafts.set(draft.roomId, draft);
+          }
+        });
+
+        // Don't lose the last few keystrokes when the page goes away
+        window.addEventListener('pagehide', () => this.flush());
+
+        this.initialized = true;
+        logger.info(`[DraftManager] Loaded ${storedDrafts.length} drafts`);
+        return true;
+      } catch (error) {
+        logger.error('[DraftManager] Error loading drafts:', error);
+        this.initialized = true;
+        return false;
+      } finally {
+        this.initPromise = null;
+      }
+    })();
+
+    return this.initPromise;
+  }
+
+  /**
+   * Get the draft for a room
+   * @param {string|number} roomId - Room or contact ID
+   * @returns {Promise<Object|null>} - Draft ({ roomId, text, replyTo, platform, updatedAt }) or null
+   */
+  async getDraft(roomId) {
+    await this.initialize();
+    return this.drafts.get(String(roomId)) || null;
+  }
+
+  /**
+   * Get every draft, keyed by room ID
+   * @returns {Object} - Map of roomId -> draft
+   */
+  getAllDrafts() {
+    return Object.fromEntries(this.drafts);
+  }
+
+  /**
+   * Update the draft for a room. Drafts with no text and no reply are removed.
+   * @param {string|number} roomId - Room or contact ID
+   * @param {Object} draft - Draft contents
+   * @param {string} draft.text - Composer text
+   * @param {Object} draft.replyTo - Message being replied to ({ eventId, senderName, body })
+   * @param {string} draft.platform - 'telegram' or 'whatsapp'
+   */
+  setDraft(roomId, { text = '', replyTo = null, platform } = {}) {
+    if (!roomId) return;
+
+    const key = String(roomId);
+    if (!text.trim() && !replyTo) {
+      if (!this.drafts.has(key)) return;
+      this.drafts.delete(key);
+    } else {
+      this.drafts.set(key, { roomId: key, text, replyTo, platform, updatedAt: Date.now() });
+    }
+
+    this._scheduleSave(key);
+    window.dispatchEvent(new CustomEvent(DRAFT_CHANGED_EVENT, {
+      detail: { roomId: key, draft: this.drafts.get(key) || null }
+    }));
+  }
+
+  /**
+   * Remove the draft for a room, e.g. once it has been sent
+   * @param {string|number} roomId - Room or contact ID
+   */
+  clearDraft(roomId) {
+    this.setDraft(roomId);
+  }
+
+  /**
+   * Write any drafts still waiting for their batched save
+   */
+  flush() {
+    Array.from(this.pendingSaves.keys()).forEach(key => {
+      clearTimeout(this.pendingSaves.get(key));
+      this._persist(key);
+    });
+  }
+
+  /**
+   * Save a room's draft after a short delay, restarting the delay on each change
+   * @param {string} key - Room ID
+   * @private
+   */
+  _scheduleSave(key) {
+    clearTimeout(this.pendingSaves.get(key));
+    this.pendingSaves.set(key, setTimeout(() => this._persist(key), SAVE_DELAY));
+  }
+
+  /**
+   * Write a room's current draft, or delete it if the draft was cleared
+   * @param {string} key - Room ID
+   * @returns {Promise<boolean>} - Whether the write succeeded
+   * @private
+   */
+  _persist(key) {
+    this.pendingSaves.delete(key);
+    const draft = this.drafts.get(key);
+    return draft ? cacheManager.saveDraft(draft) : cacheManager.deleteDraft(key);
+  }
+}
+
+// Create a singleton instance
+const draftManager = new DraftManager();
+
+export default draftManager;
@@ -0,0 +1,182 @@
+/**
+ * Strict HTML sanitizer for Matrix formatted_body
+ *
+ * Only the tags and attributes the Matrix spec allows in org.matrix.custom.html
+ * survive. Unknown tags are unwrapped to their text, dangerous ones are dropped
+ * with their content, and links are limited to web and mail addresses.
+ */
+import logger from './logger';
+
+export const MATRIX_HTML_FORMAT = 'org.matrix.custom.html';
+
+const ALLOWED_TAGS = new Set([
+  'font', 'del', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'p', 'a', 'ul', 'ol',
+  'sup', 'sub', 'li', 'b', 'i', 'u', 'strong', 'em', 's', 'strike', 'code', 'hr', 'br',
+  'div', 'table', 'thead', 'tbody', 'tr', 'th', 'td', 'caption', 'pre', 'span', 'img',
+  'details', 'summary'
+]);
+
+// Removed along with everything inside them; mx-reply is the reply fallback we show separately
+const DROPPED_TAGS = new Set([
+  'mx-reply', 'script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript',
+  'head', 'title', 'textarea', 'select', 'button', 'form', 'input', 'svg', 'math'
+]);
+
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const MENTION_LINK_PREFIX = 'https://matrix.to/#/@';
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const MAX_DEPTH = 100;
+
+// Relative links are rejected too, since they would point into the app itself
+const isSafeLink = (href) => {
+  try {
+    return LINK_PROTOCOLS.includes(new URL(href).protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Copy the allowed attributes of an element onto its clean copy
+ * @param {Element} source - Element from the untrusted HTML
+ * @param {Element} target - Clean element being built
+ * @param {Object} options - Sanitizer options
+ * @returns {boolean} - False if the element should be dropped instead
+ */
+const copyAttributes = (source, target, options) => {
+  const tag = target.tagName.toLowerCase();
+
+  switch (tag) {
+    case 'a': {
+      const href = source.getAttribute('href');
+      if (href && isSafeLink(href)) {
+        target.setAttribute('href', href);
+        target.setAttribute('target', '_blank');
+        target.setAttribute('rel', 'noopener noreferrer');
+        if (href.startsWith(MENTION_LINK_PREFIX)) target.setAttribute('class', 'mention-pill');
+      }
+      break;
+    }
+    case 'code': {
+      const className = source.getAttribute('class');
+      if (className && /^language-[\w+-]+$/.test(className)) target.setAttribute('class', className);
+      break;
+    }
+    case 'ol': {
+      const start = source.getAttribute('start');
+      if (start && /^\d+$/.test(start)) target.setAttribute('start', start);
+      break;
+    }
+    case 'font':
+    case 'span': {
+      const styles = [];
+      const color = source.getAttribute('data-mx-color') || (tag === 'font' && source.getAttribute('color'));
+      const background = source.getAttribute('data-mx-bg-color');
+      if (color && COLOR_PATTERN.test(color)) styles.push(`color: ${color}`);
+      if (background && COLOR_PATTERN.test(background)) styles.push(`background-color: ${background}`);
+      if (styles.length > 0) target.setAttribute('style', styles.join('; '));
+      if (source.hasAttribute('data-mx-spoiler')) target.setAttribute('class', 'mx-spoiler');
+      break;
+    }
+    case 'img': {
+      // Only media from the homeserver, never arbitrary remote images
+      const src = source.getAttribute('src');
+      const url = src?.startsWith('mxc://') && options.resolveMediaUrl ? options.resolveMediaUrl(src) : null;
+      if (!url) return false;
+      target.setAttribute('src', url);
+      ['alt', 'title', 'width', 'height'].forEach(name => {
+        const value = source.getAttribute(name);
+        if (value && (name === 'alt' || name === 'title' || /^\d+$/.test(value))) target.setAttribute(name, value);
+      });
+      break;
+    }
+    case 'th':
+    case 'td': {
+      ['colspan', 'rowspan'].forEach(name => {
+        const value = source.getAttribute(name);
+        if (value && /^\d+$/.test(value)) target.setAttribute(name, value);
+      });
+      break;
+    }
+    default:
+      break;
+  }
+
+  return true;
+};
+
+/**
+ * Copy the safe parts of a node's children into a clean parent
+ * @param {Node} source - Node from the untrusted HTML
+ * @param {Node} target - Clean node being built
+ * @param {Document} doc - Document to create clean nodes in
+ * @param {Object} options - Sanitizer options
+ * @param {number} depth - Nesting depth
+ */
+const sanitizeChildren = (source, target, doc, options, depth) => {
+  if (depth > MAX_DEPTH) return;
+
+  source.childNodes.forEach(node => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      target.appendChild(doc.createTextNode(node.textContent));
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+    const tag = node.tagName.toLowerCase();
+    if (DROPPED_TAGS.has(tag)) return;
+
+    // Unknown tags lose their markup but keep their text
+    if (!ALLOWED_TAGS.has(tag)) {
+      sanitizeChildren(node, target, doc, options, depth + 1);
+      return;
+    }
+
+    const clean = doc.createElement(tag);
+    if (!copyAttributes(node, clean, options)) {
+      const alt = node.getAttribute('alt');
+      if (alt) target.appendChild(doc.createTextNode(alt));
+      return;
+    }
+
+    sanitizeChildren(node, clean, doc, options, depth + 1);
+    target.appendChild(clean);
+  });
+};
+
+/**
+ * Sanitize untrusted HTML, such as a message's formatted_body
+ * @param {string} html - Untrusted HTML
+ * @param {Object} options - Sanitizer options
+ * @param {Function} options.resolveMediaUrl - Turns an mxc:// URL into an http URL; images are dropped without it
+ * @returns {string} - HTML that is safe to render
+ */
+export const sanitizeHtml = (html, options = {}) => {
+  if (!html || typeof html !== 'string') return '';
+
+  try {
+    // DOMParser never runs scripts or loads resources while parsing
+    const source = new DOMParser().parseFromString(html, 'text/html');
+    const doc = document.implementation.createHTMLDocument('');
+    const container = doc.createElement('div');
+
+    sanitizeChildren(source.body, container, doc, options, 0);
+    return container.innerHTML;
+  } catch (error) {
+    logger.error('[HtmlSanitizer] Error sanitizing HTML:', error);
+    return '';
+  }
+};
+
+/**
+ * Check whether message content carries Matrix HTML
+ * @param {Object} content - Message content
+ * @returns {boolean} - Whether formatted_body should be rendered
+ */
+export const hasFormattedBody = (content) => (
+  !!content &&
+  typeof content === 'object' &&
+  content.format === MATRIX_HTML_FORMAT &&
+  typeof content.formatted_body === 'string' &&
+  content.formatted_body.length > 0
+);
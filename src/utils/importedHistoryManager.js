@@ -0,0 +1,257 @@
+/**
+ * Imported History Manager
+ *
+ * History from before a chat was bridged, imported from WhatsApp's "Export
+ * chat" or Telegram Desktop's JSON export. Messages and their attachments are
+ * stored per contact in the matrix_cache IndexedDB, added to the message search
+ * index, and shared with the AI assistant's index alongside bridged messages.
+ */
+
+import logger from './logger';
+import api from './api';
+import cacheManager from './cacheManager';
+import messageSearchIndex from './messageSearchIndex';
+
+export const IMPORTED_HISTORY_CHANGED_EVENT = 'dailyfix-imported-history-changed';
+
+// Attachments are written in batches so a large export never sits in memory whole
+const MEDIA_BATCH_SIZE = 25;
+const AI_INDEX_BATCH_SIZE = 200;
+
+/**
+ * Build the storage key of a contact's imported history
+ * @param {string} platform - 'telegram' or 'whatsapp'
+ * @param {string|number} chatId - Room or contact ID
+ * @returns {string} - Chat key
+ */
+export const getImportChatKey = (platform, chatId) => `${platform}:${chatId}`;
+
+/**
+ * Short stable hash, so importing the same export twice doesn't duplicate messages
+ * @param {string} text - Text to hash
+ * @returns {string} - Hash
+ */
+const hashString = (text) => {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36) + text.length.toString(36);
+};
+
+class ImportedHistoryManager {
+  constructor() {
+    this.summaries = new Map(); // Map of chatKey -> { count, from, to } or null
+    this.mediaUrls = new Map(); // Map of media ID -> object URL
+  }
+
+  /**
+   * Store a parsed chat export as a contact's imported history
+   * @param {Object} options - Import options
+   * @param {string} options.platform - 'telegram' or 'whatsapp'
+   * @param {string|number} options.chatId - Contact the history belongs to
+   * @param {string} options.chatName - Contact's display name
+   * @param {Object} options.chat - Parsed chat from chatImportParsers ({ messages })
+   * @param {string} [options.myName] - Sender name the user appears as in the export
+   * @param {Function} options.readAttachment - Reads an attachment by its path in the export
+   * @param {Function} [options.onProgress] - Called with { done, total } while attachments are copied
+   * @returns {Promise<Object>} - { imported, duplicates }
+   */
+  async importChat({ platform, chatId, chatName, chat, myName, readAttachment, onProgress }) {
+    const chatKey = getImportChatKey(platform, chatId);
+    const importedAt = Date.now();
+    const existingIds = new Set((await cacheManager.getImportedMessages(chatKey)).map(message => message.id));
+
+    const records = [];
+    chat.messages.forEach(message => {
+      const id = `${chatKey}:${hashString(`${message.timestamp}|${message.senderName}|${message.body}|${message.attachment?.name || ''}`)}`;
+      if (existingIds.has(id)) return;
+      existingIds.add(id);
+
+      records.push({
+        id,
+        chatKey,
+        platform,
+        chatId: String(chatId),
+        chatName,
+        timestamp: message.timestamp,
+        sender: message.senderId || message.senderName || '',
+        senderName: message.senderName || 'System',
+        isSystem: !message.senderName,
+        isFromMe: message.isFromMe ?? (!!myName && message.senderName === myName),
+        body: message.body,
+        edited: !!message.edited,
+        attachment: message.attachment
+          ? { name: message.attachment.name, mimetype: message.attachment.mimetype, msgtype: message.attachment.msgtype, path: message.attachment.path, mediaId: null }
+          : null,
+        imported: true,
+        importedAt
+      });
+    });
+
+    const withAttachments = records.filter(record => record.attachment);
+    let media = [];
+    for (let i = 0; i < withAttachments.length; i++) {
+      onProgress?.({ done: i, total: withAttachments.length });
+      const { attachment } = withAttachments[i];
+
+      try {
+        const blob = await readAttachment(attachment.path);
+        if (blob) {
+          attachment.mediaId = `${chatKey}:media:${attachment.path}`;
+          media.push({ id: attachment.mediaId, chatKey, name: attachment.name, mimetype: attachment.mimetype, blob });
+        }
+      } catch (error) {
+        logger.warn(`[ImportedHistoryManager] Could not read attachment ${attachment.path}:`, error);
+      }
+
+      if (media.length >= MEDIA_BATCH_SIZE) {
+        await cacheManager.saveImportedHistory([], media);
+        media = [];
+      }
+    }
+    onProgress?.({ done: withAttachments.length, total: withAttachments.length });
+
+    withAttachments.forEach(record => delete record.attachment.path);
+    await cacheManager.saveImportedHistory(records, media);
+
+    const searchable = records.map(record => ({ ...record, body: record.body || record.attachment?.name || '' }));
+    await messageSearchIndex.indexMessages(searchable, { platform, roomId: String(chatId), roomName: chatName });
+    this._shareWithAssistant(searchable, chatId);
+
+    this.summaries.delete(chatKey);
+    this._notifyChange(platform, chatId);
+    logger.info(`[ImportedHistoryManager] Imported ${records.length} messages into ${chatKey}`);
+
+    return { imported: records.length, duplicates: chat.messages.length - records.length };
+  }
+
+  /**
+   * Get a contact's imported messages, oldest first
+   * @param {string} platform - 'telegram' or 'whatsapp'
+   * @param {string|number} chatId - Room or contact ID
+   * @returns {Promise<Array>} - Imported messages
+   */
+  async getMessages(platform, chatId) {
+    const messages = await cacheManager.getImportedMessages(getImportChatKey(platform, chatId));
+    return messages.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Summarise a contact's imported history
+   * @param {string} platform - 'telegram' or 'whatsapp'
+   * @param {string|number} chatId - Room or contact ID
+   * @returns {Promise<Object|null>} - { count, from, to }, or null if nothing was imported
+   */
+  async getSummary(platform, chatId) {
+    const chatKey = getImportChatKey(platform, chatId);
+    if (this.summaries.has(chatKey)) return this.summaries.get(chatKey);
+
+    const messages = await this.getMessages(platform, chatId);
+    const summary = messages.length > 0
+      ? { count: messages.length, from: messages[0].timestamp, to: messages[messages.length - 1].timestamp }
+      : null;
+    this.summaries.set(chatKey, summary);
+    return summary;
+  }
+
+  /**
+   * Get a displayable URL for an imported attachment
+   * @param {string} mediaId - Attachment ID
+   * @returns {Promise<string|null>} - blob: URL, or null if it wasn't imported
+   */
+  async getMediaUrl(mediaId) {
+    if (!mediaId) return null;
+    if (this.mediaUrls.has(mediaId)) return this.mediaUrls.get(mediaId);
+
+    const media = await cacheManager.getImportedMedia(mediaId);
+    if (!(media?.blob instanceof Blob)) return null;
+
+    const url = URL.createObjectURL(media.blob);
+    this.mediaUrls.set(mediaId, url);
+    return url;
+  }
+
+  /**
+   * Delete a contact's imported history, including its search entries
+   * @param {string} platform - 'telegram' or 'whatsapp'
+   * @param {string|number} chatId - Room or contact ID
+   * @returns {Promise<boolean>} - Whether the history was deleted
+   */
+  async deleteHistory(platform, chatId) {
+    const chatKey = getImportChatKey(platform, chatId);
+
+    try {
+      const messages = await cacheManager.getImportedMessages(chatKey);
+      await messageSearchIndex.removeDocuments(messages.map(message => `${platform}:${chatId}:${message.id}`));
+
+      messages.forEach(message => {
+        const url = this.mediaUrls.get(message.attachment?.mediaId);
+        if (url) {
+          URL.revokeObjectURL(url);
+          this.mediaUrls.delete(message.attachment.mediaId);
+        }
+      });
+
+      const deleted = await cacheManager.deleteImportedHistory(chatKey);
+      this.summaries.delete(chatKey);
+      this._notifyChange(platform, chatId);
+      return deleted;
+    } catch (error) {
+      logger.error(`[ImportedHistoryManager] Error deleting imported history for ${chatKey}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Send imported messages to the AI assistant's index so summaries and
+   * questions can draw on them. Failures only cost AI context, so they're logged.
+   * @param {Array} records - Imported messages
+   * @param {string|number} chatId - Room or contact ID
+   * @private
+   */
+  async _shareWithAssistant(records, chatId) {
+    const userId = window.matrixClient?.getUserId?.();
+    if (!userId || records.length === 0) return;
+
+    for (let i = 0; i < records.length; i += AI_INDEX_BATCH_SIZE) {
+      try {
+        await api.post('/api/v1/ai-bot/indexeddb/batch', {
+          messages: records.slice(i, i + AI_INDEX_BATCH_SIZE).map(record => ({
+            id: record.id,
+            sender: record.sender,
+            senderName: record.senderName,
+            content: { msgtype: record.attachment?.msgtype || 'm.text', body: record.body },
+            timestamp: record.timestamp,
+            roomId: String(chatId),
+            eventType: 'm.room.message',
+            isFromMe: record.isFromMe,
+            imported: true
+          })),
+          room_id: String(chatId),
+          user_id: userId
+        });
+      } catch (error) {
+        logger.warn('[ImportedHistoryManager] Error sharing imported messages with the AI assistant:', error);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Tell open views that a contact's imported history changed
+   * @param {string} platform - 'telegram' or 'whatsapp'
+   * @param {string|number} chatId - Room or contact ID
+   * @private
+   */
+  _notifyChange(platform, chatId) {
+    window.dispatchEvent(new CustomEvent(IMPORTED_HISTORY_CHANGED_EVENT, {
+      detail: { platform, chatId: String(chatId) }
+    }));
+  }
+}
+
+// Create singleton instance
+const importedHistoryManager = new ImportedHistoryManager();
+
+export default importedHistoryManager;
@@ -0,0 +1,321 @@
+/**
+ * Label Manager
+ *
+ * User-defined contact labels such as "Customer", "Supplier" or "Family".
+ * The label list, and which WhatsApp contacts carry each label, are an
+ * AccountDataStore: saved locally and synced through Matrix account data.
+ * Telegram rooms are real Matrix rooms, so their labels are stored as m.tag
+ * room tags (u.dailyfix.label.<id>) and follow the room to any client.
+ */
+
+import logger from './logger';
+import AccountDataStore from './accountDataStore';
+import { LABELS_KEY } from '../constants';
+
+export const LABELS_CHANGED_EVENT = 'dailyfix-labels-changed';
+export const LABELS_ACCOUNT_DATA_TYPE = 'com.dailyfix.labels';
+export const LABEL_TAG_PREFIX = 'u.dailyfix.label.';
+
+export const LABEL_COLORS = ['#ef4444', '#f97316', '#eab308', '#22c55e', '#14b8a6', '#3b82f6', '#8b5cf6', '#ec4899', '#6b7280'];
+
+const MAX_LABEL_NAME_LENGTH = 32;
+
+/**
+ * Build the room tag that carries a label
+ * @param {string} labelId - Label ID
+ * @returns {string} - Room tag name
+ */
+export const getLabelTag = (labelId) => `${LABEL_TAG_PREFIX}${labelId}`;
+
+/**
+ * Build the key of a contact's label assignment
+ * @param {string} platform - 'telegram' or 'whatsapp'
+ * @param {string|number} chatId - Room or contact ID
+ * @returns {string} - Assignment key
+ */
+const getAssignmentKey = (platform, chatId) => `${platform}|${chatId}`;
+
+class LabelManager extends AccountDataStore {
+  constructor() {
+    super({
+      name: 'LabelManager',
+      storageKey: LABELS_KEY,
+      accountDataType: LABELS_ACCOUNT_DATA_TYPE,
+      changedEvent: LABELS_CHANGED_EVENT,
+      itemsKey: 'labels'
+    });
+    // Room tags written by us that the sync hasn't echoed back yet: roomId -> Map of label ID -> assigned
+    this.pendingRoomLabels = new Map();
+    this.handleRoomTags = this.handleRoomTags.bind(this);
+  }
+
+  /**
+   * Labels also carry the WhatsApp assignments: { 'platform|chatId': { labelIds, updatedAt } }
+   * @param {Object} stored - State as read, possibly partial
+   * @returns {Object} - { labels, assignments, removed }
+   * @protected
+   */
+  _normalizeState(stored) {
+    return { ...super._normalizeState(stored), assignments: stored?.assignments || {} };
+  }
+
+  /**
+   * Merge labels like any store, then keep the newest version of each contact's
+   * labels, without deleted labels or contacts left with none
+   * @param {Object} local - { labels, assignments, removed }
+   * @param {Object} remote - { labels, assignments, removed }
+   * @returns {Object} - Merged { labels, assignments, removed }
+   * @protected
+   */
+  _mergeStates(local, remote) {
+    const merged = super._mergeStates(local, remote);
+    const labelIds = new Set(merged.labels.map(label => label.id));
+
+    const assignments = {};
+    [local.assignments, remote.assignments].forEach(source => {
+      Object.entries(source || {}).forEach(([key, assignment]) => {
+        if (!assignments[key] || assignments[key].updatedAt < assignment.updatedAt) {
+          assignments[key] = assignment;
+        }
+      });
+    });
+    Object.keys(assignments).forEach(key => {
+      const kept = assignments[key].labelIds.filter(id => labelIds.has(id));
+      if (kept.length === 0) {
+        delete assignments[key];
+      } else {
+        assignments[key] = { ...assignments[key], labelIds: kept };
+      }
+    });
+
+    return {
+      ...merged,
+      assignments: Object.fromEntries(Object.entries(assignments).sort(([a], [b]) => a.localeCompare(b)))
+    };
+  }
+
+  getSnapshot() {
+    return this.getLabels();
+  }
+
+  /**
+   * Start syncing with a Matrix account, following room tags as well. Safe to call on every render.
+   * @param {Object} client - Matrix client
+   */
+  attachClient(client) {
+    if (!client || client === this.client) return;
+
+    super.attachClient(client);
+    client.on('Room.tags', this.handleRoomTags);
+  }
+
+  /**
+   * Stop syncing with the current Matrix account
+   */
+  detachClient() {
+    this.client?.removeListener('Room.tags', this.handleRoomTags);
+    this.pendingRoomLabels.clear();
+    super.detachClient();
+  }
+
+  /**
+   * Pick up room tag changes from the sync, including ones made on other devices
+   * @param {Object} event - m.tag event
+   * @param {Object} room - Matrix room
+   */
+  handleRoomTags(event, room) {
+    const pending = room && this.pendingRoomLabels.get(room.roomId);
+    if (pending) {
+      // Labels set in quick succession echo one at a time, so only drop the ones this echo confirms
+      const tags = event?.getContent?.()?.tags || {};
+      pending.forEach((assigned, labelId) => {
+        if (assigned === !!tags[getLabelTag(labelId)]) pending.delete(labelId);
+      });
+      if (pending.size === 0) this.pendingRoomLabels.delete(room.roomId);
+    }
+    this._notifyChange();
+  }
+
+  /**
+   * Get all labels
+   * @returns {Array} - Labels, sorted by name
+   */
+  getLabels() {
+    return [...this.state.labels].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Create a label
+   * @param {string} name - Label name
+   * @param {string} color - Hex color, one of LABEL_COLORS
+   * @returns {Object} - The new label
+   */
+  createLabel(name, color) {
+    const trimmed = (name || '').trim().slice(0, MAX_LABEL_NAME_LENGTH);
+    if (!trimmed) {
+      throw new Error('A label needs a name');
+    }
+    if (this.state.labels.some(label => label.name.toLowerCase() === trimmed.toLowerCase())) {
+      throw new Error(`There's already a label called "${trimmed}"`);
+    }
+
+    const label = {
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name: trimmed,
+      color: color || LABEL_COLORS[this.state.labels.length % LABEL_COLORS.length],
+      updatedAt: Date.now()
+    };
+
+    this._setState({ ...this.state, labels: [...this.state.labels, label] });
+    this._scheduleSync();
+    return label;
+  }
+
+  /**
+   * Rename or recolor a label
+   * @param {string} labelId - Label ID
+   * @param {Object} changes - { name, color }
+   */
+  updateLabel(labelId, { name, color }) {
+    const label = this.state.labels.find(item => item.id === labelId);
+    if (!label) return;
+
+    const trimmed = name !== undefined ? name.trim().slice(0, MAX_LABEL_NAME_LENGTH) : label.name;
+    if (!trimmed) {
+      throw new Error('A label needs a name');
+    }
+    if (this.state.labels.some(item => item.id !== labelId && item.name.toLowerCase() === trimmed.toLowerCase())) {
+      throw new Error(`There's already a label called "${trimmed}"`);
+    }
+
+    this._setState({
+      ...this.state,
+      labels: this.state.labels.map(item => (item.id === labelId
+        ? { ...item, name: trimmed, color: color || item.color, updatedAt: Date.now() }
+        : item))
+    });
+    this._scheduleSync();
+  }
+
+  /**
+   * Delete a label and take it off every contact
+   * @param {string} labelId - Label ID
+   * @returns {Promise<void>}
+   */
+  async deleteLabel(labelId) {
+    if (!this.state.labels.some(label => label.id === labelId)) return;
+
+    const now = Date.now();
+    const assignments = {};
+    Object.entries(this.state.assignments).forEach(([key, assignment]) => {
+      const labelIds = assignment.labelIds.filter(id => id !== labelId);
+      assignments[key] = { labelIds, updatedAt: labelIds.length === assignment.labelIds.length ? assignment.updatedAt : now };
+    });
+
+    this._setState(this._mergeStates({
+      labels: this.state.labels.filter(label => label.id !== labelId),
+      assignments,
+      removed: { ...this.state.removed, [labelId]: now }
+    }, this._normalizeState(null)));
+    this._scheduleSync();
+
+    // Tags of a deleted label are ignored anyway, so failing to remove them is harmless
+    const tag = getLabelTag(labelId);
+    const rooms = this.client?.getRooms?.().filter(room => room.tags?.[tag]) || [];
+    await Promise.allSettled(rooms.map(room => this.client.deleteRoomTag(room.roomId, tag)));
+  }
+
+  /**
+   * Get the IDs of the labels on a contact
+   * @param {string} platform - 'telegram' or 'whatsapp'
+   * @param {string|number} chatId - Room or contact ID
+   * @returns {Array<string>} - Label IDs
+   */
+  getContactLabelIds(platform, chatId) {
+    let labelIds;
+
+    if (platform === 'telegram') {
+      const pending = this.pendingRoomLabels.get(chatId) || new Map();
+      const tags = this.client?.getRoom?.(chatId)?.tags || {};
+      const tagged = Object.keys(tags)
+        .filter(tag => tag.startsWith(LABEL_TAG_PREFIX))
+        .map(tag => tag.slice(LABEL_TAG_PREFIX.length))
+        .filter(id => pending.get(id) !== false);
+      labelIds = [...tagged, ...[...pending].filter(([id, assigned]) => assigned && !tagged.includes(id)).map(([id]) => id)];
+    } else {
+      labelIds = this.state.assignments[getAssignmentKey(platform, chatId)]?.labelIds || [];
+    }
+
+    return labelIds.filter(id => this.state.labels.some(label => label.id === id));
+  }
+
+  /**
+   * Get the labels on a contact
+   * @param {string} platform - 'telegram' or 'whatsapp'
+   * @param {string|number} chatId - Room or contact ID
+   * @returns {Array} - Labels, sorted by name
+   */
+  getContactLabels(platform, chatId) {
+    const labelIds = this.getContactLabelIds(platform, chatId);
+    return this.getLabels().filter(label => labelIds.includes(label.id));
+  }
+
+  /**
+   * Add a label to several contacts, or take it off them
+   * @param {Array} contacts - [{ platform, chatId }]
+   * @param {string} labelId - Label ID
+   * @param {boolean} assigned - Whether the contacts should have the label
+   * @returns {Promise<number>} - Number of contacts that couldn't be updated
+   */
+  async setLabel(contacts, labelId, assigned) {
+    if (!this.client && contacts.some(contact => contact.platform === 'telegram')) {
+      throw new Error('Telegram labels need a Matrix connection');
+    }
+
+    const now = Date.now();
+    const assignments = { ...this.state.assignments };
+    const telegramRooms = [];
+
+    contacts.forEach(({ platform, chatId }) => {
+      const current = this.getContactLabelIds(platform, chatId);
+      if (current.includes(labelId) === assigned) return;
+
+      const labelIds = assigned ? [...current, labelId] : current.filter(id => id !== labelId);
+      if (platform === 'telegram') {
+        telegramRooms.push(chatId);
+        if (!this.pendingRoomLabels.has(chatId)) this.pendingRoomLabels.set(chatId, new Map());
+        this.pendingRoomLabels.get(chatId).set(labelId, assigned);
+      } else {
+        assignments[getAssignmentKey(platform, chatId)] = { labelIds, updatedAt: now };
+      }
+    });
+
+    this._setState(this._mergeStates({ ...this.state, assignments }, this._normalizeState(null)));
+    this._scheduleSync();
+
+    if (telegramRooms.length === 0) return 0;
+
+    const tag = getLabelTag(labelId);
+    const results = await Promise.allSettled(telegramRooms.map(roomId => (assigned
+      ? this.client.setRoomTag(roomId, tag, {})
+      : this.client.deleteRoomTag(roomId, tag))));
+
+    // Put back what the server didn't take
+    const failed = telegramRooms.filter((roomId, index) => results[index].status === 'rejected');
+    if (failed.length > 0) {
+      logger.warn(`[LabelManager] Could not update the labels of ${failed.length} Telegram rooms:`, results.find(result => result.status === 'rejected').reason);
+      failed.forEach(roomId => {
+        const pending = this.pendingRoomLabels.get(roomId);
+        pending?.delete(labelId);
+        if (pending?.size === 0) this.pendingRoomLabels.delete(roomId);
+      });
+      this._notifyChange();
+    }
+    return failed.length;
+  }
+}
+
+// Create a singleton instance
+const labelManager = new LabelManager();
+
+export default labelManager;
@@ -0,0 +1,144 @@
+/**
+ * Link Preview Manager
+ *
+ * Fetches link preview metadata (title, description, image) from the
+ * homeserver's /preview_url endpoint, so the page is fetched by the server and
+ * never by the browser. Results are kept in memory and in the `link_previews`
+ * store of the matrix_cache IndexedDB until they expire. Whether previews are
+ * shown is a per-conversation setting saved in localStorage.
+ */
+
+import logger from './logger';
+import cacheManager from './cacheManager';
+import { LINK_PREVIEW_SETTINGS_KEY } from '../constants';
+
+export const LINK_PREVIEWS_CHANGED_EVENT = 'dailyfix-link-previews-changed';
+
+/**
+ * Turn the OpenGraph data from /preview_url into a preview
+ * @param {string} url - Previewed URL
+ * @param {Object} data - OpenGraph response
+ * @returns {Object|null} - { url, title, description, siteName, imageMxc, imageWidth, imageHeight }, or null if there's nothing to show
+ */
+const toPreview = (url, data) => {
+  const title = data?.['og:title']?.trim();
+  const description = data?.['og:description']?.trim();
+  if (!title && !description) return null;
+
+  const image = data['og:image'];
+  return {
+    url,
+    title: title || '',
+    description: description || '',
+    siteName: data['og:site_name'] || '',
+    // The homeserver rehosts the image, so it's only ever loaded from there
+    imageMxc: typeof image === 'string' && image.startsWith('mxc://') ? image : null,
+    imageWidth: data['og:image:width'] || null,
+    imageHeight: data['og:image:height'] || null
+  };
+};
+
+class LinkPreviewManager {
+  constructor() {
+    this.previews = new Map();
+    this.pending = new Map();
+  }
+
+  /**
+   * Get the preview for a URL, from cache or from the homeserver
+   * @param {Object} client - Matrix client
+   * @param {string} url - URL to preview
+   * @returns {Promise<Object|null>} - Preview, or null if the page has none or the request failed
+   */
+  async getPreview(client, url) {
+    if (!client || !url) return null;
+
+    if (this.previews.has(url)) return this.previews.get(url);
+    // Several bubbles can show the same link; they share one request
+    if (this.pending.has(url)) return this.pending.get(url);
+
+    const request = this._loadPreview(client, url).finally(() => this.pending.delete(url));
+    this.pending.set(url, request);
+    return request;
+  }
+
+  /**
+   * Load a preview from IndexedDB, falling back to the homeserver
+   * @param {Object} client - Matrix client
+   * @param {string} url - URL to preview
+   * @returns {Promise<Object|null>} - Preview or null
+   * @private
+   */
+  async _loadPreview(client, url) {
+    const cached = await cacheManager.getCachedLinkPreview(url);
+    if (cached) {
+      this.previews.set(url, cached.preview);
+      return cached.preview;
+    }
+
+    try {
+      const data = await client.getUrlPreview(url, Date.now());
+      const preview = toPreview(url, data);
+
+      this.previews.set(url, preview);
+      await cacheManager.cacheLinkPreview(url, preview);
+      return preview;
+    } catch (error) {
+      // Not cached, so the link is tried again next time it's shown
+      logger.warn(`[LinkPreviewManager] Could not preview ${url}:`, error?.message || error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the saved per-conversation settings
+   * @returns {Object} - Map of room ID to whether previews are shown
+   * @private
+   */
+  _getSettings() {
+    try {
+      return JSON.parse(localStorage.getItem(LINK_PREVIEW_SETTINGS_KEY)) || {};
+    } catch (error) {
+      logger.warn('[LinkPreviewManager] Error reading link preview settings:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Check whether link previews are shown in a conversation
+   * @param {string} roomId - Room ID
+   * @param {boolean} defaultEnabled - Used when the user hasn't chosen for this room
+   * @returns {boolean} - Whether previews are shown
+   */
+  areLinkPreviewsEnabled(roomId, defaultEnabled = true) {
+    if (!roomId) return defaultEnabled;
+
+    const enabled = this._getSettings()[roomId];
+    return typeof enabled === 'boolean' ? enabled : defaultEnabled;
+  }
+
+  /**
+   * Turn link previews on or off for a conversation
+   * @param {string} roomId - Room ID
+   * @param {boolean} enabled - Whether previews are shown
+   */
+  setLinkPreviewsEnabled(roomId, enabled) {
+    if (!roomId) return;
+
+    const settings = this._getSettings();
+    settings[roomId] = !!enabled;
+
+    try {
+      localStorage.setItem(LINK_PREVIEW_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+      logger.error('[LinkPreviewManager] Error saving link preview settings:', error);
+    }
+
+    window.dispatchEvent(new CustomEvent(LINK_PREVIEWS_CHANGED_EVENT, { detail: { roomId, enabled: !!enabled } }));
+  }
+}
+
+// Create a singleton instance
+const linkPreviewManager = new LinkPreviewManager();
+
+export default linkPreviewManager;
@@ -0,0 +1,152 @@
+/**
+ * Markdown for the composer
+ *
+ * Turns the small Markdown subset people type in chat (bold, italics,
+ * strikethrough, inline code, code blocks, lists, quotes and links) into
+ * org.matrix.custom.html. All text is HTML-escaped before any markup is added,
+ * so the output only ever contains tags this renderer produced itself.
+ */
+import { MATRIX_HTML_FORMAT } from './htmlSanitizer';
+
+const FENCE_PATTERN = /^ {0,3}```\s*([\w+-]*)\s*$/;
+const FENCE_CLOSE_PATTERN = /^ {0,3}```\s*$/;
+const UNORDERED_ITEM_PATTERN = /^\s*[-*+]\s+(.*)$/;
+const ORDERED_ITEM_PATTERN = /^\s*(\d{1,9})[.)]\s+(.*)$/;
+const QUOTE_PATTERN = /^>\s?(.*)$/;
+const URL_PATTERN = /\bhttps?:\/\/[^\s<]*[^\s<.,:;"')\]!?*_~]/g;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Render inline Markdown in one line of text
+ * @param {string} text - Raw text
+ * @returns {string} - HTML
+ */
+const renderInline = (text) => {
+  // Pieces that must not be touched by later rules are parked as numbered placeholders,
+  // delimited by a private-use character that is stripped from the input first
+  const stash = [];
+  const park = (html) => `\uE000${stash.push(html) - 1}\uE000`;
+
+  let html = text
+    .replace(/\uE000/g, '')
+    // \* and friends stay literal
+    .replace(/\\([\\`*_~[\]()>#+\-.!])/g, (match, char) => park(escapeHtml(char)))
+    .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => park(`<code>${escapeHtml(code.trim() || code)}</code>`))
+    // Only the link's tags are parked, so its label still gets formatted below
+    .replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+|mailto:[^\s)]+)\)/g, (match, label, url) => (
+      `${park(`<a href="${escapeHtml(url)}">`)}${label}${park('</a>')}`
+    ))
+    .replace(URL_PATTERN, (url) => park(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`));
+
+  html = escapeHtml(html)
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/(^|[^*\w])\*(?=[^\s*])([^*]*?[^\s*])\*(?![*\w])/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>');
+
+  return html.replace(/\uE000(\d+)\uE000/g, (match, index) => stash[Number(index)]);
+};
+
+/**
+ * Render Markdown as Matrix HTML
+ * @param {string} text - Markdown typed in the composer
+ * @returns {string} - HTML for formatted_body
+ */
+export const renderMarkdown = (text) => {
+  if (!text) return '';
+
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let textLines = [];
+
+  const flushText = () => {
+    if (textLines.length > 0) {
+      blocks.push(textLines.map(renderInline).join('<br/>'));
+      textLines = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      flushText();
+      const codeLines = [];
+      i++;
+      while (i < lines.length && !FENCE_CLOSE_PATTERN.test(lines[i])) {
+        codeLines.push(lines[i]);
+        i++;
+      }
+      const language = fence[1] ? ` class="language-${fence[1]}"` : '';
+      blocks.push(`<pre><code${language}>${escapeHtml(codeLines.join('\n'))}\n</code></pre>`);
+      continue;
+    }
+
+    const listPattern = UNORDERED_ITEM_PATTERN.test(line) ? UNORDERED_ITEM_PATTERN
+      : ORDERED_ITEM_PATTERN.test(line) ? ORDERED_ITEM_PATTERN
+      : null;
+    if (listPattern) {
+      flushText();
+      const ordered = listPattern === ORDERED_ITEM_PATTERN;
+      const start = ordered ? Number(line.match(ORDERED_ITEM_PATTERN)[1]) : 1;
+      const items = [];
+      while (i < lines.length && listPattern.test(lines[i])) {
+        const match = lines[i].match(listPattern);
+        items.push(`<li>${renderInline(ordered ? match[2] : match[1])}</li>`);
+        i++;
+      }
+      i--;
+      const tag = ordered ? 'ol' : 'ul';
+      blocks.push(`<${tag}${ordered && start !== 1 ? ` start="${start}"` : ''}>${items.join('')}</${tag}>`);
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      flushText();
+      const quoteLines = [];
+      while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+        quoteLines.push(lines[i].match(QUOTE_PATTERN)[1]);
+        i++;
+      }
+      i--;
+      blocks.push(`<blockquote>${quoteLines.map(renderInline).join('<br/>')}</blockquote>`);
+      continue;
+    }
+
+    textLines.push(line);
+  }
+  flushText();
+
+  return blocks.join('');
+};
+
+/**
+ * Check whether text uses any Markdown, i.e. renders to more than escaped lines
+ * @param {string} text - Composer text
+ * @returns {boolean} - Whether the text has formatting worth previewing
+ */
+export const hasMarkdown = (text) => {
+  if (!text?.trim()) return false;
+  return renderMarkdown(text) !== escapeHtml(text.replace(/\r\n?/g, '\n')).replace(/\n/g, '<br/>');
+};
+
+/**
+ * Build m.text content from composer text: the Markdown source as body, for
+ * plain-text clients, and the rendered HTML as formatted_body, which the
+ * bridges turn into native Telegram and WhatsApp formatting
+ * @param {string} text - Composer text
+ * @returns {Object} - Message content
+ */
+export const buildTextContent = (text) => ({
+  msgtype: 'm.text',
+  body: text,
+  format: MATRIX_HTML_FORMAT,
+  formatted_body: renderMarkdown(text)
+});
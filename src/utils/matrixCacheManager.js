@@ -213,6 +213,30 @@ class MatrixCacheManager {
     }
   }
 
+  /**
+   * Get cached messages across every room
+   * @returns {Promise<Array>} - Array of messages
+   */
+  async getAllMessages() {
+    if (!this.initialized || !this.db) {
+      return [];
+    }
+
+    try {
+      const transaction = this.db.transaction(STORES.MESSAGES, 'readonly');
+      const messagesStore = transaction.objectStore(STORES.MESSAGES);
+
+      return await new Promise((resolve, reject) => {
+        const request = messagesStore.getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = (event) => reject(event.target.error);
+      });
+    } catch (error) {
+      logger.error('[MatrixCacheManager] Error getting all messages:', error);
+      return [];
+    }
+  }
+
   /**
    * Cache a single event
    * @param {string} roomId - Room ID
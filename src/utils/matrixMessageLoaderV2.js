@@ -4,6 +4,7 @@
  * A completely rewritten, robust message loading utility based on Element-web's approach
  */
 import logger from './logger';
+import { REDACTED_MESSAGE_BODY, isEventRedacted, isEditEvent, getEditFromEvent, applyEdit } from './messageEditUtils';
 
 class MatrixMessageLoaderV2 {
   constructor() {
@@ -154,48 +155,107 @@ class MatrixMessageLoaderV2 {
         }
       }
 
-      // 4. Process events into messages
-      // Create a set to track processed event IDs to avoid duplicates
-      const processedEventIds = new Set();
+      // 4-6. Process events into sorted messages
+      messages.push(...this.processEvents(events, room));
 
-      // Process all events
-      for (const event of events) {
-        try {
-          // Skip if not a displayable event
-          if (!this.isDisplayableEvent(event)) {
-            continue;
-          }
+      logger.info(`[MatrixMessageLoaderV2] Successfully loaded ${messages.length} messages`);
+      return messages;
+    } catch (error) {
+      logger.error('[MatrixMessageLoaderV2] Error loading messages:', error);
+      return [];
+    }
+  }
 
-          // Get event ID
-          const eventId = typeof event.getId === 'function' ? event.getId() :
-                         (event.event_id || event.id);
+  /**
+   * Turn timeline events into display messages, folding edits into their originals
+   * @param {Array} events - Matrix events
+   * @param {Object} room - Matrix room
+   * @returns {Array} - Messages sorted by timestamp
+   */
+  processEvents(events, room) {
+    const messages = [];
 
-          // Skip if already processed or no ID
-          if (!eventId || processedEventIds.has(eventId)) {
-            continue;
-          }
+    // Create a set to track processed event IDs to avoid duplicates
+    const processedEventIds = new Set();
+
+    // Process all events
+    for (const event of events) {
+      try {
+        // Skip if not a displayable event
+        if (!this.isDisplayableEvent(event)) {
+          continue;
+        }
 
-          // Mark as processed
-          processedEventIds.add(eventId);
+        // Get event ID
+        const eventId = typeof event.getId === 'function' ? event.getId() :
+                       (event.event_id || event.id);
 
-          // Create message object
-          const message = this.createMessageFromEvent(event, room);
-          messages.push(message);
-        } catch (eventError) {
-          logger.warn(`[MatrixMessageLoaderV2] Error processing event:`, eventError);
-          // Continue to next event
+        // Skip if already processed or no ID
+        if (!eventId || processedEventIds.has(eventId)) {
+          continue;
         }
+
+        // Mark as processed
+        processedEventIds.add(eventId);
+
+        // Create message object
+        const message = this.createMessageFromEvent(event, room);
+        messages.push(message);
+      } catch (eventError) {
+        logger.warn(`[MatrixMessageLoaderV2] Error processing event:`, eventError);
+        // Continue to next event
       }
+    }
 
-      // 5. Sort messages by timestamp
-      messages.sort((a, b) => a.timestamp - b.timestamp);
+    // Fold edits into the messages they replace, oldest edit first
+    events
+      .map(event => getEditFromEvent(event))
+      .filter(Boolean)
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .forEach(edit => {
+        const index = messages.findIndex(message => message.id === edit.replaces);
+        if (index !== -1) {
+          messages[index] = applyEdit(messages[index], edit);
+        }
+      });
 
-      logger.info(`[MatrixMessageLoaderV2] Successfully loaded ${messages.length} messages`);
-      return messages;
+    messages.sort((a, b) => a.timestamp - b.timestamp);
+    return messages;
+  }
+
+  /**
+   * Paginate one page further back in a room's live timeline
+   * @param {string} roomId - Room ID
+   * @param {Object} options - Options
+   * @param {number} options.limit - Number of events to request
+   * @returns {Promise<Object>} - { messages, hasMore, error } with every message loaded so far;
+   * error is set when the page couldn't be fetched
+   */
+  async paginateBackwards(roomId, options = {}) {
+    if (!this.initialized || !this.client) {
+      logger.error('[MatrixMessageLoaderV2] Cannot paginate: not initialized');
+      return { messages: [], hasMore: false };
+    }
+
+    const { limit = 100 } = options;
+    const room = this.client.getRoom(roomId);
+    if (!room) {
+      logger.error(`[MatrixMessageLoaderV2] Room not found: ${roomId}`);
+      return { messages: [], hasMore: false };
+    }
+
+    const timeline = room.getLiveTimeline();
+    let hasMore = false;
+    let paginationError = null;
+
+    try {
+      hasMore = await this.client.paginateEventTimeline(timeline, { backwards: true, limit });
     } catch (error) {
-      logger.error('[MatrixMessageLoaderV2] Error loading messages:', error);
-      return [];
+      logger.warn(`[MatrixMessageLoaderV2] Error paginating room ${roomId}:`, error);
+      paginationError = error;
     }
+
+    return { messages: this.processEvents(timeline.getEvents(), room), hasMore: !!hasMore, error: paginationError };
   }
 
   /**
@@ -226,6 +286,16 @@ class MatrixMessageLoaderV2 {
         return false;
       }
 
+      // Edits update the message they replace rather than showing on their own
+      if (isEditEvent(event)) {
+        return false;
+      }
+
+      // Redacted events have empty content but still show as "message deleted"
+      if (isEventRedacted(event)) {
+        return eventType !== 'm.reaction';
+      }
+
       // Get content
       const content = typeof event.getContent === 'function' ? event.getContent() :
                      event.content || (event.event && event.event.content) || {};
@@ -287,8 +357,13 @@ class MatrixMessageLoaderV2 {
       let body = '';
       let eventTypeLabel = '';
 
+      const isRedacted = isEventRedacted(event);
+
       // Handle different event types
-      if (eventType === 'm.room.message') {
+      if (isRedacted) {
+        body = REDACTED_MESSAGE_BODY;
+        eventTypeLabel = 'redacted';
+      } else if (eventType === 'm.room.message') {
         body = content.body || '';
 
         // If no body, try to create a fallback based on msgtype
@@ -360,9 +435,10 @@ class MatrixMessageLoaderV2 {
         timestamp,
         isFromMe,
         rawEvent: event,
-        content,
+        content: isRedacted ? { msgtype: 'm.text', body } : content,
         eventType,
-        eventTypeLabel
+        eventTypeLabel,
+        isRedacted
       };
     } catch (error) {
       logger.warn('[MatrixMessageLoaderV2] Error creating message from event:', error);
@@ -7,7 +7,18 @@
 
 import logger from './logger';
 import cacheManager from './cacheManager';
+import messageSearchIndex from './messageSearchIndex';
+import { getReactionFromEvent } from './reactionUtils';
+import { REDACTED_MESSAGE_BODY, isEventRedacted, isEditEvent, getEditFromEvent, applyEdit } from './messageEditUtils';
 import { debounce } from './debounceUtils';
+import { PINNED_EVENTS_TYPE, getPinnedEventIds } from './pinUtils';
+import { buildTextContent } from './markdownUtils';
+import { THREAD_REL_TYPE, getThreadRootId, isThreadReply, getThreadReplyFromEvent, getThreadSummaryFromEvent, addThreadReply } from './threadUtils';
+import {
+  POLL_START_TYPE, POLL_RESPONSE_TYPE, POLL_END_TYPE, POLL_START_TYPES, isPollStartType, parsePollStart,
+  getPollResponseFromEvent, getPollEndFromEvent, addPollResponse, endPoll,
+  buildPollStartContent, buildPollResponseContent, buildPollEndContent
+} from './pollUtils';
 
 // Constants
 const DEFAULT_LIMIT = 100; // Increased from 50 to ensure we get more messages
@@ -148,7 +159,7 @@ class MatrixTimelineManager {
     const isRelevantEventType = [
       'm.room.message', 'm.sticker', 'm.room.encrypted',
       'm.bridge', 'uk.half-shot.bridge', 'fi.mau.dummy.portal_created',
-      'org.matrix.msc1767.message', 'org.matrix.msc3381.poll.start'
+      'org.matrix.msc1767.message', ...POLL_START_TYPES
     ].includes(eventType);
 
     // Update room timeline data
@@ -794,6 +805,15 @@ class MatrixTimelineManager {
 
       logger.info(`[MatrixTimelineManager] Successfully loaded ${sortedMessages.length} messages using ${loadingMethod}`);
 
+      // Feed the local search index; it keeps its own store, so this works with caching disabled
+      messageSearchIndex.indexMessages(sortedMessages, {
+        platform: 'telegram',
+        roomId,
+        roomName: room.name
+      }).catch(indexError => {
+        logger.warn('[MatrixTimelineManager] Error indexing messages for search:', indexError);
+      });
+
       // CRITICAL FIX: Disable caching completely
       const USE_CACHE = false; // Local variable to avoid linting issues
       if (USE_CACHE && sortedMessages && sortedMessages.length > 0) {
@@ -949,6 +969,18 @@ class MatrixTimelineManager {
         content = { body: 'Message content unavailable' };
       }
 
+      // Redacted events keep their place in the timeline as a placeholder
+      const isRedacted = isEventRedacted(event);
+      if (isRedacted) {
+        content = { msgtype: 'm.text', body: REDACTED_MESSAGE_BODY };
+      }
+
+      // Polls render from their structured content; the body is only used for previews and search
+      const poll = !isRedacted && isPollStartType(eventType) ? parsePollStart(content) : null;
+      if (poll) {
+        content = { ...content, body: poll.question };
+      }
+
       // If content doesn't have a body but has formatted_body, use that
       if (content && !content.body && content.formatted_body) {
         content.body = content.formatted_body.replace(/<[^>]*>/g, '');
@@ -1021,7 +1053,9 @@ class MatrixTimelineManager {
       let replyToSender = null;
       let replyToBody = null;
 
-      if (content && content['m.relates_to'] && content['m.relates_to']['m.in_reply_to']) {
+      // Thread replies only carry m.in_reply_to as a fallback, so don't treat them as quotes
+      if (content && content['m.relates_to'] && content['m.relates_to']['m.in_reply_to'] &&
+          !content['m.relates_to'].is_falling_back) {
         replyToEventId = content['m.relates_to']['m.in_reply_to'].event_id;
       }
 
@@ -1039,7 +1073,10 @@ class MatrixTimelineManager {
         replyToSender,
         replyToBody,
         rawEvent: event,
-        content
+        content,
+        isRedacted,
+        poll,
+        thread: getThreadSummaryFromEvent(event, room)
       };
     } catch (error) {
       logger.warn('[MatrixTimelineManager] Error creating message from event:', error);
@@ -1063,9 +1100,11 @@ class MatrixTimelineManager {
   /**
    * Process Matrix events into message objects
    * @param {Array} events - Matrix events
+   * @param {Object} options - Processing options
+   * @param {boolean} options.includeThreadReplies - Keep thread replies as messages instead of folding them into their root's summary
    * @returns {Promise<Array>} - Array of processed messages
    */
-  async processEventsToMessages(events) {
+  async processEventsToMessages(events, { includeThreadReplies = false } = {}) {
     // Skip processing if no events or invalid input
     if (!events || !Array.isArray(events) || events.length === 0) {
       return [];
@@ -1151,7 +1190,9 @@ class MatrixTimelineManager {
           // Telegram-specific event types
           'm.bridge',
           'uk.half-shot.bridge',
-          'fi.mau.dummy.portal_created'
+          'fi.mau.dummy.portal_created',
+          // Polls bridged from Telegram or created here
+          ...POLL_START_TYPES
         ];
 
         // Skip non-message events
@@ -1173,6 +1214,28 @@ class MatrixTimelineManager {
           content = event.get('content');
         }
 
+        // Edits are folded into the message they replace after this pass
+        if (isEditEvent(event)) {
+          continue;
+        }
+
+        // Thread replies live in the thread panel and are summarised on their root
+        if (!includeThreadReplies && isThreadReply(event)) {
+          continue;
+        }
+
+        // Redacted messages show as a placeholder instead of disappearing
+        const isRedacted = isEventRedacted(event);
+        if (isRedacted) {
+          content = { msgtype: 'm.text', body: REDACTED_MESSAGE_BODY };
+        }
+
+        // Polls render from their structured content; the body is only used for previews and search
+        const poll = !isRedacted && isPollStartType(eventType) ? parsePollStart(content) : null;
+        if (poll) {
+          content = { ...content, body: poll.question };
+        }
+
         // If no content, create a minimal content object
         if (!content) {
           logger.debug(`[MatrixTimelineManager] Event has no content, creating minimal content`);
@@ -1354,6 +1417,9 @@ class MatrixTimelineManager {
           isRead,
           eventType,
           roomId,
+          isRedacted,
+          poll,
+          thread: getThreadSummaryFromEvent(event, roomObj),
           rawEvent: event // Store the raw event for reference
         };
 
@@ -1374,64 +1440,26 @@ class MatrixTimelineManager {
         // Skip null or undefined events
         if (!event) continue;
 
-        // Get event type
-        let eventType = null;
-        if (typeof event.getType === 'function') {
-          eventType = event.getType();
-        } else if (event.type) {
-          eventType = event.type;
-        } else if (event.content && event.content['m.relates_to'] &&
-                  event.content['m.relates_to'].rel_type === 'm.annotation') {
-          eventType = 'm.reaction';
-        }
-
-        // Skip if not a reaction event
-        if (eventType !== 'm.reaction') {
-          continue;
-        }
-
-        // Get the related event ID
-        let relatedEventId = null;
-        let reactionKey = null;
-
-        if (event.content && event.content['m.relates_to']) {
-          relatedEventId = event.content['m.relates_to'].event_id;
-          reactionKey = event.content['m.relates_to'].key;
-        }
-
-        if (!relatedEventId || !reactionKey) {
+        // Skips non-reactions and reactions that have been redacted (toggled off)
+        const reaction = getReactionFromEvent(event);
+        if (!reaction) {
           continue;
         }
 
         // Find the related message using the map for faster lookup
-        const relatedMessage = messageMap.get(relatedEventId);
+        const relatedMessage = messageMap.get(reaction.relatesTo);
         if (relatedMessage) {
-          // Add the reaction to the message
           if (!relatedMessage.reactions) {
             relatedMessage.reactions = [];
           }
 
-          // Get sender
-          let sender = null;
-          if (typeof event.getSender === 'function') {
-            sender = event.getSender();
-          } else if (event.sender) {
-            sender = event.sender;
-          } else {
-            sender = 'Unknown';
-          }
-
           // Add the reaction if not already present
           const existingReaction = relatedMessage.reactions.find(r =>
-            r.key === reactionKey && r.sender === sender
+            r.key === reaction.key && r.sender === reaction.sender
           );
 
           if (!existingReaction) {
-            relatedMessage.reactions.push({
-              key: reactionKey,
-              sender,
-              timestamp: event.origin_server_ts || Date.now()
-            });
+            relatedMessage.reactions.push(reaction);
           }
         }
       } catch (error) {
@@ -1439,6 +1467,51 @@ class MatrixTimelineManager {
       }
     }
 
+    // Third pass: fold edits (m.replace) into the messages they replace, oldest first
+    events
+      .map(event => getEditFromEvent(event))
+      .filter(Boolean)
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .forEach(edit => {
+        const originalMessage = messageMap.get(edit.replaces);
+        if (originalMessage) {
+          Object.assign(originalMessage, applyEdit(originalMessage, edit));
+        }
+      });
+
+    // Tally polls: ends first, so votes cast after a poll closed are never counted
+    events
+      .map(event => getPollEndFromEvent(event))
+      .filter(Boolean)
+      .forEach(end => {
+        const pollMessage = messageMap.get(end.pollId);
+        if (pollMessage?.poll) {
+          pollMessage.poll = endPoll(pollMessage, end, this.client.getRoom(pollMessage.roomId));
+        }
+      });
+    events
+      .map(event => getPollResponseFromEvent(event))
+      .filter(Boolean)
+      .forEach(response => {
+        const pollMessage = messageMap.get(response.pollId);
+        if (pollMessage?.poll) {
+          pollMessage.poll = addPollResponse(pollMessage.poll, response);
+        }
+      });
+
+    // Fourth pass: summarise thread replies on their root messages
+    if (!includeThreadReplies) {
+      events.forEach(event => {
+        const rootMessage = messageMap.get(getThreadRootId(event));
+        if (!rootMessage) return;
+
+        const reply = getThreadReplyFromEvent(event, this.client.getRoom(rootMessage.roomId));
+        if (reply) {
+          Object.assign(rootMessage, addThreadReply(rootMessage, reply));
+        }
+      });
+    }
+
     // Sort messages by timestamp
     // Use a more efficient sorting algorithm for large arrays
     if (messages.length > 1000) {
@@ -1732,9 +1805,10 @@ class MatrixTimelineManager {
    * Send a message to a room
    * @param {string} roomId - Room ID
    * @param {string|Object} content - Message content
+   * @param {string} txnId - Optional transaction ID, reused when retrying so the server sends the message only once
    * @returns {Promise<string>} - Event ID of the sent message
    */
-  async sendMessage(roomId, content) {
+  async sendMessage(roomId, content, txnId) {
     if (!this.initialized || !this.client) {
       logger.error('[MatrixTimelineManager] Cannot send message: Not initialized');
       throw new Error('MatrixTimelineManager not initialized');
@@ -1756,12 +1830,308 @@ class MatrixTimelineManager {
       }
 
       // Send the message
-      const response = await this.client.sendMessage(roomId, null, messageContent);
+      const response = await this.client.sendMessage(roomId, null, messageContent, txnId);
 
       logger.info(`[MatrixTimelineManager] Sent message to room ${roomId}: ${response.event_id}`);
       return response.event_id;
     } catch (error) {
       logger.error(`[MatrixTimelineManager] Error sending message to room ${roomId}:`, error);
+
+      // The SDK refuses a transaction ID it still has a local echo for, so drop the failed echo before a retry
+      if (txnId) {
+        const localEcho = this.client.getRoom(roomId)?.findEventById(`~${roomId}:${txnId}`);
+        if (localEcho?.status === 'not_sent') {
+          this.client.cancelPendingEvent(localEcho);
+        }
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Send a read receipt and move the read marker to the latest event in a room
+   * @param {string} roomId - Room ID
+   * @returns {Promise<string|null>} - ID of the event marked as read
+   */
+  async markRoomAsRead(roomId) {
+    if (!this.initialized || !this.client) {
+      logger.error('[MatrixTimelineManager] Cannot mark room as read: Not initialized');
+      throw new Error('MatrixTimelineManager not initialized');
+    }
+
+    const room = this.client.getRoom(roomId);
+    if (!room) return null;
+
+    // Local echoes (~ IDs) can't be marked as read, so use the newest event the server knows
+    const latestEvent = [...room.getLiveTimeline().getEvents()]
+      .reverse()
+      .find(event => event.getId()?.startsWith('$'));
+    if (!latestEvent) return null;
+
+    const eventId = latestEvent.getId();
+    const myUserId = this.client.getUserId();
+    if (room.hasUserReadEvent(myUserId, eventId) && room.getAccountData('m.fully_read')?.getContent()?.event_id === eventId) {
+      return eventId;
+    }
+
+    try {
+      // Sets m.fully_read and sends an m.read receipt in one request
+      await this.client.setRoomReadMarkers(roomId, eventId, latestEvent);
+      logger.info(`[MatrixTimelineManager] Marked room ${roomId} as read up to ${eventId}`);
+      return eventId;
+    } catch (error) {
+      logger.warn(`[MatrixTimelineManager] Error marking room ${roomId} as read:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Edit one of our messages by sending an m.replace relation
+   * @param {string} roomId - Room ID
+   * @param {string} eventId - Event being edited
+   * @param {string} body - New message text
+   * @returns {Promise<string>} - Event ID of the edit
+   */
+  async editMessage(roomId, eventId, body) {
+    if (!this.initialized || !this.client) {
+      logger.error('[MatrixTimelineManager] Cannot edit message: Not initialized');
+      throw new Error('MatrixTimelineManager not initialized');
+    }
+
+    try {
+      const newContent = buildTextContent(body);
+      const response = await this.client.sendMessage(roomId, null, {
+        // Fallback for clients that don't understand edits
+        msgtype: 'm.text',
+        body: `* ${body}`,
+        format: newContent.format,
+        formatted_body: `* ${newContent.formatted_body}`,
+        'm.new_content': newContent,
+        'm.relates_to': {
+          rel_type: 'm.replace',
+          event_id: eventId
+        }
+      });
+
+      logger.info(`[MatrixTimelineManager] Edited message ${eventId}: ${response.event_id}`);
+      return response.event_id;
+    } catch (error) {
+      logger.error(`[MatrixTimelineManager] Error editing message ${eventId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a message by redacting it
+   * @param {string} roomId - Room ID
+   * @param {string} eventId - Event to redact
+   * @returns {Promise<void>}
+   */
+  async deleteMessage(roomId, eventId) {
+    if (!this.initialized || !this.client) {
+      logger.error('[MatrixTimelineManager] Cannot delete message: Not initialized');
+      throw new Error('MatrixTimelineManager not initialized');
+    }
+
+    try {
+      await this.client.redactEvent(roomId, eventId);
+      logger.info(`[MatrixTimelineManager] Redacted message ${eventId}`);
+    } catch (error) {
+      logger.error(`[MatrixTimelineManager] Error redacting message ${eventId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pin or unpin a message by updating the room's m.room.pinned_events state
+   * @param {string} roomId - Room ID
+   * @param {string} eventId - Event to pin or unpin
+   * @returns {Promise<Array<string>>} - Pinned event IDs after the change
+   */
+  async togglePinnedMessage(roomId, eventId) {
+    if (!this.initialized || !this.client) {
+      logger.error('[MatrixTimelineManager] Cannot pin message: Not initialized');
+      throw new Error('MatrixTimelineManager not initialized');
+    }
+
+    const room = this.client.getRoom(roomId);
+    if (!room) {
+      throw new Error(`Room not found: ${roomId}`);
+    }
+
+    if (!room.currentState.maySendStateEvent(PINNED_EVENTS_TYPE, this.client.getUserId())) {
+      throw new Error('You do not have permission to pin messages in this chat');
+    }
+
+    const pinned = getPinnedEventIds(room);
+    const nextPinned = pinned.includes(eventId)
+      ? pinned.filter(pinnedId => pinnedId !== eventId)
+      : [...pinned, eventId];
+
+    try {
+      await this.client.sendStateEvent(roomId, PINNED_EVENTS_TYPE, { pinned: nextPinned }, '');
+      logger.info(`[MatrixTimelineManager] ${nextPinned.includes(eventId) ? 'Pinned' : 'Unpinned'} message ${eventId}`);
+      return nextPinned;
+    } catch (error) {
+      logger.error(`[MatrixTimelineManager] Error updating pinned messages for ${eventId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the replies in a thread from the server's relations API
+   * @param {string} roomId - Room ID
+   * @param {string} rootId - Thread root event ID
+   * @param {number} limit - Maximum number of replies to load
+   * @returns {Promise<Array>} - Thread replies as message objects, oldest first (the root is not included)
+   */
+  async loadThread(roomId, rootId, limit = 200) {
+    if (!this.initialized || !this.client) {
+      logger.error('[MatrixTimelineManager] Cannot load thread: Not initialized');
+      throw new Error('MatrixTimelineManager not initialized');
+    }
+
+    try {
+      const events = [];
+      let from = null;
+
+      // Page backwards from the newest reply until we have the whole thread or hit the limit
+      do {
+        const response = await this.client.relations(roomId, rootId, THREAD_REL_TYPE, null, {
+          dir: 'b',
+          limit: Math.min(50, limit - events.length),
+          ...(from ? { from } : {})
+        });
+        events.push(...response.events);
+        from = response.nextBatch;
+      } while (from && events.length < limit);
+
+      logger.info(`[MatrixTimelineManager] Loaded ${events.length} replies for thread ${rootId}`);
+      return this.processEventsToMessages(events, { includeThreadReplies: true });
+    } catch (error) {
+      logger.error(`[MatrixTimelineManager] Error loading thread ${rootId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * React to a message with an emoji (m.annotation)
+   * @param {string} roomId - Room ID
+   * @param {string} eventId - Event being reacted to
+   * @param {string} key - Reaction key, usually an emoji
+   * @returns {Promise<string>} - Event ID of the reaction
+   */
+  async sendReaction(roomId, eventId, key) {
+    if (!this.initialized || !this.client) {
+      logger.error('[MatrixTimelineManager] Cannot send reaction: Not initialized');
+      throw new Error('MatrixTimelineManager not initialized');
+    }
+
+    try {
+      const response = await this.client.sendEvent(roomId, 'm.reaction', {
+        'm.relates_to': {
+          rel_type: 'm.annotation',
+          event_id: eventId,
+          key
+        }
+      });
+
+      logger.info(`[MatrixTimelineManager] Sent reaction ${key} to ${eventId}: ${response.event_id}`);
+      return response.event_id;
+    } catch (error) {
+      logger.error(`[MatrixTimelineManager] Error sending reaction to ${eventId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a poll in a room
+   * @param {string} roomId - Room ID
+   * @param {string} question - Poll question
+   * @param {Array<string>} answers - Answer texts
+   * @param {Object} options - Options for buildPollStartContent (kind, maxSelections)
+   * @returns {Promise<string>} - Event ID of the poll
+   */
+  async sendPoll(roomId, question, answers, options = {}) {
+    if (!this.initialized || !this.client) {
+      logger.error('[MatrixTimelineManager] Cannot send poll: Not initialized');
+      throw new Error('MatrixTimelineManager not initialized');
+    }
+
+    try {
+      const response = await this.client.sendEvent(roomId, POLL_START_TYPE, buildPollStartContent(question, answers, options));
+      logger.info(`[MatrixTimelineManager] Started poll in ${roomId}: ${response.event_id}`);
+      return response.event_id;
+    } catch (error) {
+      logger.error(`[MatrixTimelineManager] Error starting poll in ${roomId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Vote in a poll. A new vote replaces our earlier one.
+   * @param {string} roomId - Room ID
+   * @param {string} pollId - Event ID of the poll
+   * @param {Array<string>} answerIds - Chosen answer IDs
+   * @returns {Promise<string>} - Event ID of the vote
+   */
+  async sendPollResponse(roomId, pollId, answerIds) {
+    if (!this.initialized || !this.client) {
+      logger.error('[MatrixTimelineManager] Cannot vote: Not initialized');
+      throw new Error('MatrixTimelineManager not initialized');
+    }
+
+    try {
+      const response = await this.client.sendEvent(roomId, POLL_RESPONSE_TYPE, buildPollResponseContent(pollId, answerIds));
+      logger.info(`[MatrixTimelineManager] Voted in poll ${pollId}: ${response.event_id}`);
+      return response.event_id;
+    } catch (error) {
+      logger.error(`[MatrixTimelineManager] Error voting in poll ${pollId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close a poll so no more votes count
+   * @param {string} roomId - Room ID
+   * @param {string} pollId - Event ID of the poll
+   * @param {string} fallback - Text for clients without poll support
+   * @returns {Promise<string>} - Event ID of the poll end
+   */
+  async endPoll(roomId, pollId, fallback) {
+    if (!this.initialized || !this.client) {
+      logger.error('[MatrixTimelineManager] Cannot end poll: Not initialized');
+      throw new Error('MatrixTimelineManager not initialized');
+    }
+
+    try {
+      const response = await this.client.sendEvent(roomId, POLL_END_TYPE, buildPollEndContent(pollId, fallback));
+      logger.info(`[MatrixTimelineManager] Ended poll ${pollId}: ${response.event_id}`);
+      return response.event_id;
+    } catch (error) {
+      logger.error(`[MatrixTimelineManager] Error ending poll ${pollId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove one of our reactions by redacting it
+   * @param {string} roomId - Room ID
+   * @param {string} reactionEventId - Event ID of the m.reaction event
+   * @returns {Promise<void>}
+   */
+  async removeReaction(roomId, reactionEventId) {
+    if (!this.initialized || !this.client) {
+      logger.error('[MatrixTimelineManager] Cannot remove reaction: Not initialized');
+      throw new Error('MatrixTimelineManager not initialized');
+    }
+
+    try {
+      await this.client.redactEvent(roomId, reactionEventId);
+      logger.info(`[MatrixTimelineManager] Redacted reaction ${reactionEventId}`);
+    } catch (error) {
+      logger.error(`[MatrixTimelineManager] Error redacting reaction ${reactionEventId}:`, error);
       throw error;
     }
   }
@@ -2178,6 +2548,99 @@ class MatrixTimelineManager {
     }
   }
 
+  /**
+   * Load the messages surrounding an event, e.g. to jump to a search result
+   * that is older than the loaded timeline
+   * @param {string} roomId - Room ID
+   * @param {string} eventId - Event ID to load context around
+   * @param {Object} options - Options
+   * @param {number} options.limit - Number of events to paginate on each side
+   * @returns {Promise<Array>} - Messages around the event, oldest first
+   */
+  async loadEventContext(roomId, eventId, options = {}) {
+    if (!this.initialized || !this.client) {
+      logger.error('[MatrixTimelineManager] Cannot load event context: not initialized');
+      return [];
+    }
+
+    const { limit = 25 } = options;
+
+    try {
+      const room = this.client.getRoom(roomId);
+      if (!room) {
+        logger.error(`[MatrixTimelineManager] Room not found: ${roomId}`);
+        return [];
+      }
+
+      // getEventTimeline hits /context and returns a timeline containing the event
+      const timeline = await this.client.getEventTimeline(room.getUnfilteredTimelineSet(), eventId);
+      if (!timeline) {
+        logger.warn(`[MatrixTimelineManager] No timeline found for event ${eventId}`);
+        return [];
+      }
+
+      try {
+        await this.client.paginateEventTimeline(timeline, { backwards: true, limit });
+        await this.client.paginateEventTimeline(timeline, { backwards: false, limit });
+      } catch (paginationError) {
+        logger.warn(`[MatrixTimelineManager] Error paginating around event ${eventId}: ${paginationError.message}`);
+      }
+
+      const messages = await this.processEventsToMessages(timeline.getEvents());
+      logger.info(`[MatrixTimelineManager] Loaded ${messages.length} messages around event ${eventId}`);
+      return messages.sort((a, b) => a.timestamp - b.timestamp);
+    } catch (error) {
+      logger.error('[MatrixTimelineManager] Error loading event context:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Paginate the room's live timeline backwards until it contains an event, so
+   * an older message can be shown without leaving a gap in the loaded history
+   * @param {string} roomId - Room ID
+   * @param {string} eventId - Event ID to look for
+   * @param {Object} options - Options
+   * @param {number} options.maxPages - Give up after this many pages
+   * @param {number} options.limit - Number of events per page
+   * @returns {Promise<Array>} - Messages from the event up to the latest, oldest first, or [] if it wasn't reached
+   */
+  async paginateToEvent(roomId, eventId, options = {}) {
+    if (!this.initialized || !this.client) {
+      logger.error('[MatrixTimelineManager] Cannot paginate to event: not initialized');
+      return [];
+    }
+
+    const { maxPages = 5, limit = 100 } = options;
+
+    try {
+      const room = this.client.getRoom(roomId);
+      if (!room) {
+        logger.error(`[MatrixTimelineManager] Room not found: ${roomId}`);
+        return [];
+      }
+
+      const timeline = room.getLiveTimeline();
+      for (let page = 0; page < maxPages && !timeline.getEvents().some(event => event.getId() === eventId); page++) {
+        const hasMore = await this.client.paginateEventTimeline(timeline, { backwards: true, limit });
+        if (!hasMore) break;
+      }
+
+      const events = timeline.getEvents();
+      const index = events.findIndex(event => event.getId() === eventId);
+      if (index === -1) {
+        logger.info(`[MatrixTimelineManager] Event ${eventId} not within ${maxPages} pages of the live timeline`);
+        return [];
+      }
+
+      const messages = await this.processEventsToMessages(events.slice(index));
+      return messages.sort((a, b) => a.timestamp - b.timestamp);
+    } catch (error) {
+      logger.error('[MatrixTimelineManager] Error paginating to event:', error);
+      return [];
+    }
+  }
+
   /**
    * Clean up resources
    */
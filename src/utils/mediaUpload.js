@@ -0,0 +1,220 @@
+/**
+ * Utility functions for uploading media to the Matrix media repository
+ * and building m.image / m.video / m.audio / m.file message content
+ */
+import logger from './logger';
+import { cacheMediaUrl } from './mediaCache';
+import { getMediaUrl } from './mediaUtils';
+
+const THUMBNAIL_MAX_SIZE = 800;
+const THUMBNAIL_QUALITY = 0.8;
+
+/**
+ * Pick the Matrix msgtype for a file
+ * @param {File|Blob} file - File to send
+ * @returns {string} - m.image, m.video, m.audio or m.file
+ */
+export const getMsgtypeForFile = (file) => {
+  const mimetype = file?.type || '';
+  if (mimetype.startsWith('image/')) return 'm.image';
+  if (mimetype.startsWith('video/')) return 'm.video';
+  if (mimetype.startsWith('audio/')) return 'm.audio';
+  return 'm.file';
+};
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Human readable size
+ */
+export const formatFileSize = (bytes) => {
+  if (!bytes && bytes !== 0) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Load an image file into an element so we can read its size and draw it
+ * @param {File|Blob} file - Image file
+ * @returns {Promise<HTMLImageElement>} - Loaded image
+ */
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const objectUrl = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(objectUrl);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(objectUrl);
+    reject(new Error('Could not read image'));
+  };
+  image.src = objectUrl;
+});
+
+/**
+ * Read duration and dimensions of an audio or video file
+ * @param {File|Blob} file - Audio or video file
+ * @returns {Promise<Object>} - { duration, w, h } (duration in ms, dimensions for video only)
+ */
+const loadMediaMetadata = (file) => new Promise((resolve) => {
+  const objectUrl = URL.createObjectURL(file);
+  const element = document.createElement(file.type.startsWith('video/') ? 'video' : 'audio');
+  element.preload = 'metadata';
+  element.onloadedmetadata = () => {
+    URL.revokeObjectURL(objectUrl);
+    resolve({
+      duration: Number.isFinite(element.duration) ? Math.round(element.duration * 1000) : undefined,
+      w: element.videoWidth || undefined,
+      h: element.videoHeight || undefined
+    });
+  };
+  // Metadata is optional, never block sending on it
+  element.onerror = () => {
+    URL.revokeObjectURL(objectUrl);
+    resolve({});
+  };
+  element.src = objectUrl;
+});
+
+/**
+ * Create a downscaled JPEG thumbnail for an image on the client
+ * @param {File|Blob} file - Image file
+ * @param {number} maxSize - Longest edge of the thumbnail
+ * @returns {Promise<Object|null>} - { blob, info: { w, h, mimetype, size }, width, height } or null
+ */
+export const createImageThumbnail = async (file, maxSize = THUMBNAIL_MAX_SIZE) => {
+  try {
+    const image = await loadImage(file);
+    const width = image.naturalWidth;
+    const height = image.naturalHeight;
+
+    // Small images don't need a separate thumbnail
+    if (width <= maxSize && height <= maxSize) {
+      return { blob: null, info: null, width, height };
+    }
+
+    const scale = maxSize / Math.max(width, height);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', THUMBNAIL_QUALITY));
+    if (!blob) return { blob: null, info: null, width, height };
+
+    return {
+      blob,
+      info: { w: canvas.width, h: canvas.height, mimetype: 'image/jpeg', size: blob.size },
+      width,
+      height
+    };
+  } catch (error) {
+    logger.warn('[mediaUpload] Error creating image thumbnail:', error);
+    return null;
+  }
+};
+
+/**
+ * Upload a file to the Matrix media repository
+ * @param {Object} client - Matrix client
+ * @param {File|Blob} file - File to upload
+ * @param {Object} options - Upload options
+ * @param {Function} options.onProgress - Called with a 0-1 fraction as the upload progresses
+ * @param {AbortController} options.abortController - Aborts the upload when signalled
+ * @param {string} options.name - File name to store, defaults to file.name
+ * @returns {Promise<string>} - mxc:// URI of the uploaded file
+ */
+export const uploadMedia = async (client, file, options = {}) => {
+  const { onProgress, abortController, name } = options;
+
+  const response = await client.uploadContent(file, {
+    name: name || file.name,
+    type: file.type || 'application/octet-stream',
+    abortController,
+    progressHandler: ({ loaded, total }) => {
+      if (onProgress && total) onProgress(loaded / total);
+    }
+  });
+
+  const contentUri = response?.content_uri;
+  if (!contentUri) {
+    throw new Error('Upload did not return a content URI');
+  }
+
+  // Warm the media cache so the sent message renders without another lookup
+  cacheMediaUrl(contentUri, getMediaUrl(client, contentUri), 'download')
+    .catch(error => logger.warn('[mediaUpload] Error caching uploaded media URL:', error));
+
+  return contentUri;
+};
+
+/**
+ * Upload a file (plus a thumbnail for images) and build the message content for it
+ * @param {Object} client - Matrix client
+ * @param {File|Blob} file - File to send
+ * @param {Object} options - Upload options
+ * @param {Function} options.onProgress - Called with a 0-1 fraction for the whole upload
+ * @param {AbortController} options.abortController - Aborts the upload when signalled
+ * @param {boolean} options.isVoice - Mark audio as a voice message
+ * @returns {Promise<Object>} - m.room.message content
+ */
+export const uploadMediaMessage = async (client, file, options = {}) => {
+  const { onProgress, abortController, isVoice = false } = options;
+  const msgtype = getMsgtypeForFile(file);
+  const fileName = file.name || (isVoice ? 'Voice message' : 'file');
+
+  const info = {
+    mimetype: file.type || 'application/octet-stream',
+    size: file.size
+  };
+
+  let thumbnail = null;
+  if (msgtype === 'm.image') {
+    thumbnail = await createImageThumbnail(file);
+    if (thumbnail) {
+      info.w = thumbnail.width;
+      info.h = thumbnail.height;
+    }
+  } else if (msgtype === 'm.video' || msgtype === 'm.audio') {
+    const metadata = await loadMediaMetadata(file);
+    Object.entries(metadata).forEach(([key, value]) => {
+      if (value !== undefined) info[key] = value;
+    });
+  }
+
+  // Split the progress bar between the thumbnail and the file by size
+  const thumbnailSize = thumbnail?.blob?.size || 0;
+  const totalSize = file.size + thumbnailSize || 1;
+
+  if (thumbnail?.blob) {
+    info.thumbnail_url = await uploadMedia(client, thumbnail.blob, {
+      name: `thumbnail-${fileName}.jpg`,
+      abortController,
+      onProgress: (fraction) => onProgress?.((fraction * thumbnailSize) / totalSize)
+    });
+    info.thumbnail_info = thumbnail.info;
+  }
+
+  const url = await uploadMedia(client, file, {
+    name: fileName,
+    abortController,
+    onProgress: (fraction) => onProgress?.((thumbnailSize + fraction * file.size) / totalSize)
+  });
+
+  const content = {
+    msgtype,
+    body: fileName,
+    url,
+    info
+  };
+
+  if (msgtype === 'm.audio' && isVoice) {
+    // MSC3245 voice message marker, understood by the Telegram bridge and Element
+    content['org.matrix.msc3245.voice'] = {};
+    content['org.matrix.msc1767.audio'] = { duration: info.duration };
+  }
+
+  return content;
+};
@@ -7,6 +7,9 @@ import cacheManager from './cacheManager';
 // In-memory cache for quick access
 const mediaCache = new Map();
 
+// Object URLs for media blobs, keyed like the blobs stored in IndexedDB
+const blobUrlCache = new Map();
+
 // Cache settings
 const USE_CACHE = true; // Set to false to disable caching
 
@@ -190,12 +193,85 @@ const cacheMediaUrl = async (cacheKey, url, accessToken) => {
   }
 };
 
+/**
+ * Get an object URL for a media file, keeping the bytes in IndexedDB so it works offline
+ * @param {Object} client - Matrix client
+ * @param {string} mxcUrl - mxc:// URL
+ * @param {Object} options - Same options as getMediaUrl
+ * @returns {Promise<string|null>} - blob: URL, or null if the media could not be loaded
+ */
+export const getMediaBlobUrl = async (client, mxcUrl, options = {}) => {
+  if (!mxcUrl || !mxcUrl.startsWith('mxc://')) return null;
+
+  const { type = 'download', width = 800, height = 600, method = 'scale' } = options;
+  const blobKey = type === 'thumbnail'
+    ? `blob_${mxcUrl}_thumbnail_${width}x${height}_${method}`
+    : `blob_${mxcUrl}_download`;
+
+  // Object URLs stay valid for the page's lifetime, so share one per file
+  if (blobUrlCache.has(blobKey)) {
+    return blobUrlCache.get(blobKey);
+  }
+
+  try {
+    let blob = await cacheManager.getCachedMedia(blobKey);
+
+    if (!(blob instanceof Blob)) {
+      if (!client) return null;
+
+      const url = getMediaUrl(client, mxcUrl, options);
+      if (!url) return null;
+
+      const response = await fetch(url, {
+        headers: { Authorization: `Bearer ${client.getAccessToken()}` }
+      });
+      if (!response.ok) {
+        throw new Error(`Media request failed with status ${response.status}`);
+      }
+
+      blob = await response.blob();
+      cacheManager.cacheMedia(blobKey, blob)
+        .catch(err => logger.warn('[mediaUtils] Error storing media blob:', err));
+    }
+
+    const objectUrl = URL.createObjectURL(blob);
+    blobUrlCache.set(blobKey, objectUrl);
+    return objectUrl;
+  } catch (error) {
+    logger.warn(`[mediaUtils] Error loading media blob for ${mxcUrl}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Save a media file to disk, reusing the offline blob cache
+ * @param {Object} client - Matrix client
+ * @param {string} mxcUrl - mxc:// URL
+ * @param {string} fileName - Name to save the file as
+ * @returns {Promise<boolean>} - Whether the download started
+ */
+export const downloadMediaFile = async (client, mxcUrl, fileName = 'download') => {
+  const url = await getMediaBlobUrl(client, mxcUrl) || getMediaUrl(client, mxcUrl);
+  if (!url) return false;
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.rel = 'noopener noreferrer';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  return true;
+};
+
 /**
  * Clear the media cache
  */
 export const clearMediaCache = async () => {
   // Clear memory cache
   mediaCache.clear();
+  blobUrlCache.forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+  blobUrlCache.clear();
 
   // Clear IndexedDB cache using cacheManager
   try {
@@ -237,6 +313,8 @@ export const getFallbackAvatarUrl = (name = '?', color = '#0088cc') => {
 
 export default {
   getMediaUrl,
+  getMediaBlobUrl,
+  downloadMediaFile,
   clearMediaCache,
   getFallbackAvatarUrl
 };
@@ -0,0 +1,188 @@
+/**
+ * Utility functions for @mentions: composer autocomplete, Matrix pills, and
+ * spotting incoming messages that mention us or one of our keywords
+ */
+import logger from './logger';
+import { MENTION_KEYWORDS_KEY } from '../constants';
+
+export const MENTION_KEYWORDS_CHANGED_EVENT = 'dailyfix-mention-keywords-changed';
+export const DEFAULT_MENTION_KEYWORDS = ['@me', '@all'];
+
+const MATRIX_TO_PREFIX = 'https://matrix.to/#/';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Get the user's mention keywords
+ * @returns {Array<string>} - Keywords that count as a mention
+ */
+export const getMentionKeywords = () => {
+  try {
+    const keywords = JSON.parse(localStorage.getItem(MENTION_KEYWORDS_KEY));
+    return Array.isArray(keywords) ? keywords : DEFAULT_MENTION_KEYWORDS;
+  } catch (error) {
+    logger.warn('[MentionUtils] Error reading mention keywords:', error);
+    return DEFAULT_MENTION_KEYWORDS;
+  }
+};
+
+/**
+ * Save the user's mention keywords. Blank and repeated keywords are dropped.
+ * @param {Array<string>} keywords - Keywords that count as a mention
+ * @returns {Array<string>} - The keywords as saved
+ */
+export const setMentionKeywords = (keywords) => {
+  const seen = new Set();
+  const cleaned = keywords
+    .map(keyword => keyword.trim())
+    .filter(keyword => {
+      const key = keyword.toLowerCase();
+      if (!keyword || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+  try {
+    localStorage.setItem(MENTION_KEYWORDS_KEY, JSON.stringify(cleaned));
+  } catch (error) {
+    logger.error('[MentionUtils] Error saving mention keywords:', error);
+  }
+
+  window.dispatchEvent(new CustomEvent(MENTION_KEYWORDS_CHANGED_EVENT, { detail: { keywords: cleaned } }));
+  return cleaned;
+};
+
+/**
+ * Find the @mention being typed at the caret
+ * @param {string} text - Composer text
+ * @param {number} caret - Caret position
+ * @returns {Object|null} - { query, start } where start is the index of the "@", or null
+ */
+export const getMentionQuery = (text, caret) => {
+  const beforeCaret = text.slice(0, caret);
+  // The "@" must start a word, and the query can't run over a line break
+  const match = beforeCaret.match(/(?:^|\s)@([^\s@]*)$/);
+  if (!match) return null;
+
+  return { query: match[1], start: caret - match[1].length - 1 };
+};
+
+/**
+ * Pick the room members matching a partially typed mention
+ * @param {Array} members - Room members ({ userId, name, avatarUrl })
+ * @param {string} query - Text typed after the "@"
+ * @param {string} myUserId - ID of the current user, who is left out
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Array} - Matching members, best matches first
+ */
+export const getMentionSuggestions = (members, query, myUserId, limit = 6) => {
+  const search = query.toLowerCase();
+
+  return members
+    .filter(member => member.userId !== myUserId)
+    .map(member => {
+      const name = (member.name || member.userId).toLowerCase();
+      const userId = member.userId.toLowerCase();
+      let rank = -1;
+      if (name.startsWith(search)) rank = 0;
+      else if (name.split(/\s+/).some(word => word.startsWith(search))) rank = 1;
+      else if (userId.includes(search)) rank = 2;
+      return { member, rank };
+    })
+    .filter(({ rank }) => rank !== -1)
+    .sort((a, b) => a.rank - b.rank || a.member.name.localeCompare(b.member.name))
+    .slice(0, limit)
+    .map(({ member }) => member);
+};
+
+/**
+ * Replace the mention being typed with the chosen member's name
+ * @param {string} text - Composer text
+ * @param {Object} mentionQuery - Query from getMentionQuery
+ * @param {Object} member - Chosen member ({ userId, name })
+ * @returns {Object} - { text, caret } after the insertion
+ */
+export const insertMention = (text, mentionQuery, member) => {
+  const end = mentionQuery.start + 1 + mentionQuery.query.length;
+  // Add a space after the name unless the text already has one
+  const mention = `@${member.name || member.userId}${/^\s/.test(text.slice(end)) ? '' : ' '}`;
+
+  return {
+    text: text.slice(0, mentionQuery.start) + mention + text.slice(end),
+    caret: mentionQuery.start + mention.length
+  };
+};
+
+/**
+ * Turn "@Name" mentions of room members into Matrix pills, which the Telegram
+ * bridge delivers as native mentions, and list the mentioned users in m.mentions
+ * @param {Object} content - Message content with body and formatted_body
+ * @param {Array} members - Room members ({ userId, name })
+ * @returns {Object} - The updated content
+ */
+export const addMentionsToContent = (content, members) => {
+  if (!content?.body || !members?.length) return content;
+
+  // Longest names first, so "@Ann Lee" wins over "@Ann"
+  const byName = new Map();
+  members
+    .filter(member => member.name)
+    .sort((a, b) => b.name.length - a.name.length)
+    .forEach(member => {
+      if (!byName.has(member.name)) byName.set(member.name, member.userId);
+    });
+  if (byName.size === 0) return content;
+
+  const pattern = new RegExp(
+    `(^|\\s|>)@(${Array.from(byName.keys()).map(escapeRegExp).join('|')})(?=$|[\\s.,!?:;<])`,
+    'g'
+  );
+
+  const mentionedIds = new Set();
+  const formattedBody = (content.formatted_body || content.body).replace(pattern, (match, before, name) => {
+    const userId = byName.get(name);
+    mentionedIds.add(userId);
+    return `${before}<a href="${MATRIX_TO_PREFIX}${userId}">${escapeHtml(name)}</a>`;
+  });
+
+  if (mentionedIds.size === 0) return content;
+
+  content.format = 'org.matrix.custom.html';
+  content.formatted_body = formattedBody;
+  content['m.mentions'] = { user_ids: Array.from(mentionedIds) };
+  return content;
+};
+
+/**
+ * Check whether a message mentions the current user or one of their keywords
+ * @param {Object} message - Timeline message
+ * @param {Object} options - Who "we" are
+ * @param {string} options.userId - ID of the current user
+ * @param {string} options.displayName - Display name of the current user
+ * @param {Array<string>} options.keywords - Mention keywords
+ * @returns {boolean} - Whether the message should be highlighted
+ */
+export const isMentioningMe = (message, { userId, displayName, keywords = [] } = {}) => {
+  if (!message || message.isFromMe || message.isRedacted) return false;
+
+  const content = typeof message.content === 'object' && message.content ? message.content : {};
+  const body = (content.body || message.body || '').toLowerCase();
+
+  // The homeserver's push rules already decided this for Matrix events
+  if (message.rawEvent?.getPushActions?.()?.tweaks?.highlight) return true;
+
+  if (userId) {
+    if (content['m.mentions']?.user_ids?.includes(userId)) return true;
+    if (content.formatted_body?.includes(`${MATRIX_TO_PREFIX}${userId}`)) return true;
+  }
+
+  if (displayName && displayName.length > 1 && body.includes(displayName.toLowerCase())) return true;
+
+  return keywords.some(keyword => keyword && body.includes(keyword.toLowerCase()));
+};
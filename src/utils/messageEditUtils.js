@@ -0,0 +1,165 @@
+/**
+ * Utility functions for message edits (m.replace relations) and redactions
+ */
+import logger from './logger';
+
+export const REDACTED_MESSAGE_BODY = 'Message deleted';
+
+/**
+ * Check whether an event has been redacted
+ * @param {Object} event - Matrix event (MatrixEvent or raw JSON)
+ * @returns {boolean} - Whether the event was redacted
+ */
+export function isEventRedacted(event) {
+  if (!event) return false;
+  if (typeof event.isRedacted === 'function') return event.isRedacted();
+  return !!(event.unsigned?.redacted_because || event.event?.unsigned?.redacted_because);
+}
+
+/**
+ * Read an edit out of an m.replace event
+ * @param {Object} event - Matrix event
+ * @returns {Object|null} - { eventId, replaces, newContent, sender, timestamp } or null if not an edit
+ */
+export function getEditFromEvent(event) {
+  if (!event) return null;
+
+  try {
+    const type = typeof event.getType === 'function' ? event.getType() : event.type;
+    if (type !== 'm.room.message' || isEventRedacted(event)) return null;
+
+    // getOriginalContent skips the SDK's own replacement so we always read the edit itself
+    const content = typeof event.getOriginalContent === 'function'
+      ? event.getOriginalContent()
+      : (typeof event.getContent === 'function' ? event.getContent() : event.content);
+    const relation = content?.['m.relates_to'];
+    if (!relation || relation.rel_type !== 'm.replace' || !relation.event_id) return null;
+
+    return {
+      eventId: typeof event.getId === 'function' ? event.getId() : event.event_id,
+      replaces: relation.event_id,
+      newContent: content['m.new_content'] || { msgtype: 'm.text', body: (content.body || '').replace(/^\* /, '') },
+      sender: typeof event.getSender === 'function' ? event.getSender() : event.sender,
+      timestamp: (typeof event.getTs === 'function' ? event.getTs() : event.origin_server_ts) || Date.now()
+    };
+  } catch (error) {
+    logger.warn('[messageEditUtils] Error reading edit event:', error);
+    return null;
+  }
+}
+
+/**
+ * Check whether an event is an edit of another event
+ * @param {Object} event - Matrix event
+ * @returns {boolean} - Whether the event is an m.replace relation
+ */
+export function isEditEvent(event) {
+  return !!getEditFromEvent(event);
+}
+
+/**
+ * Apply an edit to a message, keeping the previous versions as history
+ * @param {Object} message - Message being edited
+ * @param {Object} edit - Edit from getEditFromEvent
+ * @returns {Object} - Edited message (same object if the edit doesn't apply)
+ */
+export function applyEdit(message, edit) {
+  if (!message || !edit || message.isRedacted) return message;
+
+  // Only the original sender may edit a message
+  if (edit.sender && message.sender && edit.sender !== message.sender) return message;
+
+  const history = message.editHistory || [];
+  if (history.some(entry => entry.eventId === edit.eventId)) return message;
+
+  // Edits can arrive out of order when paginating; keep the newest as the shown content
+  const currentTimestamp = message.editedAt || message.timestamp;
+  const isNewest = edit.timestamp >= currentTimestamp;
+
+  const originalEntry = history.length === 0
+    ? [{
+      eventId: message.id,
+      // The SDK may already have swapped in the edited content, so prefer the original event's
+      body: message.rawEvent?.getOriginalContent?.()?.body || message.content?.body || message.body || '',
+      timestamp: message.timestamp
+    }]
+    : [];
+  const editHistory = [
+    ...originalEntry,
+    ...history,
+    { eventId: edit.eventId, body: edit.newContent.body || '', timestamp: edit.timestamp }
+  ].sort((a, b) => a.timestamp - b.timestamp);
+
+  if (!isNewest) {
+    return { ...message, editHistory };
+  }
+
+  // An edit without formatting replaces the old formatted_body too
+  const baseContent = { ...message.content };
+  if (!edit.newContent.formatted_body) {
+    delete baseContent.format;
+    delete baseContent.formatted_body;
+  }
+
+  return {
+    ...message,
+    content: { ...baseContent, ...edit.newContent },
+    body: edit.newContent.body || '',
+    isEdited: true,
+    editedAt: edit.timestamp,
+    editHistory
+  };
+}
+
+/**
+ * Apply an edit to whichever message it replaces
+ * @param {Array} messages - Messages in the view
+ * @param {Object} edit - Edit from getEditFromEvent
+ * @returns {Array} - Updated messages (same array if nothing changed)
+ */
+export function applyEditToMessages(messages, edit) {
+  if (!edit) return messages;
+
+  let changed = false;
+  const updated = messages.map(message => {
+    if (message.id !== edit.replaces) return message;
+    const edited = applyEdit(message, edit);
+    if (edited !== message) changed = true;
+    return edited;
+  });
+
+  return changed ? updated : messages;
+}
+
+/**
+ * Turn a message into a "message deleted" placeholder
+ * @param {Object} message - Message that was redacted
+ * @returns {Object} - Placeholder message
+ */
+export function toRedactedMessage(message) {
+  return {
+    ...message,
+    content: { msgtype: 'm.text', body: REDACTED_MESSAGE_BODY },
+    body: REDACTED_MESSAGE_BODY,
+    isRedacted: true,
+    isEdited: false,
+    editHistory: undefined,
+    reactions: []
+  };
+}
+
+/**
+ * Mark a redacted message as deleted in place of its old content
+ * @param {Array} messages - Messages in the view
+ * @param {string} redactedEventId - ID of the redacted event
+ * @returns {Array} - Updated messages (same array if nothing changed)
+ */
+export function redactMessageInMessages(messages, redactedEventId) {
+  if (!redactedEventId || !messages.some(message => message.id === redactedEventId)) {
+    return messages;
+  }
+
+  return messages.map(message => (
+    message.id === redactedEventId && !message.isRedacted ? toRedactedMessage(message) : message
+  ));
+}
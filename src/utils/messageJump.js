@@ -0,0 +1,33 @@
+/**
+ * Helpers for scrolling a chat view to a specific message and flashing it,
+ * used when opening a search result.
+ */
+
+const HIGHLIGHT_CLASS = 'message-jump-highlight';
+const HIGHLIGHT_DURATION = 2000;
+
+/**
+ * Find the rendered element for a message
+ * @param {string|number} messageId - Message ID rendered as data-message-id
+ * @returns {HTMLElement|null} - The message element, if rendered
+ */
+export const findMessageElement = (messageId) => {
+  if (!messageId) return null;
+  const escapedId = window.CSS?.escape ? window.CSS.escape(String(messageId)) : String(messageId);
+  return document.querySelector(`[data-message-id="${escapedId}"]`);
+};
+
+/**
+ * Scroll a message element into view and briefly highlight it
+ * @param {HTMLElement} element - Message element
+ */
+export const highlightMessageElement = (element) => {
+  if (!element) return;
+
+  element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  element.classList.remove(HIGHLIGHT_CLASS);
+  // Force a reflow so jumping to the same message twice restarts the animation
+  void element.offsetWidth;
+  element.classList.add(HIGHLIGHT_CLASS);
+  setTimeout(() => element.classList.remove(HIGHLIGHT_CLASS), HIGHLIGHT_DURATION);
+};
@@ -0,0 +1,345 @@
+/**
+ * Message Search Index
+ *
+ * Client-side inverted index over cached messages from every platform.
+ * Documents are flattened message records persisted in the `search_documents`
+ * store of the matrix_cache IndexedDB so search keeps working across reloads,
+ * even though the per-room message cache is invalidated on every load.
+ */
+
+import logger from './logger';
+import cacheManager from './cacheManager';
+import matrixCacheManager from './matrixCacheManager';
+
+const DEFAULT_RESULT_LIMIT = 50;
+const SNIPPET_RADIUS = 60;
+// Platform of cached records that don't say which one they came from. Both message
+// caches are filled from Matrix, where every bridged room is a Telegram chat.
+const CACHE_PLATFORMS = { cache: 'telegram', matrixCache: 'telegram' };
+
+/**
+ * Split text into normalized search tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Lowercased tokens without diacritics
+ */
+export const tokenize = (text) => {
+  if (!text || typeof text !== 'string') return [];
+
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+};
+
+/**
+ * Pull a plain text body out of the different message shapes we cache
+ * @param {Object} message - Message from Matrix or WhatsApp
+ * @returns {string} - Message body
+ */
+const getMessageBody = (message) => {
+  if (!message) return '';
+  if (typeof message.content === 'string') return message.content;
+  if (message.content && typeof message.content.body === 'string') return message.content.body;
+  if (typeof message.body === 'string') return message.body;
+  return '';
+};
+
+/**
+ * Convert a timestamp (ms, seconds or ISO string) to milliseconds
+ * @param {number|string} value - Timestamp
+ * @returns {number} - Milliseconds since epoch, 0 if unknown
+ */
+const toMillis = (value) => {
+  if (!value) return 0;
+  if (typeof value === 'number') return value < 1e12 ? value * 1000 : value;
+  const parsed = new Date(value).getTime();
+  return Number.isNaN(parsed) ? 0 : parsed;
+};
+
+class MessageSearchIndex {
+  constructor() {
+    this.documents = new Map(); // Map of documentId -> search document
+    this.postings = new Map(); // Map of token -> Set of documentIds
+    this.initialized = false;
+    this.initPromise = null;
+  }
+
+  /**
+   * Load persisted documents and any messages still sitting in the caches
+   * @returns {Promise<boolean>} - Whether the index is ready
+   */
+  async initialize() {
+    if (this.initialized) return true;
+    if (this.initPromise) return this.initPromise;
+
+    this.initPromise = (async () => {
+      try {
+        const storedDocuments = await cacheManager.getSearchDocuments();
+        storedDocuments.forEach(document => this._addDocument(document));
+
+        const cachedMessages = await cacheManager.getAllMessages();
+        cachedMessages.forEach(message => {
+          const document = this._createDocument(message, {
+            platform: message.platform || CACHE_PLATFORMS.cache,
+            roomId: message.roomId
+          });
+          if (document) this._addDocument(document);
+        });
+
+        const matrixMessages = await matrixCacheManager.getAllMessages();
+        matrixMessages.forEach(message => {
+          const document = this._createDocument(message, {
+            platform: message.platform || CACHE_PLATFORMS.matrixCache,
+            roomId: message.roomId
+          });
+          if (document) this._addDocument(document);
+        });
+
+        this.initialized = true;
+        logger.info(`[MessageSearchIndex] Index ready with ${this.documents.size} messages`);
+        return true;
+      } catch (error) {
+        logger.error('[MessageSearchIndex] Error initializing search index:', error);
+        this.initialized = true;
+        return false;
+      } finally {
+        this.initPromise = null;
+      }
+    })();
+
+    return this.initPromise;
+  }
+
+  /**
+   * Add messages from one room to the index and persist them
+   * @param {Array} messages - Messages to index
+   * @param {Object} context - Where the messages came from
+   * @param {string} context.platform - 'telegram' or 'whatsapp'
+   * @param {string|number} context.roomId - Room or contact ID
+   * @param {string} context.roomName - Display name of the room or contact
+   * @returns {Promise<number>} - Number of indexed messages
+   */
+  async indexMessages(messages, context = {}) {
+    if (!Array.isArray(messages) || messages.length === 0) return 0;
+
+    try {
+      const documents = messages
+        .map(message => this._createDocument(message, context))
+        .filter(Boolean);
+
+      documents.forEach(document => this._addDocument(document));
+      await cacheManager.cacheSearchDocuments(documents);
+
+      return documents.length;
+    } catch (error) {
+      logger.warn('[MessageSearchIndex] Error indexing messages:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Remove messages from the index and from storage
+   * @param {Array<string>} documentIds - Document IDs, as returned in search results
+   * @returns {Promise<number>} - Number of removed messages
+   */
+  async removeDocuments(documentIds) {
+    if (!Array.isArray(documentIds) || documentIds.length === 0) return 0;
+
+    try {
+      documentIds.forEach(documentId => this._removeDocument(documentId));
+      await cacheManager.deleteSearchDocuments(documentIds);
+      return documentIds.length;
+    } catch (error) {
+      logger.warn('[MessageSearchIndex] Error removing messages:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Search indexed messages
+   * @param {string} query - Free text query; the last word matches as a prefix
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.platform - Only this platform
+   * @param {string|number} filters.roomId - Only this room or contact
+   * @param {string} filters.sender - Substring of the sender name or ID
+   * @param {number|string} filters.dateFrom - Earliest timestamp (inclusive)
+   * @param {number|string} filters.dateTo - Latest timestamp (inclusive)
+   * @param {number} filters.limit - Maximum number of results
+   * @returns {Array} - Matching documents, newest first, each with a snippet
+   */
+  search(query, filters = {}) {
+    const { platform, roomId, sender, dateFrom, dateTo, limit = DEFAULT_RESULT_LIMIT } = filters;
+    const tokens = tokenize(query);
+    const senderFilter = sender ? sender.toLowerCase() : null;
+    const from = dateFrom ? toMillis(dateFrom) : null;
+    const to = dateTo ? toMillis(dateTo) : null;
+
+    let candidateIds = null;
+    tokens.forEach((token, index) => {
+      const isLast = index === tokens.length - 1;
+      const matches = isLast ? this._prefixMatches(token) : (this.postings.get(token) || new Set());
+      candidateIds = candidateIds === null
+        ? new Set(matches)
+        : new Set([...candidateIds].filter(id => matches.has(id)));
+    });
+
+    // Filters alone (no text) browse the whole index
+    const candidates = candidateIds === null
+      ? [...this.documents.values()]
+      : [...candidateIds].map(id => this.documents.get(id)).filter(Boolean);
+
+    return candidates
+      .filter(document => {
+        if (platform && document.platform !== platform) return false;
+        if (roomId && String(document.roomId) !== String(roomId)) return false;
+        if (senderFilter && !`${document.senderName} ${document.sender}`.toLowerCase().includes(senderFilter)) return false;
+        if (from !== null && document.timestamp < from) return false;
+        if (to !== null && document.timestamp > to) return false;
+        return true;
+      })
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, limit)
+      .map(document => ({ ...document, snippet: this._createSnippet(document.body, tokens) }));
+  }
+
+  /**
+   * Contacts and senders present in the index, for building filter pickers
+   * @returns {Object} - { contacts: [{platform, roomId, roomName}], senders: [string] }
+   */
+  getFacets() {
+    const contacts = new Map();
+    const senders = new Set();
+
+    this.documents.forEach(document => {
+      const key = `${document.platform}:${document.roomId}`;
+      if (!contacts.has(key)) {
+        contacts.set(key, {
+          platform: document.platform,
+          roomId: document.roomId,
+          roomName: document.roomName || String(document.roomId)
+        });
+      }
+      if (document.senderName) senders.add(document.senderName);
+    });
+
+    return {
+      contacts: [...contacts.values()].sort((a, b) => a.roomName.localeCompare(b.roomName)),
+      senders: [...senders].sort((a, b) => a.localeCompare(b))
+    };
+  }
+
+  /**
+   * Create a serializable search document from a message
+   * @param {Object} message - Message object
+   * @param {Object} context - Platform/room context
+   * @returns {Object|null} - Search document or null if there is nothing to index
+   * @private
+   */
+  _createDocument(message, context = {}) {
+    const messageId = message?.id || message?.message_id;
+    const body = getMessageBody(message);
+    const roomId = context.roomId || message?.roomId || message?.contact_id;
+    if (!messageId || !body || !roomId) return null;
+
+    const platform = context.platform || message.platform || 'telegram';
+
+    return {
+      id: `${platform}:${roomId}:${messageId}`,
+      messageId: String(messageId),
+      platform,
+      roomId: String(roomId),
+      roomName: context.roomName || message.roomName || '',
+      sender: message.sender || message.sender_id || '',
+      senderName: message.senderName || message.sender_name || message.sender || message.sender_id || '',
+      body,
+      timestamp: toMillis(message.timestamp),
+      isFromMe: !!message.isFromMe,
+      imported: !!message.imported
+    };
+  }
+
+  /**
+   * Add a document to the in-memory index, replacing any previous version
+   * @param {Object} document - Search document
+   * @private
+   */
+  _addDocument(document) {
+    if (!document || !document.id) return;
+
+    if (this.documents.has(document.id)) {
+      this._removeDocument(document.id);
+    }
+
+    this.documents.set(document.id, document);
+    new Set(tokenize(document.body)).forEach(token => {
+      if (!this.postings.has(token)) {
+        this.postings.set(token, new Set());
+      }
+      this.postings.get(token).add(document.id);
+    });
+  }
+
+  /**
+   * Remove a document from the in-memory index
+   * @param {string} documentId - Document ID
+   * @private
+   */
+  _removeDocument(documentId) {
+    const existing = this.documents.get(documentId);
+    if (!existing) return;
+
+    tokenize(existing.body).forEach(token => {
+      const ids = this.postings.get(token);
+      if (!ids) return;
+      ids.delete(documentId);
+      if (ids.size === 0) this.postings.delete(token);
+    });
+    this.documents.delete(documentId);
+  }
+
+  /**
+   * Collect document IDs for every token starting with a prefix
+   * @param {string} prefix - Token prefix
+   * @returns {Set<string>} - Matching document IDs
+   * @private
+   */
+  _prefixMatches(prefix) {
+    const ids = new Set();
+    this.postings.forEach((documentIds, token) => {
+      if (token.startsWith(prefix)) {
+        documentIds.forEach(id => ids.add(id));
+      }
+    });
+    return ids;
+  }
+
+  /**
+   * Cut a short excerpt around the first matching token
+   * @param {string} body - Message body
+   * @param {Array<string>} tokens - Query tokens
+   * @returns {string} - Snippet
+   * @private
+   */
+  _createSnippet(body, tokens) {
+    if (!body || body.length <= SNIPPET_RADIUS * 2 || tokens.length === 0) return body;
+
+    const lowerBody = body.toLowerCase();
+    const position = tokens
+      .map(token => lowerBody.indexOf(token))
+      .filter(index => index >= 0)
+      .sort((a, b) => a - b)[0];
+
+    if (position === undefined) return `${body.slice(0, SNIPPET_RADIUS * 2)}…`;
+
+    const start = Math.max(0, position - SNIPPET_RADIUS);
+    const end = Math.min(body.length, position + SNIPPET_RADIUS);
+    return `${start > 0 ? '…' : ''}${body.slice(start, end)}${end < body.length ? '…' : ''}`;
+  }
+}
+
+// Create singleton instance
+const messageSearchIndex = new MessageSearchIndex();
+
+export default messageSearchIndex;
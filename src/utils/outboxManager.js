@@ -0,0 +1,324 @@
+/**
+ * Outbox Manager
+ *
+ * Durable queue of outgoing messages. Every message gets a transaction ID up
+ * front, shows as a local echo while it waits, survives reloads in the
+ * `outbox` store of the matrix_cache IndexedDB, and is retried with backoff
+ * until the server accepts it or the user deletes it. The transaction ID is
+ * reused for every attempt, so a retry after a lost response can't send twice.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import logger from './logger';
+import cacheManager from './cacheManager';
+import { messageService } from '../services/messageService';
+
+export const OUTBOX_CHANGED_EVENT = 'dailyfix-outbox-changed';
+export const OUTBOX_SENT_EVENT = 'dailyfix-outbox-sent';
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  FAILED: 'failed'
+};
+
+// Wait before each automatic retry; once these run out the message is marked failed
+const RETRY_DELAYS = [2000, 5000, 15000, 30000, 60000];
+
+// Allow for clock skew between us and the server when matching echoes
+const ECHO_CLOCK_SKEW = 5000;
+
+/**
+ * Hash a message body so a server echo can be matched to its outbox entry
+ * @param {Object|string} content - Message content
+ * @returns {string} - Content hash
+ */
+export const getContentHash = (content) => messageService._createContentHash(
+  typeof content === 'string' ? content : content?.body || ''
+);
+
+/**
+ * Turn an outbox entry into a message for the timeline
+ * @param {Object} entry - Outbox entry
+ * @param {string} myUserId - ID of the current user
+ * @returns {Object} - Local echo message
+ */
+const toLocalEcho = (entry, myUserId) => ({
+  id: entry.txnId,
+  txnId: entry.txnId,
+  sender: myUserId,
+  senderName: 'You',
+  content: entry.content,
+  body: entry.content?.body || '',
+  timestamp: entry.createdAt,
+  isFromMe: true,
+  eventType: 'm.room.message',
+  roomId: entry.roomId,
+  isOptimistic: true,
+  status: entry.status === OUTBOX_STATUS.FAILED ? 'failed' : 'sending',
+  sendError: entry.error
+});
+
+/**
+ * Add outbox local echoes to a room's messages. Entries whose server echo has
+ * already arrived are dropped (each echo accounts for one entry, matched by
+ * content hash), as are the Matrix SDK's own local echoes of outbox messages.
+ * @param {Array} messages - Messages from the server
+ * @param {Array} entries - Outbox entries for the room
+ * @param {string} myUserId - ID of the current user
+ * @returns {Array} - Messages with local echoes, oldest first
+ */
+export const mergeOutboxMessages = (messages, entries, myUserId) => {
+  if (!entries || entries.length === 0) return messages;
+
+  const txnIds = new Set(entries.map(entry => entry.txnId));
+  const serverMessages = messages.filter(message => !txnIds.has(message.rawEvent?.getTxnId?.()));
+
+  const unmatchedEchoes = serverMessages.filter(message => message.isFromMe && message.id?.startsWith('$'));
+  const localEchoes = entries
+    .filter(entry => {
+      const echoIndex = unmatchedEchoes.findIndex(message =>
+        message.timestamp >= entry.createdAt - ECHO_CLOCK_SKEW &&
+        getContentHash(message.content) === entry.contentHash
+      );
+      if (echoIndex === -1) return true;
+      unmatchedEchoes.splice(echoIndex, 1);
+      return false;
+    })
+    .map(entry => toLocalEcho(entry, myUserId));
+
+  return [...serverMessages, ...localEchoes].sort((a, b) => a.timestamp - b.timestamp);
+};
+
+class OutboxManager {
+  constructor() {
+    this.entries = new Map(); // Map of txnId -> outbox entry
+    this.senders = new Map(); // Map of platform -> send function
+    this.retryTimers = new Map(); // Map of txnId -> retry timeout
+    this.initialized = false;
+    this.initPromise = null;
+  }
+
+  /**
+   * Load messages left in the outbox by a previous session
+   * @returns {Promise<boolean>} - Whether the outbox was loaded
+   */
+  async initialize() {
+    if (this.initialized) return true;
+    if (this.initPromise) return this.initPromise;
+
+    this.initPromise = (async () => {
+      try {
+        const storedEntries = await cacheManager.getOutboxEntries();
+        storedEntries.forEach(entry => {
+          // A send interrupted by the reload is simply pending again
+          const status = entry.status === OUTBOX_STATUS.SENDING ? OUTBOX_STATUS.PENDING : entry.status;
+          this.entries.set(entry.txnId, { ...entry, status });
+        });
+
+        window.addEventListener('online', () => this.processQueue());
+
+        this.initialized = true;
+        logger.info(`[OutboxManager] Loaded ${storedEntries.length} queued messages`);
+        this._notify();
+        this.processQueue();
+        return true;
+      } catch (error) {
+        logger.error('[OutboxManager] Error loading outbox:', error);
+        this.initialized = true;
+        return false;
+      } finally {
+        this.initPromise = null;
+      }
+    })();
+
+    return this.initPromise;
+  }
+
+  /**
+   * Set the function that delivers a platform's messages
+   * @param {string} platform - 'telegram' or 'whatsapp'
+   * @param {Function} sender - async (entry) => eventId
+   */
+  registerSender(platform, sender) {
+    this.senders.set(platform, sender);
+    this.initialize().then(() => this.processQueue());
+  }
+
+  /**
+   * Remove a platform's sender, e.g. when its client goes away
+   * @param {string} platform - 'telegram' or 'whatsapp'
+   * @param {Function} sender - Sender that was registered
+   */
+  unregisterSender(platform, sender) {
+    if (this.senders.get(platform) === sender) {
+      this.senders.delete(platform);
+    }
+  }
+
+  /**
+   * Queue a message and start sending it
+   * @param {string} platform - 'telegram' or 'whatsapp'
+   * @param {string|number} roomId - Room or contact ID
+   * @param {Object} content - Message content
+   * @returns {Promise<Object>} - The outbox entry
+   */
+  async enqueue(platform, roomId, content) {
+    await this.initialize();
+
+    const entry = {
+      txnId: `dfx_${uuidv4()}`,
+      platform,
+      roomId: String(roomId),
+      content,
+      contentHash: getContentHash(content),
+      createdAt: Date.now(),
+      attempts: 0,
+      status: OUTBOX_STATUS.PENDING,
+      error: null
+    };
+
+    this.entries.set(entry.txnId, entry);
+    await cacheManager.saveOutboxEntry(entry);
+    this._notify();
+
+    this._send(entry.txnId);
+    return entry;
+  }
+
+  /**
+   * Check whether a transaction ID belongs to a queued message
+   * @param {string} txnId - Transaction ID
+   * @returns {boolean} - Whether the message is still in the outbox
+   */
+  has(txnId) {
+    return !!txnId && this.entries.has(txnId);
+  }
+
+  /**
+   * Get the queued messages for a room, oldest first
+   * @param {string} platform - 'telegram' or 'whatsapp'
+   * @param {string|number} roomId - Room or contact ID
+   * @returns {Array} - Outbox entries
+   */
+  getEntries(platform, roomId) {
+    return Array.from(this.entries.values())
+      .filter(entry => entry.platform === platform && entry.roomId === String(roomId))
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Try a failed message again, with a fresh set of retries
+   * @param {string} txnId - Transaction ID
+   */
+  retry(txnId) {
+    if (!this.entries.has(txnId)) return;
+
+    this._update(txnId, { status: OUTBOX_STATUS.PENDING, attempts: 0, error: null });
+    this._send(txnId);
+  }
+
+  /**
+   * Give up on a message and remove it from the outbox
+   * @param {string} txnId - Transaction ID
+   */
+  discard(txnId) {
+    clearTimeout(this.retryTimers.get(txnId));
+    this.retryTimers.delete(txnId);
+
+    if (this.entries.delete(txnId)) {
+      cacheManager.deleteOutboxEntry(txnId);
+      this._notify();
+    }
+  }
+
+  /**
+   * Send every pending message that isn't already waiting on a retry
+   */
+  processQueue() {
+    this.entries.forEach(entry => {
+      if (entry.status === OUTBOX_STATUS.PENDING && !this.retryTimers.has(entry.txnId)) {
+        this._send(entry.txnId);
+      }
+    });
+  }
+
+  /**
+   * Make one delivery attempt, scheduling a retry or marking the message failed if it doesn't go through
+   * @param {string} txnId - Transaction ID
+   * @private
+   */
+  async _send(txnId) {
+    const entry = this.entries.get(txnId);
+    const sender = entry && this.senders.get(entry.platform);
+
+    // Without a sender or a connection, the entry waits for registerSender or the 'online' event
+    if (!entry || !sender || entry.status !== OUTBOX_STATUS.PENDING || !navigator.onLine) return;
+
+    clearTimeout(this.retryTimers.get(txnId));
+    this.retryTimers.delete(txnId);
+    this._update(txnId, { status: OUTBOX_STATUS.SENDING, attempts: entry.attempts + 1 });
+
+    try {
+      const eventId = await sender(this.entries.get(txnId));
+
+      // Deleted while the request was in flight
+      if (!this.entries.has(txnId)) return;
+
+      this.entries.delete(txnId);
+      cacheManager.deleteOutboxEntry(txnId);
+      logger.info(`[OutboxManager] Sent ${txnId} as ${eventId}`);
+      this._notify();
+      window.dispatchEvent(new CustomEvent(OUTBOX_SENT_EVENT, { detail: { entry, eventId } }));
+    } catch (error) {
+      const current = this.entries.get(txnId);
+      if (!current) return;
+
+      // Going offline doesn't use up a retry; the 'online' event picks the message up again
+      if (!navigator.onLine) {
+        this._update(txnId, { status: OUTBOX_STATUS.PENDING, attempts: current.attempts - 1, error: null });
+        return;
+      }
+
+      const delay = RETRY_DELAYS[current.attempts - 1];
+      if (delay === undefined) {
+        logger.error(`[OutboxManager] Giving up on ${txnId} after ${current.attempts} attempts:`, error);
+        this._update(txnId, { status: OUTBOX_STATUS.FAILED, error: error.message || 'Failed to send' });
+        return;
+      }
+
+      logger.warn(`[OutboxManager] Send of ${txnId} failed, retrying in ${delay}ms:`, error);
+      this._update(txnId, { status: OUTBOX_STATUS.PENDING, error: error.message || 'Failed to send' });
+      this.retryTimers.set(txnId, setTimeout(() => {
+        this.retryTimers.delete(txnId);
+        this._send(txnId);
+      }, delay));
+    }
+  }
+
+  /**
+   * Update an entry, persist it and let the views know
+   * @param {string} txnId - Transaction ID
+   * @param {Object} changes - Fields to update
+   * @private
+   */
+  _update(txnId, changes) {
+    const entry = { ...this.entries.get(txnId), ...changes };
+    this.entries.set(txnId, entry);
+    cacheManager.saveOutboxEntry(entry);
+    this._notify();
+  }
+
+  /**
+   * Tell listening views the outbox changed
+   * @private
+   */
+  _notify() {
+    window.dispatchEvent(new CustomEvent(OUTBOX_CHANGED_EVENT));
+  }
+}
+
+// Create a singleton instance
+const outboxManager = new OutboxManager();
+
+export default outboxManager;
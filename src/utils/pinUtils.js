@@ -0,0 +1,92 @@
+/**
+ * Utility functions for pinned messages: m.room.pinned_events for Matrix rooms,
+ * and a localStorage equivalent for WhatsApp contacts
+ */
+import logger from './logger';
+import { PINNED_MESSAGES_KEY } from '../constants';
+
+export const PINNED_EVENTS_TYPE = 'm.room.pinned_events';
+
+const MEDIA_PREVIEWS = {
+  'm.image': '📷 Photo',
+  'm.video': '🎥 Video',
+  'm.audio': '🔊 Audio',
+  'm.file': '📎 File',
+  'm.sticker': '🏷️ Sticker'
+};
+
+/**
+ * Get the pinned event IDs of a Matrix room
+ * @param {Object} room - Matrix room
+ * @returns {Array<string>} - Pinned event IDs, oldest pin first
+ */
+export const getPinnedEventIds = (room) => {
+  if (!room) return [];
+
+  const pinned = room.currentState.getStateEvents(PINNED_EVENTS_TYPE, '')?.getContent()?.pinned;
+  return Array.isArray(pinned) ? pinned.filter(eventId => typeof eventId === 'string') : [];
+};
+
+/**
+ * Get a one-line preview of message content for the pinned banner
+ * @param {Object|string} content - Message content
+ * @returns {string} - Preview text
+ */
+export const getPinPreview = (content) => {
+  if (!content) return 'Message';
+  if (typeof content === 'string') {
+    // WhatsApp messages sometimes arrive as serialised JSON content
+    if (!content.startsWith('{')) return content;
+    try {
+      return getPinPreview(JSON.parse(content));
+    } catch {
+      return content;
+    }
+  }
+
+  return MEDIA_PREVIEWS[content.msgtype] || content.body || 'Message';
+};
+
+const readLocalPins = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PINNED_MESSAGES_KEY)) || {};
+  } catch (error) {
+    logger.warn('[PinUtils] Error reading pinned messages:', error);
+    return {};
+  }
+};
+
+/**
+ * Get the locally pinned messages of a WhatsApp contact
+ * @param {string|number} contactId - Contact ID
+ * @returns {Array} - Pins ({ id, body, senderName, timestamp }), oldest pin first
+ */
+export const getLocalPins = (contactId) => readLocalPins()[contactId] || [];
+
+/**
+ * Pin or unpin a WhatsApp message locally
+ * @param {string|number} contactId - Contact ID
+ * @param {Object} pin - Pin to toggle ({ id, body, senderName, timestamp })
+ * @returns {Array} - The contact's pins after the change
+ */
+export const toggleLocalPin = (contactId, pin) => {
+  const allPins = readLocalPins();
+  const pins = allPins[contactId] || [];
+  const nextPins = pins.some(existing => existing.id === pin.id)
+    ? pins.filter(existing => existing.id !== pin.id)
+    : [...pins, pin];
+
+  if (nextPins.length > 0) {
+    allPins[contactId] = nextPins;
+  } else {
+    delete allPins[contactId];
+  }
+
+  try {
+    localStorage.setItem(PINNED_MESSAGES_KEY, JSON.stringify(allPins));
+  } catch (error) {
+    logger.error('[PinUtils] Error saving pinned messages:', error);
+  }
+
+  return nextPins;
+};
@@ -0,0 +1,69 @@
+/**
+ * Platform adapters
+ *
+ * Registry of per-platform adapters used by UnifiedInbox. Every adapter exposes
+ * the same surface so the inbox never has to know which backend a conversation
+ * comes from:
+ *
+ * - useConversations(): hook returning normalized conversations for the platform
+ * - normalizeContact(raw): raw contact/room -> normalized conversation
+ * - normalizeMessage(raw): raw message -> normalized message
+ * - ChatList: renders a list of normalized conversations
+ * - MessageViewer: loads and renders the messages of one conversation
+ *
+ * The normalized shapes are described in conversationNormalizers.
+ */
+
+import {
+  normalizeTelegramContact,
+  normalizeTelegramMessage,
+  normalizeWhatsAppContact,
+  normalizeWhatsAppMessage
+} from './conversationNormalizers';
+import useTelegramConversations from '../hooks/useTelegramConversations';
+import useWhatsAppConversations from '../hooks/useWhatsAppConversations';
+import { ChatList, TelegramMessageViewer, WhatsAppMessageViewer } from '../components/PlatformAdapter';
+
+export { interleaveConversations } from './conversationNormalizers';
+
+// How UnifiedInbox lays out conversations from several platforms
+export const INBOX_MODES = {
+  MERGED: 'merged',
+  BY_PLATFORM: 'by_platform'
+};
+
+const adapters = {
+  telegram: {
+    platform: 'telegram',
+    label: 'Telegram',
+    useConversations: useTelegramConversations,
+    normalizeContact: normalizeTelegramContact,
+    normalizeMessage: normalizeTelegramMessage,
+    ChatList,
+    MessageViewer: TelegramMessageViewer
+  },
+  whatsapp: {
+    platform: 'whatsapp',
+    label: 'WhatsApp',
+    useConversations: useWhatsAppConversations,
+    normalizeContact: normalizeWhatsAppContact,
+    normalizeMessage: normalizeWhatsAppMessage,
+    ChatList,
+    MessageViewer: WhatsAppMessageViewer
+  }
+};
+
+/**
+ * Get the adapter for a platform
+ * @param {string} platform - Platform identifier ('telegram' | 'whatsapp')
+ * @returns {Object|null} Adapter or null if the platform is not supported
+ */
+export const getPlatformAdapter = (platform) => adapters[platform] || null;
+
+/**
+ * List the platforms that have an adapter
+ * @returns {Array<string>} Supported platform identifiers
+ */
+export const getSupportedPlatforms = () => Object.keys(adapters);
+
+export default adapters;
@@ -0,0 +1,320 @@
+/**
+ * Utility functions for polls (MSC3381: poll start, response and end events).
+ * Both the stable m.poll.* types and the unstable org.matrix.msc3381.* ones
+ * the Telegram bridge sends are understood; new events use the unstable types,
+ * which is what bridges and most clients handle today.
+ */
+import logger from './logger';
+import { isEventRedacted } from './messageEditUtils';
+
+export const POLL_START_TYPE = 'org.matrix.msc3381.poll.start';
+export const POLL_RESPONSE_TYPE = 'org.matrix.msc3381.poll.response';
+export const POLL_END_TYPE = 'org.matrix.msc3381.poll.end';
+
+export const POLL_START_TYPES = [POLL_START_TYPE, 'm.poll.start'];
+export const POLL_RESPONSE_TYPES = [POLL_RESPONSE_TYPE, 'm.poll.response'];
+export const POLL_END_TYPES = [POLL_END_TYPE, 'm.poll.end'];
+
+export const POLL_KIND = {
+  DISCLOSED: 'disclosed',
+  UNDISCLOSED: 'undisclosed'
+};
+
+export const MAX_POLL_ANSWERS = 20;
+
+const TEXT_KEY = 'org.matrix.msc1767.text';
+
+const getEventType = (event) => (typeof event.getType === 'function' ? event.getType() : event.type);
+const getEventContent = (event) => (typeof event.getContent === 'function' ? event.getContent() : event.content);
+const getEventSender = (event) => (typeof event.getSender === 'function' ? event.getSender() : event.sender);
+const getEventTs = (event) => (typeof event.getTs === 'function' ? event.getTs() : event.origin_server_ts) || Date.now();
+
+/**
+ * Read the text of an extensible-events text block, in any of its shapes
+ * @param {Object} block - Question or answer
+ * @returns {string} - Plain text
+ */
+const getText = (block) => {
+  if (!block) return '';
+  if (typeof block[TEXT_KEY] === 'string') return block[TEXT_KEY];
+  if (Array.isArray(block['m.text'])) {
+    return block['m.text'].find(item => !item.mimetype || item.mimetype === 'text/plain')?.body || '';
+  }
+  if (typeof block['m.text'] === 'string') return block['m.text'];
+  return typeof block.body === 'string' ? block.body : '';
+};
+
+/**
+ * Get the ID of the poll an event refers to
+ * @param {Object} content - Event content
+ * @returns {string|null} - Poll start event ID
+ */
+const getReferencedPollId = (content) => {
+  const relation = content?.['m.relates_to'];
+  return relation?.rel_type === 'm.reference' && relation.event_id ? relation.event_id : null;
+};
+
+/**
+ * Check whether an event type starts a poll
+ * @param {string} eventType - Matrix event type
+ * @returns {boolean} - Whether it's a poll start
+ */
+export function isPollStartType(eventType) {
+  return POLL_START_TYPES.includes(eventType);
+}
+
+/**
+ * Read the question and answers out of a poll start event's content
+ * @param {Object} content - Poll start content
+ * @returns {Object|null} - { question, answers: [{ id, text }], kind, maxSelections, responses, endedAt, endedBy } or null if malformed
+ */
+export function parsePollStart(content) {
+  const poll = content?.[POLL_START_TYPE] || content?.['m.poll'];
+  if (!poll || !Array.isArray(poll.answers)) return null;
+
+  const answers = poll.answers
+    .map(answer => ({ id: answer.id || answer['m.id'], text: getText(answer) }))
+    .filter(answer => answer.id && answer.text)
+    .slice(0, MAX_POLL_ANSWERS);
+  if (answers.length === 0) return null;
+
+  const kind = typeof poll.kind === 'string' && poll.kind.endsWith('undisclosed')
+    ? POLL_KIND.UNDISCLOSED
+    : POLL_KIND.DISCLOSED;
+
+  return {
+    question: getText(poll.question) || 'Poll',
+    answers,
+    kind,
+    maxSelections: Math.min(Math.max(Number(poll.max_selections) || 1, 1), answers.length),
+    responses: {},
+    endedAt: null,
+    endedBy: null
+  };
+}
+
+/**
+ * Read a vote out of a poll response event
+ * @param {Object} event - Matrix event (MatrixEvent or raw JSON)
+ * @returns {Object|null} - { eventId, pollId, sender, answers, timestamp } or null if not a live response
+ */
+export function getPollResponseFromEvent(event) {
+  if (!event) return null;
+
+  try {
+    if (!POLL_RESPONSE_TYPES.includes(getEventType(event)) || isEventRedacted(event)) return null;
+
+    const content = getEventContent(event);
+    const pollId = getReferencedPollId(content);
+    if (!pollId) return null;
+
+    const selections = content[POLL_RESPONSE_TYPE]?.answers ?? content['m.selections'];
+    return {
+      eventId: typeof event.getId === 'function' ? event.getId() : event.event_id,
+      pollId,
+      sender: getEventSender(event),
+      // Anything that isn't a list of answer IDs is a spoiled vote, which still replaces an earlier one
+      answers: Array.isArray(selections) ? selections.filter(id => typeof id === 'string') : [],
+      timestamp: getEventTs(event)
+    };
+  } catch (error) {
+    logger.warn('[pollUtils] Error reading poll response:', error);
+    return null;
+  }
+}
+
+/**
+ * Read a poll end event
+ * @param {Object} event - Matrix event
+ * @returns {Object|null} - { pollId, sender, timestamp } or null if not a poll end
+ */
+export function getPollEndFromEvent(event) {
+  if (!event) return null;
+
+  try {
+    if (!POLL_END_TYPES.includes(getEventType(event)) || isEventRedacted(event)) return null;
+
+    const pollId = getReferencedPollId(getEventContent(event));
+    return pollId ? { pollId, sender: getEventSender(event), timestamp: getEventTs(event) } : null;
+  } catch (error) {
+    logger.warn('[pollUtils] Error reading poll end:', error);
+    return null;
+  }
+}
+
+/**
+ * Record a vote on a poll. Each user's latest vote replaces their earlier
+ * ones, and votes cast after the poll ended don't count.
+ * @param {Object} poll - Poll from parsePollStart
+ * @param {Object} response - Response from getPollResponseFromEvent
+ * @returns {Object} - Updated poll (same object if the vote doesn't count)
+ */
+export function addPollResponse(poll, response) {
+  if (!poll || !response?.sender) return poll;
+  if (poll.endedAt && response.timestamp > poll.endedAt) return poll;
+
+  const previous = poll.responses[response.sender];
+  if (previous && previous.timestamp > response.timestamp) return poll;
+
+  return {
+    ...poll,
+    responses: {
+      ...poll.responses,
+      [response.sender]: { answers: response.answers, timestamp: response.timestamp, eventId: response.eventId }
+    }
+  };
+}
+
+/**
+ * Close a poll. Only the poll's creator, or someone allowed to redact their
+ * messages, can end it; the earliest valid end counts.
+ * @param {Object} message - Poll message ({ sender, poll, rawEvent })
+ * @param {Object} end - End from getPollEndFromEvent
+ * @param {Object} room - Matrix room, for the redaction power check
+ * @returns {Object} - Updated poll (same object if the end doesn't count)
+ */
+export function endPoll(message, end, room) {
+  const { poll } = message;
+  if (!poll || !end) return poll;
+  if (poll.endedAt && poll.endedAt <= end.timestamp) return poll;
+
+  const mayEnd = end.sender === message.sender ||
+    (message.rawEvent && room?.currentState?.maySendRedactionForEvent?.(message.rawEvent, end.sender));
+  if (!mayEnd) return poll;
+
+  // Votes cast after the end no longer count
+  const responses = Object.fromEntries(
+    Object.entries(poll.responses).filter(([, response]) => response.timestamp <= end.timestamp)
+  );
+  return { ...poll, responses, endedAt: end.timestamp, endedBy: end.sender };
+}
+
+/**
+ * Add a vote to the poll it belongs to
+ * @param {Array} messages - Messages in the view
+ * @param {Object} response - Response from getPollResponseFromEvent
+ * @returns {Array} - Updated messages (same array if nothing changed)
+ */
+export function addPollResponseToMessages(messages, response) {
+  if (!response) return messages;
+
+  let changed = false;
+  const updated = messages.map(message => {
+    if (message.id !== response.pollId || !message.poll) return message;
+
+    const poll = addPollResponse(message.poll, response);
+    if (poll === message.poll) return message;
+
+    changed = true;
+    return { ...message, poll };
+  });
+
+  return changed ? updated : messages;
+}
+
+/**
+ * Close the poll a poll end refers to
+ * @param {Array} messages - Messages in the view
+ * @param {Object} end - End from getPollEndFromEvent
+ * @param {Object} room - Matrix room
+ * @returns {Array} - Updated messages (same array if nothing changed)
+ */
+export function endPollInMessages(messages, end, room) {
+  if (!end) return messages;
+
+  let changed = false;
+  const updated = messages.map(message => {
+    if (message.id !== end.pollId || !message.poll) return message;
+
+    const poll = endPoll(message, end, room);
+    if (poll === message.poll) return message;
+
+    changed = true;
+    return { ...message, poll };
+  });
+
+  return changed ? updated : messages;
+}
+
+/**
+ * Count the votes on a poll
+ * @param {Object} poll - Poll with its responses
+ * @param {string} currentUserId - Matrix ID of the current user
+ * @returns {Object} - { counts: { answerId: n }, totalVotes, myAnswers, winningIds }
+ */
+export function getPollResults(poll, currentUserId) {
+  const answerIds = new Set(poll.answers.map(answer => answer.id));
+  const counts = Object.fromEntries(poll.answers.map(answer => [answer.id, 0]));
+  let totalVotes = 0;
+
+  Object.values(poll.responses).forEach(response => {
+    // Votes naming an unknown answer are spoiled; extra selections are dropped
+    const answers = response.answers.slice(0, poll.maxSelections);
+    if (answers.length === 0 || answers.some(id => !answerIds.has(id))) return;
+
+    totalVotes++;
+    answers.forEach(id => {
+      counts[id]++;
+    });
+  });
+
+  const myAnswers = poll.responses[currentUserId]?.answers.filter(id => answerIds.has(id)) || [];
+  const topCount = Math.max(...Object.values(counts));
+  const winningIds = topCount > 0 ? Object.keys(counts).filter(id => counts[id] === topCount) : [];
+
+  return { counts, totalVotes, myAnswers, winningIds };
+}
+
+/**
+ * Build the content of a poll start event
+ * @param {string} question - Poll question
+ * @param {Array<string>} answers - Answer texts
+ * @param {Object} options - Poll options
+ * @param {string} options.kind - POLL_KIND.DISCLOSED shows results while voting, UNDISCLOSED only once ended
+ * @param {number} options.maxSelections - How many answers each voter may pick
+ * @returns {Object} - Event content
+ */
+export function buildPollStartContent(question, answers, { kind = POLL_KIND.DISCLOSED, maxSelections = 1 } = {}) {
+  const pollAnswers = answers.map((text, index) => ({ id: `answer-${index + 1}`, [TEXT_KEY]: text }));
+  // Clients without poll support show this instead
+  const fallback = `${question}\n${answers.map((text, index) => `${index + 1}. ${text}`).join('\n')}`;
+
+  return {
+    [POLL_START_TYPE]: {
+      kind: `org.matrix.msc3381.poll.${kind}`,
+      max_selections: maxSelections,
+      question: { [TEXT_KEY]: question },
+      answers: pollAnswers
+    },
+    [TEXT_KEY]: fallback,
+    body: fallback
+  };
+}
+
+/**
+ * Build the content of a vote
+ * @param {string} pollId - Poll start event ID
+ * @param {Array<string>} answerIds - Chosen answer IDs
+ * @returns {Object} - Event content
+ */
+export function buildPollResponseContent(pollId, answerIds) {
+  return {
+    'm.relates_to': { rel_type: 'm.reference', event_id: pollId },
+    [POLL_RESPONSE_TYPE]: { answers: answerIds }
+  };
+}
+
+/**
+ * Build the content of a poll end event
+ * @param {string} pollId - Poll start event ID
+ * @param {string} fallback - Text for clients without poll support
+ * @returns {Object} - Event content
+ */
+export function buildPollEndContent(pollId, fallback = 'The poll has ended') {
+  return {
+    'm.relates_to': { rel_type: 'm.reference', event_id: pollId },
+    [POLL_END_TYPE]: {},
+    [TEXT_KEY]: fallback,
+    body: fallback
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * Utility functions for handling message reactions (m.reaction annotations)
+ */
+import logger from './logger';
+
+/**
+ * Read a reaction out of an m.reaction event
+ * @param {Object} event - Matrix event (MatrixEvent or raw JSON)
+ * @returns {Object|null} - { eventId, relatesTo, key, sender, timestamp } or null if not a live reaction
+ */
+export function getReactionFromEvent(event) {
+  if (!event) return null;
+
+  try {
+    const type = typeof event.getType === 'function' ? event.getType() : event.type;
+    if (type !== 'm.reaction') return null;
+
+    // Redacted reactions have been toggled off
+    if (typeof event.isRedacted === 'function' && event.isRedacted()) return null;
+
+    const content = typeof event.getContent === 'function' ? event.getContent() : event.content;
+    const relation = content?.['m.relates_to'];
+    if (!relation || relation.rel_type !== 'm.annotation' || !relation.event_id || !relation.key) {
+      return null;
+    }
+
+    return {
+      eventId: typeof event.getId === 'function' ? event.getId() : event.event_id,
+      relatesTo: relation.event_id,
+      key: relation.key,
+      sender: typeof event.getSender === 'function' ? event.getSender() : event.sender,
+      timestamp: (typeof event.getTs === 'function' ? event.getTs() : event.origin_server_ts) || Date.now()
+    };
+  } catch (error) {
+    logger.warn('[reactionUtils] Error reading reaction event:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the ID of the event a redaction removes
+ * @param {Object} event - Matrix event
+ * @returns {string|null} - Redacted event ID, if this is a redaction
+ */
+export function getRedactedEventId(event) {
+  if (!event) return null;
+
+  const type = typeof event.getType === 'function' ? event.getType() : event.type;
+  if (type !== 'm.room.redaction') return null;
+
+  if (typeof event.getAssociatedId === 'function' && event.getAssociatedId()) {
+    return event.getAssociatedId();
+  }
+  const content = typeof event.getContent === 'function' ? event.getContent() : event.content;
+  return event.event?.redacts || event.redacts || content?.redacts || null;
+}
+
+/**
+ * Add a reaction to the message it annotates
+ * @param {Array} messages - Messages in the view
+ * @param {Object} reaction - Reaction from getReactionFromEvent
+ * @returns {Array} - Updated messages (same array if nothing changed)
+ */
+export function addReactionToMessages(messages, reaction) {
+  if (!reaction) return messages;
+
+  let changed = false;
+  const updated = messages.map(message => {
+    if (message.id !== reaction.relatesTo) return message;
+
+    const reactions = message.reactions || [];
+    const existing = reactions.find(r => r.key === reaction.key && r.sender === reaction.sender);
+    if (existing) {
+      // Fill in the event ID of our own optimistic reaction once the server has one
+      if (!existing.eventId && reaction.eventId && !reaction.eventId.startsWith('~')) {
+        changed = true;
+        return {
+          ...message,
+          reactions: reactions.map(r => (r === existing ? { ...r, eventId: reaction.eventId } : r))
+        };
+      }
+      return message;
+    }
+
+    changed = true;
+    return { ...message, reactions: [...reactions, reaction] };
+  });
+
+  return changed ? updated : messages;
+}
+
+/**
+ * Remove a reaction from whichever message carries it
+ * @param {Array} messages - Messages in the view
+ * @param {Function} predicate - Called with (reaction, message); true removes the reaction
+ * @returns {Array} - Updated messages (same array if nothing changed)
+ */
+export function removeReactionFromMessages(messages, predicate) {
+  let changed = false;
+  const updated = messages.map(message => {
+    if (!message.reactions || message.reactions.length === 0) return message;
+
+    const reactions = message.reactions.filter(r => !predicate(r, message));
+    if (reactions.length === message.reactions.length) return message;
+
+    changed = true;
+    return { ...message, reactions };
+  });
+
+  return changed ? updated : messages;
+}
+
+/**
+ * Group a message's reactions by emoji for display
+ * @param {Array} reactions - Reactions on a message
+ * @param {string} currentUserId - Matrix ID of the current user
+ * @returns {Array} - [{ key, count, senders, ownReaction }] in first-reacted order
+ */
+export function aggregateReactions(reactions, currentUserId) {
+  if (!reactions || reactions.length === 0) return [];
+
+  const groups = new Map();
+  [...reactions]
+    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+    .forEach(reaction => {
+      if (!groups.has(reaction.key)) {
+        groups.set(reaction.key, { key: reaction.key, count: 0, senders: [], ownReaction: null });
+      }
+      const group = groups.get(reaction.key);
+      group.count += 1;
+      group.senders.push(reaction.sender);
+      if (reaction.sender === currentUserId) {
+        group.ownReaction = reaction;
+      }
+    });
+
+  return [...groups.values()];
+}
@@ -0,0 +1,74 @@
+/**
+ * Utility functions for typing notifications and read receipts in Matrix rooms
+ */
+import logger from './logger';
+
+export const MESSAGE_STATUS = {
+  SENDING: 'sending',
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  READ: 'read',
+  FAILED: 'failed'
+};
+
+/**
+ * Check whether a user is a bridge bot (e.g. @telegrambot:server) rather than a bridged contact
+ * @param {string} userId - Matrix user ID
+ * @returns {boolean} - Whether the user is a bridge bot
+ */
+export const isBridgeBot = (userId) => /^@[^:]*bot:/i.test(userId || '');
+
+/**
+ * Work out the sent/delivered/read state of one of our messages from room receipts.
+ * The bridge bot sends a receipt once the message reached Telegram (delivery receipts),
+ * and the contact's puppet user sends one when they read it.
+ * @param {Object} room - Matrix room
+ * @param {Object} message - Message from the chat view
+ * @param {string} myUserId - Matrix ID of the current user
+ * @returns {string} - One of MESSAGE_STATUS
+ */
+export const getReceiptStatus = (room, message, myUserId) => {
+  if (!message) return MESSAGE_STATUS.SENT;
+  if (message.status === 'failed' || message.error) return MESSAGE_STATUS.FAILED;
+  if (message.isOptimistic || !message.id || !message.id.startsWith('$')) return MESSAGE_STATUS.SENDING;
+  if (!room) return MESSAGE_STATUS.SENT;
+
+  try {
+    const event = room.findEventById(message.id);
+    if (!event) return MESSAGE_STATUS.SENT;
+
+    const readers = room.getUsersReadUpTo(event).filter(userId => userId !== myUserId);
+    if (readers.some(userId => !isBridgeBot(userId))) return MESSAGE_STATUS.READ;
+    if (readers.length > 0) return MESSAGE_STATUS.DELIVERED;
+  } catch (error) {
+    logger.warn('[receiptUtils] Error reading receipts:', error);
+  }
+
+  return MESSAGE_STATUS.SENT;
+};
+
+/**
+ * Get the members currently typing in a room, excluding ourselves and bridge bots
+ * @param {Object} room - Matrix room
+ * @param {string} myUserId - Matrix ID of the current user
+ * @returns {Array} - [{ userId, name }]
+ */
+export const getTypingMembers = (room, myUserId) => {
+  if (!room) return [];
+
+  return room.getMembers()
+    .filter(member => member.typing && member.userId !== myUserId && !isBridgeBot(member.userId))
+    .map(member => ({ userId: member.userId, name: member.name || member.userId }));
+};
+
+/**
+ * Describe who is typing, e.g. "Alice is typing…"
+ * @param {Array<string>} names - Display names of typing users
+ * @returns {string} - Typing label, empty if nobody is typing
+ */
+export const formatTypingLabel = (names) => {
+  if (!names || names.length === 0) return '';
+  if (names.length === 1) return `${names[0]} is typing…`;
+  if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`;
+  return 'Several people are typing…';
+};
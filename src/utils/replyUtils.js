@@ -19,6 +19,11 @@ export function getParentEventId(event) {
 
     // Check for m.in_reply_to relation
     const content = event.getContent ? event.getContent() : event.content;
+    // Thread replies carry m.in_reply_to only as a fallback for clients without threads
+    if (content?.['m.relates_to']?.rel_type === 'm.thread' && content['m.relates_to'].is_falling_back) {
+      return undefined;
+    }
+
     if (content && content['m.relates_to'] && content['m.relates_to']['m.in_reply_to']) {
       return content['m.relates_to']['m.in_reply_to'].event_id;
     }
@@ -1,6 +1,7 @@
 import logger from './logger';
 import { saveToIndexedDB, getFromIndexedDB } from './indexedDBHelper';
 import telegramEntityUtils, { TelegramEntityTypes } from './telegramEntityUtils';
+import { getRoomUnreadCounts } from './unreadUtils';
 
 /**
  * Manages room lists and syncing for Matrix clients
@@ -69,7 +70,8 @@ class RoomListManager {
       lastSync: null,
       filters: options.filters || {},
       sortBy: options.sortBy || 'lastMessage',
-      client: matrixClient
+      client: matrixClient,
+      pendingUnreadRoomIds: new Set()
     });
 
     // Set up event listeners
@@ -103,10 +105,25 @@ class RoomListManager {
       // Update message cache
       this.updateMessageCache(userId, room, event);
 
+      // Notification counts for this event arrive later in the same sync
+      this.roomLists.get(userId)?.pendingUnreadRoomIds.add(room.roomId);
+
       // Notify event handlers
       this.notifyRoomsUpdated(userId);
     };
 
+    // Our own read receipts (from this or another device) clear unread counts
+    const handleReceipt = (event, room) => {
+      const isOwnReceipt = Object.values(event.getContent() || {}).some(receiptTypes =>
+        Object.values(receiptTypes || {}).some(users => users && users[userId])
+      );
+      if (!isOwnReceipt || !room) return;
+
+      this.roomLists.get(userId)?.pendingUnreadRoomIds.add(room.roomId);
+      this.updateRoomInList(userId, room);
+      this.notifyRoomsUpdated(userId);
+    };
+
     // Room state changes
     const handleRoomState = (_event, state) => {
       const room = state.room;
@@ -121,18 +138,22 @@ class RoomListManager {
       if (state === 'PREPARED' && prevState !== 'PREPARED') {
         // Initial sync completed
         this.syncRooms(userId, true);
+      } else if (state === 'SYNCING') {
+        this.refreshUnreadCounts(userId);
       }
     };
 
     // Add listeners
     matrixClient.on('Room.timeline', handleRoomTimeline);
     matrixClient.on('RoomState.events', handleRoomState);
+    matrixClient.on('Room.receipt', handleReceipt);
     matrixClient.on('sync', handleSyncState);
 
     // Store listeners for cleanup
     this.roomLists.get(userId).listeners = {
       handleRoomTimeline,
       handleRoomState,
+      handleReceipt,
       handleSyncState
     };
   }
@@ -150,6 +171,7 @@ class RoomListManager {
     // Remove listeners
     client.removeListener('Room.timeline', listeners.handleRoomTimeline);
     client.removeListener('RoomState.events', listeners.handleRoomState);
+    client.removeListener('Room.receipt', listeners.handleReceipt);
     client.removeListener('sync', listeners.handleSyncState);
 
     logger.info('[RoomListManager] Event listeners cleaned up for user:', userId);
@@ -940,60 +962,8 @@ class RoomListManager {
         // Ignore errors getting timeline
       }
 
-      // Get unread count
-      let unreadCount = 0;
-      try {
-        // First try to get the notification count from the room
-        unreadCount = room.getUnreadNotificationCount && room.getUnreadNotificationCount() || 0;
-
-        // If that's 0, check if there are actually unread messages by checking read receipts
-        if (unreadCount === 0 && events.length > 0) {
-          // Get the user's read receipt for this room
-          const readUpToId = room.getEventReadUpTo(userId);
-
-          if (!readUpToId) {
-            // If no read receipt, count all messages not from the user as unread
-            unreadCount = events.filter(event =>
-              event.getSender && event.getSender() !== userId &&
-              event.getType && event.getType() === 'm.room.message'
-            ).length;
-          } else {
-            // Count messages after the read receipt
-            let foundReadReceipt = false;
-            unreadCount = 0;
-
-            // Iterate through events from oldest to newest
-            for (let i = 0; i < events.length; i++) {
-              const event = events[i];
-
-              // Skip non-message events
-              if (!event.getType || event.getType() !== 'm.room.message') {
-                continue;
-              }
-
-              // Skip messages from the current user
-              if (event.getSender && event.getSender() === userId) {
-                continue;
-              }
-
-              // If we found the read receipt, start counting
-              if (foundReadReceipt) {
-                unreadCount++;
-              } else if (event.getId && event.getId() === readUpToId) {
-                foundReadReceipt = true;
-              }
-            }
-          }
-        }
-
-        // Cap the unread count at 99 for display purposes
-        if (unreadCount > 99) {
-          unreadCount = 99;
-        }
-      } catch (unreadError) {
-        logger.warn(`[RoomListManager] Error calculating unread count for room ${room.roomId}:`, unreadError);
-        // Ignore errors getting unread count
-      }
+      // Get unread and mention counts
+      const { unreadCount, highlightCount } = getRoomUnreadCounts(room, userId);
 
       // Get avatar URL
       const homeserverUrl = 'https://dfix-hsbridge.duckdns.org';
@@ -1146,6 +1116,7 @@ class RoomListManager {
         lastMessage: lastMessage,
         timestamp: timestamp,
         unreadCount: unreadCount,
+        highlightCount,
         isGroup: isGroup,
         isTelegram: isTelegramRoom,
         telegramContact: telegramContact,
@@ -1276,6 +1247,25 @@ class RoomListManager {
     }
   }
 
+  /**
+   * Recompute unread counts for rooms touched since the last sync, once the
+   * sync has applied the server's notification counts
+   * @param {string} userId - User ID
+   */
+  refreshUnreadCounts(userId) {
+    const roomList = this.roomLists.get(userId);
+    if (!roomList || !roomList.pendingUnreadRoomIds?.size) return;
+
+    const roomIds = [...roomList.pendingUnreadRoomIds];
+    roomList.pendingUnreadRoomIds.clear();
+
+    roomIds.forEach(roomId => {
+      const room = roomList.client.getRoom(roomId);
+      if (room) this.updateRoomInList(userId, room);
+    });
+    this.notifyRoomsUpdated(userId);
+  }
+
   /**
    * Update message cache for a room
    * @param {string} userId - User ID
@@ -1387,6 +1377,7 @@ class RoomListManager {
         lastMessage: room.lastMessage,
         timestamp: room.timestamp,
         unreadCount: room.unreadCount,
+        highlightCount: room.highlightCount || 0,
         isGroup: room.isGroup,
         isTelegram: room.isTelegram || false,
         members: room.members,
@@ -0,0 +1,62 @@
+/**
+ * Utility functions for collecting the media, files and links shared in a conversation
+ */
+
+export const SHARED_ITEM_TYPES = {
+  MEDIA: 'media',
+  FILE: 'file',
+  LINK: 'link'
+};
+
+// Good enough for chat text; trailing punctuation is trimmed below
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"']+/gi;
+
+/**
+ * Find the http(s) links in a piece of text
+ * @param {string} text - Message text
+ * @returns {Array<string>} - Unique URLs in order of appearance
+ */
+export const extractLinks = (text) => {
+  if (!text || typeof text !== 'string') return [];
+
+  const links = (text.match(URL_PATTERN) || []).map(url => url.replace(/[.,;:!?)\]]+$/, ''));
+  return [...new Set(links)];
+};
+
+/**
+ * Turn loaded messages into shared items, newest first
+ * @param {Array} messages - Messages from matrixMessageLoaderV2 or the chat view
+ * @returns {Array} - [{ id, type, messageId, msgtype, content, url, title, sender, senderName, timestamp }]
+ */
+export const collectSharedItems = (messages) => {
+  const items = [];
+
+  (messages || []).forEach(message => {
+    if (!message || message.isRedacted || typeof message.content !== 'object') return;
+
+    const { content } = message;
+    const base = {
+      messageId: message.id,
+      sender: message.sender,
+      senderName: message.senderName,
+      timestamp: message.timestamp
+    };
+
+    switch (content.msgtype) {
+      case 'm.image':
+      case 'm.video':
+        items.push({ ...base, id: message.id, type: SHARED_ITEM_TYPES.MEDIA, msgtype: content.msgtype, content, url: content.url, title: content.body });
+        return;
+      case 'm.file':
+      case 'm.audio':
+        items.push({ ...base, id: message.id, type: SHARED_ITEM_TYPES.FILE, msgtype: content.msgtype, content, url: content.url, title: content.body });
+        return;
+      default:
+        extractLinks(content.body || message.body).forEach(url => {
+          items.push({ ...base, id: `${message.id}:${url}`, type: SHARED_ITEM_TYPES.LINK, msgtype: content.msgtype, content, url, title: url });
+        });
+    }
+  });
+
+  return items.sort((a, b) => b.timestamp - a.timestamp);
+};
@@ -0,0 +1,248 @@
+/**
+ * Snooze Manager
+ *
+ * Inbox-zero style snoozing: a snoozed conversation is hidden from the contact
+ * lists until a chosen time, or until the other party replies, and then comes
+ * back at the top of the list marked as snoozed until it's opened. Snoozes are
+ * an AccountDataStore, so they're saved locally and follow the user to other
+ * browsers through Matrix account data.
+ */
+
+import { format } from 'date-fns';
+import logger from './logger';
+import AccountDataStore from './accountDataStore';
+import { SNOOZES_KEY } from '../constants';
+
+export const SNOOZES_CHANGED_EVENT = 'dailyfix-snoozes-changed';
+export const SNOOZES_ACCOUNT_DATA_TYPE = 'com.dailyfix.snoozes';
+
+// Snoozes are short-lived, so removals needn't be remembered as long as other stores'
+const REMOVAL_RETENTION = 30 * 24 * 60 * 60 * 1000;
+// setTimeout can't wait longer than this; later wake-ups re-arm the timer
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Build the ID of a snooze
+ * @param {string} platform - 'telegram' or 'whatsapp'
+ * @param {string|number} chatId - Room or contact ID
+ * @returns {string} - Snooze ID
+ */
+export const getSnoozeId = (platform, chatId) => `${platform}|${chatId}`;
+
+/**
+ * Suggested wake-up times for the snooze picker
+ * @param {Date} [now] - Current time
+ * @returns {Array} - [{ label, until }]
+ */
+export const getSnoozePresets = (now = new Date()) => {
+  const atNine = (daysAhead) => {
+    const date = new Date(now);
+    date.setDate(date.getDate() + daysAhead);
+    date.setHours(9, 0, 0, 0);
+    return date.getTime();
+  };
+  // Next Monday, or the Monday after if today is Monday
+  const daysToMonday = ((8 - now.getDay()) % 7) || 7;
+
+  return [
+    { label: 'In 3 hours', until: now.getTime() + 3 * 60 * 60 * 1000 },
+    { label: 'This evening', until: new Date(now).setHours(18, 0, 0, 0) },
+    { label: 'Tomorrow morning', until: atNine(1) },
+    { label: 'Next week', until: atNine(daysToMonday) }
+  ].filter(preset => preset.until > now.getTime());
+};
+
+/**
+ * Describe when a snooze wakes up
+ * @param {Object} snooze - Snooze, or the options it's being created with
+ * @returns {string} - e.g. "until Mon, Jun 3 09:00 or a reply"
+ */
+export const describeSnooze = (snooze) => {
+  const parts = [];
+  if (snooze.until) parts.push(format(new Date(snooze.until), 'EEE, MMM d HH:mm'));
+  if (snooze.untilReply) parts.push(snooze.until ? 'a reply' : 'they reply');
+  return `until ${parts.join(' or ')}`;
+};
+
+/**
+ * Check whether a snooze still hides its conversation
+ * @param {Object} snooze - Snooze
+ * @param {number} [now] - Current time
+ * @returns {boolean} - Whether it's waiting to wake up
+ */
+export const isSnoozeActive = (snooze, now = Date.now()) =>
+  !!snooze && !snooze.wokenAt && (!snooze.until || snooze.until > now);
+
+class SnoozeManager extends AccountDataStore {
+  constructor() {
+    super({
+      name: 'SnoozeManager',
+      storageKey: SNOOZES_KEY,
+      accountDataType: SNOOZES_ACCOUNT_DATA_TYPE,
+      changedEvent: SNOOZES_CHANGED_EVENT,
+      itemsKey: 'snoozes',
+      removalRetention: REMOVAL_RETENTION
+    });
+    this.wakeTimeout = null;
+    this._wakeDueSnoozes();
+  }
+
+  /**
+   * Replace the snooze state and re-arm the wake-up timer
+   * @param {Object} state - { snoozes, removed }
+   * @protected
+   */
+  _setState(state) {
+    super._setState(state);
+    this._scheduleWake();
+  }
+
+  getSnapshot() {
+    return this.getSnoozes();
+  }
+
+  /**
+   * Set a timer for the next snooze that's due to wake up
+   * @private
+   */
+  _scheduleWake() {
+    clearTimeout(this.wakeTimeout);
+
+    const now = Date.now();
+    const nextWake = Math.min(...this.state.snoozes
+      .filter(snooze => isSnoozeActive(snooze, now) && snooze.until)
+      .map(snooze => snooze.until));
+    if (!Number.isFinite(nextWake)) return;
+
+    this.wakeTimeout = setTimeout(() => this._wakeDueSnoozes(), Math.min(nextWake - now, MAX_TIMER_DELAY));
+  }
+
+  /**
+   * Wake every snooze whose time has come
+   * @private
+   */
+  _wakeDueSnoozes() {
+    const now = Date.now();
+    const due = this.state.snoozes.filter(snooze => !snooze.wokenAt && snooze.until && snooze.until <= now);
+
+    if (due.length === 0) {
+      this._scheduleWake();
+      return;
+    }
+
+    const dueIds = new Set(due.map(snooze => snooze.id));
+    this._setState({
+      ...this.state,
+      snoozes: this.state.snoozes.map(snooze => (dueIds.has(snooze.id)
+        ? { ...snooze, wokenAt: now, wokenBy: 'time', updatedAt: now }
+        : snooze))
+    });
+    this._scheduleSync();
+    logger.info(`[SnoozeManager] ${due.length} snoozed conversations are back`);
+  }
+
+  /**
+   * Get all snoozes, including ones that have woken up but weren't opened yet
+   * @returns {Array} - Snoozes, soonest to wake first
+   */
+  getSnoozes() {
+    return [...this.state.snoozes].sort((a, b) => (a.until || Infinity) - (b.until || Infinity));
+  }
+
+  /**
+   * Get the snooze of a conversation
+   * @param {string} platform - 'telegram' or 'whatsapp'
+   * @param {string|number} chatId - Room or contact ID
+   * @returns {Object|null} - Snooze, or null
+   */
+  getSnooze(platform, chatId) {
+    const id = getSnoozeId(platform, chatId);
+    return this.state.snoozes.find(snooze => snooze.id === id) || null;
+  }
+
+  /**
+   * Snooze a conversation
+   * @param {Object} chat - Conversation to snooze
+   * @param {string} chat.platform - 'telegram' or 'whatsapp'
+   * @param {string|number} chat.chatId - Room or contact ID
+   * @param {string} chat.chatName - Contact or room name, for the snoozed list
+   * @param {Object} options - When to wake up
+   * @param {number} [options.until] - Wake at this time
+   * @param {boolean} [options.untilReply] - Wake when a new message arrives
+   */
+  snooze({ platform, chatId, chatName }, { until = null, untilReply = false }) {
+    if (!until && !untilReply) {
+      throw new Error('A snooze needs a time or to wait for a reply');
+    }
+
+    const now = Date.now();
+    const id = getSnoozeId(platform, chatId);
+    this._update(id, {
+      id,
+      platform,
+      chatId: String(chatId),
+      chatName: chatName || String(chatId),
+      snoozedAt: now,
+      until: until || null,
+      untilReply: !!untilReply,
+      wokenAt: null,
+      wokenBy: null,
+      updatedAt: now
+    });
+  }
+
+  /**
+   * Remove a conversation's snooze, whether it's still waiting or already woke up
+   * @param {string} platform - 'telegram' or 'whatsapp'
+   * @param {string|number} chatId - Room or contact ID
+   */
+  unsnooze(platform, chatId) {
+    const id = getSnoozeId(platform, chatId);
+    if (!this.state.snoozes.some(snooze => snooze.id === id)) return;
+
+    this._update(id, null);
+  }
+
+  /**
+   * Clear the snoozed mark of a conversation that came back, once it's opened
+   * @param {string} platform - 'telegram' or 'whatsapp'
+   * @param {string|number} chatId - Room or contact ID
+   */
+  dismissWoken(platform, chatId) {
+    const snooze = this.getSnooze(platform, chatId);
+    if (snooze?.wokenAt) {
+      this._update(snooze.id, null);
+    }
+  }
+
+  /**
+   * Wake snoozes waiting for a reply when their conversation has new unread messages
+   * @param {string} platform - 'telegram' or 'whatsapp'
+   * @param {Array} activity - [{ chatId, unreadCount, timestamp }] from the contact list
+   */
+  checkReplies(platform, activity) {
+    const waiting = this.state.snoozes.filter(snooze =>
+      snooze.platform === platform && snooze.untilReply && isSnoozeActive(snooze));
+    if (waiting.length === 0) return;
+
+    const now = Date.now();
+    const replied = new Set(waiting
+      .filter(snooze => activity.some(item =>
+        String(item.chatId) === snooze.chatId && item.unreadCount > 0 && item.timestamp > snooze.snoozedAt))
+      .map(snooze => snooze.id));
+    if (replied.size === 0) return;
+
+    this._setState({
+      ...this.state,
+      snoozes: this.state.snoozes.map(snooze => (replied.has(snooze.id)
+        ? { ...snooze, wokenAt: now, wokenBy: 'reply', updatedAt: now }
+        : snooze))
+    });
+    this._scheduleSync();
+  }
+}
+
+// Create a singleton instance
+const snoozeManager = new SnoozeManager();
+
+export default snoozeManager;
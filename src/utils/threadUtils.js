@@ -0,0 +1,174 @@
+/**
+ * Utility functions for threaded conversations (m.thread relations)
+ */
+import logger from './logger';
+import { isEventRedacted } from './messageEditUtils';
+
+export const THREAD_REL_TYPE = 'm.thread';
+
+/**
+ * Read the m.relates_to block of an event
+ * @param {Object} event - Matrix event (MatrixEvent or raw JSON)
+ * @returns {Object|undefined} - Relation, if any
+ */
+const getRelation = (event) => {
+  const content = typeof event.getWireContent === 'function'
+    ? event.getWireContent()
+    : (typeof event.getContent === 'function' ? event.getContent() : event.content);
+  return content?.['m.relates_to'];
+};
+
+/**
+ * Get a member's display name, falling back to their Matrix ID
+ * @param {Object} room - Matrix room
+ * @param {string} userId - Matrix user ID
+ * @returns {string} - Display name
+ */
+const getSenderName = (room, userId) => room?.getMember?.(userId)?.name || userId;
+
+/**
+ * Get the root event ID of the thread an event was sent into
+ * @param {Object} event - Matrix event
+ * @returns {string|null} - Thread root event ID, or null if the event isn't in a thread
+ */
+export function getThreadRootId(event) {
+  if (!event) return null;
+
+  try {
+    const relation = getRelation(event);
+    return relation?.rel_type === THREAD_REL_TYPE && relation.event_id ? relation.event_id : null;
+  } catch (error) {
+    logger.warn('[threadUtils] Error reading thread relation:', error);
+    return null;
+  }
+}
+
+/**
+ * Check whether an event is a reply inside a thread
+ * @param {Object} event - Matrix event
+ * @returns {boolean} - Whether the event has an m.thread relation
+ */
+export function isThreadReply(event) {
+  return !!getThreadRootId(event);
+}
+
+/**
+ * Read a thread reply out of an event
+ * @param {Object} event - Matrix event
+ * @param {Object} room - Matrix room, used for the sender's display name
+ * @returns {Object|null} - { eventId, rootId, sender, senderName, timestamp } or null if not a thread reply
+ */
+export function getThreadReplyFromEvent(event, room) {
+  const rootId = getThreadRootId(event);
+  if (!rootId || isEventRedacted(event)) return null;
+
+  const sender = typeof event.getSender === 'function' ? event.getSender() : event.sender;
+  return {
+    eventId: typeof event.getId === 'function' ? event.getId() : event.event_id,
+    rootId,
+    sender,
+    senderName: getSenderName(room, sender),
+    timestamp: (typeof event.getTs === 'function' ? event.getTs() : event.origin_server_ts) || Date.now()
+  };
+}
+
+/**
+ * Build a thread summary from the server's aggregation on a root event
+ * @param {Object} event - Matrix event that may be a thread root
+ * @param {Object} room - Matrix room, used for the last replier's display name
+ * @returns {Object|null} - { count, latestReply, replyIds, countedUntil } or null if the event has no thread
+ */
+export function getThreadSummaryFromEvent(event, room) {
+  if (!event) return null;
+
+  try {
+    const aggregation = typeof event.getServerAggregatedRelation === 'function'
+      ? event.getServerAggregatedRelation(THREAD_REL_TYPE)
+      : (event.unsigned || event.event?.unsigned)?.['m.relations']?.[THREAD_REL_TYPE];
+    if (!aggregation?.count) return null;
+
+    const latest = aggregation.latest_event;
+    const latestReply = latest ? {
+      eventId: latest.event_id,
+      sender: latest.sender,
+      senderName: getSenderName(room, latest.sender),
+      timestamp: latest.origin_server_ts
+    } : null;
+
+    return {
+      count: aggregation.count,
+      latestReply,
+      replyIds: latestReply ? [latestReply.eventId] : [],
+      // Replies up to here are already included in the server's count
+      countedUntil: latestReply?.timestamp || 0
+    };
+  } catch (error) {
+    logger.warn('[threadUtils] Error reading thread summary:', error);
+    return null;
+  }
+}
+
+/**
+ * Add a reply to a root message's thread summary
+ * @param {Object} message - Thread root message
+ * @param {Object} reply - Reply from getThreadReplyFromEvent
+ * @returns {Object} - Updated message (same object if the reply was already counted)
+ */
+export function addThreadReply(message, reply) {
+  const thread = message.thread || { count: 0, latestReply: null, replyIds: [], countedUntil: 0 };
+  if (thread.replyIds.includes(reply.eventId)) return message;
+
+  const alreadyCounted = reply.timestamp <= thread.countedUntil;
+  const isLatest = !thread.latestReply || reply.timestamp >= thread.latestReply.timestamp;
+
+  return {
+    ...message,
+    thread: {
+      ...thread,
+      count: alreadyCounted ? thread.count : thread.count + 1,
+      latestReply: isLatest ? reply : thread.latestReply,
+      replyIds: [...thread.replyIds, reply.eventId]
+    }
+  };
+}
+
+/**
+ * Add a reply to whichever message is its thread root
+ * @param {Array} messages - Messages in the view
+ * @param {Object} reply - Reply from getThreadReplyFromEvent
+ * @returns {Array} - Updated messages (same array if nothing changed)
+ */
+export function addThreadReplyToMessages(messages, reply) {
+  if (!reply) return messages;
+
+  let changed = false;
+  const updated = messages.map(message => {
+    if (message.id !== reply.rootId) return message;
+    const withReply = addThreadReply(message, reply);
+    if (withReply !== message) changed = true;
+    return withReply;
+  });
+
+  return changed ? updated : messages;
+}
+
+/**
+ * Send a message into a thread. Clients without thread support see it as a
+ * reply to the latest message in the thread, unless it quotes a specific reply.
+ * @param {Object} content - Message content
+ * @param {string} rootId - Thread root event ID
+ * @param {string} inReplyToId - Latest event in the thread, or the reply being quoted
+ * @param {boolean} isFallback - Whether m.in_reply_to is only a fallback rather than a real quote
+ * @returns {Object} - Content with the thread relation added
+ */
+export function addThreadRelationToContent(content, rootId, inReplyToId, isFallback = true) {
+  return {
+    ...content,
+    'm.relates_to': {
+      rel_type: THREAD_REL_TYPE,
+      event_id: rootId,
+      is_falling_back: isFallback,
+      'm.in_reply_to': { event_id: inReplyToId || rootId }
+    }
+  };
+}
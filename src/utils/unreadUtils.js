@@ -0,0 +1,105 @@
+/**
+ * Utility functions for working out unread state of Matrix rooms
+ */
+import logger from './logger';
+
+// Badges show "99+" past this point, so there's no need to count further
+export const MAX_UNREAD_COUNT = 99;
+
+/**
+ * Check whether an event should count towards the unread badge
+ * @param {Object} event - Matrix event
+ * @param {string} myUserId - Matrix ID of the current user
+ * @returns {boolean} - Whether the event is an unread-worthy message
+ */
+const isCountableEvent = (event, myUserId) =>
+  event.getType() === 'm.room.message' &&
+  event.getSender() !== myUserId &&
+  !event.isRedacted() &&
+  !event.isRelation('m.replace');
+
+/**
+ * Get the event ID the user has read up to, preferring the m.fully_read marker
+ * @param {Object} room - Matrix room
+ * @param {string} myUserId - Matrix ID of the current user
+ * @returns {string|null} - Event ID of the read marker
+ */
+export const getReadMarkerEventId = (room, myUserId) => {
+  if (!room) return null;
+
+  const fullyRead = room.getAccountData('m.fully_read')?.getContent()?.event_id;
+  return fullyRead || room.getEventReadUpTo(myUserId) || null;
+};
+
+/**
+ * Get the messages in the live timeline that arrived after the read marker
+ * @param {Object} room - Matrix room
+ * @param {string} myUserId - Matrix ID of the current user
+ * @returns {Array} - Unread Matrix events, oldest first
+ */
+const getUnreadEvents = (room, myUserId) => {
+  const events = room.getLiveTimeline().getEvents();
+  const readMarkerId = getReadMarkerEventId(room, myUserId);
+
+  let startIndex = 0;
+  if (readMarkerId) {
+    const markerIndex = events.findIndex(event => event.getId() === readMarkerId);
+    if (markerIndex >= 0) {
+      startIndex = markerIndex + 1;
+    } else if (room.hasUserReadEvent(myUserId, events[events.length - 1]?.getId())) {
+      // The marker is older than the loaded timeline, but the newest event has been read
+      return [];
+    }
+  }
+
+  return events.slice(startIndex).filter(event => isCountableEvent(event, myUserId));
+};
+
+/**
+ * Get unread and highlight (mention) counts for a room.
+ * Uses the server's notification counts and falls back to counting messages
+ * after our read marker when the server reports nothing (e.g. rooms with
+ * notifications disabled by push rules).
+ * @param {Object} room - Matrix room
+ * @param {string} myUserId - Matrix ID of the current user
+ * @returns {Object} - { unreadCount, highlightCount }
+ */
+export const getRoomUnreadCounts = (room, myUserId) => {
+  if (!room) return { unreadCount: 0, highlightCount: 0 };
+
+  try {
+    let unreadCount = room.getUnreadNotificationCount('total') || 0;
+    const highlightCount = room.getUnreadNotificationCount('highlight') || 0;
+
+    if (unreadCount === 0) {
+      unreadCount = getUnreadEvents(room, myUserId).length;
+    }
+
+    return {
+      unreadCount: Math.min(unreadCount, MAX_UNREAD_COUNT),
+      highlightCount: Math.min(highlightCount, MAX_UNREAD_COUNT)
+    };
+  } catch (error) {
+    logger.warn(`[UnreadUtils] Error getting unread counts for room ${room.roomId}:`, error);
+    return { unreadCount: 0, highlightCount: 0 };
+  }
+};
+
+/**
+ * Get the first message after the read marker, for the "New messages" divider
+ * @param {Object} room - Matrix room
+ * @param {string} myUserId - Matrix ID of the current user
+ * @returns {string|null} - Event ID of the first unread message
+ */
+export const getFirstUnreadEventId = (room, myUserId) => {
+  if (!room) return null;
+
+  try {
+    const [firstUnread] = getUnreadEvents(room, myUserId);
+    return firstUnread ? firstUnread.getId() : null;
+  } catch (error) {
+    logger.warn(`[UnreadUtils] Error finding first unread event in room ${room.roomId}:`, error);
+    return null;
+  }
+};
+
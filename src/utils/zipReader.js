@@ -0,0 +1,108 @@
+/**
+ * Minimal reader for .zip archives, enough to unpack chat exports in the browser.
+ * Handles stored and deflated entries (the only kinds phones produce) using the
+ * built-in DecompressionStream, and only reads the parts of the file it needs.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+// End of central directory record plus the longest possible archive comment
+const EOCD_SEARCH_BYTES = 22 + 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+/**
+ * Read part of a file
+ * @param {Blob} file - Archive
+ * @param {number} start - First byte
+ * @param {number} end - Byte after the last one
+ * @returns {Promise<DataView>} - The bytes
+ */
+const readBytes = async (file, start, end) => new DataView(await file.slice(start, end).arrayBuffer());
+
+/**
+ * Check whether a file looks like a zip archive
+ * @param {Blob} file - File to check
+ * @returns {Promise<boolean>} - Whether it starts with a zip header
+ */
+export const isZipFile = async (file) => {
+  if (!file || file.size < 4) return false;
+  const view = await readBytes(file, 0, 4);
+  return view.getUint32(0, true) === LOCAL_HEADER_SIGNATURE;
+};
+
+/**
+ * List the files in a zip archive
+ * @param {Blob} file - Archive
+ * @returns {Promise<Array>} - [{ name, size, read: () => Promise<Blob> }], directories left out
+ */
+export const readZipEntries = async (file) => {
+  const tailStart = Math.max(0, file.size - EOCD_SEARCH_BYTES);
+  const tail = await readBytes(file, tailStart, file.size);
+
+  let eocdOffset = -1;
+  for (let i = tail.byteLength - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === EOCD_SIGNATURE) {
+      eocdOffset = i;
+      break;
+    }
+  }
+  if (eocdOffset === -1) {
+    throw new Error('This file is not a valid zip archive');
+  }
+
+  const entryCount = tail.getUint16(eocdOffset + 10, true);
+  const directorySize = tail.getUint32(eocdOffset + 12, true);
+  const directoryOffset = tail.getUint32(eocdOffset + 16, true);
+  if (directoryOffset === 0xffffffff || entryCount === 0xffff) {
+    throw new Error('Zip archives over 4 GB are not supported');
+  }
+
+  const directory = await readBytes(file, directoryOffset, directoryOffset + directorySize);
+  const decoder = new TextDecoder();
+  const entries = [];
+  let position = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (directory.getUint32(position, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('This zip archive is damaged');
+    }
+
+    const method = directory.getUint16(position + 10, true);
+    const compressedSize = directory.getUint32(position + 20, true);
+    const size = directory.getUint32(position + 24, true);
+    const nameLength = directory.getUint16(position + 28, true);
+    const extraLength = directory.getUint16(position + 30, true);
+    const commentLength = directory.getUint16(position + 32, true);
+    const localHeaderOffset = directory.getUint32(position + 42, true);
+    const name = decoder.decode(new Uint8Array(directory.buffer, directory.byteOffset + position + 46, nameLength));
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    entries.push({
+      name,
+      size,
+      read: async () => {
+        const header = await readBytes(file, localHeaderOffset, localHeaderOffset + 30);
+        if (header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+          throw new Error(`Could not read ${name} from the archive`);
+        }
+
+        // The local header's name and extra field can differ in length from the central directory's
+        const dataStart = localHeaderOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        const data = file.slice(dataStart, dataStart + compressedSize);
+
+        if (method === METHOD_STORED) return data;
+        if (method === METHOD_DEFLATED) {
+          return new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+        }
+        throw new Error(`${name} uses an unsupported compression method`);
+      }
+    });
+  }
+
+  return entries;
+};